@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Fee Stub Server
+ * 
+ * Local stand-in for the fee APIs used by Module #15 (Fees), so fee estimation
+ * can be exercised without mempool.space or an ord server
+ * 
+ * Serves:
+ *   GET /api/v1/fees/recommended   mempool.space format
+ *   GET /r/blockheight              ord recursive format
+ *   GET /r/blockinfo/<height>       ord recursive format (feerate_percentiles)
+ * 
+ * Usage:
+ *   node fee-stub-server.js --port 3100 --economy 3 --normal 8 --priority 20
+ *   node fee-stub-server.js --fail mempool    (answer HTTP 500 to test fallbacks)
+ * 
+ * Then point the estimator at it:
+ *   NWC.setFeeSources([
+ *     NWC.createOrdFeeSource({ baseUrl: 'http://localhost:3100' }),
+ *     NWC.createMempoolFeeSource({ baseUrl: 'http://localhost:3100' }),
+ *     NWC.createStaticFeeSource(10)
+ *   ]);
+ *
+ * In-process (the fee checks in provider-conformance.js start it this way):
+ *   import { createFeeStubServer } from './fee-stub-server.js';
+ *   const server = createFeeStubServer({ rates: { economy: 3, normal: 8, priority: 20 }, fail: ['ord'] });
+ *   server.listen(0);
+ */
+
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_RATES = { economy: 2, normal: 10, priority: 25 };
+const BLOCK_HEIGHT = 840000;
+
+/**
+ * Build the stub's routes for a set of rates
+ * @param {Object} rates - { economy, normal, priority } in sat/vB
+ * @returns {Object} name ('mempool' | 'ord') -> { match(url), body(url) }
+ */
+function createRoutes(rates) {
+  return {
+    mempool: {
+      match: (url) => url === '/api/v1/fees/recommended',
+      body: () => ({
+        fastestFee: rates.priority,
+        halfHourFee: rates.normal,
+        hourFee: Math.max(rates.economy, Math.round((rates.economy + rates.normal) / 2)),
+        economyFee: rates.economy,
+        minimumFee: 1
+      })
+    },
+    ord: {
+      match: (url) => url === '/r/blockheight' || url.startsWith('/r/blockinfo/'),
+      body: (url) => url === '/r/blockheight' ? BLOCK_HEIGHT : {
+        height: Number(url.split('/').pop()) || BLOCK_HEIGHT,
+        average_fee_rate: rates.normal,
+        median_fee: rates.normal * 140,
+        feerate_percentiles: [
+          rates.economy,
+          Math.round((rates.economy + rates.normal) / 2),
+          rates.normal,
+          Math.round((rates.normal + rates.priority) / 2),
+          rates.priority
+        ]
+      }
+    }
+  };
+}
+
+/**
+ * Create the stub HTTP server (not listening yet)
+ * @param {Object} [options] - { rates: { economy, normal, priority }, fail: ['mempool' | 'ord'] answered with HTTP 500 }
+ * @returns {http.Server}
+ */
+export function createFeeStubServer({ rates = DEFAULT_RATES, fail = [] } = {}) {
+  const routes = createRoutes(rates);
+
+  return http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    const url = req.url.split('?')[0];
+    const [name, route] = Object.entries(routes).find(([, route]) => route.match(url)) || [];
+
+    if (!route || req.method !== 'GET') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    } else if (fail.includes(name)) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${name} stub configured to fail`);
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(route.body(url)));
+    }
+  });
+}
+
+function startServer() {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const options = { port: '3100', economy: String(DEFAULT_RATES.economy), normal: String(DEFAULT_RATES.normal), priority: String(DEFAULT_RATES.priority), fail: '' };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace('--', '');
+    const value = args[i + 1];
+    if (value) {
+      options[key] = value;
+    }
+  }
+
+  const port = Number(options.port);
+  const rates = {
+    economy: Number(options.economy),
+    normal: Number(options.normal),
+    priority: Number(options.priority)
+  };
+  const failing = options.fail.split(',').filter(Boolean); // 'mempool', 'ord'
+
+  const server = createFeeStubServer({ rates, fail: failing });
+  server.on('request', (req, res) => {
+    res.on('finish', () => {
+      console.log(`${res.statusCode === 200 ? '✅' : '❌'} ${req.method} ${req.url} ${res.statusCode}`);
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`🧪 Fee stub server on http://localhost:${port}`);
+    console.log('   Rates:', rates, failing.length ? `(failing: ${failing.join(', ')})` : '');
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startServer();
+}
@@ -25,7 +25,12 @@ const files = [
   '08-phantom-provider.js',
   '09-wizz-provider.js',
   '10-magiceden-provider.js',
-  '11-oyl-provider.js'
+  '11-oyl-provider.js',
+  '13-address.js',
+  '14-psbt.js',
+  '15-fees.js',
+  '16-cost.js',
+  '17-inscriber.js'
 ];
 
 let fixedCount = 0;
@@ -57,6 +62,16 @@ files.forEach(filename => {
         return line.replace(/['"].*?TODO-Add-SAT.*?['"]/, "'./02-normalizers.js'");
       } else if (line.includes('createUnsecuredToken') || line.includes('WalletConnector')) {
         return line.replace(/['"].*?TODO-Add-SAT.*?['"]/, "'./03-wallet-connector.js'");
+      } else if (line.includes('inscribeWithPsbt') || line.includes('createMempoolChainSource')) {
+        return line.replace(/['"].*?TODO-Add-SAT.*?['"]/, "'./17-inscriber.js'");
+      } else if (line.includes('estimateInscriptionCost') || line.includes('buildInscriptionScript')) {
+        return line.replace(/['"].*?TODO-Add-SAT.*?['"]/, "'./16-cost.js'");
+      } else if (line.includes('createFeeEstimator') || line.includes('FeeTier')) {
+        return line.replace(/['"].*?TODO-Add-SAT.*?['"]/, "'./15-fees.js'");
+      } else if (line.includes('summarizePsbt') || line.includes('decodePsbt') || line.includes('createPsbt')) {
+        return line.replace(/['"].*?TODO-Add-SAT.*?['"]/, "'./14-psbt.js'");
+      } else if (line.includes('assertValidRecipient') || line.includes('decodeAddress') || line.includes('resolveAddressNetwork')) {
+        return line.replace(/['"].*?TODO-Add-SAT.*?['"]/, "'./13-address.js'");
       }
       
       // Default replacement
@@ -3,9 +3,18 @@ import InscriptionItem from './components/InscriptionItem.jsx';
 import InscriptionCreator from './components/InscriptionCreator.jsx';
 import XversePanel from './components/XversePanel.jsx';
 import WalletTester from './components/WalletTester.jsx';
-import { checkWalletCapability, supportsInscriptionCreation } from './components/walletCapabilities.js';
+import PsbtPreview from './components/PsbtPreview.jsx';
+import {
+  loadCapabilityMatrix,
+  getWalletCapabilities,
+  checkWalletCapability,
+  getUnsupportedFeatureMessage
+} from './components/walletCapabilities.js';
 import './styles/App.css';
 
+// getBalance() always resolves to a BTC number (the loader converts every provider's raw balance)
+const formatBalance = (balance) => `${(Number(balance) || 0).toFixed(8)} BTC`;
+
 const NexusWalletApp = () => {
   const [coreLibraryLoaded, setCoreLibraryLoaded] = useState(false);
   const [darkMode, setDarkMode] = useState(true);
@@ -22,7 +31,11 @@ const NexusWalletApp = () => {
   const [error, setError] = useState(null);
   const [showWalletModal, setShowWalletModal] = useState(false);
   const [showInscriptionCreator, setShowInscriptionCreator] = useState(false);
+  const [psbtReview, setPsbtReview] = useState(null);
+  const [defaultFeeRate, setDefaultFeeRate] = useState(10);
+  const [appNetwork, setAppNetwork] = useState('');
   const [installedWallets, setInstalledWallets] = useState([]);
+  const [capabilityMatrix, setCapabilityMatrix] = useState({});
   const [demos, setDemos] = useState({
     signedPSBT: '',
     sentTxId: '',
@@ -33,49 +46,41 @@ const NexusWalletApp = () => {
     { 
       id: 'unisat', 
       name: 'UniSat', 
-      capabilities: ['balance', 'inscriptions', 'signPsbt', 'sendBitcoin', 'signMessage', 'pushPsbt', 'getPublicKey'],
       color: 'orange' 
     },
     { 
       id: 'xverse', 
       name: 'Xverse', 
-      capabilities: ['balance', 'inscriptions', 'signPsbt', 'sendBitcoin', 'signMessage', 'createInscription', 'getPublicKey'],
       color: 'blue' 
     },
     { 
       id: 'okx', 
       name: 'OKX', 
-      capabilities: ['balance', 'inscriptions', 'signPsbt', 'sendBitcoin', 'signMessage', 'pushPsbt', 'getPublicKey'],
       color: 'black' 
     },
     { 
       id: 'leather', 
       name: 'Leather', 
-      capabilities: ['signPsbt', 'sendBitcoin', 'signMessage', 'pushPsbt'],
       color: 'brown' 
     },
     { 
       id: 'phantom', 
       name: 'Phantom', 
-      capabilities: ['balance', 'inscriptions', 'signPsbt', 'sendBitcoin', 'signMessage', 'getPublicKey'],
       color: 'purple' 
     },
     { 
       id: 'wizz', 
       name: 'Wizz', 
-      capabilities: ['balance', 'inscriptions', 'signPsbt', 'sendBitcoin', 'signMessage', 'createInscription', 'pushPsbt', 'getPublicKey'],
       color: 'green' 
     },
     { 
       id: 'oyl', 
       name: 'Oyl', 
-      capabilities: ['balance', 'inscriptions', 'signPsbt', 'sendBitcoin', 'signMessage'],
       color: 'red' 
     },
     { 
       id: 'magiceden', 
       name: 'Magic Eden', 
-      capabilities: ['signPsbt', 'sendBitcoin', 'signMessage'],
       color: 'violet' 
     }
   ];
@@ -104,6 +109,14 @@ const NexusWalletApp = () => {
           setWalletState(state);
         });
         
+        // Opt in to session persistence and silently restore the last wallet
+        if (window.NexusWalletConnect.enableSessionPersistence) {
+          window.NexusWalletConnect.enableSessionPersistence(true);
+          window.NexusWalletConnect.restoreSession().catch((e) => {
+            console.warn('Failed to restore wallet session:', e);
+          });
+        }
+        
         return unsubscribe;
       } else {
         setCoreLibraryLoaded(true);
@@ -114,14 +127,29 @@ const NexusWalletApp = () => {
     return checkCoreLibrary();
   }, []);
 
+  // Capabilities come from the loader's matrix (provider feature flags + live wallet probe)
+  useEffect(() => {
+    if (!coreLibraryLoaded) return;
+    
+    let cancelled = false;
+    loadCapabilityMatrix()
+      .then((matrix) => {
+        if (!cancelled) setCapabilityMatrix(matrix);
+      })
+      .catch((e) => console.warn('Failed to load wallet capabilities:', e));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [coreLibraryLoaded, walletState.walletType]);
+
+  const supportsInscriptions = walletState.isConnected &&
+    checkWalletCapability(capabilityMatrix, walletState.walletType, 'inscriptions');
+
   // Auto-load inscriptions when wallet connects
   useEffect(() => {
     if (walletState.isConnected && walletState.walletType) {
       // Check if the wallet supports inscriptions before trying to load them
-      // Need case-insensitive comparison since walletType is capitalized (UniSat) but wallet.id is lowercase (unisat)
-      const walletData = wallets.find(w => w.id.toLowerCase() === walletState.walletType.toLowerCase());
-      const supportsInscriptions = walletData?.capabilities.includes('inscriptions');
-      
       if (supportsInscriptions) {
         refreshInscriptions();
       } else {
@@ -133,7 +161,7 @@ const NexusWalletApp = () => {
       // Clear inscriptions when disconnected
       setInscriptions([]);
     }
-  }, [walletState.isConnected, walletState.walletType]);
+  }, [walletState.isConnected, walletState.walletType, supportsInscriptions]);
 
   const handleConnect = async (walletType) => {
     setShowWalletModal(false);
@@ -184,10 +212,6 @@ const NexusWalletApp = () => {
   const refreshInscriptions = async () => {
     if (!walletState.isConnected) return;
     
-    // Check if wallet supports inscriptions (case-insensitive comparison)
-    const walletData = wallets.find(w => w.id.toLowerCase() === walletState.walletType.toLowerCase());
-    const supportsInscriptions = walletData?.capabilities.includes('inscriptions');
-    
     if (!supportsInscriptions) {
       console.log(`ℹ️ ${walletState.walletType} wallet does not support inscription viewing`);
       setInscriptions([]);
@@ -245,26 +269,13 @@ const NexusWalletApp = () => {
 
   const hasCapability = (capability) => {
     if (!walletState.isConnected || !walletState.walletType) return false;
-    
-    // Check local wallets array first (case-insensitive comparison)
-    const walletData = wallets.find(w => w.id.toLowerCase() === walletState.walletType.toLowerCase());
-    if (walletData && walletData.capabilities.includes(capability)) {
-      return true;
-    }
-    
-    // Fallback to walletCapabilities utility
-    const hasFeature = checkWalletCapability(walletState.walletType, capability);
-    
-    if (typeof hasFeature === 'string') {
-      return true;
-    }
-    
-    return hasFeature === true;
+    return checkWalletCapability(capabilityMatrix, walletState.walletType, capability);
   };
 
-  const canCreateInscription = () => {
-    if (!walletState.isConnected || !walletState.walletType) return false;
-    return supportsInscriptionCreation(walletState.walletType);
+  // Tooltip for actions greyed out by the capability matrix
+  const unsupportedHint = (capability) => {
+    if (!walletState.isConnected || hasCapability(capability)) return undefined;
+    return getUnsupportedFeatureMessage(capabilityMatrix, walletState.walletType, capability);
   };
 
   const handleSignMessagePrompt = async () => {
@@ -283,10 +294,39 @@ const NexusWalletApp = () => {
     }
   };
 
+  // Settings: fallback rate for sendBitcoin()/inscribe() when no fee source answers
+  const handleDefaultFeeRateChange = (value) => {
+    setDefaultFeeRate(value);
+    const feeRate = parseInt(value);
+    if (feeRate >= 1) {
+      window.NexusWalletConnect?.setDefaultFeeRate(feeRate);
+    }
+  };
+
+  // '' follows whatever network the wallet is on; anything else turns on the loader's network guard
+  const handleAppNetworkChange = async (value) => {
+    setAppNetwork(value);
+    window.NexusWalletConnect?.setAppNetwork(value || null);
+    
+    if (value && walletState.isConnected && walletState.network !== value && hasCapability('switchNetwork')) {
+      try {
+        await window.NexusWalletConnect.switchNetwork(value);
+      } catch (e) {
+        setError(`Could not switch ${walletState.walletType} to ${value}: ${e.message}`);
+      }
+    }
+  };
+
   const handleSendBTCPrompt = async () => {
     const recipient = prompt('Enter recipient address:');
     if (!recipient) return;
     
+    const addressCheck = window.NexusWalletConnect.validateAddress(recipient.trim());
+    if (!addressCheck.valid) {
+      setError('Invalid recipient address: ' + addressCheck.error);
+      return;
+    }
+    
     const amount = prompt('Enter amount in BTC:', '0.001');
     if (!amount || isNaN(parseFloat(amount))) return;
     
@@ -303,12 +343,26 @@ const NexusWalletApp = () => {
   };
 
   const handleSignPSBTPrompt = async () => {
-    const psbtHex = prompt('Enter PSBT hex to sign:');
+    const psbtHex = prompt('Enter PSBT (hex or base64) to sign:');
     if (!psbtHex) return;
     
+    // Decode first so the user sees inputs, outputs and fee before the wallet popup
+    try {
+      const summary = await window.NexusWalletConnect.previewPsbt(psbtHex.trim());
+      setPsbtReview({ psbt: psbtHex.trim(), summary });
+      setError(null);
+    } catch (error) {
+      setError('Invalid PSBT: ' + error.message);
+    }
+  };
+
+  const confirmSignPSBT = async () => {
+    const { psbt } = psbtReview;
+    setPsbtReview(null);
+    
     setLoading(true);
     try {
-      const signedPsbt = await window.NexusWalletConnect.signPSBT(psbtHex);
+      const signedPsbt = await window.NexusWalletConnect.signPsbt(psbt);
       setDemos(prev => ({ ...prev, signedPSBT: signedPsbt }));
       setError(null);
     } catch (error) {
@@ -358,10 +412,27 @@ const NexusWalletApp = () => {
           >
             {darkMode ? '☀️' : '🌙'}
           </button>
+          {walletState.connectedWallets?.length > 1 && (
+            <select
+              className="form-select"
+              value={walletState.walletType || ''}
+              onChange={(e) => window.NexusWalletConnect.setActiveWallet(e.target.value)}
+              title="Active wallet"
+            >
+              {walletState.connectedWallets.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
           {walletState.isConnected ? (
-            <button className="btn btn-secondary" onClick={handleDisconnect}>
-              Disconnect
-            </button>
+            <>
+              <button className="btn btn-secondary" onClick={openWalletModal} title="Connect another wallet">
+                + Wallet
+              </button>
+              <button className="btn btn-secondary" onClick={handleDisconnect}>
+                Disconnect
+              </button>
+            </>
           ) : (
             <button className="btn btn-primary" onClick={openWalletModal}>
               Connect Wallet
@@ -429,42 +500,38 @@ const NexusWalletApp = () => {
                 </button>
               </div>
               <div className="tab-navigation-right">
-                {hasCapability('sendBitcoin') && (
-                  <button 
-                    className="btn btn-primary btn-sm"
-                    onClick={handleSendBTCPrompt}
-                    disabled={loading}
-                  >
-                    {loading ? '⏳ ' : ''}Send BTC
-                  </button>
-                )}
-                {hasCapability('signMessage') && (
-                  <button 
-                    className="btn btn-secondary btn-sm"
-                    onClick={handleSignMessagePrompt}
-                    disabled={loading}
-                  >
-                    {loading ? '⏳ ' : ''}Sign Message
-                  </button>
-                )}
-                {hasCapability('signPsbt') && (
-                  <button 
-                    className="btn btn-secondary btn-sm"
-                    onClick={handleSignPSBTPrompt}
-                    disabled={loading}
-                  >
-                    {loading ? '⏳ ' : ''}Sign PSBT
-                  </button>
-                )}
-                {canCreateInscription() && (
-                  <button 
-                    className="btn btn-primary btn-sm"
-                    onClick={openInscriptionCreator}
-                    disabled={loading}
-                  >
-                    {loading ? '⏳ ' : ''}+ Create Inscription
-                  </button>
-                )}
+                <button 
+                  className="btn btn-primary btn-sm"
+                  onClick={handleSendBTCPrompt}
+                  disabled={loading || !hasCapability('sendBitcoin')}
+                  title={unsupportedHint('sendBitcoin')}
+                >
+                  {loading ? '⏳ ' : ''}Send BTC
+                </button>
+                <button 
+                  className="btn btn-secondary btn-sm"
+                  onClick={handleSignMessagePrompt}
+                  disabled={loading || !hasCapability('signMessage')}
+                  title={unsupportedHint('signMessage')}
+                >
+                  {loading ? '⏳ ' : ''}Sign Message
+                </button>
+                <button 
+                  className="btn btn-secondary btn-sm"
+                  onClick={handleSignPSBTPrompt}
+                  disabled={loading || !hasCapability('signPsbt')}
+                  title={unsupportedHint('signPsbt')}
+                >
+                  {loading ? '⏳ ' : ''}Sign PSBT
+                </button>
+                <button 
+                  className="btn btn-primary btn-sm"
+                  onClick={openInscriptionCreator}
+                  disabled={loading || !hasCapability('createInscription')}
+                  title={unsupportedHint('createInscription')}
+                >
+                  {loading ? '⏳ ' : ''}+ Create Inscription
+                </button>
               </div>
             </div>
 
@@ -539,7 +606,7 @@ const NexusWalletApp = () => {
                       onClick={async () => {
                         try {
                           const balance = await window.NexusWalletConnect.getBalance();
-                          alert(`Balance: ${balance} BTC`);
+                          alert(`Balance: ${formatBalance(balance)}`);
                         } catch (e) {
                           alert(`Error: ${e.message}`);
                         }
@@ -606,16 +673,12 @@ const NexusWalletApp = () => {
                     <span className="stat-value">✓ Available</span>
                   </div>
                   
-                  {window.NexusWalletConnect?.getCapabilities && (
+                  {getWalletCapabilities(capabilityMatrix, walletState.walletType) && (
                     <button 
                       className="btn btn-secondary btn-sm mt-xs"
-                      onClick={async () => {
-                        try {
-                          const capabilities = window.NexusWalletConnect.getCapabilities();
-                          alert(`Wallet Capabilities:\n\n${JSON.stringify(capabilities, null, 2)}`);
-                        } catch (e) {
-                          alert(`Error: ${e.message}`);
-                        }
+                      onClick={() => {
+                        const { features, ...capabilities } = getWalletCapabilities(capabilityMatrix, walletState.walletType);
+                        alert(`Wallet Capabilities:\n\n${JSON.stringify(capabilities, null, 2)}`);
                       }}
                     >
                       🔍 Get Capabilities
@@ -970,7 +1033,6 @@ const NexusWalletApp = () => {
                                   contentType: 'text/plain;charset=utf-8',
                                   payloadType: 'PLAIN_TEXT',
                                   repeat: parseInt(repeat),
-                                  network: { type: 'Mainnet' },
                                   suggestedMinerFeeRate: 10
                                 };
                                 const result = await window.NexusWalletConnect.createRepeatInscriptions(payload);
@@ -1144,11 +1206,18 @@ const NexusWalletApp = () => {
 
                 <div className="form-group">
                   <label className="form-label">Default Network</label>
-                  <select className="form-select" disabled>
-                    <option>Bitcoin Mainnet</option>
-                    <option>Bitcoin Testnet</option>
+                  <select className="form-select" value={appNetwork} onChange={(e) => handleAppNetworkChange(e.target.value)}>
+                    <option value="">Follow wallet</option>
+                    <option value="livenet">Bitcoin Mainnet</option>
+                    <option value="testnet">Bitcoin Testnet3</option>
+                    <option value="testnet4">Bitcoin Testnet4</option>
+                    <option value="signet">Bitcoin Signet</option>
+                    <option value="regtest">Bitcoin Regtest</option>
                   </select>
-                  <small className="form-hint">Network selection is controlled by your wallet</small>
+                  <small className="form-hint">Wallets that can switch are asked to; signing is blocked while the wallet is on another network</small>
+                  {appNetwork && walletState.network && walletState.network !== appNetwork && (
+                    <small className="form-hint">⚠️ {walletState.walletType} is on {walletState.network}</small>
+                  )}
                 </div>
 
                 <div className="form-group">
@@ -1156,11 +1225,12 @@ const NexusWalletApp = () => {
                   <input 
                     type="number" 
                     className="form-input" 
-                    defaultValue="10"
+                    value={defaultFeeRate}
+                    onChange={(e) => handleDefaultFeeRateChange(e.target.value)}
                     min="1"
                     placeholder="10"
                   />
-                  <small className="form-hint">Suggested fee rate for transactions (1-100 sat/vB)</small>
+                  <small className="form-hint">Used when no fee estimate is available from ord or mempool.space (1-100 sat/vB)</small>
                 </div>
 
                 <div className="form-group">
@@ -1272,10 +1342,20 @@ const NexusWalletApp = () => {
         </div>
       )}
 
+      {/* PSBT Review Modal */}
+      {psbtReview && (
+        <PsbtPreview
+          summary={psbtReview.summary}
+          onConfirm={confirmSignPSBT}
+          onCancel={() => setPsbtReview(null)}
+        />
+      )}
+
       {/* Inscription Creator Modal */}
       {showInscriptionCreator && walletState.isConnected && (
         <InscriptionCreator
           walletState={walletState}
+          capabilities={getWalletCapabilities(capabilityMatrix, walletState.walletType)?.capabilities}
           onClose={closeInscriptionCreator}
           onInscriptionCreated={handleInscriptionCreated}
         />
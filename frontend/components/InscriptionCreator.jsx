@@ -1,6 +1,6 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 
-const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
+const InscriptionCreator = ({ walletState, capabilities, onClose, onInscriptionCreated }) => {
   // Guard clause for missing walletState
   if (!walletState) {
     return (
@@ -28,10 +28,13 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
   const [fileName, setFileName] = useState('');
   const [contentType, setContentType] = useState('text/plain');
   const [feeRate, setFeeRate] = useState(10);
+  const [feeRates, setFeeRates] = useState(null);
+  const [payerAddress, setPayerAddress] = useState(null);
   const [recipientAddress, setRecipientAddress] = useState('');
   const [serviceAddress, setServiceAddress] = useState('');
   const [serviceFee, setServiceFee] = useState(0);
   const [repeatCount, setRepeatCount] = useState(1);
+  const [costEstimator, setCostEstimator] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -43,6 +46,26 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
   const [brc20MaxSupply, setBrc20MaxSupply] = useState('');
   const [brc20Limit, setBrc20Limit] = useState('');
 
+  // Start from the current 'normal' network fee rate instead of a fixed guess
+  useEffect(() => {
+    window.NexusWalletConnect?.getFeeRates?.()
+      .then(rates => {
+        setFeeRates(rates);
+        setFeeRate(rates.normal);
+      })
+      .catch(err => console.warn('⚠️ Fee rates unavailable:', err.message));
+
+    // The commit transaction is funded from the payment address; its type sets the input size
+    window.NexusWalletConnect?.getAddress?.('payment')
+      .then(address => setPayerAddress(address))
+      .catch(() => setPayerAddress(null));
+
+    // The cost module loads on first use; estimates show up once it has
+    window.NexusWalletConnect?.loadCostEstimator?.()
+      .then(module => setCostEstimator(module))
+      .catch(err => console.warn('⚠️ Cost estimator unavailable:', err.message));
+  }, []);
+
   const inscriptionTypes = [
     { value: 'text', label: 'Text', icon: '📝', contentType: 'text/plain' },
     { value: 'json', label: 'JSON', icon: '📋', contentType: 'application/json' },
@@ -98,6 +121,19 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
     return JSON.stringify(brc20Data);
   };
 
+  const getInscriptionContent = () => {
+    if (inscriptionType === 'text') {
+      return { content: textContent, contentType: 'text/plain;charset=utf-8' };
+    } else if (inscriptionType === 'json') {
+      return { content: textContent, contentType: 'application/json' };
+    } else if (inscriptionType === 'html') {
+      return { content: textContent, contentType: 'text/html;charset=utf-8' };
+    } else if (inscriptionType === 'brc20') {
+      return { content: generateBRC20Content(), contentType: 'text/plain;charset=utf-8' };
+    }
+    return { content: fileContent, contentType };
+  };
+
   const validateInscription = () => {
     if (inscriptionType === 'text' && !textContent.trim()) {
       throw new Error('Text content cannot be empty');
@@ -122,6 +158,14 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
     if (feeRate < 1) {
       throw new Error('Fee rate must be at least 1 sat/vB');
     }
+
+    // Checksum-verified address checks (base58check / bech32 / bech32m)
+    for (const [label, address] of [['Recipient', recipientAddress], ['Service fee', serviceAddress]]) {
+      const check = address.trim() && window.NexusWalletConnect.validateAddress(address.trim());
+      if (check && !check.valid) {
+        throw new Error(`${label} address is invalid: ${check.error}`);
+      }
+    }
   };
 
   const createInscription = async () => {
@@ -137,24 +181,7 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
         throw new Error('No wallet connected');
       }
 
-      let content;
-      let finalContentType = contentType;
-
-      if (inscriptionType === 'text') {
-        content = textContent;
-        finalContentType = 'text/plain;charset=utf-8';
-      } else if (inscriptionType === 'json') {
-        content = textContent;
-        finalContentType = 'application/json';
-      } else if (inscriptionType === 'html') {
-        content = textContent;
-        finalContentType = 'text/html;charset=utf-8';
-      } else if (inscriptionType === 'brc20') {
-        content = generateBRC20Content();
-        finalContentType = 'text/plain;charset=utf-8';
-      } else if (inscriptionType === 'image' || inscriptionType === 'file') {
-        content = fileContent;
-      }
+      const { content, contentType: finalContentType } = getInscriptionContent();
 
       const options = {
         contentType: finalContentType,
@@ -170,8 +197,8 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
         options.devFee = parseInt(serviceFee);
       }
 
-      // Check if we should use repeat inscriptions (Xverse only)
-      const shouldUseRepeat = repeatCount > 1 && walletState.walletType === 'Xverse';
+      // Check if we should use repeat inscriptions (wallets with createRepeatInscriptions)
+      const shouldUseRepeat = repeatCount > 1 && !!capabilities?.repeatInscriptions;
       
       let result;
       if (shouldUseRepeat) {
@@ -210,28 +237,38 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
     }
   };
 
+  // Commit + reveal vsize from the real inscription envelope (see inscriptions local/16-cost.js)
   const estimatedCost = () => {
-    let contentSize = 0;
-    if (inscriptionType === 'text' || inscriptionType === 'json' || inscriptionType === 'html') {
-      contentSize = new Blob([textContent]).size;
-    } else if (inscriptionType === 'brc20') {
-      contentSize = new Blob([generateBRC20Content()]).size;
-    } else if (fileContent) {
-      contentSize = fileContent.byteLength || 0;
+    const NWC = window.NexusWalletConnect;
+    const { content, contentType: finalContentType } = getInscriptionContent();
+    const validAddress = (address) => (address.trim() && NWC?.isValidAddress(address.trim()) ? address.trim() : undefined);
+
+    let estimate = null;
+    try {
+      estimate = costEstimator && costEstimator.estimateInscriptionCost(
+        { content: content || '', contentType: finalContentType },
+        {
+          feeRate,
+          payerAddress: payerAddress || undefined,
+          recipientAddress: validAddress(recipientAddress),
+          serviceFee: validAddress(serviceAddress) ? parseInt(serviceFee) || 0 : 0,
+          serviceAddress: validAddress(serviceAddress)
+        }
+      );
+    } catch (err) {
+      console.warn('⚠️ Cost estimate unavailable:', err.message);
     }
 
-    const baseSize = 200;
-    const totalSize = baseSize + contentSize;
-    const singleInscriptionSats = Math.ceil(totalSize * feeRate * 1.5);
-    const multiplier = repeatCount > 1 ? repeatCount : 1;
-    const estimatedSats = singleInscriptionSats * multiplier;
+    const count = repeatCount > 1 ? repeatCount : 1;
+    const estimatedSats = estimate ? estimate.total * count : 0;
 
     return {
-      size: contentSize,
+      size: estimate ? estimate.contentSize : 0,
+      estimate,
       estimatedSats,
       estimatedBTC: (estimatedSats / 100000000).toFixed(8),
-      perInscription: singleInscriptionSats,
-      count: multiplier
+      perInscription: estimate ? estimate.total : 0,
+      count
     };
   };
 
@@ -437,12 +474,27 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
                     min="1"
                     className="form-input"
                   />
+                  {feeRates && (
+                    <div className="flex gap-sm mt-xs">
+                      {['economy', 'normal', 'priority'].map(tier => (
+                        <button
+                          key={tier}
+                          type="button"
+                          onClick={() => setFeeRate(feeRates[tier])}
+                          className={`btn btn-sm ${feeRate === feeRates[tier] ? 'btn-primary' : 'btn-secondary'}`}
+                        >
+                          {tier.charAt(0).toUpperCase() + tier.slice(1)} · {feeRates[tier]}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                   <div className="text-xs mt-xs" style={{ opacity: 0.6 }}>
                     Higher fee rates = faster confirmation
+                    {feeRates && ` · rates from ${feeRates.source}`}
                   </div>
                 </div>
 
-                {walletState.walletType === 'Xverse' && (
+                {capabilities?.repeatInscriptions && (
                   <div className="form-group">
                     <label className="form-label">
                       🔄 Repeat Count (Batch Inscriptions)
@@ -514,11 +566,31 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
                 <div style={{ fontWeight: 600 }}>{cost.size} bytes</div>
               </div>
               <div>
-                <div style={{ opacity: 0.6, marginBottom: 'var(--spacing-xs)' }}>Estimated Fee</div>
+                <div style={{ opacity: 0.6, marginBottom: 'var(--spacing-xs)' }}>Estimated Total</div>
                 <div style={{ fontWeight: 600 }}>
                   ~{cost.estimatedSats} sats ({cost.estimatedBTC} BTC)
                 </div>
               </div>
+              {cost.estimate && (
+                <>
+                  <div>
+                    <div style={{ opacity: 0.6, marginBottom: 'var(--spacing-xs)' }}>Commit Tx</div>
+                    <div style={{ fontWeight: 600 }}>{cost.estimate.commit.vsize} vB · {cost.estimate.commit.fee} sats</div>
+                  </div>
+                  <div>
+                    <div style={{ opacity: 0.6, marginBottom: 'var(--spacing-xs)' }}>Reveal Tx</div>
+                    <div style={{ fontWeight: 600 }}>{cost.estimate.reveal.vsize} vB · {cost.estimate.reveal.fee} sats</div>
+                  </div>
+                  <div>
+                    <div style={{ opacity: 0.6, marginBottom: 'var(--spacing-xs)' }}>Postage</div>
+                    <div style={{ fontWeight: 600 }}>{cost.estimate.postage} sats</div>
+                  </div>
+                  <div>
+                    <div style={{ opacity: 0.6, marginBottom: 'var(--spacing-xs)' }}>Service Fee</div>
+                    <div style={{ fontWeight: 600 }}>{cost.estimate.serviceFee} sats</div>
+                  </div>
+                </>
+              )}
               {cost.count > 1 && (
                 <>
                   <div>
@@ -533,7 +605,7 @@ const InscriptionCreator = ({ walletState, onClose, onInscriptionCreated }) => {
               )}
             </div>
             <div className="text-xs mt-md" style={{ opacity: 0.5 }}>
-              * This is a rough estimate. Actual cost may vary.
+              * Assumes one funding input from your payment address plus change. Wallets that add inputs or use their own inscription service may charge differently.
             </div>
           </div>
 
@@ -0,0 +1,101 @@
+import React from 'react';
+
+const formatSats = (sats) => (sats === null || sats === undefined ? 'Unknown' : `${sats.toLocaleString()} sats`);
+
+const shortAddress = (address) => (address && address.length > 20 ? `${address.slice(0, 10)}...${address.slice(-8)}` : address);
+
+/**
+ * Confirmation dialog shown before a PSBT is handed to the wallet
+ * @param {Object} props.summary - Resolved value of NexusWalletConnect.previewPsbt()
+ * @param {Function} props.onConfirm - Called when the user approves signing
+ * @param {Function} props.onCancel - Called when the user rejects
+ */
+const PsbtPreview = ({ summary, onConfirm, onCancel }) => {
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-card" style={{ maxWidth: '720px' }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Review Transaction</h2>
+          <button className="modal-close" onClick={onCancel}>✕</button>
+        </div>
+
+        <div className="modal-body">
+          {/* Totals */}
+          <div className="card mb-lg">
+            <div className="stat-item">
+              <span className="stat-label">Sending to others</span>
+              <span className="stat-value">{formatSats(summary.sentToOthers)}</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-label">Network fee</span>
+              <span className="stat-value">
+                {formatSats(summary.fee)}
+                {summary.feeRate !== null && ` (${summary.feeRate} sat/vB${summary.vsizeEstimated ? ' est.' : ''})`}
+              </span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-label">Size</span>
+              <span className="stat-value">{summary.vsizeEstimated ? '~' : ''}{summary.vsize} vB</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-label">Transaction ID</span>
+              <span className="stat-value monospace text-xs">{shortAddress(summary.txid)}</span>
+            </div>
+          </div>
+
+          {/* Warnings */}
+          {summary.warnings.length > 0 && (
+            <div className="error-message mb-lg">
+              {summary.warnings.map((warning, i) => (
+                <div key={i}>⚠️ {warning}</div>
+              ))}
+            </div>
+          )}
+
+          {/* Inputs */}
+          <div className="form-group">
+            <label className="form-label">Inputs ({summary.inputs.length})</label>
+            {summary.inputs.map(input => (
+              <div key={input.index} className="stat-item">
+                <span className="stat-label monospace text-xs" title={input.address || `${input.txid}:${input.vout}`}>
+                  #{input.index} {shortAddress(input.address) || `${shortAddress(input.txid)}:${input.vout}`}
+                  {input.isMine && <span className="badge badge-purple" style={{ marginLeft: 'var(--spacing-xs)' }}>You sign</span>}
+                  {input.sighash !== 'DEFAULT' && input.sighash !== 'ALL' && (
+                    <span className="badge badge-gray" style={{ marginLeft: 'var(--spacing-xs)' }}>{input.sighash}</span>
+                  )}
+                </span>
+                <span className="stat-value">{formatSats(input.value)}</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Outputs */}
+          <div className="form-group">
+            <label className="form-label">Outputs ({summary.outputs.length})</label>
+            {summary.outputs.map(output => (
+              <div key={output.index} className="stat-item">
+                <span className="stat-label monospace text-xs" title={output.address || output.script}>
+                  #{output.index} {output.address ? shortAddress(output.address) : output.scriptType.toUpperCase()}
+                  {output.isMine && <span className="badge badge-gray" style={{ marginLeft: 'var(--spacing-xs)' }}>Yours</span>}
+                </span>
+                <span className="stat-value">{formatSats(output.value)}</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Action Buttons */}
+          <div style={{ display: 'flex', gap: 'var(--spacing-md)' }}>
+            <button onClick={onConfirm} className="btn btn-primary btn-large" style={{ flex: 1 }}>
+              ✍️ Sign with Wallet
+            </button>
+            <button onClick={onCancel} className="btn btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PsbtPreview;
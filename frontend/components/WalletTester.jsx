@@ -561,9 +561,10 @@ const WalletTester = () => {
           if (!testInputs.amount || testInputs.amount <= 0) {
             throw new Error('Please provide a valid amount (must be > 0 satoshis)');
           }
-          // Validate address format
-          if (!testInputs.toAddress.startsWith('bc1') && !testInputs.toAddress.startsWith('tb1') && !testInputs.toAddress.startsWith('1') && !testInputs.toAddress.startsWith('3')) {
-            throw new Error('Invalid Bitcoin address format');
+          // Validate address checksum and format
+          const addressCheck = window.NexusWalletConnect.validateAddress(testInputs.toAddress.trim());
+          if (!addressCheck.valid) {
+            throw new Error(`Invalid Bitcoin address: ${addressCheck.error}`);
           }
           result = await provider.sendBitcoin(testInputs.toAddress, testInputs.amount);
           break;
@@ -597,6 +598,9 @@ const WalletTester = () => {
           if (!testInputs.toAddress || !testInputs.inscriptionId) {
             throw new Error('Please provide recipient address and inscription ID');
           }
+          if (!window.NexusWalletConnect.isValidAddress(testInputs.toAddress.trim())) {
+            throw new Error('Invalid Bitcoin address');
+          }
           result = await provider.transferNft(testInputs.toAddress, testInputs.inscriptionId);
           break;
           
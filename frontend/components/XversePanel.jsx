@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import '../styles/XversePanel.css';
+import PsbtPreview from './PsbtPreview.jsx';
 
 /**
  * XversePanel - Comprehensive UI for all 16 Xverse Bitcoin methods
@@ -17,6 +18,7 @@ const XversePanel = ({ isConnected, walletState }) => {
   const [recipient, setRecipient] = useState('');
   const [amount, setAmount] = useState('');
   const [messageToSign, setMessageToSign] = useState('Hello from Xverse!');
+  const [psbtReview, setPsbtReview] = useState(null);
 
   // Inscriptions tab state
   const [inscriptionContent, setInscriptionContent] = useState('');
@@ -52,13 +54,8 @@ const XversePanel = ({ isConnected, walletState }) => {
   };
 
   const validateBitcoinAddress = (address) => {
-    // Basic validation for Bitcoin addresses
-    return address && (
-      address.startsWith('bc1') || // Bech32
-      address.startsWith('tb1') || // Testnet Bech32
-      address.startsWith('1') ||   // P2PKH
-      address.startsWith('3')      // P2SH
-    ) && address.length >= 26 && address.length <= 90;
+    // Checksum-verified decode (base58check / bech32 / bech32m)
+    return !!address && window.NexusWalletConnect.isValidAddress(address.trim());
   };
 
   const formatRuneName = (name) => {
@@ -104,9 +101,19 @@ const XversePanel = ({ isConnected, walletState }) => {
       return;
     }
     clearResults();
+    // Show what is being signed before the wallet popup
+    try {
+      setPsbtReview(await window.NexusWalletConnect.previewPsbt(psbtHex.trim()));
+    } catch (err) {
+      setError(`Invalid PSBT: ${err.message}`);
+    }
+  };
+
+  const confirmSignPsbt = async () => {
+    setPsbtReview(null);
     setLoading(true);
     try {
-      const signedPsbt = await window.NexusWalletConnect.signPSBT(psbtHex);
+      const signedPsbt = await window.NexusWalletConnect.signPsbt(psbtHex.trim());
       setResult({ type: 'signedPsbt', data: signedPsbt });
     } catch (err) {
       setError(err.message);
@@ -200,7 +207,6 @@ const XversePanel = ({ isConnected, walletState }) => {
         contentType: inscriptionContentType,
         payloadType: 'PLAIN_TEXT',
         repeat: parseInt(repeatCount),
-        network: { type: 'Mainnet' },
         suggestedMinerFeeRate: parseInt(inscriptionFeeRate)
       };
       const provider = window.NexusWalletConnect.getCurrentProvider();
@@ -283,7 +289,7 @@ const XversePanel = ({ isConnected, walletState }) => {
     }
     
     if (!validateBitcoinAddress(runesRecipient)) {
-      setError('❌ Invalid Bitcoin address format');
+      setError(`❌ Invalid Bitcoin address: ${window.NexusWalletConnect.validateAddress(runesRecipient.trim()).error}`);
       return;
     }
     
@@ -308,11 +314,11 @@ const XversePanel = ({ isConnected, walletState }) => {
       setRunesAmount('');
     } catch (err) {
       const errorMsg = err.message || 'Unknown error';
-      if (errorMsg.includes('insufficient')) {
+      if (err.code === 'INSUFFICIENT_FUNDS' || errorMsg.includes('insufficient')) {
         setError('❌ Insufficient rune balance');
       } else if (errorMsg.includes('not found')) {
         setError('❌ Rune not found in your wallet');
-      } else if (errorMsg.includes('cancel')) {
+      } else if (err.code === 'USER_REJECTED' || errorMsg.includes('cancel')) {
         setError('⚠️ Transaction cancelled by user');
       } else {
         setError(`❌ Transfer failed: ${errorMsg}`);
@@ -347,7 +353,7 @@ const XversePanel = ({ isConnected, walletState }) => {
         setError('❌ This rune is not mintable or minting has ended');
       } else if (errorMsg.includes('not found')) {
         setError('❌ Rune not found. Check the name and try again');
-      } else if (errorMsg.includes('cancel')) {
+      } else if (err.code === 'USER_REJECTED' || errorMsg.includes('cancel')) {
         setError('⚠️ Minting cancelled by user');
       } else {
         setError(`❌ Minting failed: ${errorMsg}`);
@@ -422,7 +428,7 @@ const XversePanel = ({ isConnected, walletState }) => {
         setError('❌ This rune name already exists');
       } else if (errorMsg.includes('invalid name')) {
         setError('❌ Invalid rune name format');
-      } else if (errorMsg.includes('cancel')) {
+      } else if (err.code === 'USER_REJECTED' || errorMsg.includes('cancel')) {
         setError('⚠️ Etching cancelled by user');
       } else if (errorMsg.includes('fee')) {
         setError('❌ Insufficient funds for etching fee');
@@ -690,7 +696,7 @@ const XversePanel = ({ isConnected, walletState }) => {
               <p>📝 <strong>Format Requirements:</strong></p>
               <ul>
                 <li>Rune name: <strong>UPPERCASE•LETTERS</strong> (e.g., UNCOMMON•GOODS)</li>
-                <li>Address: Valid Bitcoin address (bc1, tb1, 1, or 3 prefix)</li>
+                <li>Address: Valid Bitcoin address (checksum verified, bech32/bech32m or base58)</li>
                 <li>Amount: Must be greater than 0</li>
               </ul>
               <p className="xverse-example">✅ Example: UNCOMMON•GOODS</p>
@@ -934,6 +940,14 @@ const XversePanel = ({ isConnected, walletState }) => {
           <p>Processing...</p>
         </div>
       )}
+
+      {psbtReview && (
+        <PsbtPreview
+          summary={psbtReview}
+          onConfirm={confirmSignPsbt}
+          onCancel={() => setPsbtReview(null)}
+        />
+      )}
     </div>
   );
 };
@@ -13,20 +13,34 @@
  */
 
 // Import utility modules with relative imports
+import {
+  WalletError,
+  WalletErrorCode,
+  UserRejectedError,
+  NotInstalledError,
+  NotConnectedError,
+  UnsupportedMethodError,
+  InsufficientFundsError,
+  NetworkMismatchError,
+  WalletInternalError,
+  toWalletError,
+  WalletEvent,
+  WalletEventEmitter,
+  BaseWalletProvider
+} from '../../inscriptions local/01-base-provider.js';
 import * as NormalizerModule from '../../inscriptions local/02-normalizers.js';
 import * as WalletConnectorModule from '../../inscriptions local/03-wallet-connector.js';
-
-// Import provider classes from LOCAL DEVELOPMENT versions (with relative imports)
-// The "inscriptions local/" folder contains versions for local development with relative imports
-// Use "npm run prepare-inscriptions" to create inscription-ready files in "ready-to-inscribe/"
-import { UniSatProvider } from '../../inscriptions local/04-unisat-provider.js';
-import { XverseProvider } from '../../inscriptions local/05-xverse-provider.js';
-import { OKXProvider } from '../../inscriptions local/06-okx-provider.js';
-import { LeatherProvider } from '../../inscriptions local/07-leather-provider.js';
-import { PhantomProvider } from '../../inscriptions local/08-phantom-provider.js';
-import { WizzProvider } from '../../inscriptions local/09-wizz-provider.js';
-import { MagicEdenProvider } from '../../inscriptions local/10-magiceden-provider.js';
-import { OylProvider } from '../../inscriptions local/11-oyl-provider.js';
+import { decodeAddress, validateAddress, isValidAddress } from '../../inscriptions local/13-address.js';
+import {
+  FeeTier,
+  createFeeEstimator,
+  createMempoolFeeSource,
+  createOrdFeeSource,
+  createStaticFeeSource
+} from '../../inscriptions local/15-fees.js';
+
+// Provider classes are NOT imported here - see PROVIDER_IMPORTERS (loaded on connect)
+// PSBT tools, cost estimation and the inscriber load on first use - see loadPsbtTools() and friends
 
 // ============================================
 // UTILITY EXPORTS (for advanced usage)
@@ -44,7 +58,9 @@ export async function loadNormalizers() {
     normalizers: NormalizerModule.normalizers || NormalizerModule.default,
     normalizePsbtOptions: NormalizerModule.normalizePsbtOptions,
     normalizeNetwork: NormalizerModule.normalizeNetwork,
-    normalizeAddress: NormalizerModule.normalizeAddress
+    normalizeAddress: NormalizerModule.normalizeAddress,
+    normalizeAccounts: NormalizerModule.normalizeAccounts,
+    findAccount: NormalizerModule.findAccount
   };
 }
 
@@ -57,14 +73,72 @@ export async function loadWalletConnector() {
   return WalletConnectorModule;
 }
 
+// Lazy utility importers - like PROVIDER_IMPORTERS, "npm run prepare-inscriptions" turns these
+// import() calls into resolveModule() calls, so the modules stay out of the loader's preload
+
+/**
+ * Load the PSBT module on first use
+ * @returns {Promise<Object>} { decodePsbt, summarizePsbt, PsbtEncoding, detectPsbtEncoding, convertPsbt, extractTransaction, ... }
+ */
+export async function loadPsbtTools() {
+  return await import('../../inscriptions local/14-psbt.js');
+}
+
+/**
+ * Load the inscription cost module on first use
+ * @returns {Promise<Object>} { estimateInscriptionCost, DEFAULT_POSTAGE, ... }
+ */
+export async function loadCostEstimator() {
+  return await import('../../inscriptions local/16-cost.js');
+}
+
+/**
+ * Load the commit/reveal inscriber on first use
+ * @returns {Promise<Object>} { inscribeWithPsbt, createMempoolChainSource, createOrdUtxoFilter, ... }
+ */
+export async function loadInscriber() {
+  return await import('../../inscriptions local/17-inscriber.js');
+}
+
+// Typed errors thrown by every provider and passthrough
+// Branch on error.code (WalletErrorCode) instead of matching message strings
+export {
+  WalletError,
+  WalletErrorCode,
+  UserRejectedError,
+  NotInstalledError,
+  NotConnectedError,
+  UnsupportedMethodError,
+  InsufficientFundsError,
+  NetworkMismatchError,
+  WalletInternalError,
+  WalletEvent
+};
+
+// Canonical account vocabulary (see getAccount / state.accounts)
+export const { AddressType } = NormalizerModule;
+export const { AddressPurpose } = WalletConnectorModule;
+
+// Canonical network names (see setAppNetwork / switchNetwork)
+export const { BitcoinNetwork } = NormalizerModule;
+
+// Address decoding/validation (base58check, bech32, bech32m) for app forms
+export { decodeAddress, validateAddress, isValidAddress };
+
+// Fee sources for setFeeSources()
+export { FeeTier, createMempoolFeeSource, createOrdFeeSource, createStaticFeeSource };
+
 // ============================================
 // WALLET METADATA
 // ============================================
 
+// injected() returns the object the provider wraps, so the capability matrix can probe an
+// installed wallet before connect() without downloading its provider module
 const WALLET_INFO = {
   UniSat: {
     name: 'UniSat',
     detection: () => typeof window !== 'undefined' && typeof window.unisat !== 'undefined',
+    injected: () => window.unisat,
     downloadUrl: 'https://unisat.io',
     features: ['BRC-20', 'Runes', 'Inscriptions']
   },
@@ -74,12 +148,16 @@ const WALLET_INFO = {
       typeof window.BitcoinProvider !== 'undefined' || 
       typeof window.XverseProviders !== 'undefined'
     ),
+    injected: () => window.XverseProviders?.BitcoinProvider || window.BitcoinProvider,
     downloadUrl: 'https://www.xverse.app',
-    features: ['Ordinals', 'Payment', 'Inscriptions']
+    features: ['Ordinals', 'Payment', 'Inscriptions'],
+    // Speaks sats-connect request(), so it can drive any wallet from discoverBitcoinWallets()
+    satsConnect: true
   },
   OKX: {
     name: 'OKX',
     detection: () => typeof window !== 'undefined' && typeof window.okxwallet?.bitcoin !== 'undefined',
+    injected: () => window.okxwallet.bitcoin,
     downloadUrl: 'https://www.okx.com/web3',
     features: ['BRC-20', 'Inscriptions']
   },
@@ -114,60 +192,209 @@ const WALLET_INFO = {
         return false;
       }
     },
+    injected: () => window.LeatherProvider || window.HiroWalletProvider,
     downloadUrl: 'https://leather.io',
     features: ['Stacks', 'Bitcoin']
   },
   Phantom: {
     name: 'Phantom',
     detection: () => typeof window !== 'undefined' && typeof window.phantom?.bitcoin !== 'undefined',
+    injected: () => window.phantom.bitcoin,
     downloadUrl: 'https://phantom.app',
     features: ['Limited Bitcoin Support']
   },
   Wizz: {
     name: 'Wizz',
     detection: () => typeof window !== 'undefined' && typeof window.wizz !== 'undefined',
+    injected: () => window.wizz,
     downloadUrl: 'https://wizzwallet.io',
     features: ['BRC-20', 'ARC-20', 'Atomicals', 'Runes']
   },
   MagicEden: {
     name: 'MagicEden',
     detection: () => typeof window !== 'undefined' && typeof window.magicEden?.bitcoin?.isMagicEden !== 'undefined',
+    injected: () => window.magicEden.bitcoin,
     downloadUrl: 'https://wallet.magiceden.io',
     features: ['NFTs', 'Bitcoin']
   },
   Oyl: {
     name: 'Oyl',
     detection: () => typeof window !== 'undefined' && typeof window.oyl !== 'undefined',
+    injected: () => window.oyl,
     downloadUrl: 'https://oyl.io',
     features: ['Taproot', 'SegWit']
   }
 };
 
-// Provider class mapping
-const PROVIDER_CLASSES = {
-  UniSat: UniSatProvider,
-  Xverse: XverseProvider,
-  OKX: OKXProvider,
-  Leather: LeatherProvider,
-  Phantom: PhantomProvider,
-  Wizz: WizzProvider,
-  MagicEden: MagicEdenProvider,
-  Oyl: OylProvider
+// Lazy provider importers - a provider module is only downloaded when its wallet connects
+// Detection above never needs them. "npm run prepare-inscriptions" turns these
+// import() calls into resolveModule() calls for the inscribed loader
+const PROVIDER_IMPORTERS = {
+  UniSat: () => import('../../inscriptions local/04-unisat-provider.js').then(module => module.UniSatProvider),
+  Xverse: () => import('../../inscriptions local/05-xverse-provider.js').then(module => module.XverseProvider),
+  OKX: () => import('../../inscriptions local/06-okx-provider.js').then(module => module.OKXProvider),
+  Leather: () => import('../../inscriptions local/07-leather-provider.js').then(module => module.LeatherProvider),
+  Phantom: () => import('../../inscriptions local/08-phantom-provider.js').then(module => module.PhantomProvider),
+  Wizz: () => import('../../inscriptions local/09-wizz-provider.js').then(module => module.WizzProvider),
+  MagicEden: () => import('../../inscriptions local/10-magiceden-provider.js').then(module => module.MagicEdenProvider),
+  Oyl: () => import('../../inscriptions local/11-oyl-provider.js').then(module => module.OylProvider)
 };
 
+// walletName -> Promise<ProviderClass> (failed loads are dropped so they can be retried)
+const providerClasses = new Map();
+
+/**
+ * Load a provider class on demand
+ * @param {string} walletName - Name of the wallet
+ * @returns {Promise<Function>} Provider class
+ */
+function loadProviderClass(walletName) {
+  if (!providerClasses.has(walletName)) {
+    const loading = PROVIDER_IMPORTERS[walletName]().catch(error => {
+      providerClasses.delete(walletName);
+      throw new WalletInternalError(`Failed to load the ${walletName} provider module`, { wallet: walletName, cause: error });
+    });
+    providerClasses.set(walletName, loading);
+  }
+  return providerClasses.get(walletName);
+}
+
+// ============================================
+// PROVIDER PLUGINS
+// ============================================
+
+// Methods every provider must implement itself - BaseWalletProvider's generic versions don't count
+// (disconnect() may be inherited, it only resets state)
+const REQUIRED_PROVIDER_METHODS = ['isInstalled', 'connect', 'getAddress', 'getBalance', 'signMessage', 'signPsbt'];
+
+const isBaseProviderPrototype = (proto) => proto === BaseWalletProvider.prototype || proto.constructor?.name === 'BaseWalletProvider';
+
+/**
+ * Check that a class extends BaseWalletProvider
+ * A plugin inscription imports its own copy of module #1 (another URL or a verified Blob URL),
+ * so the base class is matched by identity or by name
+ * @param {Function} ProviderClass - Class to check
+ * @returns {boolean}
+ */
+function extendsBaseProvider(ProviderClass) {
+  for (let proto = ProviderClass?.prototype; proto; proto = Object.getPrototypeOf(proto)) {
+    if (isBaseProviderPrototype(proto)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check that a class (or a parent below BaseWalletProvider) defines a method
+ * @param {Function} ProviderClass - Class extending BaseWalletProvider
+ * @param {string} method - Method name
+ * @returns {boolean}
+ */
+function overridesBaseMethod(ProviderClass, method) {
+  for (let proto = ProviderClass.prototype; !isBaseProviderPrototype(proto); proto = Object.getPrototypeOf(proto)) {
+    if (Object.prototype.hasOwnProperty.call(proto, method) && typeof proto[method] === 'function') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate the class a plugin's load() resolved with
+ * @param {string} walletName - Registered wallet name
+ * @param {Function|Object} loaded - Provider class, or a module whose default export is the class
+ * @returns {Function} Provider class
+ */
+function validateProviderClass(walletName, loaded) {
+  const ProviderClass = typeof loaded === 'function' ? loaded : loaded?.default;
+  
+  if (typeof ProviderClass !== 'function' || !extendsBaseProvider(ProviderClass)) {
+    throw new TypeError(`${walletName} provider must be a class extending BaseWalletProvider`);
+  }
+  
+  const missing = REQUIRED_PROVIDER_METHODS.filter(method => !overridesBaseMethod(ProviderClass, method));
+  if (missing.length > 0) {
+    throw new TypeError(`${walletName} provider is missing required methods: ${missing.join(', ')}`);
+  }
+  
+  return ProviderClass;
+}
+
+/**
+ * Register a third-party wallet provider
+ * The wallet shows up in detectWallets() and getAllWalletInfo() and can be passed to connect().
+ * load() runs here and the class is validated before the wallet is added, so a plugin can ship
+ * as its own inscription and a broken one is rejected with a TypeError:
+ *   await NWC.registerProvider({
+ *     name: 'MyWallet',
+ *     detection: () => typeof window.mywallet !== 'undefined',
+ *     load: () => import('/content/<txid>i0').then(module => module.MyWalletProvider)
+ *   });
+ * @param {Object} plugin
+ * @param {string} plugin.name - Wallet name used by connect() / target()
+ * @param {Function} plugin.detection - Sync check that the wallet is installed
+ * @param {Function} [plugin.injected] - Returns the injected wallet object (capability matrix probe before connect)
+ * @param {Function} plugin.load - Resolves with the provider class (or a module with a default export)
+ * @param {string} [plugin.downloadUrl] - Shown when the wallet is not installed
+ * @param {Array<string>} [plugin.features] - Feature tags, like WALLET_INFO
+ * @returns {Promise<void>} Rejects with a TypeError when the plugin or its class is invalid
+ */
+export async function registerProvider({ name, detection, injected, load, downloadUrl, features = [] } = {}) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('registerProvider: name must be a non-empty string');
+  }
+  if (PROVIDER_IMPORTERS[name]) {
+    throw new TypeError(`registerProvider: a provider named "${name}" is already registered`);
+  }
+  if (typeof detection !== 'function') {
+    throw new TypeError(`registerProvider: ${name} needs a detection() function`);
+  }
+  if (typeof load !== 'function') {
+    throw new TypeError(`registerProvider: ${name} needs a load() function returning the provider class`);
+  }
+  if (!Array.isArray(features)) {
+    throw new TypeError(`registerProvider: ${name} features must be an array`);
+  }
+  
+  const ProviderClass = validateProviderClass(name, await load());
+  // Another registration with this name may have finished while load() ran
+  if (PROVIDER_IMPORTERS[name]) {
+    throw new TypeError(`registerProvider: a provider named "${name}" is already registered`);
+  }
+  
+  WALLET_INFO[name] = {
+    name,
+    detection,
+    injected,
+    downloadUrl,
+    features: [...features],
+    plugin: true
+  };
+  PROVIDER_IMPORTERS[name] = async () => ProviderClass;
+  
+  console.log(`🔌 Registered wallet provider: ${name}`);
+}
+
 // ============================================
 // STATE MANAGEMENT
 // ============================================
 
-let currentState = {
+const DISCONNECTED_STATE = {
   isConnected: false,
   walletType: null,
   address: null,
   publicKey: null,
   balance: null,
-  provider: null
+  network: null,
+  accounts: [],
+  provider: null,
+  connectedWallets: []
 };
 
+// currentState always mirrors the ACTIVE session (backwards compatible single-wallet view)
+let currentState = { ...DISCONNECTED_STATE };
+
 const subscribers = new Set();
 
 function setState(newState) {
@@ -195,44 +422,545 @@ export function subscribe(callback) {
 
 /**
  * Get current connected provider
+ * @param {WalletTarget|string} [target] - Wallet session (defaults to the active wallet)
  * @returns {Object|null} Current provider instance
  */
-export function getCurrentProvider() {
-  return currentState.provider;
+export function getCurrentProvider(target) {
+  const walletName = getTargetName(target) || activeWallet;
+  return sessions.get(walletName)?.provider || null;
+}
+
+// ============================================
+// SESSION REGISTRY (multi-wallet)
+// ============================================
+
+// One session per wallet name: { walletType, provider, address, publicKey, balance, network, accounts, unsubscribers }
+const sessions = new Map();
+let activeWallet = null;
+
+/**
+ * Marker selecting which connected wallet a passthrough should use
+ * Pass it as the LAST argument: signPsbt(psbtHex, options, target('Xverse'))
+ */
+export class WalletTarget {
+  constructor(walletName) {
+    this.walletName = walletName;
+  }
+}
+
+/**
+ * Create a target marker for passthrough calls
+ * @param {string} walletName - Connected wallet name (e.g. 'Xverse')
+ * @returns {WalletTarget}
+ */
+export function target(walletName) {
+  return new WalletTarget(walletName);
+}
+
+function getTargetName(target) {
+  if (target instanceof WalletTarget) return target.walletName;
+  if (typeof target === 'string') return target;
+  return null;
+}
+
+// Remove a trailing WalletTarget from variadic passthrough args
+function takeTarget(args) {
+  return args[args.length - 1] instanceof WalletTarget ? args.pop() : null;
+}
+
+function requireSession(target) {
+  const walletName = getTargetName(target) || activeWallet;
+  const session = walletName ? sessions.get(walletName) : null;
+  
+  if (!session) {
+    throw new NotConnectedError(
+      getTargetName(target) ? `${walletName} is not connected` : 'No wallet connected',
+      { wallet: walletName }
+    );
+  }
+  return session;
+}
+
+// Push the active session (or the disconnected state) into currentState
+function syncActiveState() {
+  const session = activeWallet ? sessions.get(activeWallet) : null;
+  const connectedWallets = [...sessions.keys()];
+  
+  if (!session) {
+    setState({ ...DISCONNECTED_STATE, connectedWallets });
+    return;
+  }
+  
+  setState({
+    isConnected: true,
+    walletType: session.walletType,
+    address: session.address,
+    publicKey: session.publicKey,
+    balance: session.balance,
+    network: session.network,
+    accounts: session.accounts,
+    provider: session.provider,
+    connectedWallets
+  });
+}
+
+function updateSession(walletName, patch) {
+  const session = sessions.get(walletName);
+  if (!session) return;
+  
+  Object.assign(session, patch);
+  if (walletName === activeWallet) {
+    syncActiveState();
+  }
+}
+
+function addSession(walletName, provider) {
+  removeSession(walletName, { keepActive: true });
+  
+  sessions.set(walletName, {
+    walletType: walletName,
+    provider,
+    address: provider.address,
+    publicKey: provider.publicKey,
+    balance: null,
+    network: null,
+    accounts: readAccounts(provider),
+    api: provider.api || null,
+    unsubscribers: []
+  });
+  attachProviderEvents(walletName, provider);
+  activeWallet = walletName;
+  syncActiveState();
+}
+
+// Canonical { address, purpose, addressType, publicKey, network } list for a provider
+function readAccounts(provider) {
+  return NormalizerModule.normalizeAccounts(provider.getAccountData());
+}
+
+function removeSession(walletName, { keepActive = false } = {}) {
+  const session = sessions.get(walletName);
+  if (!session) return;
+  
+  detachProviderEvents(session);
+  sessions.delete(walletName);
+  
+  if (!keepActive && activeWallet === walletName) {
+    // Fall back to the most recently connected remaining wallet
+    activeWallet = [...sessions.keys()].pop() || null;
+  }
+}
+
+/**
+ * Make a connected wallet the active one (used when no target is passed)
+ * @param {string} walletName - Connected wallet name
+ */
+export function setActiveWallet(walletName) {
+  if (!sessions.has(walletName)) {
+    throw new NotConnectedError(`${walletName} is not connected`, { wallet: walletName });
+  }
+  
+  activeWallet = walletName;
+  syncActiveState();
+  saveSession();
+}
+
+/**
+ * Get the active wallet name
+ * @returns {string|null}
+ */
+export function getActiveWallet() {
+  return activeWallet;
+}
+
+/**
+ * Get per-wallet session state
+ * @param {string} walletName - Wallet name
+ * @returns {Object|null} {walletType, address, publicKey, balance, network, provider, api, isActive}
+ */
+export function getSession(walletName) {
+  const session = sessions.get(walletName);
+  if (!session) return null;
+  
+  const { unsubscribers, ...state } = session;
+  return { ...state, isConnected: true, isActive: walletName === activeWallet };
+}
+
+/**
+ * Get all connected wallet sessions
+ * @returns {Array<Object>} Session states (see getSession)
+ */
+export function getSessions() {
+  return [...sessions.keys()].map(getSession);
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+// Loader-level emitter: provider events are re-emitted here with walletType added
+const loaderEvents = new WalletEventEmitter();
+
+/**
+ * Subscribe to wallet events (accountsChanged, networkChanged, disconnect, balanceChanged)
+ * Events fire for every connected wallet - check payload.walletType
+ * @param {string} event - One of WalletEvent
+ * @param {Function} handler - Called with {walletType, wallet, ...payload}
+ * @returns {Function} Unsubscribe function
+ */
+export function on(event, handler) {
+  return loaderEvents.on(event, handler);
+}
+
+/**
+ * Unsubscribe from wallet events
+ * @param {string} event - One of WalletEvent
+ * @param {Function} [handler] - Handler to remove (all handlers if omitted)
+ */
+export function off(event, handler) {
+  loaderEvents.off(event, handler);
+}
+
+/**
+ * Subscribe to the next occurrence of a wallet event
+ * @param {string} event - One of WalletEvent
+ * @param {Function} handler - Called once
+ * @returns {Function} Unsubscribe function
+ */
+export function once(event, handler) {
+  return loaderEvents.once(event, handler);
+}
+
+/**
+ * Wire provider events into its session and re-emit them from the loader
+ */
+function attachProviderEvents(walletName, provider) {
+  const session = sessions.get(walletName);
+  
+  try {
+    provider.setupEventListeners();
+  } catch (error) {
+    console.warn(`⚠️ ${walletName} event listeners unavailable:`, error.message);
+  }
+  
+  session.unsubscribers = [
+    provider.on(WalletEvent.ACCOUNTS_CHANGED, (payload) => {
+      const accounts = readAccounts(provider);
+      updateSession(walletName, { address: payload.address, publicKey: provider.publicKey, accounts });
+      saveSession();
+      loaderEvents.emit(WalletEvent.ACCOUNTS_CHANGED, { ...payload, accounts, walletType: walletName });
+      fetchInitialBalance(provider);
+    }),
+    provider.on(WalletEvent.NETWORK_CHANGED, (payload) => {
+      updateSession(walletName, { network: payload.network });
+      loaderEvents.emit(WalletEvent.NETWORK_CHANGED, { ...payload, walletType: walletName });
+    }),
+    provider.on(WalletEvent.BALANCE_CHANGED, (payload) => {
+      updateSession(walletName, { balance: payload.balance });
+      loaderEvents.emit(WalletEvent.BALANCE_CHANGED, { ...payload, walletType: walletName });
+    }),
+    provider.on(WalletEvent.DISCONNECT, (payload) => {
+      removeSession(walletName);
+      syncActiveState();
+      saveSession();
+      loaderEvents.emit(WalletEvent.DISCONNECT, { ...payload, walletType: walletName });
+    })
+  ];
+}
+
+function detachProviderEvents(session) {
+  session.unsubscribers.forEach(unsubscribe => unsubscribe());
+  session.unsubscribers = [];
+  
+  try {
+    session.provider.removeEventListeners();
+  } catch (error) {
+    console.warn('⚠️ Failed to remove wallet event listeners:', error.message);
+  }
+}
+
+// ============================================
+// SESSION PERSISTENCE (opt-in)
+// ============================================
+
+const SESSION_STORAGE_KEY = 'nexus-wallet-session';
+let sessionPersistence = false;
+
+function getSessionStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // Storage can throw in sandboxed iframes / privacy modes
+    return null;
+  }
+}
+
+// Persist every connected wallet plus which one is active
+function saveSession() {
+  if (!sessionPersistence) return;
+  
+  const storage = getSessionStorage();
+  if (!storage) return;
+  
+  if (sessions.size === 0) {
+    clearSession();
+    return;
+  }
+  
+  try {
+    storage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+      activeWallet,
+      wallets: [...sessions.values()].map(session => ({
+        walletType: session.walletType,
+        ...session.provider.getSessionData()
+      })),
+      savedAt: Date.now()
+    }));
+  } catch (error) {
+    console.warn('⚠️ Could not persist wallet session:', error.message);
+  }
+}
+
+function clearSession() {
+  const storage = getSessionStorage();
+  if (storage) {
+    storage.removeItem(SESSION_STORAGE_KEY);
+  }
+}
+
+/**
+ * Get the persisted session (active wallet plus wallet types, addresses, public keys)
+ * @returns {Object|null} {activeWallet, wallets: [...], savedAt} or null
+ */
+export function getSavedSession() {
+  const storage = getSessionStorage();
+  if (!storage) return null;
+  
+  try {
+    const raw = storage.getItem(SESSION_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    clearSession();
+    return null;
+  }
+}
+
+/**
+ * Enable or disable session persistence in localStorage
+ * Only wallet types, addresses and public keys are stored
+ * @param {boolean} [enabled=true] - Persist sessions across page reloads
+ */
+export function enableSessionPersistence(enabled = true) {
+  sessionPersistence = enabled;
+  
+  if (!enabled) {
+    clearSession();
+  } else {
+    saveSession();
+  }
 }
 
 /**
- * Disconnect current wallet
+ * Check whether session persistence is enabled
+ * @returns {boolean}
  */
-export async function disconnect() {
-  if (currentState.provider) {
+export function isSessionPersistenceEnabled() {
+  return sessionPersistence;
+}
+
+/**
+ * Silently restore every persisted wallet session
+ * Uses each provider's non-prompting reconnect path, never opens a wallet popup.
+ * Wallets that are gone or whose account changed fall back to disconnected.
+ * @returns {Promise<Object|null>} Restored active provider instance or null
+ */
+export async function restoreSession() {
+  const saved = getSavedSession();
+  if (!sessionPersistence || !saved?.wallets?.length) {
+    return null;
+  }
+  
+  for (const session of saved.wallets) {
+    console.log(`🔄 Restoring ${session.walletType} session...`);
+    
+    let provider;
     try {
-      await currentState.provider.disconnect();
+      provider = await createProvider(session.walletType, { providerId: session.providerId });
     } catch (error) {
-      console.warn('Disconnect failed:', error);
+      console.warn(`⚠️ Cannot restore ${session.walletType} session:`, error.message);
+      continue;
+    }
+    
+    if (!(await provider.reconnect(session))) {
+      console.log(`ℹ️ ${session.walletType} account changed or access revoked - please reconnect`);
+      continue;
     }
+    
+    addSession(session.walletType, provider);
+    console.log(`✅ Restored ${session.walletType} session`);
+    await fetchInitialNetwork(session.walletType, provider);
+    await fetchInitialBalance(provider);
   }
   
-  setState({
-    isConnected: false,
-    walletType: null,
-    address: null,
-    publicKey: null,
-    balance: null,
-    provider: null
+  if (sessions.has(saved.activeWallet)) {
+    activeWallet = saved.activeWallet;
+  }
+  syncActiveState();
+  saveSession();
+  
+  return getCurrentProvider();
+}
+
+/**
+ * Disconnect a wallet
+ * @param {WalletTarget|string} [target] - Wallet to disconnect (defaults to the active wallet)
+ */
+export async function disconnect(target) {
+  const walletName = getTargetName(target) || activeWallet;
+  const session = walletName ? sessions.get(walletName) : null;
+  
+  if (!session) {
+    syncActiveState();
+    return;
+  }
+  
+  removeSession(walletName);
+  try {
+    await session.provider.disconnect();
+  } catch (error) {
+    console.warn('Disconnect failed:', error);
+  }
+  
+  syncActiveState();
+  saveSession();
+  loaderEvents.emit(WalletEvent.DISCONNECT, { wallet: session.provider.name, walletType: walletName, reason: 'user' });
+}
+
+/**
+ * Disconnect every connected wallet
+ */
+export async function disconnectAll() {
+  for (const walletName of [...sessions.keys()]) {
+    await disconnect(walletName);
+  }
+}
+
+// ============================================
+// NETWORK GUARD
+// ============================================
+
+// Network the dApp runs on (canonical name); null accepts whatever network the wallet is on
+let appNetwork = null;
+
+// Canonical network name, or TypeError for names no wallet uses
+function resolveNetwork(network) {
+  const resolved = NormalizerModule.normalizeNetwork(network);
+  if (!resolved) {
+    throw new TypeError(`Unknown network: ${network}`);
+  }
+  return resolved;
+}
+
+/**
+ * Set the network this dApp runs on
+ * Wallets that take a network in their connect request are asked for it, and signing is
+ * refused with NetworkMismatchError while a connected wallet is on another network
+ * @param {string|null} network - 'livenet', 'testnet' (testnet3), 'testnet4', 'signet', 'regtest'
+ *   (wallet spellings like 'Mainnet' or 'BITCOIN_TESTNET4' work too), or null to turn the guard off
+ * @returns {string|null} Canonical network name
+ */
+export function setAppNetwork(network) {
+  appNetwork = network ? resolveNetwork(network) : null;
+  sessions.forEach(session => {
+    session.provider.requestedNetwork = appNetwork;
   });
+  return appNetwork;
+}
+
+/**
+ * @returns {string|null} Network set with setAppNetwork(), null if none
+ */
+export function getAppNetwork() {
+  return appNetwork;
+}
+
+// Best known network for a session: the wallet's own answer, else the app network
+function sessionNetwork(session) {
+  return session?.network || appNetwork || undefined;
+}
+
+/**
+ * Read a freshly connected wallet's network into its session
+ * Never throws - wallets that cannot tell are judged by their address prefixes instead
+ * @param {string} walletName - Session name
+ * @param {Object} provider - Connected provider instance
+ */
+async function fetchInitialNetwork(walletName, provider) {
+  if (!provider.supportsMethod('getNetwork')) return;
+  
+  try {
+    const network = NormalizerModule.normalizeNetwork(await provider.getNetwork());
+    updateSession(walletName, { network });
+    if (appNetwork && network && network !== appNetwork) {
+      console.warn(`⚠️ ${walletName} is on ${network} but this app uses ${appNetwork}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not read ${walletName} network:`, error.message);
+  }
 }
 
+/**
+ * Refuse to sign while the wallet and the dApp disagree about the network
+ * Checks the network the wallet reported, then the prefix of every connected address
+ * (tb1 addresses cannot tell testnet3, testnet4 and signet apart)
+ * @param {Object} session - Wallet session
+ * @throws {NetworkMismatchError}
+ */
+function assertNetworkMatch(session) {
+  if (!appNetwork) return;
+  
+  const mismatch = (network) => new NetworkMismatchError(
+    `${session.walletType} is on ${network} but this app uses ${appNetwork}. Switch networks in the wallet first.`,
+    { wallet: session.walletType }
+  );
+  
+  if (session.network && session.network !== appNetwork) {
+    throw mismatch(session.network);
+  }
+  
+  // Non-Bitcoin accounts (Leather's Stacks address) don't decode and are skipped
+  const addresses = [session.address, ...(session.accounts || []).map(account => account.address)];
+  for (const address of addresses) {
+    const decoded = address ? validateAddress(address) : null;
+    if (decoded?.valid && !decoded.networks.includes(appNetwork)) {
+      throw mismatch(decoded.network);
+    }
+  }
+}
+
+// requireSession() for methods that sign, spend or broadcast: also enforces the app network
+function requireSigningSession(target) {
+  const session = requireSession(target);
+  assertNetworkMatch(session);
+  return session;
+}
+
+// ============================================
+// GENERIC WALLET METHODS (passthrough)
+// ============================================
+// Every passthrough acts on the active wallet, or on a specific connected wallet
+// when a target is passed as the LAST argument:
+//   signPsbt(psbtHex, options, target('Xverse'))
+// Zero-argument methods also accept the wallet name directly: getBalance('UniSat')
+
 /**
  * Get current balance
  * @returns {Promise<Object>} Balance
  */
-export async function getBalance() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getBalance(target) {
+  const session = requireSession(target);
   
-  const balanceData = await currentState.provider.getBalance();
+  const balanceData = await session.provider.getBalance();
   
   // Convert balance to BTC number
   // Providers return either a number or {confirmed, unconfirmed, total} object
@@ -253,7 +981,8 @@ export async function getBalance() {
     balanceInBTC = 0;
   }
   
-  setState({ balance: balanceInBTC });
+  // Emits balanceChanged -> updates the session balance
+  session.provider.setBalance(balanceInBTC);
   return balanceInBTC;
 }
 
@@ -262,11 +991,9 @@ export async function getBalance() {
  * @returns {Promise<Array>} Inscriptions
  */
 export async function getInscriptions(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  const result = await currentState.provider.getInscriptions(...args);
+  const result = await session.provider.getInscriptions(...args);
   
   // Normalize response - some wallets return {list, total}, others return array directly
   if (result && typeof result === 'object' && Array.isArray(result.list)) {
@@ -284,12 +1011,10 @@ export async function getInscriptions(...args) {
  * Get all inscriptions (with pagination)
  * @returns {Promise<Array>} All inscriptions
  */
-export async function getAllInscriptions() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getAllInscriptions(target) {
+  const session = requireSession(target);
   
-  return await currentState.provider.getAllInscriptions();
+  return await session.provider.getAllInscriptions();
 }
 
 /**
@@ -297,47 +1022,201 @@ export async function getAllInscriptions() {
  * @returns {Promise<string>} Signature
  */
 export async function signMessage(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  return await currentState.provider.signMessage(...args);
+  return await session.provider.signMessage(...args);
+}
+
+// ============================================
+// PSBT ENCODING
+// ============================================
+
+/**
+ * Pull the signed PSBT string out of whatever shape the wallet returned
+ * (Phantom { signedPsbtHex }, sats-connect { psbt }, Magic Eden { psbtBase64 }, Leather { hex })
+ */
+function readSignedPsbt(result) {
+  if (!result || typeof result !== 'object') {
+    return result;
+  }
+  return result.signedPsbtHex || result.signedPsbtBase64 || result.psbtBase64 || result.psbtHex || result.psbt || result.hex || result;
+}
+
+/**
+ * Re-encode a caller's PSBT into the encoding the wallet expects
+ * Anything that isn't a recognisable hex/base64 PSBT is passed through untouched
+ * @param {Object} psbtTools - Module from loadPsbtTools()
+ */
+function toWalletPsbt({ detectPsbtEncoding, convertPsbt }, provider, psbt) {
+  const encoding = detectPsbtEncoding(psbt);
+  if (!encoding || encoding === provider.psbtEncoding) {
+    return psbt;
+  }
+  return convertPsbt(psbt, provider.psbtEncoding);
+}
+
+/**
+ * Return the wallet's signed PSBT in the caller's original encoding
+ * @param {Object} psbtTools - Module from loadPsbtTools()
+ */
+function fromWalletPsbt({ detectPsbtEncoding, convertPsbt }, result, encoding) {
+  const signed = readSignedPsbt(result);
+  if (!encoding || !detectPsbtEncoding(signed)) {
+    return signed;
+  }
+  return convertPsbt(signed, encoding);
 }
 
 /**
  * Sign a PSBT
+ * Accepts hex or base64 regardless of wallet and returns the signed PSBT in the same encoding.
+ * If the wallet finalized it, (await loadPsbtTools()).extractTransaction(signedPsbt) gives the raw transaction hex.
+ * @param {string} psbt - PSBT hex or base64
+ * @param {Object} [options] - Wallet signing options
  * @returns {Promise<string>} Signed PSBT
  */
 export async function signPsbt(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
+  const [psbt, ...rest] = args;
+  const psbtTools = await loadPsbtTools();
   
-  return await currentState.provider.signPsbt(...args);
+  const signed = await session.provider.signPsbt(toWalletPsbt(psbtTools, session.provider, psbt), ...rest);
+  return fromWalletPsbt(psbtTools, signed, psbtTools.detectPsbtEncoding(psbt));
 }
 
 /**
  * Sign multiple PSBTs
+ * Each PSBT may be hex or base64; results keep the encoding of the matching input.
+ * @param {string[]} psbts - PSBTs as hex or base64
+ * @param {Object|Array} [options] - Wallet signing options
  * @returns {Promise<Array>} Signed PSBTs
  */
 export async function signPsbts(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
+  const session = requireSigningSession(takeTarget(args));
+  const [psbts, ...rest] = args;
+  
+  if (!Array.isArray(psbts)) {
+    return await session.provider.signPsbts(psbts, ...rest);
+  }
+  
+  const psbtTools = await loadPsbtTools();
+  const signed = await session.provider.signPsbts(psbts.map(psbt => toWalletPsbt(psbtTools, session.provider, psbt)), ...rest);
+  if (!Array.isArray(signed)) {
+    return signed;
   }
+  return signed.map((result, i) => fromWalletPsbt(psbtTools, result, psbtTools.detectPsbtEncoding(psbts[i])));
+}
+
+// ============================================
+// FEE ESTIMATION
+// ============================================
+
+// ord /r/ (same-origin when inscribed) -> mempool.space -> Settings default rate
+// The static default only joins the chain once setDefaultFeeRate() is called, so by default
+// a send with no live fee source leaves the fee to the wallet
+const defaultFeeSource = createStaticFeeSource(10);
+const feeEstimator = createFeeEstimator({
+  sources: [createOrdFeeSource(), createMempoolFeeSource()]
+});
+
+/**
+ * Get economy/normal/priority fee rates for the active wallet's network
+ * @param {Object} [options] - { network, refresh }
+ * @returns {Promise<Object>} { economy, normal, priority, source, network, timestamp } in sat/vB
+ */
+export async function getFeeRates(options = {}) {
+  const network = options.network || sessionNetwork(sessions.get(activeWallet)) || 'livenet';
+  
+  return await feeEstimator.getFeeRates({ ...options, network });
+}
+
+/**
+ * Get the fee rate for one tier
+ * @param {string} [tier] - 'economy', 'normal' (default) or 'priority'
+ * @param {Object} [options] - { network, refresh }
+ * @returns {Promise<number>} sat/vB
+ */
+export async function getFeeRate(tier = FeeTier.NORMAL, options = {}) {
+  const network = options.network || sessionNetwork(sessions.get(activeWallet)) || 'livenet';
   
-  return await currentState.provider.signPsbts(...args);
+  return await feeEstimator.getFeeRate(tier, { ...options, network });
+}
+
+/**
+ * Replace the fee source chain (tried in order, first answer wins)
+ * @param {Array<Object>} sources - { name, getFeeRates({ network }) } objects
+ */
+export function setFeeSources(sources) {
+  feeEstimator.setSources(sources);
+}
+
+/**
+ * Set the rate the built-in static fallback reports as 'normal'
+ * (economy is half, priority double) and add it to the end of the fee source chain
+ * @param {number} feeRate - sat/vB
+ */
+export function setDefaultFeeRate(feeRate) {
+  defaultFeeSource.setRates(Number(feeRate));
+  const sources = feeEstimator.getSources();
+  if (!sources.includes(defaultFeeSource)) {
+    feeEstimator.setSources([...sources, defaultFeeSource]);
+  }
+  feeEstimator.clearCache();
+}
+
+/**
+ * Fill in options.feeRate from the estimator when the caller didn't pick one
+ * options.feeTier selects the tier; if no source answers (no live source and no
+ * setDefaultFeeRate()) feeRate stays unset and the wallet uses its own default
+ */
+async function withFeeRate(session, options = {}) {
+  const { feeTier = FeeTier.NORMAL, ...rest } = options;
+  if (rest.feeRate) {
+    return rest;
+  }
+  
+  try {
+    return { ...rest, feeRate: await getFeeRate(feeTier, { network: sessionNetwork(session) }) };
+  } catch (error) {
+    console.warn('⚠️ Fee estimation unavailable, using wallet default:', error.message);
+    return rest;
+  }
+}
+
+/**
+ * Cost of inscribing content from the connected wallet
+ * Defaults the fee rate to the estimator's tier and the payer to the wallet's payment address
+ * @param {Object} inscription - { content | contentSize, contentType, metadata, parent, delegate, ... }
+ * @param {Object} [options] - { feeRate, feeTier, postage, serviceFee, serviceAddress, recipientAddress, payerAddress }
+ * @param {WalletTarget|string} [target] - Wallet session (defaults to the active wallet)
+ * @returns {Promise<Object>} { commit, reveal, postage, serviceFee, networkFee, total, ... }
+ */
+export async function getInscriptionCost(inscription, options = {}, target) {
+  const session = sessions.get(getTargetName(target) || activeWallet);
+  const feeRate = options.feeRate || await getFeeRate(options.feeTier, { network: sessionNetwork(session) });
+  const payment = session ? NormalizerModule.findAccount(session.accounts || [], 'payment') : null;
+  const { estimateInscriptionCost } = await loadCostEstimator();
+  
+  return estimateInscriptionCost(inscription, {
+    ...options,
+    feeRate,
+    payerAddress: options.payerAddress || payment?.address || session?.address || undefined
+  });
 }
 
 /**
  * Send Bitcoin
+ * Uses the estimator's 'normal' rate unless options.feeRate or options.feeTier is given
+ * @param {string} toAddress - Recipient
+ * @param {number} amount - Satoshis
+ * @param {Object} [options] - { feeRate, feeTier }
  * @returns {Promise<string>} Transaction ID
  */
 export async function sendBitcoin(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
+  const [toAddress, amount, options] = args;
   
-  return await currentState.provider.sendBitcoin(...args);
+  return await session.provider.sendBitcoin(toAddress, amount, await withFeeRate(session, options));
 }
 
 /**
@@ -350,62 +1229,100 @@ export async function sendBTC(...args) {
 
 /**
  * Get network
- * @returns {Promise<string>} Network name
+ * @returns {Promise<string|null>} 'livenet', 'testnet', 'testnet4', 'signet', 'regtest' or null if unknown
  */
-export async function getNetwork() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getNetwork(target) {
+  const session = requireSession(target);
   
-  return await currentState.provider.getNetwork();
+  const network = NormalizerModule.normalizeNetwork(await session.provider.getNetwork());
+  if (network) {
+    updateSession(session.walletType, { network });
+  }
+  return network;
 }
 
 /**
  * Switch network
+ * @param {string} network - 'livenet', 'testnet', 'testnet4', 'signet' or 'regtest' (wallet spellings accepted)
  * @returns {Promise<void>}
+ * @throws {UnsupportedMethodError} If the wallet cannot switch, or has no such network
  */
 export async function switchNetwork(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
+  const network = resolveNetwork(args[0]);
   
-  return await currentState.provider.switchNetwork(...args);
+  await session.provider.switchNetwork(network);
+  updateSession(session.walletType, { network });
 }
 
 /**
  * Get public key
  * @returns {Promise<string>} Public key
  */
-export async function getPublicKey() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getPublicKey(target) {
+  const session = requireSession(target);
   
-  return await currentState.provider.getPublicKey();
+  return await session.provider.getPublicKey();
 }
 
+/**
+ * Decode a PSBT into a transaction preview before asking the wallet to sign it
+ * Inputs and outputs belonging to the wallet are flagged with isMine
+ * @param {string} psbt - PSBT hex or base64
+ * @param {WalletTarget|string} [target] - Wallet session (defaults to the active wallet)
+ * @returns {Promise<Object>} { inputs, outputs, totalInput, totalOutput, fee, vsize, feeRate, ownedInputs, warnings, ... }
+ */
+export async function previewPsbt(psbt, target) {
+  const session = sessions.get(getTargetName(target) || activeWallet);
+  const accounts = session?.accounts || [];
+  const { summarizePsbt } = await loadPsbtTools();
+  
+  return summarizePsbt(psbt, {
+    addresses: [session?.address, ...accounts.map(account => account.address)],
+    publicKeys: [session?.publicKey, ...accounts.map(account => account.publicKey)]
+  });
+}
+
+// Purposes accepted by getAddress()/getAccount() - anything else is treated as a wallet name
+const ADDRESS_PURPOSES = ['payment', 'ordinals', 'taproot', 'segwit'];
+
 /**
  * Get address
- * @returns {Promise<string>} Address
+ * Without a purpose this is the wallet's primary address: getAddress()
+ * With a purpose it picks from the canonical accounts: getAddress('ordinals')
+ * @param {string} [purpose] - 'payment', 'ordinals', 'taproot' or 'segwit'
+ * @returns {Promise<string|null>} Address (null if the wallet has no address for that purpose)
  */
-export async function getAddress() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
+export async function getAddress(...args) {
+  const purpose = ADDRESS_PURPOSES.includes(args[0]) ? args.shift() : null;
+  const session = requireSession(takeTarget(args) || args[0]);
+  
+  if (!purpose) {
+    return await session.provider.getAddress();
   }
+  return NormalizerModule.findAccount(session.accounts, purpose)?.address || null;
+}
+
+/**
+ * Get the canonical account for a purpose
+ * @param {string} purpose - 'payment', 'ordinals', 'taproot' or 'segwit'
+ * @param {WalletTarget|string} [target] - Wallet session (defaults to the active wallet)
+ * @returns {Object|null} { address, purpose, addressType, publicKey, network }
+ */
+export function getAccount(purpose, target) {
+  const session = requireSession(target);
   
-  return await currentState.provider.getAddress();
+  return NormalizerModule.findAccount(session.accounts, purpose);
 }
 
 /**
  * Get accounts
  * @returns {Promise<Array>} Accounts
  */
-export async function getAccounts() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getAccounts(target) {
+  const session = requireSession(target);
   
-  return await currentState.provider.getAccounts();
+  return await session.provider.getAccounts();
 }
 
 /**
@@ -413,11 +1330,10 @@ export async function getAccounts() {
  * @returns {Promise<string>} Transaction ID
  */
 export async function pushPsbt(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
+  const [psbt, ...rest] = args;
   
-  return await currentState.provider.pushPsbt(...args);
+  return await session.provider.pushPsbt(toWalletPsbt(await loadPsbtTools(), session.provider, psbt), ...rest);
 }
 
 /**
@@ -425,11 +1341,9 @@ export async function pushPsbt(...args) {
  * @returns {Promise<string>} Transaction ID
  */
 export async function pushTx(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  return await currentState.provider.pushTx(...args);
+  return await session.provider.pushTx(...args);
 }
 
 /**
@@ -437,23 +1351,105 @@ export async function pushTx(...args) {
  * @returns {Promise<string>} Transaction ID
  */
 export async function sendInscription(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  return await currentState.provider.sendInscription(...args);
+  return await session.provider.sendInscription(...args);
+}
+
+// Chain access for PSBT inscriptions: UTXOs of the payment address, legacy previous txs, broadcast
+// null until setChainSource() or the first PSBT inscription (mempool.space, see createMempoolChainSource)
+let chainSource = null;
+
+/**
+ * Replace the chain source used by PSBT inscriptions
+ * Build one with (await loadInscriber()).createMempoolChainSource() / createOrdUtxoFilter()
+ * @param {Object} source - { getUtxos(address, { network }), getTransactionHex(txid, { network }), broadcast(rawTx, { network }) }
+ */
+export function setChainSource(source) {
+  chainSource = source;
+}
+
+const hasNativeInscribe = (provider) => provider.supportsMethod('inscribe') || provider.supportsMethod('createInscription');
+const canSignPsbt = (provider) => provider.supportsMethod('signPsbt') || provider.supportsMethod('signTransaction');
+
+/**
+ * Commit/reveal inscription paid from the payment account and signed with signPsbt
+ * The inscription goes to options.recipientAddress / receiverAddress, else the ordinals account
+ */
+async function inscribeViaPsbt(session, content, options = {}) {
+  const { provider } = session;
+  const network = sessionNetwork(session);
+  const accounts = session.accounts || [];
+  const payment = NormalizerModule.findAccount(accounts, 'payment');
+  const ordinals = NormalizerModule.findAccount(accounts, 'ordinals');
+  const payerAddress = payment?.address || session.address;
+  
+  // UniSat/Wizz list non-inscription UTXOs of their primary address themselves
+  const walletUtxos = payerAddress === session.address && typeof provider.getBitcoinUtxos === 'function';
+  const walletTarget = target(session.walletType);
+  const { contentType, metadata, parent, delegate, pointer, metaprotocol, contentEncoding } = options;
+  const { inscribeWithPsbt, createMempoolChainSource } = await loadInscriber();
+  if (!chainSource) chainSource = createMempoolChainSource();
+  
+  return await inscribeWithPsbt(
+    { content, contentType, metadata, parent, delegate, pointer, metaprotocol, contentEncoding },
+    {
+      feeRate: options.feeRate,
+      network,
+      postage: options.postage,
+      payerAddress,
+      payerPublicKey: payment?.publicKey || session.publicKey || undefined,
+      recipientAddress: options.recipientAddress || options.receiverAddress || ordinals?.address || session.address,
+      serviceFee: options.serviceFee ?? options.devFee,
+      serviceAddress: options.serviceAddress || options.devAddress,
+      signPsbt: (psbt, signingOptions) => signPsbt(psbt, signingOptions, walletTarget),
+      // supportsMethod() also drops pushTx when the API probe found it missing
+      broadcast: (rawTx) => (provider.supportsMethod('pushTx') ? provider.pushTx(rawTx) : chainSource.broadcast(rawTx, { network })),
+      getUtxos: walletUtxos ? () => provider.getBitcoinUtxos() : (address) => chainSource.getUtxos(address, { network }),
+      getTransactionHex: (txid) => chainSource.getTransactionHex(txid, { network }),
+      // Wallet-listed UTXOs are already plain sats; chain source UTXOs go through the ord filter
+      spendAllUtxos: walletUtxos
+    }
+  );
 }
 
 /**
  * Inscribe content
- * @returns {Promise<Object>} Inscription result
+ * Wallets with their own inscribe API use it; every other wallet that can sign PSBTs
+ * inscribes through a commit PSBT and a reveal signed with a one-time key
+ * (also the fallback when the native API rejects the content, e.g. UniSat non-BRC-20).
+ * Uses the estimator's 'normal' rate unless options.feeRate or options.feeTier is given
+ * @param {string|ArrayBuffer|Uint8Array} content - Inscription content
+ * @param {Object} [options] - {
+ *   contentType, feeRate, feeTier, recipientAddress, postage, serviceFee, serviceAddress,
+ *   metadata, parent, delegate, pointer, metaprotocol, contentEncoding,
+ *   method: 'auto' (default), 'native' or 'psbt'
+ * }
+ * @returns {Promise<Object>} Inscription result; PSBT inscriptions resolve to
+ *   { inscriptionId, commitTxId, revealTxId, commitAddress, revealTransaction, fees }
  */
 export async function inscribe(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
+  const session = requireSigningSession(takeTarget(args));
+  const [content, options = {}] = args;
+  const { method = 'auto', ...rest } = options;
+  const { provider } = session;
+  const inscribeOptions = await withFeeRate(session, rest);
+  
+  if (method === 'native' || (method === 'auto' && hasNativeInscribe(provider))) {
+    try {
+      return await provider.inscribe(content, inscribeOptions);
+    } catch (error) {
+      if (method === 'native' || error.code !== WalletErrorCode.UNSUPPORTED_METHOD || !canSignPsbt(provider)) {
+        throw error;
+      }
+      console.log(`🔍 ${provider.name} cannot inscribe this content itself, using commit/reveal PSBTs`);
+    }
   }
   
-  return await currentState.provider.inscribe(...args);
+  if (!canSignPsbt(provider)) {
+    throw provider.unsupported('inscribe', `${provider.name} can neither inscribe nor sign PSBTs`);
+  }
+  return await inscribeViaPsbt(session, content, inscribeOptions);
 }
 
 /**
@@ -461,23 +1457,19 @@ export async function inscribe(...args) {
  * @returns {Promise<string>} Transaction ID
  */
 export async function sendRunes(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  return await currentState.provider.sendRunes(...args);
+  return await session.provider.sendRunes(...args);
 }
 
 /**
  * Get wallet info (features, capabilities)
  * @returns {Object} Wallet info
  */
-export function getWalletFeatures() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export function getWalletFeatures(target) {
+  const session = requireSession(target);
   
-  return currentState.provider.getInfo();
+  return session.provider.getInfo();
 }
 
 // ============================================
@@ -490,15 +1482,13 @@ export function getWalletFeatures() {
  * @returns {Promise<Array>} Addresses with purposes
  */
 export async function getAddresses(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  if (typeof currentState.provider.getAddresses !== 'function') {
-    throw new Error(`${currentState.walletType} does not support getAddresses()`);
+  if (typeof session.provider.getAddresses !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support getAddresses()`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.getAddresses(...args);
+  return await session.provider.getAddresses(...args);
 }
 
 /**
@@ -507,15 +1497,13 @@ export async function getAddresses(...args) {
  * @returns {Promise<Object>} Batch inscription result
  */
 export async function createRepeatInscriptions(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.createRepeatInscriptions !== 'function') {
-    throw new Error(`${currentState.walletType} does not support batch inscriptions`);
+  if (typeof session.provider.createRepeatInscriptions !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support batch inscriptions`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.createRepeatInscriptions(...args);
+  return await session.provider.createRepeatInscriptions(...args);
 }
 
 /**
@@ -524,31 +1512,27 @@ export async function createRepeatInscriptions(...args) {
  * @returns {Promise<string>} Transaction ID
  */
 export async function sendInscriptions(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.sendInscriptions !== 'function') {
-    throw new Error(`${currentState.walletType} does not support sendInscriptions()`);
+  if (typeof session.provider.sendInscriptions !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support sendInscriptions()`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.sendInscriptions(...args);
+  return await session.provider.sendInscriptions(...args);
 }
 
 /**
  * Get Runes balance (Xverse)
  * @returns {Promise<Object>} Runes balance
  */
-export async function getRunesBalance() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getRunesBalance(target) {
+  const session = requireSession(target);
   
-  if (typeof currentState.provider.getRunesBalance !== 'function') {
-    throw new Error(`${currentState.walletType} does not support Runes`);
+  if (typeof session.provider.getRunesBalance !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support Runes`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.getRunesBalance();
+  return await session.provider.getRunesBalance();
 }
 
 /**
@@ -557,15 +1541,13 @@ export async function getRunesBalance() {
  * @returns {Promise<Object>} Transfer result
  */
 export async function transferRunes(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.transferRunes !== 'function') {
-    throw new Error(`${currentState.walletType} does not support Runes transfer`);
+  if (typeof session.provider.transferRunes !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support Runes transfer`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.transferRunes(...args);
+  return await session.provider.transferRunes(...args);
 }
 
 /**
@@ -574,15 +1556,13 @@ export async function transferRunes(...args) {
  * @returns {Promise<Object>} Mint result
  */
 export async function mintRunes(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.mintRunes !== 'function') {
-    throw new Error(`${currentState.walletType} does not support Runes minting`);
+  if (typeof session.provider.mintRunes !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support Runes minting`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.mintRunes(...args);
+  return await session.provider.mintRunes(...args);
 }
 
 /**
@@ -591,15 +1571,13 @@ export async function mintRunes(...args) {
  * @returns {Promise<Object>} Etch result
  */
 export async function etchRunes(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.etchRunes !== 'function') {
-    throw new Error(`${currentState.walletType} does not support Runes etching`);
+  if (typeof session.provider.etchRunes !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support Runes etching`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.etchRunes(...args);
+  return await session.provider.etchRunes(...args);
 }
 
 /**
@@ -608,15 +1586,13 @@ export async function etchRunes(...args) {
  * @returns {Promise<Object>} Order status
  */
 export async function getRunesOrder(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  if (typeof currentState.provider.getRunesOrder !== 'function') {
-    throw new Error(`${currentState.walletType} does not support getRunesOrder()`);
+  if (typeof session.provider.getRunesOrder !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support getRunesOrder()`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.getRunesOrder(...args);
+  return await session.provider.getRunesOrder(...args);
 }
 
 /**
@@ -625,15 +1601,13 @@ export async function getRunesOrder(...args) {
  * @returns {Promise<Array>} Signed PSBTs
  */
 export async function signMultipleTransactions(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.signMultipleTransactions !== 'function') {
-    throw new Error(`${currentState.walletType} does not support signMultipleTransactions()`);
+  if (typeof session.provider.signMultipleTransactions !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support signMultipleTransactions()`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.signMultipleTransactions(...args);
+  return await session.provider.signMultipleTransactions(...args);
 }
 
 /**
@@ -642,15 +1616,13 @@ export async function signMultipleTransactions(...args) {
  * @returns {Promise<Object>} Inscription result
  */
 export async function createInscription(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.createInscription !== 'function') {
-    throw new Error(`${currentState.walletType} does not support createInscription()`);
+  if (typeof session.provider.createInscription !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support createInscription()`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.createInscription(...args);
+  return await session.provider.createInscription(...args);
 }
 
 // ============================================
@@ -661,32 +1633,28 @@ export async function createInscription(...args) {
  * Get Leather product info
  * @returns {Promise<Object>} Product information
  */
-export async function getProductInfo() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getProductInfo(target) {
+  const session = requireSession(target);
   
-  if (typeof currentState.provider.getProductInfo !== 'function') {
-    throw new Error(`${currentState.walletType} does not support getProductInfo() (Leather only)`);
+  if (typeof session.provider.getProductInfo !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support getProductInfo() (Leather only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.getProductInfo();
+  return await session.provider.getProductInfo();
 }
 
 /**
  * Get Leather wallet URL
  * @returns {Promise<string>} Wallet URL
  */
-export async function getURL() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getURL(target) {
+  const session = requireSession(target);
   
-  if (typeof currentState.provider.getURL !== 'function') {
-    throw new Error(`${currentState.walletType} does not support getURL() (Leather only)`);
+  if (typeof session.provider.getURL !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support getURL() (Leather only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.getURL();
+  return await session.provider.getURL();
 }
 
 /**
@@ -695,15 +1663,13 @@ export async function getURL() {
  * @returns {Promise<Object>} Signature
  */
 export async function signStructuredData(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  if (typeof currentState.provider.signStructuredData !== 'function') {
-    throw new Error(`${currentState.walletType} does not support signStructuredData() (Leather only)`);
+  if (typeof session.provider.signStructuredData !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support signStructuredData() (Leather only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.signStructuredData(...args);
+  return await session.provider.signStructuredData(...args);
 }
 
 /**
@@ -712,15 +1678,13 @@ export async function signStructuredData(...args) {
  * @returns {Promise<Object>} Auth result
  */
 export async function authenticate(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  if (typeof currentState.provider.authenticate !== 'function') {
-    throw new Error(`${currentState.walletType} does not support authenticate() (Leather only)`);
+  if (typeof session.provider.authenticate !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support authenticate() (Leather only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.authenticate(...args);
+  return await session.provider.authenticate(...args);
 }
 
 /**
@@ -729,15 +1693,13 @@ export async function authenticate(...args) {
  * @returns {Promise<Object>} Transaction result
  */
 export async function sendStacksTransaction(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  if (typeof currentState.provider.sendStacksTransaction !== 'function') {
-    throw new Error(`${currentState.walletType} does not support Stacks transactions (Leather only)`);
+  if (typeof session.provider.sendStacksTransaction !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support Stacks transactions (Leather only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.sendStacksTransaction(...args);
+  return await session.provider.sendStacksTransaction(...args);
 }
 
 /**
@@ -746,15 +1708,13 @@ export async function sendStacksTransaction(...args) {
  * @returns {Promise<Object>} Update result
  */
 export async function updateProfile(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  if (typeof currentState.provider.updateProfile !== 'function') {
-    throw new Error(`${currentState.walletType} does not support updateProfile() (Leather only)`);
+  if (typeof session.provider.updateProfile !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support updateProfile() (Leather only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.updateProfile(...args);
+  return await session.provider.updateProfile(...args);
 }
 
 // ============================================
@@ -765,16 +1725,14 @@ export async function updateProfile(...args) {
  * Check if wallet is hardware (MagicEden)
  * @returns {Promise<boolean>} Is hardware wallet
  */
-export async function isHardware() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function isHardware(target) {
+  const session = requireSession(target);
   
-  if (typeof currentState.provider.isHardware !== 'function') {
-    throw new Error(`${currentState.walletType} does not support isHardware() (MagicEden only)`);
+  if (typeof session.provider.isHardware !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support isHardware() (MagicEden only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.isHardware();
+  return await session.provider.isHardware();
 }
 
 /**
@@ -784,15 +1742,13 @@ export async function isHardware() {
  * @returns {Promise<*>} Result
  */
 export async function call(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  if (typeof currentState.provider.call !== 'function') {
-    throw new Error(`${currentState.walletType} does not support call() (MagicEden only)`);
+  if (typeof session.provider.call !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support call() (MagicEden only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.call(...args);
+  return await session.provider.call(...args);
 }
 
 // ============================================
@@ -806,15 +1762,13 @@ export async function call(...args) {
  * @returns {Promise<Object>} Inscription result
  */
 export async function inscribeTransfer(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.inscribeTransfer !== 'function') {
-    throw new Error(`${currentState.walletType} does not support inscribeTransfer()`);
+  if (typeof session.provider.inscribeTransfer !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support inscribeTransfer()`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.inscribeTransfer(...args);
+  return await session.provider.inscribeTransfer(...args);
 }
 
 /**
@@ -823,15 +1777,13 @@ export async function inscribeTransfer(...args) {
  * @returns {Promise<string>} Transaction ID
  */
 export async function splitUtxo(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.splitUtxo !== 'function') {
-    throw new Error(`${currentState.walletType} does not support splitUtxo() (OKX only)`);
+  if (typeof session.provider.splitUtxo !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support splitUtxo() (OKX only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.splitUtxo(...args);
+  return await session.provider.splitUtxo(...args);
 }
 
 /**
@@ -840,15 +1792,13 @@ export async function splitUtxo(...args) {
  * @returns {Promise<string>} Transaction ID
  */
 export async function transferNft(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.transferNft !== 'function') {
-    throw new Error(`${currentState.walletType} does not support transferNft() (OKX only)`);
+  if (typeof session.provider.transferNft !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support transferNft() (OKX only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.transferNft(...args);
+  return await session.provider.transferNft(...args);
 }
 
 /**
@@ -857,15 +1807,13 @@ export async function transferNft(...args) {
  * @returns {Promise<boolean>} Success
  */
 export async function watchAsset(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSession(takeTarget(args));
   
-  if (typeof currentState.provider.watchAsset !== 'function') {
-    throw new Error(`${currentState.walletType} does not support watchAsset() (OKX only)`);
+  if (typeof session.provider.watchAsset !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support watchAsset() (OKX only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.watchAsset(...args);
+  return await session.provider.watchAsset(...args);
 }
 
 /**
@@ -874,15 +1822,13 @@ export async function watchAsset(...args) {
  * @returns {Promise<Object>} Mint result
  */
 export async function mint(...args) {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+  const session = requireSigningSession(takeTarget(args));
   
-  if (typeof currentState.provider.mint !== 'function') {
-    throw new Error(`${currentState.walletType} does not support mint() (OKX only)`);
+  if (typeof session.provider.mint !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support mint() (OKX only)`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.mint(...args);
+  return await session.provider.mint(...args);
 }
 
 // ============================================
@@ -892,16 +1838,14 @@ export async function mint(...args) {
 /**
  * Get wallet capabilities (Xverse)
  */
-export async function getCapabilities() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getCapabilities(target) {
+  const session = requireSession(target);
   
-  if (typeof currentState.provider.getCapabilities !== 'function') {
-    throw new Error(`${currentState.walletType} does not support getCapabilities()`);
+  if (typeof session.provider.getCapabilities !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support getCapabilities()`, { wallet: session.walletType });
   }
   
-  return await currentState.provider.getCapabilities();
+  return await session.provider.getCapabilities();
 }
 
 /**
@@ -909,32 +1853,30 @@ export async function getCapabilities() {
  * Note: Xverse and other wallets do not support UTXO fetching
  * OKX uses splitUtxo() method instead of getUtxos() - different API pattern
  */
-export async function getUtxos() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getUtxos(target) {
+  const session = requireSession(target);
   
-  console.log(`🔍 getUtxos: Checking ${currentState.walletType} provider capabilities...`);
-  console.log(`  - hasGetUtxos: ${typeof currentState.provider.getUtxos === 'function'}`);
-  console.log(`  - hasGetBitcoinUtxos: ${typeof currentState.provider.getBitcoinUtxos === 'function'}`);
-  console.log(`  - hasSplitUtxo: ${typeof currentState.provider.splitUtxo === 'function'}`);
+  console.log(`🔍 getUtxos: Checking ${session.walletType} provider capabilities...`);
+  console.log(`  - hasGetUtxos: ${typeof session.provider.getUtxos === 'function'}`);
+  console.log(`  - hasGetBitcoinUtxos: ${typeof session.provider.getBitcoinUtxos === 'function'}`);
+  console.log(`  - hasSplitUtxo: ${typeof session.provider.splitUtxo === 'function'}`);
   
-  if (typeof currentState.provider.getUtxos !== 'function' && 
-      typeof currentState.provider.getBitcoinUtxos !== 'function' &&
-      typeof currentState.provider.splitUtxo !== 'function') {
-    throw new Error(`${currentState.walletType} does not support UTXO fetching. Only UniSat and Wizz provide confirmed UTXO access. OKX has splitUtxo() method with different API.`);
+  if (typeof session.provider.getUtxos !== 'function' && 
+      typeof session.provider.getBitcoinUtxos !== 'function' &&
+      typeof session.provider.splitUtxo !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support UTXO fetching. Only UniSat and Wizz provide confirmed UTXO access. OKX has splitUtxo() method with different API.`, { wallet: session.walletType });
   }
   
   let result;
-  if (typeof currentState.provider.getUtxos === 'function') {
-    result = await currentState.provider.getUtxos();
-  } else if (typeof currentState.provider.getBitcoinUtxos === 'function') {
-    result = await currentState.provider.getBitcoinUtxos();
-  } else if (typeof currentState.provider.splitUtxo === 'function') {
+  if (typeof session.provider.getUtxos === 'function') {
+    result = await session.provider.getUtxos();
+  } else if (typeof session.provider.getBitcoinUtxos === 'function') {
+    result = await session.provider.getBitcoinUtxos();
+  } else if (typeof session.provider.splitUtxo === 'function') {
     // OKX specific: splitUtxo returns { utxos: [...] }
     console.log('🔍 Using OKX splitUtxo method for UTXO access...');
-    const splitResult = await currentState.provider.splitUtxo({
-      from: currentState.address,
+    const splitResult = await session.provider.splitUtxo({
+      from: session.address,
       amount: 2
     });
     result = splitResult.utxos || [];
@@ -947,19 +1889,17 @@ export async function getUtxos() {
 /**
  * Get BRC-20 list (UniSat only - CONFIRMED WORKING)
  */
-export async function getBRC20List() {
-  if (!currentState.provider) {
-    throw new Error('No wallet connected');
-  }
+export async function getBRC20List(target) {
+  const session = requireSession(target);
   
-  if (typeof currentState.provider.getBRC20List !== 'function' &&
-      typeof currentState.provider.getBRC20Summary !== 'function') {
-    throw new Error(`${currentState.walletType} does not support BRC-20 listing. Only UniSat provides BRC-20 token listing.`);
+  if (typeof session.provider.getBRC20List !== 'function' &&
+      typeof session.provider.getBRC20Summary !== 'function') {
+    throw new UnsupportedMethodError(`${session.walletType} does not support BRC-20 listing. Only UniSat provides BRC-20 token listing.`, { wallet: session.walletType });
   }
   
-  return typeof currentState.provider.getBRC20List === 'function'
-    ? await currentState.provider.getBRC20List()
-    : await currentState.provider.getBRC20Summary();
+  return typeof session.provider.getBRC20List === 'function'
+    ? await session.provider.getBRC20List()
+    : await session.provider.getBRC20Summary();
 }
 
 // ============================================
@@ -968,29 +1908,59 @@ export async function getBRC20List() {
 
 /**
  * Create a wallet provider instance
+ * Checks detection first, so the provider module is only downloaded for installed wallets,
+ * then probes the wallet API (version, native methods) - cached on the provider for its session
  * @param {string} walletName - Name of the wallet
- * @returns {Object} Wallet provider instance
+ * @param {Object} [options]
+ * @param {string} [options.providerId] - sats-connect wallet from discoverBitcoinWallets() (Xverse only)
+ * @returns {Promise<Object>} Wallet provider instance
  */
-export function createProvider(walletName) {
-  const ProviderClass = PROVIDER_CLASSES[walletName];
+export async function createProvider(walletName, { providerId } = {}) {
+  if (!PROVIDER_IMPORTERS[walletName]) {
+    throw new NotInstalledError(`Unknown wallet: ${walletName}`, { wallet: walletName });
+  }
   
-  if (!ProviderClass) {
-    throw new Error(`Unknown wallet: ${walletName}`);
+  const info = WALLET_INFO[walletName];
+  if (providerId && !info?.satsConnect) {
+    throw new UnsupportedMethodError(`${walletName} cannot connect through the ${providerId} provider`, { wallet: walletName });
   }
   
-  const provider = new ProviderClass();
+  const discovered = providerId ? WalletConnectorModule.getBitcoinProvider(providerId) : null;
+  const detected = providerId ? !!discovered : (!info?.detection || info.detection());
+  const provider = detected
+    ? new (await loadProviderClass(walletName))({ providerId, provider: discovered })
+    : null;
   
-  if (!provider.isInstalled()) {
-    const info = WALLET_INFO[walletName];
-    throw new Error(
+  if (!provider || !provider.isInstalled()) {
+    throw new NotInstalledError(
       `${walletName} wallet is not installed.\n\n` +
-      `Download: ${info?.downloadUrl || 'Visit wallet website'}`
+      `Download: ${info?.downloadUrl || 'Visit wallet website'}`,
+      { wallet: walletName }
     );
   }
   
+  // Connect requests that name a network ask for the app's
+  provider.requestedNetwork = appNetwork;
+  
+  // Plugins may bundle an older module #1 without probeApi()
+  if (typeof provider.probeApi === 'function') {
+    await provider.probeApi();
+  }
+  
   return provider;
 }
 
+/**
+ * List every sats-connect / WBIP004 wallet (btc_providers, announce events, injected globals)
+ * Several wallets can inject window.BitcoinProvider; let the user pick one and connect it:
+ *   const [wallet] = discoverBitcoinWallets();
+ *   await connect('Xverse', { providerId: wallet.id });
+ * @returns {Array<Object>} Descriptors { id, name, icon, methods, source, provider }
+ */
+export function discoverBitcoinWallets() {
+  return WalletConnectorModule.discoverBitcoinProviders();
+}
+
 /**
  * Detect installed wallets
  * @returns {Array<Object>} Array of {name, info} for installed wallets
@@ -1019,64 +1989,79 @@ export function detectWallets() {
 
 /**
  * Connect to a wallet
+ * Other connected wallets stay connected; the new wallet becomes the active one
  * @param {string} walletName - Name of wallet to connect
+ * @param {Object} [options]
+ * @param {string} [options.providerId] - sats-connect wallet from discoverBitcoinWallets() (Xverse only)
  * @returns {Promise<Object>} Connected provider instance
  */
-export async function connect(walletName) {
-  console.log(`🔌 Connecting to ${walletName}...`);
+export async function connect(walletName, options = {}) {
+  console.log(`🔌 Connecting to ${walletName}${options.providerId ? ` via ${options.providerId}` : ''}...`);
   
-  const provider = createProvider(walletName);
+  const provider = await createProvider(walletName, options);
   
   try {
     const result = await provider.connect();
     
-    // Update state
-    setState({
-      isConnected: true,
-      walletType: walletName,
+    // Register the session (replaces only a previous session of the same wallet)
+    addSession(walletName, provider);
+    updateSession(walletName, {
       address: result.address || provider.address,
       publicKey: result.publicKey || provider.publicKey,
-      provider: provider
+      accounts: readAccounts(provider)
     });
     
     console.log(`✅ Connected to ${walletName}`);
+    saveSession();
     
-    // Auto-fetch balance after connecting
-    try {
-      const balanceData = await provider.getBalance();
-      
-      // Convert balance to BTC number
-      let balanceInBTC;
-      let totalSats = 0;
-      if (typeof balanceData === 'number') {
-        // Check if already in BTC format (small decimal < 1) or satoshis (large number)
-        if (balanceData < 1 && balanceData > 0) {
-          // Already in BTC (e.g., 0.0000369 from Xverse)
-          balanceInBTC = balanceData;
-          totalSats = Math.round(balanceData * 100000000);
-        } else {
-          // In satoshis (e.g., 3690 from UniSat)
-          totalSats = balanceData;
-          balanceInBTC = balanceData / 100000000;
-        }
-      } else if (balanceData && typeof balanceData === 'object') {
-        totalSats = balanceData.total || balanceData.confirmed || 0;
-        balanceInBTC = totalSats / 100000000; // satoshis to BTC
-      } else {
-        balanceInBTC = 0;
-      }
-      
-      setState({ balance: balanceInBTC });
-      console.log(`💰 Balance fetched: ${balanceInBTC} BTC (${totalSats} sats)`);
-    } catch (balanceError) {
-      console.warn(`⚠️ Could not fetch balance:`, balanceError.message);
-      setState({ balance: null });
-    }
+    // Auto-fetch network and balance after connecting
+    await fetchInitialNetwork(walletName, provider);
+    await fetchInitialBalance(provider);
     
     return provider;
   } catch (error) {
     console.error(`❌ Failed to connect to ${walletName}:`, error);
-    throw error;
+    // WalletErrors pass through unchanged; anything else is wrapped
+    throw toWalletError(error, walletName);
+  }
+}
+
+/**
+ * Fetch balance right after (re)connecting and store it in state
+ * Never throws - a failed fetch leaves balance as null
+ * @param {Object} provider - Connected provider instance
+ */
+async function fetchInitialBalance(provider) {
+  try {
+    const balanceData = await provider.getBalance();
+    
+    // Convert balance to BTC number
+    let balanceInBTC;
+    let totalSats = 0;
+    if (typeof balanceData === 'number') {
+      // Check if already in BTC format (small decimal < 1) or satoshis (large number)
+      if (balanceData < 1 && balanceData > 0) {
+        // Already in BTC (e.g., 0.0000369 from Xverse)
+        balanceInBTC = balanceData;
+        totalSats = Math.round(balanceData * 100000000);
+      } else {
+        // In satoshis (e.g., 3690 from UniSat)
+        totalSats = balanceData;
+        balanceInBTC = balanceData / 100000000;
+      }
+    } else if (balanceData && typeof balanceData === 'object') {
+      totalSats = balanceData.total || balanceData.confirmed || 0;
+      balanceInBTC = totalSats / 100000000; // satoshis to BTC
+    } else {
+      balanceInBTC = 0;
+    }
+    
+    // Emits balanceChanged -> updates the session balance
+    provider.setBalance(balanceInBTC);
+    console.log(`💰 Balance fetched: ${balanceInBTC} BTC (${totalSats} sats)`);
+  } catch (balanceError) {
+    console.warn(`⚠️ Could not fetch balance:`, balanceError.message);
+    provider.setBalance(null);
   }
 }
 
@@ -1097,22 +2082,229 @@ export function getAllWalletInfo() {
   return { ...WALLET_INFO };
 }
 
+// ============================================
+// CAPABILITY MATRIX
+// ============================================
+
+// UI capability -> provider feature paths (any enabled path is enough)
+// Providers do not all use the same flag names (Xverse: signTransaction, sendBtcTransaction)
+const CAPABILITY_FEATURES = {
+  balance: ['getBalance'],
+  inscriptions: ['getInscriptions'],
+  signMessage: ['signMessage'],
+  signPsbt: ['signPsbt', 'signTransaction'],
+  signPsbts: ['signPsbts', 'signMultipleTransactions'],
+  pushPsbt: ['pushPsbt'],
+  pushTx: ['pushTx'],
+  sendBitcoin: ['sendBitcoin', 'sendBtcTransaction'],
+  sendInscription: ['sendInscription'],
+  getPublicKey: ['getPublicKey'],
+  getNetwork: ['getNetwork'],
+  switchNetwork: ['switchNetwork', 'networkSwitch'],
+  repeatInscriptions: ['createRepeatInscriptions'],
+  brc20Transfer: ['brc20.transfer'],
+  runes: ['runes.send'],
+  atomicals: ['atomicals.transfer'],
+  arc20: ['arc20.transfer'],
+  events: ['eventListeners']
+};
+
+/**
+ * Names of the functions an injected wallet object defines (own and inherited)
+ * @param {Object} wallet - Injected wallet object
+ * @returns {Array<string>|null} null when there is no object to inspect
+ */
+function listInjectedMethods(wallet) {
+  if (!wallet || typeof wallet !== 'object') return null;
+  
+  const names = new Set();
+  for (let proto = wallet; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      try {
+        if (name !== 'constructor' && typeof wallet[name] === 'function') names.add(name);
+      } catch (error) {
+        // Throwing getter - not callable
+      }
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Build one capability matrix row
+ * Uses the connected provider when there is one. An installed wallet that is not connected
+ * is described from WALLET_INFO and its injected object only - its provider module is not loaded
+ * @param {string} walletName - Registered wallet name
+ * @param {boolean} refresh - Re-run the API probe instead of using the cached one
+ * @returns {Promise<Object>} Matrix row (see getCapabilityMatrix)
+ */
+async function describeWalletCapabilities(walletName, refresh) {
+  const info = WALLET_INFO[walletName];
+  const session = sessions.get(walletName);
+  let installed = !!session;
+  if (!installed) {
+    try {
+      installed = !!info.detection?.();
+    } catch (error) {
+      installed = false;
+    }
+  }
+  
+  const row = {
+    name: walletName,
+    installed,
+    connected: !!session,
+    version: null,
+    methods: null,
+    missing: [],
+    inscriptionMethod: null,
+    capabilities: null,
+    features: null
+  };
+  if (!installed) return row;
+  
+  // Capabilities need the provider's feature flags, so they are filled in once the wallet connects
+  if (!session) {
+    try {
+      row.methods = listInjectedMethods(info.injected?.());
+    } catch (error) {
+      console.warn(`⚠️ Could not inspect ${walletName} for the capability matrix:`, error.message);
+    }
+    return row;
+  }
+  
+  const { provider } = session;
+  
+  // createProvider() already probed; the probe stays cached on the provider unless refresh is set
+  const api = typeof provider.probeApi === 'function' ? await provider.probeApi({ refresh }) : null;
+  if (api) {
+    Object.assign(row, api);
+    session.api = api;
+  }
+  
+  // supportsMethod() is false for features the probe found missing
+  const enabled = (path) => provider.supportsMethod(path);
+  
+  row.capabilities = {};
+  for (const [capability, paths] of Object.entries(CAPABILITY_FEATURES)) {
+    row.capabilities[capability] = paths.some(enabled);
+  }
+  
+  // Same order inscribe() tries: the wallet's own inscribe, then commit/reveal PSBTs
+  if (enabled('inscribe') || enabled('createInscription')) {
+    row.inscriptionMethod = 'native';
+  } else if (row.capabilities.signPsbt) {
+    row.inscriptionMethod = 'psbt';
+  }
+  row.capabilities.createInscription = row.inscriptionMethod !== null;
+  row.features = provider.features;
+  
+  return row;
+}
+
+/**
+ * Capability matrix for every registered wallet - the one place the UI reads capabilities from
+ * Connected wallets: each provider's feature flags, narrowed by a live probe of the wallet API
+ * Wallets that are not connected report capabilities: null (their provider module is not downloaded);
+ * installed ones list the methods of their injected object
+ *   const before = await NWC.getCapabilityMatrix();
+ *   before.UniSat.methods;              // ['requestAccounts', 'getBalance', ...]
+ *   await NWC.connect('UniSat');
+ *   const matrix = await NWC.getCapabilityMatrix();
+ *   matrix.UniSat.capabilities.balance; // true
+ *   matrix.UniSat.version;              // '1.4.9' (from the live probe)
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Re-probe connected wallets (e.g. after a wallet update)
+ * @returns {Promise<Object>} walletName -> { name, installed, connected, version, methods, missing,
+ *   inscriptionMethod ('native' | 'psbt' | null), capabilities: { [capability]: boolean }, features }
+ */
+export async function getCapabilityMatrix({ refresh = false } = {}) {
+  const names = Object.keys(WALLET_INFO);
+  const rows = await Promise.all(names.map(name => describeWalletCapabilities(name, refresh)));
+  
+  const matrix = {};
+  rows.forEach(row => {
+    matrix[row.name] = row;
+  });
+  return matrix;
+}
+
 // Export everything as default too
 export default {
   // Core functions
   createProvider,
   detectWallets,
+  discoverBitcoinWallets,
   connect,
   disconnect,
   getState,
   subscribe,
   getCurrentProvider,
+  
+  // Multi-wallet sessions
+  target,
+  WalletTarget,
+  setActiveWallet,
+  getActiveWallet,
+  getSession,
+  getSessions,
+  disconnectAll,
   getWalletInfo,
   getAllWalletInfo,
+  getCapabilityMatrix,
+  registerProvider,
+  
+  // Wallet events
+  on,
+  off,
+  once,
+  WalletEvent,
+  
+  // Canonical accounts
+  AddressPurpose,
+  AddressType,
+  
+  // Address validation
+  decodeAddress,
+  validateAddress,
+  isValidAddress,
+  
+  // Network guard
+  BitcoinNetwork,
+  setAppNetwork,
+  getAppNetwork,
+  
+  // PSBT preview
+  previewPsbt,
+  
+  // Fee estimation
+  FeeTier,
+  getFeeRates,
+  getFeeRate,
+  setFeeSources,
+  setDefaultFeeRate,
+  createMempoolFeeSource,
+  createOrdFeeSource,
+  createStaticFeeSource,
+  
+  // Inscription cost
+  getInscriptionCost,
+  
+  // PSBT inscriptions
+  setChainSource,
+  
+  // Session persistence (opt-in)
+  enableSessionPersistence,
+  isSessionPersistenceEnabled,
+  getSavedSession,
+  restoreSession,
   
   // Utility functions for advanced usage
   loadNormalizers,
   loadWalletConnector,
+  loadPsbtTools,
+  loadCostEstimator,
+  loadInscriber,
   
   // Generic wallet methods - direct passthrough to provider
   getBalance,
@@ -1127,6 +2319,7 @@ export default {
   switchNetwork,
   getPublicKey,
   getAddress,
+  getAccount,
   getAccounts,
   pushPsbt,
   pushTx,
@@ -1171,6 +2364,17 @@ export default {
   getUtxos,
   getBRC20List,
   
+  // Typed errors
+  WalletError,
+  WalletErrorCode,
+  UserRejectedError,
+  NotInstalledError,
+  NotConnectedError,
+  UnsupportedMethodError,
+  InsufficientFundsError,
+  NetworkMismatchError,
+  WalletInternalError,
+  
   // Reference
   WALLET_INFO
 };
@@ -2,6 +2,7 @@ import { defineConfig } from 'vite'
 import { viteSingleFile } from 'vite-plugin-singlefile'
 import compression from 'vite-plugin-compression'
 import path from 'path'
+import { ordEmulator } from '../ord-emulator.js'
 
 /**
  * Vite Configuration for Nexus Wallet Connect
@@ -15,11 +16,17 @@ export default defineConfig(({ command }) => {
     plugins: [
       viteSingleFile({ removeViteModuleLoader: true }),
       compression({ algorithm: 'gzip', ext: '.gz' }),
-      compression({ algorithm: 'brotliCompress', ext: '.br' })
+      compression({ algorithm: 'brotliCompress', ext: '.br' }),
+      // Serve /r/sat/... and /content/... for generated modules from ready-to-inscribe/
+      ordEmulator({
+        dir: path.resolve(__dirname, '../ready-to-inscribe'),
+        vendor: path.resolve(__dirname, '../ord-vendor.json')
+      })
     ],
     server: {
       port: 5173,
       // Proxy /content requests to ordinals.com during development
+      // (inscriptions not found in ready-to-inscribe/ by the ord emulator)
       proxy: {
         '/content': {
           target: 'https://ordinals.com',
@@ -4,19 +4,283 @@
  * 
  * Purpose: Base class for all Bitcoin wallet providers
  * Dependencies: None (foundation)
- * Exports: BaseWalletProvider class
+ * Exports: BaseWalletProvider class, WalletError hierarchy, toWalletError(), WalletEventEmitter
  * Size: ~450 lines, ~10KB brotli
  * 
  * Update this module to add new helper methods or features available to all wallets
  */
 
-export class BaseWalletProvider {
+// ============= ERRORS =============
+
+/**
+ * Stable error codes shared by every provider
+ * Apps should branch on error.code instead of matching message strings
+ */
+export const WalletErrorCode = {
+  USER_REJECTED: 'USER_REJECTED',
+  NOT_INSTALLED: 'NOT_INSTALLED',
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  UNSUPPORTED_METHOD: 'UNSUPPORTED_METHOD',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  NETWORK_MISMATCH: 'NETWORK_MISMATCH',
+  WALLET_INTERNAL: 'WALLET_INTERNAL'
+};
+
+/**
+ * Base error thrown by all wallet providers and the loader
+ */
+export class WalletError extends Error {
+  /**
+   * @param {string} code - One of WalletErrorCode
+   * @param {string} message - Human readable message
+   * @param {Object} [options]
+   * @param {string} [options.wallet] - Name of the wallet that raised the error
+   * @param {*} [options.cause] - Original native error
+   */
+  constructor(code, message, { wallet = null, cause } = {}) {
+    super(message);
+    this.name = 'WalletError';
+    this.code = code;
+    this.wallet = wallet;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+export class UserRejectedError extends WalletError {
+  constructor(message = 'Request was rejected by the user', options) {
+    super(WalletErrorCode.USER_REJECTED, message, options);
+    this.name = 'UserRejectedError';
+  }
+}
+
+export class NotInstalledError extends WalletError {
+  constructor(message = 'Wallet not installed or not detected', options) {
+    super(WalletErrorCode.NOT_INSTALLED, message, options);
+    this.name = 'NotInstalledError';
+  }
+}
+
+export class NotConnectedError extends WalletError {
+  constructor(message = 'Wallet not connected. Please connect first.', options) {
+    super(WalletErrorCode.NOT_CONNECTED, message, options);
+    this.name = 'NotConnectedError';
+  }
+}
+
+export class UnsupportedMethodError extends WalletError {
+  constructor(message = 'Method not supported by this wallet', options) {
+    super(WalletErrorCode.UNSUPPORTED_METHOD, message, options);
+    this.name = 'UnsupportedMethodError';
+  }
+}
+
+export class InsufficientFundsError extends WalletError {
+  constructor(message = 'Insufficient balance to complete transaction', options) {
+    super(WalletErrorCode.INSUFFICIENT_FUNDS, message, options);
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+export class NetworkMismatchError extends WalletError {
+  constructor(message = 'Wallet network does not match the requested network', options) {
+    super(WalletErrorCode.NETWORK_MISMATCH, message, options);
+    this.name = 'NetworkMismatchError';
+  }
+}
+
+export class WalletInternalError extends WalletError {
+  constructor(message = 'Wallet returned an internal error', options) {
+    super(WalletErrorCode.WALLET_INTERNAL, message, options);
+    this.name = 'WalletInternalError';
+  }
+}
+
+// Native codes seen across wallets (EIP-1193 style, sats-connect, JSON-RPC)
+const REJECTION_CODES = [4001, -32000, 'USER_REJECTION', 'USER_REJECTED', 'ACTION_REJECTED'];
+const UNSUPPORTED_CODES = [4200, -32601, -32001, 'METHOD_NOT_SUPPORTED', 'METHOD_NOT_FOUND'];
+const DISCONNECTED_CODES = [4100, 4900, -32002, 'UNAUTHORIZED', 'ACCESS_DENIED'];
+
+/**
+ * Map any native wallet error into the WalletError hierarchy
+ * WalletErrors are returned unchanged so they can be re-thrown safely
+ * @param {*} error - Native error (Error, {code, message}, sats-connect error response, string)
+ * @param {string} [walletName] - Wallet that raised the error
+ * @param {string} [context] - Prefix describing the failed operation (e.g. 'PSBT signing failed')
+ * @returns {WalletError}
+ */
+export function toWalletError(error, walletName = null, context) {
+  if (error instanceof WalletError) {
+    return error;
+  }
+
+  const nativeCode = error?.code ?? error?.error?.code;
+  const nativeMessage = typeof error === 'string'
+    ? error
+    : (error?.message || error?.error?.message || '');
+  const message = context
+    ? (nativeMessage ? `${context}: ${nativeMessage}` : context)
+    : (nativeMessage || `${walletName || 'Wallet'} request failed`);
+  const text = nativeMessage.toLowerCase();
+  const options = { wallet: walletName, cause: error };
+
+  if (REJECTION_CODES.includes(nativeCode) || /reject|denied|cancel|declined/.test(text)) {
+    return new UserRejectedError(message, options);
+  }
+  if (UNSUPPORTED_CODES.includes(nativeCode) || /not supported|not implemented|unsupported|no method/.test(text)) {
+    return new UnsupportedMethodError(message, options);
+  }
+  if (/insufficient/.test(text)) {
+    return new InsufficientFundsError(message, options);
+  }
+  if (/network mismatch|wrong network/.test(text)) {
+    return new NetworkMismatchError(message, options);
+  }
+  if (DISCONNECTED_CODES.includes(nativeCode) || /not connected/.test(text)) {
+    return new NotConnectedError(message, options);
+  }
+  if (/not installed|not detected/.test(text)) {
+    return new NotInstalledError(message, options);
+  }
+
+  return new WalletInternalError(message, options);
+}
+
+// ============= EVENTS =============
+
+/**
+ * Events emitted by every provider (and re-emitted by the loader)
+ */
+export const WalletEvent = {
+  ACCOUNTS_CHANGED: 'accountsChanged',
+  NETWORK_CHANGED: 'networkChanged',
+  DISCONNECT: 'disconnect',
+  BALANCE_CHANGED: 'balanceChanged'
+};
+
+/**
+ * Minimal on/off/once emitter - no Node or DOM dependency so it runs from an inscription
+ */
+export class WalletEventEmitter {
+  constructor() {
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - One of WalletEvent
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Handler for "${event}" must be a function`);
+    }
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+    }
+    this.eventHandlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unsubscribe a handler, or every handler of an event when none is given
+   * @param {string} event - One of WalletEvent
+   * @param {Function} [handler] - Handler passed to on() or once()
+   */
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (!handlers) return;
+
+    if (!handler) {
+      handlers.clear();
+      return;
+    }
+    for (const registered of handlers) {
+      if (registered === handler || registered.original === handler) {
+        handlers.delete(registered);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} event - One of WalletEvent
+   * @param {Function} handler - Called once with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, handler) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      handler(payload);
+    };
+    wrapper.original = handler;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Emit an event - a throwing handler never stops the others
+   * @param {string} event - One of WalletEvent
+   * @param {*} payload - Event payload
+   */
+  emit(event, payload) {
+    const handlers = this.eventHandlers.get(event);
+    if (!handlers) return;
+
+    for (const handler of [...handlers]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`❌ ${event} handler failed:`, error);
+      }
+    }
+  }
+}
+
+// ============= BASE PROVIDER =============
+
+/**
+ * Names of the functions an injected wallet object defines (own and inherited)
+ * Candidates are checked directly too, for wallets that resolve methods through a Proxy or getters
+ * @param {Object} wallet - Injected wallet object
+ * @param {Array<string>} [candidates] - Method names to check even when not enumerable
+ * @returns {Array<string>|null} null when there is no object to inspect
+ */
+function listFunctions(wallet, candidates = []) {
+  if (!wallet || typeof wallet !== 'object') return null;
+  
+  const names = new Set();
+  const addIfFunction = (name) => {
+    try {
+      if (name !== 'constructor' && typeof wallet[name] === 'function') names.add(name);
+    } catch (error) {
+      // Throwing getter - not callable
+    }
+  };
+  
+  for (let proto = wallet; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    Object.getOwnPropertyNames(proto).forEach(addIfFunction);
+  }
+  candidates.forEach(addIfFunction);
+  
+  return [...names];
+}
+
+export class BaseWalletProvider extends WalletEventEmitter {
   constructor(name) {
+    super();
     this.name = name;
     this.isConnected = false;
     this.address = null;
     this.publicKey = null;
+    this.balance = null;
+    this.nativeAccounts = null; // Wallet's own multi-address list (see getAccountData)
+    this.psbtEncoding = 'hex'; // PSBT encoding signPsbt expects: 'hex' or 'base64'
     this.walletInstance = null;
+    this.api = null; // Cached probeApi() result: { version, methods, missing }
+    this.apiProbe = null;
+    this.requestedNetwork = null; // Network the dApp wants (canonical name), used by connect requests that name one
     
     // Feature flags - override in subclasses
     this.features = {
@@ -52,36 +316,71 @@ export class BaseWalletProvider {
       },
       arc20: {
         transfer: false
-      }
+      },
+      eventListeners: false // setupEventListeners() translates wallet events
+    };
+    
+    // Feature path -> native wallet method, checked by probeApi() - override in subclasses
+    this.nativeMethods = {};
+    
+    // Canonical network -> the wallet's own name for it; unlisted networks are unsupported - override in subclasses
+    this.networkNames = {
+      livenet: 'livenet',
+      testnet: 'testnet'
     };
   }
 
   /**
    * Helper: Check if wallet is installed
-   * @throws {Error} If wallet not installed
+   * @throws {NotInstalledError} If wallet not installed
    */
   requireInstalled() {
     if (!this.walletInstance) {
-      throw new Error(`${this.name} wallet not installed or not detected`);
+      throw new NotInstalledError(`${this.name} wallet not installed or not detected`, { wallet: this.name });
     }
   }
 
   /**
    * Helper: Check if wallet is connected
-   * @throws {Error} If wallet not connected
+   * @throws {NotConnectedError} If wallet not connected
    */
   requireConnected() {
     if (!this.isConnected || !this.address) {
-      throw new Error(`${this.name} wallet not connected. Please connect first.`);
+      throw new NotConnectedError(`${this.name} wallet not connected. Please connect first.`, { wallet: this.name });
     }
   }
 
+  /**
+   * Helper: Map a native wallet error into a WalletError tagged with this wallet
+   * @param {*} error - Native error
+   * @param {string} [context] - Prefix describing the failed operation
+   * @returns {WalletError}
+   */
+  normalizeError(error, context) {
+    return toWalletError(error, this.name, context);
+  }
+
+  /**
+   * Helper: Build an UnsupportedMethodError for this wallet
+   * @param {string} method - Method name
+   * @param {string} [message] - Custom error message
+   * @returns {UnsupportedMethodError}
+   */
+  unsupported(method, message) {
+    return new UnsupportedMethodError(message || `${this.name}: ${method} not implemented`, { wallet: this.name });
+  }
+
   /**
    * Helper: Check if method is supported
+   * Features the API probe found missing are unsupported (see probeApi)
    * @param {string} methodPath - Dot notation path (e.g., 'brc20.transfer')
    * @returns {boolean}
    */
   supportsMethod(methodPath) {
+    if (this.api?.missing.some(path => methodPath === path || methodPath.startsWith(`${path}.`))) {
+      return false;
+    }
+    
     const parts = methodPath.split('.');
     let current = this.features;
     
@@ -105,9 +404,13 @@ export class BaseWalletProvider {
    */
   async safeCall(methodPath, callback, errorMsg) {
     if (!this.supportsMethod(methodPath)) {
-      throw new Error(errorMsg || `${this.name} does not support ${methodPath}`);
+      throw this.unsupported(methodPath, errorMsg || `${this.name} does not support ${methodPath}`);
+    }
+    try {
+      return await callback();
+    } catch (error) {
+      throw this.normalizeError(error);
     }
-    return await callback();
   }
 
   /**
@@ -141,6 +444,135 @@ export class BaseWalletProvider {
     this.isConnected = false;
     this.address = null;
     this.publicKey = null;
+    this.nativeAccounts = null;
+  }
+
+  // ============= EVENT TRANSLATION =============
+
+  /**
+   * Attach native wallet event listeners - override in subclasses that expose events
+   * Native events must be translated with the handle* helpers below
+   */
+  setupEventListeners() {}
+
+  /**
+   * Detach native wallet event listeners - override alongside setupEventListeners()
+   */
+  removeEventListeners() {}
+
+  /**
+   * Helper: Apply an account switch reported by the wallet and emit accountsChanged
+   * A missing address means the wallet was locked or access revoked (emits disconnect)
+   * @param {string|null} address - New primary address
+   * @param {Object} [details] - Extra account data for listeners (publicKey, paymentAddress, ...)
+   */
+  handleAccountsChanged(address, details = {}) {
+    if (!address) {
+      this.handleDisconnect('accountsChanged');
+      return;
+    }
+
+    this.address = address;
+    this.nativeAccounts = details.accounts || null;
+    if (details.publicKey !== undefined) {
+      this.publicKey = details.publicKey;
+    }
+    this.emit(WalletEvent.ACCOUNTS_CHANGED, { wallet: this.name, address, ...details });
+  }
+
+  /**
+   * Helper: Emit networkChanged with an already-normalized network name
+   * @param {string} network - New network
+   */
+  handleNetworkChanged(network) {
+    this.emit(WalletEvent.NETWORK_CHANGED, { wallet: this.name, network });
+  }
+
+  /**
+   * Helper: Clear connection state and emit disconnect (only if we were connected)
+   * @param {string} [reason='wallet'] - Why the session ended
+   */
+  handleDisconnect(reason = 'wallet') {
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+    this.address = null;
+    this.publicKey = null;
+    this.balance = null;
+    this.nativeAccounts = null;
+
+    if (wasConnected) {
+      this.emit(WalletEvent.DISCONNECT, { wallet: this.name, reason });
+    }
+  }
+
+  /**
+   * Helper: Store the latest balance and emit balanceChanged when it differs
+   * @param {number} balance - Balance in BTC
+   */
+  setBalance(balance) {
+    if (balance === this.balance) return;
+
+    const previous = this.balance;
+    this.balance = balance;
+    this.emit(WalletEvent.BALANCE_CHANGED, { wallet: this.name, balance, previous });
+  }
+
+  /**
+   * Silently restore a persisted session without prompting the user
+   * Override in subclasses that expose a non-prompting account query
+   * @param {Object} session - Data previously returned by getSessionData()
+   * @returns {Promise<boolean>} True if the same account is still authorized
+   */
+  async reconnect(session) {
+    return false;
+  }
+
+  /**
+   * Data needed to restore this connection after a page reload
+   * @returns {Object} Addresses and public keys (never private data)
+   */
+  getSessionData() {
+    const data = {
+      address: this.address,
+      publicKey: this.publicKey
+    };
+    for (const key of ['paymentAddress', 'ordinalsAddress', 'paymentPublicKey', 'ordinalsPublicKey']) {
+      if (this[key]) {
+        data[key] = this[key];
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Wallet context for normalizers.psbtOptions(): which addresses can sign which inputs
+   * @returns {Object} { address, accounts }
+   */
+  getSigningContext() {
+    return { address: this.address, accounts: this.getAccountData() };
+  }
+
+  /**
+   * Raw account data for normalizers.accounts()
+   * Uses the wallet's own address list when the provider stored one,
+   * otherwise the payment/ordinals/primary address fields
+   * @returns {Array<Object>} [{ address, publicKey, purpose? }] or an Oyl-style object
+   */
+  getAccountData() {
+    if (!this.isConnected) {
+      return [];
+    }
+    if (this.nativeAccounts) {
+      return this.nativeAccounts;
+    }
+    if (!this.paymentAddress && !this.ordinalsAddress) {
+      return this.address ? [{ address: this.address, publicKey: this.publicKey }] : [];
+    }
+    
+    return [
+      { address: this.paymentAddress, publicKey: this.paymentPublicKey || null, purpose: 'payment' },
+      { address: this.ordinalsAddress, publicKey: this.ordinalsPublicKey || null, purpose: 'ordinals' }
+    ].filter(account => account.address);
   }
 
   /**
@@ -158,7 +590,7 @@ export class BaseWalletProvider {
       return accounts[0];
     }
     
-    throw new Error(`${this.name}: No method available to get address`);
+    throw this.unsupported('getAddress', `${this.name}: No method available to get address`);
   }
 
   /**
@@ -172,7 +604,7 @@ export class BaseWalletProvider {
       if (this.walletInstance.getPublicKey) {
         return await this.walletInstance.getPublicKey();
       }
-      throw new Error(`${this.name}: getPublicKey not implemented`);
+      throw this.unsupported('getPublicKey');
     });
   }
 
@@ -192,7 +624,7 @@ export class BaseWalletProvider {
       return result;
     }
     
-    throw new Error(`${this.name}: getBalance not implemented`);
+    throw this.unsupported('getBalance');
   }
 
   /**
@@ -205,24 +637,39 @@ export class BaseWalletProvider {
       if (this.walletInstance.getNetwork) {
         return await this.walletInstance.getNetwork();
       }
-      throw new Error(`${this.name}: getNetwork not implemented`);
+      throw this.unsupported('getNetwork');
     });
   }
 
   /**
    * Generic switchNetwork implementation
+   * @param {string} network - Canonical network name ('livenet', 'testnet4', ...)
    */
   async switchNetwork(network) {
     this.requireInstalled();
     
     return await this.safeCall('switchNetwork', async () => {
       if (this.walletInstance.switchNetwork) {
-        return await this.walletInstance.switchNetwork(network);
+        return await this.walletInstance.switchNetwork(this.toWalletNetwork(network));
       }
-      throw new Error(`${this.name}: switchNetwork not implemented`);
+      throw this.unsupported('switchNetwork');
     });
   }
 
+  /**
+   * Helper: This wallet's own name for a canonical network (see networkNames)
+   * @param {string} network - Canonical network name
+   * @returns {string} Wallet network name
+   * @throws {UnsupportedMethodError} If the wallet has no such network
+   */
+  toWalletNetwork(network) {
+    const walletNetwork = this.networkNames[network];
+    if (!walletNetwork) {
+      throw this.unsupported('switchNetwork', `${this.name} does not support the ${network || 'requested'} network`);
+    }
+    return walletNetwork;
+  }
+
   /**
    * Generic signMessage implementation
    */
@@ -234,7 +681,7 @@ export class BaseWalletProvider {
       return await this.walletInstance.signMessage(message, type);
     }
     
-    throw new Error(`${this.name}: signMessage not implemented`);
+    throw this.unsupported('signMessage');
   }
 
   /**
@@ -248,7 +695,7 @@ export class BaseWalletProvider {
       return await this.walletInstance.signPsbt(psbtHex, options);
     }
     
-    throw new Error(`${this.name}: signPsbt not implemented`);
+    throw this.unsupported('signPsbt');
   }
 
   /**
@@ -262,10 +709,10 @@ export class BaseWalletProvider {
       if (this.walletInstance.signPsbts) {
         return await this.walletInstance.signPsbts(psbtHexs, options);
       }
-      // Fallback: sign one by one
+      // Fallback: sign one by one (one options object for every PSBT, or one per PSBT)
       const results = [];
-      for (const psbt of psbtHexs) {
-        results.push(await this.signPsbt(psbt, options));
+      for (const [i, psbt] of psbtHexs.entries()) {
+        results.push(await this.signPsbt(psbt, (Array.isArray(options) ? options[i] : options) || {}));
       }
       return results;
     });
@@ -282,7 +729,7 @@ export class BaseWalletProvider {
       if (this.walletInstance.pushPsbt) {
         return await this.walletInstance.pushPsbt(psbtHex);
       }
-      throw new Error(`${this.name}: pushPsbt not implemented`);
+      throw this.unsupported('pushPsbt');
     });
   }
 
@@ -297,7 +744,7 @@ export class BaseWalletProvider {
       if (this.walletInstance.pushTx) {
         return await this.walletInstance.pushTx(rawTx);
       }
-      throw new Error(`${this.name}: pushTx not implemented`);
+      throw this.unsupported('pushTx');
     });
   }
 
@@ -312,7 +759,7 @@ export class BaseWalletProvider {
       return await this.walletInstance.sendBitcoin(toAddress, satoshis, options);
     }
     
-    throw new Error(`${this.name}: sendBitcoin not implemented`);
+    throw this.unsupported('sendBitcoin');
   }
 
   /**
@@ -326,7 +773,7 @@ export class BaseWalletProvider {
       if (this.walletInstance.sendInscription) {
         return await this.walletInstance.sendInscription(toAddress, inscriptionId, options);
       }
-      throw new Error(`${this.name}: sendInscription not implemented`);
+      throw this.unsupported('sendInscription');
     });
   }
 
@@ -341,7 +788,7 @@ export class BaseWalletProvider {
       return await this.walletInstance.getInscriptions(cursor, size);
     }
     
-    throw new Error(`${this.name}: getInscriptions not implemented`);
+    throw this.unsupported('getInscriptions');
   }
 
   /**
@@ -397,10 +844,78 @@ export class BaseWalletProvider {
       if (this.walletInstance.inscribe) {
         return await this.walletInstance.inscribe(content, options);
       }
-      throw new Error(`${this.name}: inscribe not implemented`);
+      throw this.unsupported('inscribe');
     });
   }
 
+  /**
+   * Helper: Check the wallet exposes a native method
+   * Native methods are functions on the injected object, or RPC names for request() wallets
+   * (listed by the cached probe)
+   * @param {string} method - Native method name (e.g. 'signPSBT')
+   * @returns {boolean}
+   */
+  hasNativeMethod(method) {
+    return !!this.api?.methods?.includes(method) || typeof this.walletInstance?.[method] === 'function';
+  }
+
+  /**
+   * Read the installed wallet's API version and method list
+   * Default: injected objects (window.unisat style) - version from getVersion(),
+   * methods are the functions the object defines. request()-based wallets override this;
+   * a wallet that lists features instead of methods can return missing feature paths itself
+   * @returns {Promise<Object>} { version, methods, missing? } - methods is null when unknown
+   */
+  async readApiInfo() {
+    const wallet = this.walletInstance;
+    const version = typeof wallet?.getVersion === 'function' ? await wallet.getVersion() : null;
+    
+    return { version, methods: listFunctions(wallet, Object.values(this.nativeMethods)) };
+  }
+
+  /**
+   * Live probe of the installed wallet API
+   * Records the wallet version and native methods, and flags a feature as missing when the
+   * wallet does not expose its native method (e.g. an extension older than the provider).
+   * Missing features then fail supportsMethod(), so safeCall() rejects them without a popup.
+   * Cached for the lifetime of the provider (one per session); pass { refresh: true } to re-read.
+   * Never throws - an unreadable wallet reports { version: null, methods: null, missing: [] }
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore the cached result
+   * @returns {Promise<Object>} { version, methods, missing } - missing lists feature paths
+   */
+  probeApi({ refresh = false } = {}) {
+    if (!this.apiProbe || refresh) {
+      this.apiProbe = this.runApiProbe();
+    }
+    return this.apiProbe;
+  }
+
+  async runApiProbe() {
+    let info = {};
+    try {
+      info = (await this.readApiInfo()) || {};
+    } catch (error) {
+      console.warn(`⚠️ ${this.name}: API probe failed:`, error?.message || error);
+    }
+    
+    const methods = Array.isArray(info.methods) ? info.methods : null;
+    this.api = null; // Judge missing features from the flags alone
+    const missing = Array.isArray(info.missing) ? info.missing : methods
+      ? Object.keys(this.nativeMethods).filter(path => this.supportsMethod(path) && !methods.includes(this.nativeMethods[path]))
+      : [];
+    
+    this.api = {
+      version: info.version == null ? null : String(info.version),
+      methods,
+      missing
+    };
+    if (missing.length > 0) {
+      console.log(`🔍 ${this.name} ${this.api.version || ''} does not expose: ${missing.join(', ')}`);
+    }
+    return this.api;
+  }
+
   /**
    * Get wallet info
    */
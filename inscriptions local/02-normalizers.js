@@ -3,13 +3,15 @@
  * Inscription Module #2 - Utilities Layer
  * 
  * Purpose: Normalize different wallet API response formats for consistency
- * Dependencies: None (utility)
- * Exports: normalizeFunctions object
- * Size: ~120 lines, ~3KB brotli
+ * Dependencies: Module #13 (Address decoder for detectAddressType)
+ * Exports: normalizeFunctions object, AddressType, BitcoinNetwork
+ * Size: ~280 lines, ~5KB brotli
  * 
  * Update this module to handle new wallet API formats
  */
 
+import { decodeAddress } from './13-address.js';
+
 /**
  * Normalize inscription data from different wallet formats
  * @param {Object} inscription - Raw inscription data from wallet
@@ -100,55 +102,188 @@ export function normalizeBalance(balance, walletName) {
 }
 
 /**
- * Normalize PSBT signing options across wallets
+ * Canonical PSBT signing options
+ * Accepts the canonical shape or any wallet-native one:
+ *   { inputs: [{ index, address, publicKey, sighashTypes, disableTweakSigner }], autoFinalize, broadcast }
+ *   UniSat/OKX/Wizz  { toSignInputs: [{ index, address, publicKey, sighashTypes, disableTweakSigner }], autoFinalized }
+ *   sats-connect/ME  { inputsToSign: [{ address, signingIndexes, sigHash }] }
+ *   Xverse           { signInputs: { address: [indexes] } }
+ *   Leather          { signAtIndex, allowedSighash }
  * @param {Object} options - Raw options from user
- * @param {string} walletName - Name of wallet for format detection
- * @returns {Object} Normalized options object
+ * @returns {Object} { inputs, autoFinalize, broadcast }
  */
-export function normalizePsbtOptions(options, walletName) {
-  const normalized = {
-    autoFinalized: options.autoFinalized !== false, // Default true
-    toSignInputs: options.toSignInputs || options.inputsToSign || []
+export function normalizeSigningOptions(options = {}) {
+  const inputs = [];
+  const addInput = (index, input = {}) => {
+    const sighashTypes = input.sighashTypes || (input.sighashType !== undefined ? [input.sighashType] : null);
+    inputs.push({
+      index: Number(index),
+      address: input.address || null,
+      publicKey: input.publicKey || null,
+      sighashTypes: sighashTypes && sighashTypes.length ? sighashTypes : null,
+      disableTweakSigner: !!(input.disableTweakSigner || input.useTweakedSigner === false)
+    });
+  };
+  
+  for (const input of options.inputs || options.toSignInputs || []) {
+    addInput(input.index, input);
+  }
+  for (const group of options.inputsToSign || []) {
+    for (const index of group.signingIndexes || []) {
+      addInput(index, { ...group, sighashType: group.sigHash });
+    }
+  }
+  for (const [address, indexes] of Object.entries(options.signInputs || {})) {
+    for (const index of indexes) {
+      addInput(index, { address });
+    }
+  }
+  for (const index of [].concat(options.signAtIndex ?? [])) {
+    addInput(index, { sighashTypes: options.allowedSighash });
+  }
+  for (const index of options.signingIndexes || []) {
+    addInput(index);
+  }
+  
+  return {
+    inputs,
+    autoFinalize: (options.autoFinalize ?? options.autoFinalized) !== false, // Default true
+    broadcast: !!options.broadcast
   };
+}
 
-  // Wallet-specific adjustments
+/**
+ * Group canonical inputs into sats-connect style { address, signingIndexes, sigHash }
+ */
+function groupSigningInputs(inputs) {
+  const groups = new Map();
+  
+  for (const input of inputs) {
+    const sigHash = input.sighashTypes ? input.sighashTypes[0] : undefined;
+    const key = `${input.address}:${sigHash ?? ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { address: input.address, signingIndexes: [], ...(sigHash !== undefined && { sigHash }) });
+    }
+    groups.get(key).signingIndexes.push(input.index);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Translate PSBT signing options into a wallet's native format
+ * Inputs without an address are resolved from their publicKey via the wallet's
+ * accounts, falling back to the wallet's primary address.
+ * @param {Object} options - Canonical or wallet-native options (see normalizeSigningOptions)
+ * @param {string} walletName - Name of wallet for format detection
+ * @param {Object} wallet - { address, accounts } of the connected wallet
+ * @returns {Object} Options in the wallet's own format
+ */
+export function normalizePsbtOptions(options = {}, walletName, wallet = {}) {
+  const { inputs, autoFinalize, broadcast } = normalizeSigningOptions(options);
+  const accounts = normalizeAccounts(wallet.accounts || []);
+  
+  const resolved = inputs.map(input => ({
+    ...input,
+    address: input.address
+      || accounts.find(account => input.publicKey && account.publicKey === input.publicKey)?.address
+      || wallet.address
+      || null
+  }));
+  
   switch (walletName) {
-    case 'Xverse':
-      // Xverse uses specific format for input signing
-      if (options.inputsToSign && Array.isArray(options.inputsToSign)) {
-        normalized.toSignInputs = options.inputsToSign.map(input => ({
-          address: input.address,
-          signingIndexes: input.signingIndexes || input.signingIndexes || [0]
-        }));
+    case 'Xverse': {
+      // sats-connect signPsbt: { address: [indexes] }, no per-input sighash
+      const normalized = { broadcast };
+      if (resolved.length) {
+        normalized.signInputs = {};
+        for (const input of resolved) {
+          (normalized.signInputs[input.address] ||= []).push(input.index);
+        }
       }
-      break;
-      
-    case 'UniSat':
-      // UniSat uses simple array of indices
-      normalized.toSignInputs = options.toSignInputs || [];
-      break;
+      return normalized;
+    }
+    
+    case 'MagicEden':
+    case 'Phantom':
+      // inputsToSign: [{ address, signingIndexes, sigHash }]
+      return resolved.length ? { inputsToSign: groupSigningInputs(resolved), broadcast } : { broadcast };
+    
+    case 'Leather': {
+      // psbtRequest / signPsbt RPC: signAtIndex + allowedSighash
+      const normalized = { broadcast };
+      if (resolved.length) {
+        normalized.signAtIndex = resolved.map(input => input.index);
+      }
+      const sighashes = [...new Set(resolved.flatMap(input => input.sighashTypes || []))];
+      if (sighashes.length) {
+        normalized.allowedSighash = sighashes;
+      }
+      return normalized;
+    }
+    
+    default: {
+      // UniSat, OKX, Wizz: toSignInputs with address or publicKey per input
+      const normalized = { autoFinalized: autoFinalize };
+      if (resolved.length) {
+        normalized.toSignInputs = resolved.map(input => {
+          const toSign = { index: input.index };
+          if (input.address) toSign.address = input.address;
+          if (input.publicKey) toSign.publicKey = input.publicKey;
+          if (input.sighashTypes) toSign.sighashTypes = input.sighashTypes;
+          if (input.disableTweakSigner) toSign.disableTweakSigner = true;
+          return toSign;
+        });
+      }
+      return normalized;
+    }
   }
-
-  return normalized;
 }
 
+/**
+ * Canonical network names used everywhere in NexusWalletConnect
+ * Providers translate these to and from each wallet's own names
+ */
+export const BitcoinNetwork = {
+  LIVENET: 'livenet',
+  TESTNET: 'testnet', // testnet3
+  TESTNET4: 'testnet4',
+  SIGNET: 'signet',
+  REGTEST: 'regtest'
+};
+
 /**
  * Normalize network names across wallets
- * @param {string} network - Raw network name from wallet
- * @returns {string} Normalized network name ('livenet', 'testnet')
+ * Accepts UniSat chains (BITCOIN_TESTNET4), sats-connect names and objects
+ * (Testnet4, { bitcoin: { name } }), Oyl/Leather names (mainnet) and bitcoind names (main, test)
+ * @param {string|Object} network - Raw network name from wallet
+ * @returns {string|null} A BitcoinNetwork value, or null if unknown
  */
 export function normalizeNetwork(network) {
-  const networkLower = (network || '').toLowerCase();
+  const raw = network && typeof network === 'object'
+    ? (network.bitcoin?.name || network.enum || network.network || network.name || network.type)
+    : network;
+  const networkLower = String(raw || '').toLowerCase().replace(/^bitcoin_/, '');
   
-  if (networkLower.includes('main') || networkLower.includes('live')) {
-    return 'livenet';
+  // Fractal and other Bitcoin-like chains are not Bitcoin networks
+  if (!networkLower || networkLower.includes('fractal')) {
+    return null;
+  }
+  if (networkLower.includes('testnet4')) {
+    return BitcoinNetwork.TESTNET4;
+  }
+  if (networkLower.includes('signet')) {
+    return BitcoinNetwork.SIGNET;
+  }
+  if (networkLower.includes('regtest')) {
+    return BitcoinNetwork.REGTEST;
   }
   if (networkLower.includes('test')) {
-    return 'testnet';
+    return BitcoinNetwork.TESTNET;
   }
-  
-  // Default to livenet if unknown
-  return 'livenet';
+  if (networkLower.includes('main') || networkLower.includes('live') || networkLower === 'bitcoin') {
+    return BitcoinNetwork.LIVENET;
+  }
+  return null;
 }
 
 /**
@@ -169,6 +304,158 @@ export function normalizeAddress(address) {
   return '';
 }
 
+// ============= ACCOUNTS =============
+
+/**
+ * Canonical script types for wallet addresses
+ */
+export const AddressType = {
+  P2TR: 'p2tr',
+  P2WPKH: 'p2wpkh',
+  P2WSH: 'p2wsh',
+  P2SH_P2WPKH: 'p2sh-p2wpkh',
+  P2PKH: 'p2pkh'
+};
+
+// Wallet-specific type names (Xverse/Phantom 'p2sh', Leather 'p2wpkh', ...)
+const ADDRESS_TYPE_ALIASES = {
+  p2tr: AddressType.P2TR,
+  taproot: AddressType.P2TR,
+  p2wpkh: AddressType.P2WPKH,
+  nativesegwit: AddressType.P2WPKH,
+  p2wsh: AddressType.P2WSH,
+  p2sh: AddressType.P2SH_P2WPKH,
+  'p2sh-p2wpkh': AddressType.P2SH_P2WPKH,
+  nestedsegwit: AddressType.P2SH_P2WPKH,
+  p2pkh: AddressType.P2PKH,
+  legacy: AddressType.P2PKH
+};
+
+// Oyl getAddresses() keys -> Sats Connect purposes
+const OYL_ACCOUNT_KEYS = {
+  taproot: 'ordinals',
+  nativeSegwit: 'payment',
+  nestedSegwit: 'payment',
+  legacy: 'payment'
+};
+
+/**
+ * Detect the script type of an address
+ * Decoded with module #13, so bech32 types follow the witness version and program length
+ * (a 62-character bc1q address is P2WSH). P2SH is assumed to wrap P2WPKH, as wallets use it
+ * @param {string} address - Bitcoin address
+ * @returns {string|null} AddressType value or null if invalid or unknown
+ */
+export function detectAddressType(address) {
+  try {
+    return ADDRESS_TYPE_ALIASES[decodeAddress(address).type] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detect the network of an address from its prefix
+ * @param {string} address - Bitcoin address
+ * @returns {string|null} 'livenet', 'testnet', 'regtest' or null if unknown
+ *   ('testnet' stands for every tb/m/n/2 network: testnet3, testnet4 and signet)
+ */
+export function detectAddressNetwork(address) {
+  const value = (address || '').toLowerCase();
+  
+  if (value.startsWith('bcrt1')) return 'regtest';
+  if (value.startsWith('bc1') || /^[13]/.test(value)) return 'livenet';
+  if (value.startsWith('tb1') || /^[2mn]/.test(value)) return 'testnet';
+  return null;
+}
+
+/**
+ * Normalize a single wallet account into the canonical shape
+ * @param {string|Object} account - Raw address string or wallet account object
+ * @param {Object} defaults - Fallback {purpose, network} when the wallet omits them
+ * @returns {Object|null} { address, purpose, addressType, publicKey, network }
+ */
+export function normalizeAccount(account, defaults = {}) {
+  const address = normalizeAddress(account);
+  if (!address) {
+    return null;
+  }
+  
+  const raw = typeof account === 'object' && account !== null ? account : {};
+  const hint = String(raw.addressType || raw.type || '').toLowerCase();
+  const addressType = detectAddressType(address) || ADDRESS_TYPE_ALIASES[hint] || null;
+  
+  return {
+    address,
+    purpose: raw.purpose || defaults.purpose ||
+      (addressType === AddressType.P2TR ? 'ordinals' : 'payment'),
+    addressType,
+    publicKey: raw.publicKey || null,
+    network: detectAddressNetwork(address) || defaults.network || null
+  };
+}
+
+/**
+ * Normalize every address a wallet exposes into canonical accounts
+ * Handles Sats Connect / Magic Eden / Phantom arrays (with purpose), Leather
+ * getAddresses (BTC entries only), Oyl {taproot, nativeSegwit} and single addresses
+ * @param {string|Array|Object} accounts - Raw wallet account data
+ * @param {Object} defaults - Fallback {network}
+ * @returns {Array<Object>} Canonical accounts
+ */
+export function normalizeAccounts(accounts, defaults = {}) {
+  if (!accounts) {
+    return [];
+  }
+  
+  if (Array.isArray(accounts)) {
+    return accounts
+      .filter(account => !account?.symbol || account.symbol === 'BTC')
+      .map(account => normalizeAccount(account, defaults))
+      .filter(Boolean);
+  }
+  
+  if (Array.isArray(accounts.addresses)) {
+    return normalizeAccounts(accounts.addresses, defaults);
+  }
+  
+  if (typeof accounts === 'object' && !accounts.address) {
+    return Object.entries(OYL_ACCOUNT_KEYS)
+      .map(([key, purpose]) => accounts[key] && normalizeAccount(accounts[key], { ...defaults, purpose }))
+      .filter(Boolean);
+  }
+  
+  const account = normalizeAccount(accounts, defaults);
+  return account ? [account] : [];
+}
+
+/**
+ * Pick the account for a purpose or address kind
+ * @param {Array<Object>} accounts - Canonical accounts
+ * @param {string} purpose - 'payment', 'ordinals', 'taproot' or 'segwit'
+ * @returns {Object|null} Matching account (a lone account serves every purpose)
+ */
+export function findAccount(accounts, purpose) {
+  if (!accounts?.length) {
+    return null;
+  }
+  
+  let match;
+  switch (purpose) {
+    case 'taproot':
+      match = accounts.find(account => account.addressType === AddressType.P2TR);
+      break;
+    case 'segwit':
+      match = accounts.find(account => account.addressType === AddressType.P2WPKH) ||
+        accounts.find(account => account.addressType === AddressType.P2SH_P2WPKH);
+      break;
+    default:
+      match = accounts.find(account => account.purpose === purpose);
+  }
+  
+  return match || (accounts.length === 1 ? accounts[0] : null);
+}
+
 /**
  * Export all normalizers as single object
  */
@@ -176,8 +463,14 @@ export const normalizers = {
   inscription: normalizeInscription,
   balance: normalizeBalance,
   psbtOptions: normalizePsbtOptions,
+  signingOptions: normalizeSigningOptions,
   network: normalizeNetwork,
-  address: normalizeAddress
+  address: normalizeAddress,
+  account: normalizeAccount,
+  accounts: normalizeAccounts,
+  findAccount,
+  addressType: detectAddressType,
+  addressNetwork: detectAddressNetwork
 };
 
 export default normalizers;
@@ -5,13 +5,18 @@
  * Purpose: Generic Bitcoin wallet detection and connection
  * Dependencies: None (utility)
  * Exports: Connection helper functions
- * Size: ~400 lines, ~8KB brotli
+ * Size: ~550 lines, ~10KB brotli
  * 
  * Handles unique connection patterns for:
  * - Xverse/Leather: btc_providers array detection + JSON-RPC request()
  * - Magic Eden: Direct connect() method with JWT tokens
  * - Generic fallback: window.BitcoinProvider
  * 
+ * Discovery (discoverBitcoinProviders) lists every installed wallet instead of
+ * letting the first one win: WBIP004 btc_providers entries, wallets answering the
+ * btc:requestProvider / btc:announceProvider events (EIP-6963 style) and the
+ * legacy injected globals
+ * 
  * Update this module to add support for new wallet connection patterns
  */
 
@@ -25,9 +30,27 @@ export const AddressPurpose = {
 
 export const BitcoinNetworkType = {
   Mainnet: 'Mainnet',
-  Testnet: 'Testnet'
+  Testnet: 'Testnet',
+  Testnet4: 'Testnet4',
+  Signet: 'Signet',
+  Regtest: 'Regtest'
+};
+
+// EIP-6963 style discovery events for Bitcoin wallets
+// Wallets answer a request with: new CustomEvent('btc:announceProvider',
+//   { detail: { info: { id, name, icon, methods }, provider } })
+export const ProviderDiscoveryEvent = {
+  REQUEST: 'btc:requestProvider',
+  ANNOUNCE: 'btc:announceProvider'
 };
 
+// Injection points checked after btc_providers and announcements (sats-connect legacy)
+const INJECTED_PROVIDERS = [
+  { id: 'magicEden.bitcoin', name: 'Magic Eden' },
+  { id: 'BitcoinProvider', name: 'BitcoinProvider' },
+  { id: 'XverseProviders.BitcoinProvider', name: 'Xverse' }
+];
+
 // ============= HELPER FUNCTIONS =============
 
 /**
@@ -59,6 +82,19 @@ function extractProviderFromEntry(entry) {
   return null;
 }
 
+/**
+ * Resolve a WBIP004 provider id to the object it names on window
+ * e.g. 'XverseProviders.BitcoinProvider' -> window.XverseProviders.BitcoinProvider
+ */
+function resolveProviderPath(id) {
+  if (typeof id !== 'string' || !id) return null;
+  return id.split('.').reduce((target, key) => (target == null ? null : target[key]), window) || null;
+}
+
+function isUsableProvider(provider) {
+  return !!provider && (typeof provider.request === 'function' || typeof provider.connect === 'function');
+}
+
 /**
  * Create unsecured JWT token for Bitcoin wallet API requests
  * Used by: Magic Eden, Xverse, and other wallets that follow sats-connect pattern
@@ -91,16 +127,116 @@ export function createMagicEdenToken(payload) {
   return createUnsecuredToken(payload);
 }
 
+// ============= DISCOVERY =============
+
+// Announced wallets by id (kept across calls, wallets may announce on their own)
+const announcedProviders = new Map();
+let listeningForAnnouncements = false;
+let preferredProviderId = null;
+let warnedMultipleProviders = false;
+
+function listenForAnnouncements() {
+  if (listeningForAnnouncements || typeof window.addEventListener !== 'function') return;
+  listeningForAnnouncements = true;
+  
+  window.addEventListener(ProviderDiscoveryEvent.ANNOUNCE, (event) => {
+    const { info, provider } = event.detail || {};
+    const id = info?.id || info?.uuid || info?.rdns;
+    if (!id || !isUsableProvider(provider)) return;
+    announcedProviders.set(id, { info, provider });
+  });
+}
+
+/**
+ * List every installed Bitcoin wallet provider
+ * Wallets answer the request event synchronously, so the result is complete on return
+ * @returns {Array<Object>} Descriptors { id, name, icon, methods, source, provider }
+ *   source: 'btc_providers' | 'announce' | 'injected'
+ */
+export function discoverBitcoinProviders() {
+  if (typeof window === 'undefined') return [];
+  
+  listenForAnnouncements();
+  if (typeof window.dispatchEvent === 'function' && typeof Event === 'function') {
+    window.dispatchEvent(new Event(ProviderDiscoveryEvent.REQUEST));
+  }
+  
+  const descriptors = [];
+  const add = (descriptor) => {
+    if (!isUsableProvider(descriptor.provider)) return;
+    if (descriptors.some(known => known.id === descriptor.id || known.provider === descriptor.provider)) return;
+    descriptors.push(descriptor);
+  };
+  
+  // WBIP004: entries describe the wallet, id is the path of its provider on window
+  if (Array.isArray(window.btc_providers)) {
+    for (const entry of window.btc_providers) {
+      if (!entry) continue;
+      add({
+        id: entry.id || entry.name,
+        name: entry.name || entry.id,
+        icon: entry.icon || null,
+        methods: entry.methods || [],
+        source: 'btc_providers',
+        provider: extractProviderFromEntry(entry) || resolveProviderPath(entry.id)
+      });
+    }
+  }
+  
+  for (const [id, { info, provider }] of announcedProviders) {
+    add({
+      id,
+      name: info.name || id,
+      icon: info.icon || null,
+      methods: info.methods || [],
+      source: 'announce',
+      provider
+    });
+  }
+  
+  for (const { id, name } of INJECTED_PROVIDERS) {
+    add({ id, name, icon: null, methods: [], source: 'injected', provider: resolveProviderPath(id) });
+  }
+  
+  return descriptors;
+}
+
+/**
+ * Choose which wallet getBitcoinProvider() (and every helper here) uses
+ * @param {string|null} id - Descriptor id from discoverBitcoinProviders(), null restores the default order
+ */
+export function selectBitcoinProvider(id) {
+  preferredProviderId = id || null;
+}
+
 // ============= GET PROVIDER =============
 
 /**
  * Get Bitcoin provider from various possible locations
  * Checks multiple injection points to find the active wallet
+ * @param {string} [id] - Descriptor id from discoverBitcoinProviders() (defaults to the selected one)
  * @returns {Object|null}
  */
-export function getBitcoinProvider() {
+export function getBitcoinProvider(id = preferredProviderId) {
   if (typeof window === 'undefined') return null;
   
+  if (id) {
+    const descriptor = discoverBitcoinProviders().find(candidate => candidate.id === id);
+    if (descriptor) {
+      return descriptor.provider;
+    }
+    console.warn(`❌ Bitcoin provider ${id} not found`);
+    return null;
+  }
+  
+  if (!warnedMultipleProviders) {
+    const found = discoverBitcoinProviders();
+    if (found.length > 1) {
+      warnedMultipleProviders = true;
+      console.warn(`⚠️ ${found.length} Bitcoin wallets found (${found.map(d => d.name).join(', ')}) - using the first, call selectBitcoinProvider(id) to choose`);
+    }
+  }
+  
   // Priority 1: Check btc_providers array (Xverse, Leather register here)
   if (window.btc_providers && Array.isArray(window.btc_providers) && window.btc_providers.length > 0) {
     // Try each provider in order (most recent wins)
@@ -142,9 +278,10 @@ export function getBitcoinProvider() {
  * @param {Object} options
  * @param {Array<string>} options.purposes - Array of address purposes
  * @param {string} [options.message] - Message to display
+ * @param {string} [options.network] - BitcoinNetworkType to request (wallet default if omitted)
  * @returns {Promise<Array>} Array of addresses
  */
-export async function getAddresses({ purposes, message }) {
+export async function getAddresses({ purposes, message, network }) {
   const provider = getBitcoinProvider();
   
   if (!provider) {
@@ -154,7 +291,7 @@ export async function getAddresses({ purposes, message }) {
   // Check if this is Magic Eden (uses direct connect() with JWT)
   if (window.magicEden?.bitcoin && provider === window.magicEden.bitcoin) {
     console.log('🔍 Using Magic Eden direct connect()...');
-    return await connectMagicEden(purposes, message);
+    return await connectMagicEden(purposes, message, network);
   }
   
   // For all other wallets, try multiple method names (different wallets use different ones)
@@ -167,7 +304,8 @@ export async function getAddresses({ purposes, message }) {
       
       const response = await provider.request(methodName, {
         purposes: purposes || [AddressPurpose.Payment, AddressPurpose.Ordinals],
-        message: message || 'Connect to view your Bitcoin addresses'
+        message: message || 'Connect to view your Bitcoin addresses',
+        ...(network ? { network } : {})
       });
       
       console.log(`✅ ${methodName} response:`, response);
@@ -202,15 +340,16 @@ export async function getAddresses({ purposes, message }) {
 
 /**
  * Helper: Connect to Magic Eden using direct connect() method with JWT token
+ * @param {string} [network] - BitcoinNetworkType to connect on (default Mainnet)
  */
-async function connectMagicEden(purposes, message) {
+async function connectMagicEden(purposes, message, network) {
   const provider = window.magicEden.bitcoin;
   
   // Create JWT token (Magic Eden requires this format)
   const payload = {
     purposes: purposes || ['payment', 'ordinals'],
     message: message || 'Connect to view your Bitcoin addresses',
-    network: { type: 'Mainnet' }
+    network: { type: network || BitcoinNetworkType.Mainnet }
   };
   
   const token = createUnsecuredToken(payload);
@@ -397,6 +536,9 @@ export async function getBalance(options = {}) {
 export default {
   AddressPurpose,
   BitcoinNetworkType,
+  ProviderDiscoveryEvent,
+  discoverBitcoinProviders,
+  selectBitcoinProvider,
   getBitcoinProvider,
   getAddresses,
   signMessage,
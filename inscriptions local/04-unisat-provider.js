@@ -3,7 +3,7 @@
  * Inscription Module #4 - UniSat Wallet
  * 
  * Purpose: UniSat wallet with BRC-20 and Runes support
- * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers)
+ * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #13 (Address)
  * Exports: UniSatProvider class
  * Size: ~400 lines, ~8KB brotli
  * 
@@ -15,6 +15,7 @@
 // Import from ordinal inscriptions (update sat numbers after inscribing)
 import { BaseWalletProvider } from './01-base-provider.js'; 
 import { normalizers } from './02-normalizers.js'; 
+import { assertValidRecipient } from './13-address.js';
 
 export class UniSatProvider extends BaseWalletProvider {
   constructor() {
@@ -58,7 +59,33 @@ export class UniSatProvider extends BaseWalletProvider {
       },
       arc20: {
         transfer: false
-      }
+      },
+      eventListeners: true
+    };
+    
+    // window.unisat methods behind each feature (see probeApi)
+    this.nativeMethods = {
+      getBalance: 'getBalance',
+      getPublicKey: 'getPublicKey',
+      getNetwork: 'getNetwork',
+      switchNetwork: 'switchNetwork',
+      signMessage: 'signMessage',
+      signPsbt: 'signPsbt',
+      signPsbts: 'signPsbts',
+      pushPsbt: 'pushPsbt',
+      sendBitcoin: 'sendBitcoin',
+      getInscriptions: 'getInscriptions',
+      inscribe: 'inscribeTransfer',
+      'brc20.transfer': 'inscribeTransfer',
+      'runes.send': 'sendRunes'
+    };
+    
+    // switchChain() names; the legacy switchNetwork() only knows livenet/testnet
+    this.networkNames = {
+      livenet: 'BITCOIN_MAINNET',
+      testnet: 'BITCOIN_TESTNET',
+      testnet4: 'BITCOIN_TESTNET4',
+      signet: 'BITCOIN_SIGNET'
     };
   }
 
@@ -73,7 +100,13 @@ export class UniSatProvider extends BaseWalletProvider {
   async connect() {
     this.requireInstalled();
     
-    const accounts = await this.walletInstance.requestAccounts();
+    let accounts;
+    try {
+      accounts = await this.walletInstance.requestAccounts();
+    } catch (error) {
+      throw this.normalizeError(error, 'Failed to connect to UniSat wallet');
+    }
+
     if (accounts && accounts.length > 0) {
       this.address = accounts[0];
       this.isConnected = true;
@@ -81,7 +114,32 @@ export class UniSatProvider extends BaseWalletProvider {
       return { address: this.address };
     }
     
-    throw new Error('Failed to connect to UniSat wallet');
+    throw this.normalizeError(new Error('Failed to connect to UniSat wallet'));
+  }
+
+  /**
+   * Silent reconnect via getAccounts() - never opens the UniSat popup
+   * @param {Object} session - Persisted session data
+   * @returns {Promise<boolean>} True if the same account is still authorized
+   */
+  async reconnect(session) {
+    if (!this.isInstalled()) return false;
+
+    try {
+      const accounts = await this.walletInstance.getAccounts();
+      if (!accounts || accounts.length === 0 || accounts[0] !== session.address) {
+        return false;
+      }
+
+      this.address = accounts[0];
+      this.publicKey = session.publicKey || null;
+      this.isConnected = true;
+      console.log(`✅ UniSat session restored: ${this.address}`);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ UniSat silent reconnect failed:', error.message);
+      return false;
+    }
   }
 
   async getAddress() {
@@ -114,13 +172,26 @@ export class UniSatProvider extends BaseWalletProvider {
 
   async getNetwork() {
     this.requireInstalled();
+    // getNetwork() reports testnet3 and testnet4 alike as 'testnet'; getChain() tells them apart
+    if (this.hasNativeMethod('getChain')) {
+      const chain = await this.walletInstance.getChain();
+      return normalizers.network(chain);
+    }
     const network = await this.walletInstance.getNetwork();
     return normalizers.network(network);
   }
 
   async switchNetwork(network) {
     this.requireInstalled();
-    await this.walletInstance.switchNetwork(network);
+    const chain = this.toWalletNetwork(network);
+    
+    if (this.hasNativeMethod('switchChain')) {
+      await this.walletInstance.switchChain(chain);
+    } else if (network === 'livenet' || network === 'testnet') {
+      await this.walletInstance.switchNetwork(network);
+    } else {
+      throw this.unsupported('switchNetwork', `This UniSat version cannot switch to ${network}`);
+    }
     console.log(`✅ Switched to ${network}`);
   }
 
@@ -141,7 +212,11 @@ export class UniSatProvider extends BaseWalletProvider {
 
   async signMessage(message, type = 'ecdsa') {
     this.requireConnected();
-    return await this.walletInstance.signMessage(message, type);
+    try {
+      return await this.walletInstance.signMessage(message, type);
+    } catch (error) {
+      throw this.normalizeError(error, 'Message signing failed');
+    }
   }
 
   async multiSignMessage(messages, type = 'ecdsa') {
@@ -162,10 +237,15 @@ export class UniSatProvider extends BaseWalletProvider {
     }
 
     console.log('🔏 UniSat: Signing PSBT...');
-    const signedPsbt = await this.walletInstance.signPsbt(psbtHex);
+    let signedPsbt;
+    try {
+      signedPsbt = await this.walletInstance.signPsbt(psbtHex, normalizers.psbtOptions(options, this.name, this.getSigningContext()));
+    } catch (error) {
+      throw this.normalizeError(error, 'PSBT signing failed');
+    }
     
     if (!signedPsbt) {
-      throw new Error('No signed PSBT returned from UniSat');
+      throw this.normalizeError(new Error('No signed PSBT returned from UniSat'));
     }
 
     console.log('✅ UniSat PSBT signed successfully');
@@ -174,14 +254,27 @@ export class UniSatProvider extends BaseWalletProvider {
 
   async signPsbts(psbtHexs, options = []) {
     this.requireConnected();
-    return await this.walletInstance.signPsbts(psbtHexs, options);
+    // One options object for every PSBT, or one per PSBT
+    const context = this.getSigningContext();
+    const nativeOptions = psbtHexs.map((_, i) =>
+      normalizers.psbtOptions((Array.isArray(options) ? options[i] : options) || {}, this.name, context)
+    );
+    try {
+      return await this.walletInstance.signPsbts(psbtHexs, nativeOptions);
+    } catch (error) {
+      throw this.normalizeError(error, 'PSBT signing failed');
+    }
   }
 
   async pushPsbt(psbtHex) {
     this.requireConnected();
-    const txid = await this.walletInstance.pushPsbt(psbtHex);
-    console.log('✅ PSBT pushed:', txid);
-    return txid;
+    try {
+      const txid = await this.walletInstance.pushPsbt(psbtHex);
+      console.log('✅ PSBT pushed:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Push PSBT failed');
+    }
   }
 
   async verifyMessageOfBIP322Simple(address, message, signature) {
@@ -193,11 +286,17 @@ export class UniSatProvider extends BaseWalletProvider {
   // TRANSACTION METHODS
   // ========================================
 
-  async sendBitcoin(toAddress, amount) {
+  async sendBitcoin(toAddress, amount, options = {}) {
     this.requireConnected();
-    const txid = await this.walletInstance.sendBitcoin(toAddress, amount);
-    console.log('✅ Transaction sent:', txid);
-    return txid;
+    assertValidRecipient(toAddress, this.address);
+    try {
+      // UniSat picks its own fee rate when feeRate is omitted
+      const txid = await this.walletInstance.sendBitcoin(toAddress, amount, options.feeRate ? { feeRate: options.feeRate } : undefined);
+      console.log('✅ Transaction sent:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Send transaction failed');
+    }
   }
 
   async getBitcoinUtxos() {
@@ -244,18 +343,23 @@ export class UniSatProvider extends BaseWalletProvider {
       return await this.inscribeTransfer(brc20Data.tick, brc20Data.amt);
     }
 
-    // For other content types, inform user
-    throw new Error(
+    // Other content types: the loader falls back to commit/reveal PSBTs signed with signPsbt
+    throw this.unsupported(
+      'inscribe',
       'UniSat wallet only supports BRC-20 transfer inscriptions via API. ' +
-      'For other inscriptions (images, text, HTML), please use https://unisat.io/inscribe'
+      'Other inscriptions (images, text, HTML) go through NexusWalletConnect.inscribe() with signPsbt'
     );
   }
 
   async inscribeTransfer(ticker, amount) {
     this.requireConnected();
-    const txid = await this.walletInstance.inscribeTransfer(ticker, amount);
-    console.log('✅ BRC-20 transfer inscribed:', txid);
-    return txid;
+    try {
+      const txid = await this.walletInstance.inscribeTransfer(ticker, amount);
+      console.log('✅ BRC-20 transfer inscribed:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'BRC-20 transfer inscription failed');
+    }
   }
 
   /**
@@ -276,7 +380,7 @@ export class UniSatProvider extends BaseWalletProvider {
       return [];
     } catch (error) {
       console.error('❌ Failed to get BRC-20 list:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -286,9 +390,14 @@ export class UniSatProvider extends BaseWalletProvider {
 
   async sendRunes(toAddress, runeName, amount) {
     this.requireConnected();
-    const txid = await this.walletInstance.sendRunes(toAddress, runeName, amount);
-    console.log('✅ Runes sent:', txid);
-    return txid;
+    assertValidRecipient(toAddress, this.address);
+    try {
+      const txid = await this.walletInstance.sendRunes(toAddress, runeName, amount);
+      console.log('✅ Runes sent:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Send runes failed');
+    }
   }
 
   // ========================================
@@ -322,22 +431,21 @@ export class UniSatProvider extends BaseWalletProvider {
     const wallet = this.walletInstance;
     if (!wallet || !wallet.on) return;
     
-    // Account changes
+    // Account changes (empty list = wallet locked or access revoked)
     wallet.on('accountsChanged', (accounts) => {
       console.log(`👤 UniSat accounts changed:`, accounts);
-      
-      if (!accounts || accounts.length === 0) {
-        this.address = null;
-        this.publicKey = null;
-        this.isConnected = false;
-      } else {
-        this.address = accounts[0];
-      }
+      this.handleAccountsChanged(accounts && accounts.length > 0 ? accounts[0] : null);
     });
     
-    // Network changes
+    // Network changes - chainChanged is exact, networkChanged only matters on versions without chains
+    wallet.on('chainChanged', (chain) => {
+      console.log(`🌐 UniSat chain changed:`, chain);
+      this.handleNetworkChanged(normalizers.network(chain));
+    });
     wallet.on('networkChanged', (network) => {
+      if (this.hasNativeMethod('getChain')) return;
       console.log(`🌐 UniSat network changed:`, network);
+      this.handleNetworkChanged(normalizers.network(network));
     });
     
     console.log(`✅ UniSat event listeners set up`);
@@ -349,6 +457,7 @@ export class UniSatProvider extends BaseWalletProvider {
     const wallet = this.walletInstance;
     if (wallet && wallet.removeAllListeners) {
       wallet.removeAllListeners('accountsChanged');
+      wallet.removeAllListeners('chainChanged');
       wallet.removeAllListeners('networkChanged');
     }
   }
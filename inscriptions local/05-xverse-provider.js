@@ -3,7 +3,7 @@
  * Inscription Module #5 - Xverse Wallet
  * 
  * Purpose: Xverse wallet with ordinals, payment addresses, and Runes support
- * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #3 (WalletConnector)
+ * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #3 (WalletConnector), Module #13 (Address)
  * Exports: XverseProvider class
  * Size: ~745 lines, ~14KB brotli
  * 
@@ -24,19 +24,34 @@
 
 // Import from ordinal inscriptions (update sat numbers after inscribing)
 // Import from ordinal inscriptions (update sat numbers after inscribing)
-import { BaseWalletProvider } from './01-base-provider.js';
+import { BaseWalletProvider, UserRejectedError, WalletErrorCode } from './01-base-provider.js';
+import { normalizers } from './02-normalizers.js';
 import { createUnsecuredToken } from './03-wallet-connector.js';
+import { assertValidRecipient } from './13-address.js';
+
+// Features named after legacy sats-connect JWT methods, as listed by getCapabilities()
+const LEGACY_CAPABILITIES = ['signTransaction', 'signMultipleTransactions', 'sendBtcTransaction', 'createInscription', 'createRepeatInscriptions'];
 
 export class XverseProvider extends BaseWalletProvider {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.provider] - sats-connect provider picked via discovery (any WBIP004 wallet)
+   * @param {string} [options.providerId] - Its descriptor id, persisted for restoreSession()
+   */
+  constructor(options = {}) {
     super('Xverse');
     this.paymentAddress = null;
     this.ordinalsAddress = null;
     this.paymentPublicKey = null;
     this.ordinalsPublicKey = null;
+    this.psbtEncoding = 'base64'; // sats-connect signPsbt takes and returns base64
+    this.providerId = options.providerId || null;
+    this.injectedProvider = options.provider || null;
     
     // Set walletInstance directly (can't call this.getProvider() in constructor)
-    if (typeof window !== 'undefined') {
+    if (this.injectedProvider) {
+      this.walletInstance = this.injectedProvider;
+    } else if (typeof window !== 'undefined') {
       if (window.XverseProviders?.BitcoinProvider) {
         this.walletInstance = window.XverseProviders.BitcoinProvider;
       } else if (window.BitcoinProvider) {
@@ -65,19 +80,45 @@ export class XverseProvider extends BaseWalletProvider {
       getCapabilities: true,            // ✅ NEW: wallet capabilities info
       runes: true,                      // ✅ CONFIRMED: runes_getBalance, runes_transfer, mint, etch
       eventListeners: true,             // addListener for events
-      networkSwitch: false,             // No network switching
+      getNetwork: true,                 // wallet_getNetwork via request()
+      switchNetwork: true,              // wallet_changeNetwork via request()
       brc20: false,                     // No BRC-20 support
       arc20: false,                     // No ARC-20 support
       atomicals: false                  // No Atomicals support
     };
+    
+    // sats-connect RPC methods behind each feature (see probeApi)
+    this.nativeMethods = {
+      getBalance: 'getBalance',
+      getNetwork: 'wallet_getNetwork',
+      switchNetwork: 'wallet_changeNetwork',
+      signMessage: 'signMessage',
+      sendBtcTransaction: 'sendTransfer',
+      getInscriptions: 'ord_getInscriptions',
+      sendInscription: 'ord_sendInscriptions',
+      runes: 'runes_transfer'
+    };
+    
+    // sats-connect BitcoinNetworkType names
+    this.networkNames = {
+      livenet: 'Mainnet',
+      testnet: 'Testnet',
+      testnet4: 'Testnet4',
+      signet: 'Signet',
+      regtest: 'Regtest'
+    };
   }
 
   isInstalled() {
+    if (this.injectedProvider) return true;
     return typeof window.BitcoinProvider !== 'undefined' || 
            typeof window.XverseProviders !== 'undefined';
   }
 
   getProvider() {
+    if (this.injectedProvider) {
+      return this.injectedProvider;
+    }
     if (window.XverseProviders && window.XverseProviders.BitcoinProvider) {
       return window.XverseProviders.BitcoinProvider;
     }
@@ -94,11 +135,18 @@ export class XverseProvider extends BaseWalletProvider {
       const provider = this.getProvider();
       
       // Xverse uses 'wallet_connect' method, NOT 'getAccounts'!
+      // Asking for the dApp's network makes the wallet switch (or refuse) up front
       console.log('🔍 Xverse: Requesting wallet_connect...');
-      const response = await provider.request('wallet_connect');
+      const response = await provider.request('wallet_connect', this.requestedNetwork
+        ? { network: this.toWalletNetwork(this.requestedNetwork) }
+        : undefined);
 
       console.log('🔍 Xverse response:', response);
 
+      if (response?.status === 'error') {
+        throw this.normalizeError(response.error, 'Xverse connection failed');
+      }
+
       if (!response?.result?.addresses) {
         throw new Error('No addresses returned from Xverse');
       }
@@ -117,6 +165,7 @@ export class XverseProvider extends BaseWalletProvider {
       this.paymentPublicKey = paymentAccount.publicKey;
       this.ordinalsPublicKey = ordinalsAccount.publicKey;
       this.address = this.ordinalsAddress; // Use ordinals address as primary
+      this.nativeAccounts = addresses;
       this.isConnected = true;
 
       console.log('✅ Xverse connected:', {
@@ -135,10 +184,44 @@ export class XverseProvider extends BaseWalletProvider {
       };
     } catch (error) {
       console.error('❌ Xverse connection failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
+  /**
+   * Silent reconnect from cached addresses
+   * Xverse has no non-prompting account query, so the persisted payment/ordinals
+   * addresses are reused; a revoked permission surfaces on the next request
+   * @param {Object} session - Persisted session data
+   * @returns {Promise<boolean>} True if the cached addresses were restored
+   */
+  async reconnect(session) {
+    if (!this.isInstalled() || !session.ordinalsAddress || !session.paymentAddress) {
+      return false;
+    }
+
+    this.paymentAddress = session.paymentAddress;
+    this.ordinalsAddress = session.ordinalsAddress;
+    this.paymentPublicKey = session.paymentPublicKey;
+    this.ordinalsPublicKey = session.ordinalsPublicKey;
+    this.address = this.ordinalsAddress;
+    this.isConnected = true;
+
+    console.log('✅ Xverse session restored from cache:', {
+      ordinals: this.ordinalsAddress,
+      payment: this.paymentAddress
+    });
+    return true;
+  }
+
+  getSessionData() {
+    const data = super.getSessionData();
+    if (this.providerId) {
+      data.providerId = this.providerId;
+    }
+    return data;
+  }
+
   async getAddress() {
     this.requireConnected();
     return this.ordinalsAddress || this.address;
@@ -242,10 +325,10 @@ export class XverseProvider extends BaseWalletProvider {
         
         // balance = { confirmed: "123456", unconfirmed: "0", total: "123456" }
         // All values are strings in satoshis
-        const totalSats = parseInt(balance.total, 10);
-        const btcBalance = totalSats / 100000000;
-        
-        return btcBalance;
+        return normalizers.balance({
+          confirmed: parseInt(balance.confirmed || balance.total, 10),
+          unconfirmed: parseInt(balance.unconfirmed || 0, 10)
+        }, 'Xverse');
       } else {
         console.warn('⚠️ No balance data in response');
         return { balance: 0, error: 'No balance data in response', available: false };
@@ -281,13 +364,13 @@ export class XverseProvider extends BaseWalletProvider {
       // Check for error in response
       if (response && response.status === 'error') {
         console.error('Xverse inscriptions error:', response.error);
-        throw new Error(response.error.message || 'Failed to get inscriptions');
+        throw this.normalizeError(response.error, 'Failed to get inscriptions');
       }
       
       // Extract inscriptions from result
       const inscriptions = response?.result?.inscriptions || response?.inscriptions || [];
       
-      return inscriptions.map(inscription => ({
+      const list = inscriptions.map(inscription => ({
         inscriptionId: inscription.inscriptionId || inscription.id,
         inscriptionNumber: inscription.inscriptionNumber || inscription.number,
         contentType: inscription.contentType || inscription.content_type,
@@ -299,19 +382,33 @@ export class XverseProvider extends BaseWalletProvider {
         output: inscription.output,
         outputValue: inscription.outputValue || inscription.output_value
       }));
+      return { list, total: response?.result?.total ?? list.length };
     } catch (error) {
       console.error('❌ Failed to fetch Xverse inscriptions:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
   // ✅ getAllInscriptions() inherited from BaseWalletProvider
   // Provides automatic pagination - no need to override
 
 
-  async signPSBT(psbtHex, options = {}) {
+  async signPsbt(psbtBase64, options = {}) {
+    return await this.signPSBT(psbtBase64, options);
+  }
+
+  /**
+   * Canonical signing options -> Xverse { broadcast, signInputs }
+   * signInputs maps addresses to input indices: { "address1": [0, 1], "address2": [2] }
+   */
+  toSignParams(options = {}) {
+    const { broadcast, signInputs } = normalizers.psbtOptions(options, this.name, this.getSigningContext());
+    return { broadcast, ...(signInputs && { signInputs }) };
+  }
+
+  async signPSBT(psbtBase64, options = {}) {
     this.requireConnected();
 
-    if (!psbtHex || typeof psbtHex !== 'string') {
+    if (!psbtBase64 || typeof psbtBase64 !== 'string') {
       throw new Error('Invalid PSBT: must be a non-empty string');
     }
 
@@ -322,16 +419,10 @@ export class XverseProvider extends BaseWalletProvider {
       }
 
       const params = {
-        psbt: psbtHex,
-        broadcast: options.broadcast || false
+        psbt: psbtBase64,
+        ...this.toSignParams(options)
       };
 
-      // Add signInputs if provided (maps addresses to input indices)
-      // Format: { "address1": [0, 1], "address2": [2] }
-      if (options.signInputs && typeof options.signInputs === 'object') {
-        params.signInputs = options.signInputs;
-      }
-
       console.log('🔏 Xverse: Signing PSBT with params:', { 
         broadcast: params.broadcast, 
         hasSignInputs: !!params.signInputs 
@@ -348,25 +439,21 @@ export class XverseProvider extends BaseWalletProvider {
         console.log('✅ Xverse PSBT signed successfully');
         return response.result.psbt;
       } else if (response && response.error) {
-        // Handle error response
-        const errorCode = response.error.code;
-        if (errorCode === 'USER_REJECTION') {
-          throw new Error('User rejected the signing request');
-        }
-        throw new Error(response.error.message || 'PSBT signing failed');
+        // Handle error response (USER_REJECTION maps to UserRejectedError)
+        throw this.normalizeError(response.error, 'PSBT signing failed');
       }
 
       throw new Error('Invalid response from Xverse wallet');
     } catch (error) {
       console.error('❌ Xverse PSBT signing failed:', error);
-      const errorMessage = error?.message || 'Unknown Xverse signing error';
-      throw new Error(`Xverse: ${errorMessage}`);
+      throw this.normalizeError(error, 'Xverse');
     }
   }
 
 
   async sendBitcoin(toAddress, amount) {
     this.requireConnected();
+    assertValidRecipient(toAddress, this.paymentAddress || this.address);
 
     try {
       const provider = this.getProvider();
@@ -380,18 +467,58 @@ export class XverseProvider extends BaseWalletProvider {
         }
       });
 
-      console.log('✅ Transaction sent:', response.txid);
-      return response.txid;
+      if (response?.status === 'error') {
+        throw this.normalizeError(response.error, 'Send failed');
+      }
+
+      const txid = response?.result?.txid || response?.txid;
+      console.log('✅ Transaction sent:', txid);
+      return txid;
     } catch (error) {
       console.error('❌ Failed to send Bitcoin:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
   // Note: Xverse does not support UTXO fetching through their API
-  // The getInfo method does not exist in sats-connect
   // If UTXOs are needed, use a different wallet like UniSat or Wizz
 
+  /**
+   * Read version and RPC method list from sats-connect getInfo
+   * Builds without getInfo only answer the legacy JWT getCapabilities(), which lists
+   * sats-connect feature names (signTransaction, createInscription, ...) and no version
+   * @returns {Promise<Object>} { version, methods, missing? }
+   */
+  async readApiInfo() {
+    const provider = this.getProvider();
+    let response;
+    try {
+      response = await provider.request('getInfo', undefined);
+    } catch (error) {
+      response = { status: 'error', error };
+    }
+
+    if (response?.status !== 'error') {
+      const info = response?.result || {};
+      return {
+        version: info.version ?? null,
+        methods: Array.isArray(info.methods) ? info.methods : null
+      };
+    }
+
+    if (typeof provider.getCapabilities !== 'function') {
+      throw this.normalizeError(response.error);
+    }
+
+    const capabilities = await provider.getCapabilities(createUnsecuredToken({ network: { type: this.toWalletNetwork(this.requestedNetwork || 'livenet') } }));
+    const names = Array.isArray(capabilities) ? capabilities : (capabilities?.capabilities || []);
+    return {
+      version: null,
+      methods: null,
+      missing: LEGACY_CAPABILITIES.filter(feature => this.features[feature] === true && !names.includes(feature))
+    };
+  }
+
   /**
    * Get wallet capabilities
    * @returns {Promise<Object>} Wallet capabilities
@@ -417,7 +544,7 @@ export class XverseProvider extends BaseWalletProvider {
       };
     } catch (error) {
       console.error('❌ Failed to get capabilities:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -426,22 +553,25 @@ export class XverseProvider extends BaseWalletProvider {
 
     try {
       const provider = this.getProvider();
-      const result = await provider.request('signMessage', {
+      const response = await provider.request('signMessage', {
         address: this.ordinalsAddress || this.address,
         message: message
       });
 
-      return result;
+      if (response?.status === 'error') {
+        throw this.normalizeError(response.error, 'Message signing failed');
+      }
+      return response?.result?.signature || response?.signature || response;
     } catch (error) {
       console.error('❌ Failed to sign message:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
   /**
    * Sign a transaction using native Xverse signTransaction method
    * @param {string} psbtBase64 - Base64 encoded PSBT
-   * @param {Object} options - Signing options
+   * @param {Object} options - Signing options (same as signPsbt)
    * @returns {Promise<Object>} Signed transaction result
    */
   async signTransaction(psbtBase64, options = {}) {
@@ -449,19 +579,19 @@ export class XverseProvider extends BaseWalletProvider {
 
     try {
       const provider = this.getProvider();
-      const result = await provider.signTransaction(psbtBase64, options);
+      const result = await provider.signTransaction(psbtBase64, this.toSignParams(options));
       console.log('✅ Transaction signed via Xverse signTransaction');
-      return result;
+      return result?.psbtBase64 || result;
     } catch (error) {
       console.error('❌ Failed to sign transaction:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
   /**
    * Sign multiple transactions at once using native Xverse method
    * @param {Array<string>} psbtBase64s - Array of Base64 encoded PSBTs
-   * @param {Object} options - Signing options
+   * @param {Object|Array<Object>} options - Signing options, shared or one per PSBT
    * @returns {Promise<Array<Object>>} Array of signed transaction results
    */
   async signMultipleTransactions(psbtBase64s, options = {}) {
@@ -469,12 +599,13 @@ export class XverseProvider extends BaseWalletProvider {
 
     try {
       const provider = this.getProvider();
-      const results = await provider.signMultipleTransactions(psbtBase64s, options);
+      const params = psbtBase64s.map((psbt, i) => this.toSignParams((Array.isArray(options) ? options[i] : options) || {}));
+      const results = await provider.signMultipleTransactions(psbtBase64s, params);
       console.log(`✅ ${results.length} transactions signed via Xverse`);
-      return results;
+      return results.map(result => result?.psbtBase64 || result);
     } catch (error) {
       console.error('❌ Failed to sign multiple transactions:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -499,7 +630,7 @@ export class XverseProvider extends BaseWalletProvider {
       return result;
     } catch (error) {
       console.error('❌ Failed to create inscription:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -525,8 +656,11 @@ export class XverseProvider extends BaseWalletProvider {
         feeRate: payload.suggestedMinerFeeRate
       });
 
-      // Create JWT token using shared utility - same as inscribe
-      const token = createUnsecuredToken(payload);
+      // Create JWT token using shared utility - same as inscribe (network defaults to the dApp's)
+      const token = createUnsecuredToken({
+        network: { type: this.toWalletNetwork(this.requestedNetwork || 'livenet') },
+        ...payload
+      });
       console.log('🔍 Xverse: Created JWT token for repeat inscriptions request');
 
       // Call createRepeatInscriptions method with JWT token
@@ -540,7 +674,7 @@ export class XverseProvider extends BaseWalletProvider {
       }
 
       if (response.error) {
-        throw new Error(response.error.message || 'Provider returned an error');
+        throw this.normalizeError(response.error, 'Provider returned an error');
       }
 
       // Extract result
@@ -555,18 +689,40 @@ export class XverseProvider extends BaseWalletProvider {
     } catch (error) {
       console.error('❌ Failed to create repeat inscriptions:', error);
       
+      const walletError = this.normalizeError(error, 'Batch inscription failed');
+
       // Handle user cancellation
-      if (error.code === 4001 || error.message?.includes('cancel')) {
-        throw new Error('Batch inscription cancelled by user');
+      if (walletError.code === WalletErrorCode.USER_REJECTED) {
+        throw new UserRejectedError('Batch inscription cancelled by user', { wallet: this.name, cause: error });
       }
       
-      throw new Error(`Batch inscription failed: ${error.message}`);
+      throw walletError;
     }
   }
 
   async getNetwork() {
-    // Xverse defaults to mainnet
-    return 'mainnet';
+    this.requireInstalled();
+
+    const response = await this.getProvider().request('wallet_getNetwork', undefined);
+    if (response?.status === 'error') {
+      throw this.normalizeError(response.error, 'Failed to get network');
+    }
+    // { bitcoin: { name: 'Mainnet' | 'Testnet' | 'Testnet4' | 'Signet' | 'Regtest' }, ... }
+    return normalizers.network(response?.result);
+  }
+
+  /**
+   * Ask Xverse to change network (the user confirms in the wallet)
+   * @param {string} network - Canonical network name
+   */
+  async switchNetwork(network) {
+    this.requireInstalled();
+
+    const response = await this.getProvider().request('wallet_changeNetwork', { name: this.toWalletNetwork(network) });
+    if (response?.status === 'error') {
+      throw this.normalizeError(response.error, 'Network switch failed');
+    }
+    console.log(`✅ Switched to ${network}`);
   }
 
   async getPublicKey() {
@@ -647,7 +803,7 @@ export class XverseProvider extends BaseWalletProvider {
         contentType,
         content: processedContent,
         payloadType,
-        network: { type: 'Mainnet' }
+        network: { type: this.toWalletNetwork(this.requestedNetwork || 'livenet') }
       };
 
       // Add optional parameters
@@ -683,7 +839,7 @@ export class XverseProvider extends BaseWalletProvider {
       }
 
       if (response.error) {
-        throw new Error(response.error.message || 'Provider returned an error');
+        throw this.normalizeError(response.error, 'Provider returned an error');
       }
 
       // Extract result
@@ -698,12 +854,14 @@ export class XverseProvider extends BaseWalletProvider {
     } catch (error) {
       console.error('❌ Xverse inscribe error:', error);
       
+      const walletError = this.normalizeError(error, 'Inscription failed');
+
       // Handle user cancellation
-      if (error.code === 4001 || error.message?.includes('cancel')) {
-        throw new Error('Inscription cancelled by user');
+      if (walletError.code === WalletErrorCode.USER_REJECTED) {
+        throw new UserRejectedError('Inscription cancelled by user', { wallet: this.name, cause: error });
       }
       
-      throw new Error(`Inscription failed: ${error.message}`);
+      throw walletError;
     }
   }
 
@@ -730,7 +888,7 @@ export class XverseProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Xverse getRunesBalance failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -745,6 +903,9 @@ export class XverseProvider extends BaseWalletProvider {
    */
   async transferRunes(transferParams) {
     this.requireConnected();
+    if (transferParams?.recipient) {
+      assertValidRecipient(transferParams.recipient, this.paymentAddress || this.address);
+    }
 
     try {
       const provider = this.getProvider();
@@ -756,7 +917,7 @@ export class XverseProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Xverse transferRunes failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -779,7 +940,7 @@ export class XverseProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Xverse mintRunes failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -802,7 +963,7 @@ export class XverseProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Xverse etchRunes failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -825,7 +986,7 @@ export class XverseProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Xverse getRunesOrder failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -839,6 +1000,9 @@ export class XverseProvider extends BaseWalletProvider {
    */
   async sendInscriptions(sendParams) {
     this.requireConnected();
+    if (sendParams?.recipient) {
+      assertValidRecipient(sendParams.recipient, this.ordinalsAddress || this.address);
+    }
 
     try {
       const provider = this.getProvider();
@@ -850,9 +1014,90 @@ export class XverseProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Xverse sendInscriptions failed:', error);
-      throw error;
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Send one inscription (ord_sendInscriptions with a single transfer)
+   * @param {string} toAddress - Recipient
+   * @param {string} inscriptionId - Inscription to send
+   * @returns {Promise<string>} txid
+   */
+  async sendInscription(toAddress, inscriptionId) {
+    this.requireConnected();
+    assertValidRecipient(toAddress, this.ordinalsAddress || this.address);
+
+    try {
+      const response = await this.getProvider().request('ord_sendInscriptions', {
+        transfers: [{ address: toAddress, inscriptionId }]
+      });
+
+      if (response?.status === 'error') {
+        throw this.normalizeError(response.error, 'Send inscription failed');
+      }
+      return response?.result?.txid || response?.txid;
+    } catch (error) {
+      console.error('❌ Xverse sendInscription failed:', error);
+      throw this.normalizeError(error);
     }
   }
+
+  // ========================================
+  // EVENT LISTENERS
+  // ========================================
+
+  /**
+   * Translate sats-connect events (accountChange, networkChange, disconnect)
+   * provider.addListener() returns an unsubscribe function per event
+   */
+  setupEventListeners() {
+    const provider = this.getProvider();
+    if (!provider || typeof provider.addListener !== 'function') return;
+
+    this.removeEventListeners();
+
+    this.nativeUnsubscribers = [
+      provider.addListener('accountChange', (event) => {
+        console.log('👤 Xverse account changed:', event);
+
+        const addresses = event?.addresses || [];
+        const ordinalsAccount = addresses.find(acc => acc.purpose === 'ordinals');
+        const paymentAccount = addresses.find(acc => acc.purpose === 'payment');
+
+        // Xverse does not always include the new addresses - require a fresh connect
+        if (!ordinalsAccount && !paymentAccount) {
+          this.handleAccountsChanged(null);
+          return;
+        }
+
+        this.ordinalsAddress = ordinalsAccount?.address || null;
+        this.paymentAddress = paymentAccount?.address || null;
+        this.ordinalsPublicKey = ordinalsAccount?.publicKey || null;
+        this.paymentPublicKey = paymentAccount?.publicKey || null;
+        this.handleAccountsChanged(this.ordinalsAddress || this.paymentAddress, {
+          paymentAddress: this.paymentAddress,
+          ordinalsAddress: this.ordinalsAddress,
+          accounts: addresses
+        });
+      }),
+      provider.addListener('networkChange', (event) => {
+        console.log('🌐 Xverse network changed:', event);
+        this.handleNetworkChanged(normalizers.network(event));
+      }),
+      provider.addListener('disconnect', () => {
+        console.log('🔌 Xverse disconnected');
+        this.handleDisconnect();
+      })
+    ].filter(unsubscribe => typeof unsubscribe === 'function');
+
+    console.log('✅ Xverse event listeners set up');
+  }
+
+  removeEventListeners() {
+    (this.nativeUnsubscribers || []).forEach(unsubscribe => unsubscribe());
+    this.nativeUnsubscribers = [];
+  }
 }
 
 export default XverseProvider;
@@ -3,7 +3,7 @@
  * Inscription Module #6 - OKX Wallet
  * 
  * Purpose: OKX wallet with comprehensive Bitcoin features
- * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers)
+ * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #13 (Address)
  * Exports: OKXProvider class
  * Size: ~400 lines, ~9KB brotli
  * 
@@ -15,6 +15,7 @@
 // Import from ordinal inscriptions (update sat numbers after inscribing)
 import { BaseWalletProvider } from './01-base-provider.js';
 import { normalizers } from './02-normalizers.js';
+import { assertValidRecipient } from './13-address.js';
 
 
 export class OKXProvider extends BaseWalletProvider {
@@ -25,16 +26,16 @@ export class OKXProvider extends BaseWalletProvider {
     
     this.features = {
       connect: true,
-      getAddress: false, // OKX doesn't have getAddress() - use getAccounts() instead
+      getAddress: true, // OKX has no native getAddress(); served from getAccounts()
       getPublicKey: true,
       getBalance: true,
       getNetwork: true,
       switchNetwork: false,
       signMessage: true,
       signPsbt: true,
-      signPsbts: true, // Available in v2.77.1+
-      pushPsbt: true, // Available in v6.51.0+ and v2.77.1+
-      pushTx: true, // Available in v6.51.0+ and v2.77.1+
+      signPsbts: true, // Available in v2.77.1+ (probeApi flags older versions)
+      pushPsbt: true, // Available in v6.51.0+ and v2.77.1+ (probeApi flags older versions)
+      pushTx: true, // Available in v6.51.0+ and v2.77.1+ (probeApi flags older versions)
       sendBitcoin: true,
       sendInscription: true,
       getInscriptions: true,
@@ -43,7 +44,28 @@ export class OKXProvider extends BaseWalletProvider {
       brc20: { transfer: true, deploy: true, mint: true }, // All available via mint()
       runes: { send: false, mint: false, etch: false },
       atomicals: { transfer: false, mint: false },
-      arc20: { transfer: false }
+      arc20: { transfer: false },
+      eventListeners: true
+    };
+    
+    // window.okxwallet.bitcoin methods behind each feature (see probeApi)
+    this.nativeMethods = {
+      getBalance: 'getBalance',
+      getPublicKey: 'getPublicKey',
+      getNetwork: 'getNetwork',
+      signMessage: 'signMessage',
+      signPsbt: 'signPsbt',
+      signPsbts: 'signPsbts',
+      pushPsbt: 'pushPsbt',
+      pushTx: 'pushTx',
+      sendBitcoin: 'sendBitcoin',
+      sendInscription: 'sendInscription',
+      getInscriptions: 'getInscriptions'
+    };
+    
+    // okxwallet.bitcoin is mainnet only - OKX's testnet/signet objects are separate wallets
+    this.networkNames = {
+      livenet: 'livenet'
     };
   }
 
@@ -54,7 +76,12 @@ export class OKXProvider extends BaseWalletProvider {
   async connect() {
     this.requireInstalled();
     
-    const result = await this.walletInstance.connect();
+    let result;
+    try {
+      result = await this.walletInstance.connect();
+    } catch (error) {
+      throw this.normalizeError(error, 'Failed to connect to OKX wallet');
+    }
     this.address = result.address || result;
     this.publicKey = result.publicKey;
     this.isConnected = true;
@@ -63,6 +90,31 @@ export class OKXProvider extends BaseWalletProvider {
     return result;
   }
 
+  /**
+   * Silent reconnect via getAccounts() - never opens the OKX popup
+   * @param {Object} session - Persisted session data
+   * @returns {Promise<boolean>} True if the same account is still authorized
+   */
+  async reconnect(session) {
+    if (!this.isInstalled()) return false;
+
+    try {
+      const accounts = await this.walletInstance.getAccounts();
+      if (!accounts || accounts.length === 0 || accounts[0] !== session.address) {
+        return false;
+      }
+
+      this.address = accounts[0];
+      this.publicKey = session.publicKey || null;
+      this.isConnected = true;
+      console.log('✅ OKX session restored:', this.address);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ OKX silent reconnect failed:', error.message);
+      return false;
+    }
+  }
+
   async getAddress() {
     this.requireConnected();
     // OKX doesn't have a getAddress() method - use getAccounts() instead
@@ -89,7 +141,11 @@ export class OKXProvider extends BaseWalletProvider {
 
   async signMessage(message, type = 'ecdsa') {
     this.requireConnected();
-    return await this.walletInstance.signMessage(message, type);
+    try {
+      return await this.walletInstance.signMessage(message, type);
+    } catch (error) {
+      throw this.normalizeError(error, 'Message signing failed');
+    }
   }
 
   async signPsbt(psbtHex, options = {}) {
@@ -97,66 +153,98 @@ export class OKXProvider extends BaseWalletProvider {
     
     // OKX signPsbt default autoFinalized is true in v2.77.1+
     console.log('🔏 OKX: Signing PSBT...');
-    const signedPsbt = await this.walletInstance.signPsbt(psbtHex, options);
-    console.log('✅ OKX PSBT signed');
-    return signedPsbt;
+    try {
+      const signedPsbt = await this.walletInstance.signPsbt(psbtHex, normalizers.psbtOptions(options, this.name, this.getSigningContext()));
+      console.log('✅ OKX PSBT signed');
+      return signedPsbt;
+    } catch (error) {
+      throw this.normalizeError(error, 'PSBT signing failed');
+    }
   }
 
   async signPsbts(psbtHexs, options = []) {
     this.requireConnected();
+    if (!this.supportsMethod('signPsbts')) {
+      throw this.unsupported('signPsbts', 'OKX signPsbts needs wallet v2.77.1+');
+    }
+    
+    // One options object for every PSBT, or one per PSBT
+    const context = this.getSigningContext();
+    const nativeOptions = psbtHexs.map((_, i) =>
+      normalizers.psbtOptions((Array.isArray(options) ? options[i] : options) || {}, this.name, context)
+    );
     
     console.log('🔏 OKX: Signing multiple PSBTs...');
-    const signedPsbts = await this.walletInstance.signPsbts(psbtHexs, options);
-    console.log('✅ OKX PSBTs signed');
-    return signedPsbts;
+    try {
+      const signedPsbts = await this.walletInstance.signPsbts(psbtHexs, nativeOptions);
+      console.log('✅ OKX PSBTs signed');
+      return signedPsbts;
+    } catch (error) {
+      throw this.normalizeError(error, 'PSBT signing failed');
+    }
   }
 
   async pushPsbt(psbtHex) {
     this.requireConnected();
+    if (!this.supportsMethod('pushPsbt')) {
+      throw this.unsupported('pushPsbt', 'OKX pushPsbt needs wallet v2.77.1+');
+    }
     
     console.log('📤 OKX: Pushing PSBT...');
-    const txid = await this.walletInstance.pushPsbt(psbtHex);
-    console.log('✅ PSBT pushed:', txid);
-    return txid;
+    try {
+      const txid = await this.walletInstance.pushPsbt(psbtHex);
+      console.log('✅ PSBT pushed:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Push PSBT failed');
+    }
   }
 
   async pushTx(rawTx) {
     this.requireConnected();
+    if (!this.supportsMethod('pushTx')) {
+      throw this.unsupported('pushTx', 'OKX pushTx needs wallet v2.77.1+');
+    }
     
     console.log('📤 OKX: Pushing raw transaction...');
-    const txid = await this.walletInstance.pushTx(rawTx);
-    console.log('✅ Transaction pushed:', txid);
-    return txid;
+    try {
+      const txid = await this.walletInstance.pushTx(rawTx);
+      console.log('✅ Transaction pushed:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Push transaction failed');
+    }
   }
 
-  async sendBitcoin(toAddress, satoshis) {
+  async sendBitcoin(toAddress, satoshis, options = {}) {
     this.requireConnected();
     
-    // Validate Bitcoin address format
-    if (!toAddress || typeof toAddress !== 'string') {
-      throw new Error('Invalid recipient address: must be a non-empty string');
-    }
-    
-    // Basic Bitcoin address validation
-    const addressRegex = /^(bc1|[13]|tb1|[mn2])[a-zA-HJ-NP-Z0-9]{25,87}$/;
-    if (!addressRegex.test(toAddress)) {
-      throw new Error('Invalid Bitcoin address format');
-    }
+    // Checksum + network validation (base58check / bech32 / bech32m)
+    assertValidRecipient(toAddress, this.address);
     
     if (!satoshis || satoshis <= 0) {
       throw new Error('Invalid amount: must be positive number in satoshis');
     }
     
-    const txid = await this.walletInstance.sendBitcoin(toAddress, satoshis);
-    console.log('✅ Transaction sent:', txid);
-    return txid;
+    try {
+      const txid = await this.walletInstance.sendBitcoin(toAddress, satoshis, options.feeRate ? { feeRate: options.feeRate } : undefined);
+      console.log('✅ Transaction sent:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Send transaction failed');
+    }
   }
 
   async sendInscription(toAddress, inscriptionId, options = {}) {
     this.requireConnected();
-    const txid = await this.walletInstance.sendInscription(toAddress, inscriptionId, options);
-    console.log('✅ Inscription sent:', txid);
-    return txid;
+    assertValidRecipient(toAddress, this.address);
+    try {
+      const txid = await this.walletInstance.sendInscription(toAddress, inscriptionId, options);
+      console.log('✅ Inscription sent:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Send inscription failed');
+    }
   }
 
   async getInscriptions(cursor = 0, size = 100) {
@@ -185,11 +273,15 @@ export class OKXProvider extends BaseWalletProvider {
     if (typeof content === 'string' && content.length <= 5 && !options.contentType && !options.receiveAddress) {
       console.log('🎫 OKX: Creating BRC-20 transfer inscription for ticker:', content);
       // OKX inscribe() expects an OBJECT with type, from, and tick
-      return await this.walletInstance.inscribe({
-        type: 51, // Type 51 for BRC-20 transfer
-        from: this.address,
-        tick: content
-      });
+      try {
+        return await this.walletInstance.inscribe({
+          type: 51, // Type 51 for BRC-20 transfer
+          from: this.address,
+          tick: content
+        });
+      } catch (error) {
+        throw this.normalizeError(error, 'Inscription failed');
+      }
     }
     
     // Otherwise, use mint() for general inscriptions
@@ -208,7 +300,11 @@ export class OKXProvider extends BaseWalletProvider {
     };
     
     console.log('🔍 OKX mint payload:', mintPayload);
-    return await this.walletInstance.mint(mintPayload);
+    try {
+      return await this.walletInstance.mint(mintPayload);
+    } catch (error) {
+      throw this.normalizeError(error, 'Inscription failed');
+    }
   }
 
   async inscribeTransfer(ticker, amount) {
@@ -236,6 +332,7 @@ export class OKXProvider extends BaseWalletProvider {
 
   async transferNft(toAddress, inscriptionId) {
     this.requireConnected();
+    assertValidRecipient(toAddress, this.address);
     return await this.walletInstance.transferNft(toAddress, inscriptionId);
   }
 
@@ -263,22 +360,16 @@ export class OKXProvider extends BaseWalletProvider {
     const wallet = this.walletInstance;
     if (!wallet || !wallet.on) return;
     
-    // Account changes
+    // Account changes (empty list = wallet locked or access revoked)
     wallet.on('accountsChanged', (accounts) => {
       console.log(`👤 OKX accounts changed:`, accounts);
-      
-      if (!accounts || accounts.length === 0) {
-        this.address = null;
-        this.publicKey = null;
-        this.isConnected = false;
-      } else {
-        this.address = accounts[0];
-      }
+      this.handleAccountsChanged(accounts && accounts.length > 0 ? accounts[0] : null);
     });
     
     // Network changes
     wallet.on('networkChanged', (network) => {
       console.log(`🌐 OKX network changed:`, network);
+      this.handleNetworkChanged(normalizers.network(network));
     });
     
     console.log(`✅ OKX event listeners set up`);
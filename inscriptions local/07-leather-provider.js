@@ -28,6 +28,7 @@
 
 // Import from ordinal inscriptions (update sat numbers after inscribing)
 import { BaseWalletProvider } from './01-base-provider.js';
+import { normalizers } from './02-normalizers.js';
 
 
 export class LeatherProvider extends BaseWalletProvider {
@@ -65,7 +66,13 @@ export class LeatherProvider extends BaseWalletProvider {
       stacksTransaction: true,          // ✅ transactionRequest()
       profileUpdate: true,              // ✅ profileUpdateRequest()
       getProductInfo: true,             // ✅ getProductInfo()
-      getURL: true                      // ✅ getURL()
+      getURL: true,                     // ✅ getURL()
+      eventListeners: false             // ❌ No wallet events (request() RPC only)
+    };
+    
+    // Leather RPC methods behind each feature (see probeApi)
+    this.nativeMethods = {
+      getAddress: 'getAddresses'
     };
   }
 
@@ -134,13 +141,15 @@ export class LeatherProvider extends BaseWalletProvider {
 
       const bitcoinAddress = addresses.find(addr => addr.type === 'p2wpkh') || addresses[0];
       this.address = bitcoinAddress?.address;
+      this.publicKey = bitcoinAddress?.publicKey || null;
+      this.nativeAccounts = addresses;
       this.isConnected = true;
       
       console.log('✅ Leather connected:', this.address);
       return { address: this.address, allAddresses: addresses };
     } catch (error) {
       console.error('❌ Leather connection failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -160,7 +169,7 @@ export class LeatherProvider extends BaseWalletProvider {
       return response.result?.addresses || response.addresses;
     } catch (error) {
       console.error('❌ Failed to get accounts:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -183,7 +192,7 @@ export class LeatherProvider extends BaseWalletProvider {
       return info;
     } catch (error) {
       console.error('❌ Failed to get product info:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -201,7 +210,31 @@ export class LeatherProvider extends BaseWalletProvider {
       return url;
     } catch (error) {
       console.error('❌ Failed to get URL:', error);
-      throw error;
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Read version and RPC method list from Leather's getInfo
+   * Older builds without getInfo still report their version through getProductInfo()
+   * @returns {Promise<Object>} { version, methods }
+   */
+  async readApiInfo() {
+    const provider = this.getProvider();
+
+    try {
+      const response = await provider.request('getInfo');
+      const info = response?.result || {};
+      return {
+        version: info.version ?? null,
+        methods: Array.isArray(info.supportedMethods) ? info.supportedMethods : null
+      };
+    } catch (error) {
+      if (typeof provider.getProductInfo !== 'function') {
+        throw error;
+      }
+      const info = await provider.getProductInfo();
+      return { version: info?.version ?? null, methods: null };
     }
   }
 
@@ -231,10 +264,10 @@ export class LeatherProvider extends BaseWalletProvider {
       });
 
       console.log('✅ Leather message signed');
-      return response;
+      return typeof response === 'string' ? response : (response?.result?.signature || response?.signature);
     } catch (error) {
       console.error('❌ Failed to sign message:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -256,7 +289,7 @@ export class LeatherProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Failed to sign structured data:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -265,7 +298,7 @@ export class LeatherProvider extends BaseWalletProvider {
    * Docs: https://leather.gitbook.io/developers/bitcoin/sign-transactions
    * @param {string} psbtHex - PSBT in hex format
    * @param {Object} options - Signing options
-   * @returns {Promise<Object>} Signed PSBT response
+   * @returns {Promise<string>} Signed PSBT hex
    */
   async signPsbt(psbtHex, options = {}) {
     this.requireConnected();
@@ -285,19 +318,24 @@ export class LeatherProvider extends BaseWalletProvider {
       // Use Leather's actual method: psbtRequest (NOT signPsbt!)
       const response = await provider.psbtRequest({
         hex: psbtHex,
-        ...options
+        ...normalizers.psbtOptions(options, this.name, this.getSigningContext())
       });
 
       if (!response) {
         throw new Error('No response from Leather wallet');
       }
 
+      // Leather wraps the signed PSBT as { hex } or { result: { hex } }
+      const signedHex = typeof response === 'string' ? response : (response.result?.hex || response.hex);
+      if (!signedHex) {
+        throw new Error('No signed PSBT in Leather response');
+      }
+
       console.log('✅ Leather PSBT signed successfully');
-      return response;
+      return signedHex;
     } catch (error) {
       console.error('❌ Leather PSBT signing failed:', error);
-      const errorMessage = error?.message || 'Unknown Leather signing error';
-      throw new Error(`Leather signing failed: ${errorMessage}`);
+      throw this.normalizeError(error, 'Leather signing failed');
     }
   }
 
@@ -324,7 +362,7 @@ export class LeatherProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Authentication failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -347,7 +385,7 @@ export class LeatherProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Stacks transaction failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -370,7 +408,7 @@ export class LeatherProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Profile update failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
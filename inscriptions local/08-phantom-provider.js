@@ -3,7 +3,7 @@
  * Inscription Module #8 - Phantom Wallet
  * 
  * Purpose: Phantom wallet with limited Bitcoin support
- * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers)
+ * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #13 (Address)
  * Exports: PhantomProvider class
  * Size: ~240 lines, ~5KB brotli
  * 
@@ -14,6 +14,8 @@
 
 // Import from ordinal inscriptions (update sat numbers after inscribing)
 import { BaseWalletProvider } from './01-base-provider.js';
+import { normalizers } from './02-normalizers.js';
+import { assertValidRecipient } from './13-address.js';
 
 
 export class PhantomProvider extends BaseWalletProvider {
@@ -28,13 +30,18 @@ export class PhantomProvider extends BaseWalletProvider {
       connect: true,
       getAddress: true,
       getPublicKey: true,
-      getBalance: true,
+      getBalance: false,           // No balance API - getBalance() answers 0
       getNetwork: true,
       signMessage: true,
       signPsbt: true,              // signPSBT (uppercase) supported
-      sendBitcoin: true,
+      sendBitcoin: false,          // No send API - build and sign a PSBT instead
       eventListeners: true
     };
+    
+    // Phantom's Bitcoin wallet is mainnet only
+    this.networkNames = {
+      livenet: 'mainnet'
+    };
   }
 
   isInstalled() {
@@ -57,6 +64,7 @@ export class PhantomProvider extends BaseWalletProvider {
       
       this.address = response[0].address;
       this.publicKey = response[0].publicKey;
+      this.nativeAccounts = response;
       this.isConnected = true;
       
       console.log('✅ Phantom connected:', {
@@ -70,7 +78,7 @@ export class PhantomProvider extends BaseWalletProvider {
       };
     } catch (error) {
       console.error('❌ Phantom connection failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -99,7 +107,7 @@ export class PhantomProvider extends BaseWalletProvider {
       return [this.address];
     } catch (error) {
       console.error('❌ Failed to get accounts:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -111,12 +119,13 @@ export class PhantomProvider extends BaseWalletProvider {
     this.requireConnected();
 
     try {
-      const signature = await this.walletInstance.signMessage(message);
-      // Handle both formats: string or {signature: string}
-      return typeof signature === 'string' ? signature : signature.signature;
+      const response = await this.walletInstance.signMessage(message);
+      // Handle both formats: string or { signature: string | Uint8Array }
+      const signature = typeof response === 'string' ? response : response.signature;
+      return typeof signature === 'string' ? signature : btoa(String.fromCharCode(...signature));
     } catch (error) {
       console.error('❌ Failed to sign message:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -124,24 +133,26 @@ export class PhantomProvider extends BaseWalletProvider {
     this.requireConnected();
 
     try {
-      // Phantom has two methods: signPsbt and signPSBT (uppercase)
+      // Phantom has two methods: signPsbt and signPSBT (uppercase) - the API probe says which
+      // Both take the same { inputsToSign } options
+      const nativeOptions = normalizers.psbtOptions(options, this.name, this.getSigningContext());
       let signedPsbt;
       
-      if (this.walletInstance.signPSBT) {
-        // Try uppercase version first (newer API)
-        signedPsbt = await this.walletInstance.signPSBT(psbtHex, options);
-      } else if (this.walletInstance.signPsbt) {
+      if (this.hasNativeMethod('signPSBT')) {
+        // Uppercase version first (newer API)
+        signedPsbt = await this.walletInstance.signPSBT(psbtHex, nativeOptions);
+      } else if (this.hasNativeMethod('signPsbt')) {
         // Fallback to lowercase version
-        signedPsbt = await this.walletInstance.signPsbt(psbtHex);
+        signedPsbt = await this.walletInstance.signPsbt(psbtHex, nativeOptions);
       } else {
-        throw new Error('No PSBT signing method available');
+        throw this.unsupported('signPsbt', 'This Phantom version has no PSBT signing method');
       }
       
       // Handle both formats: string or {signedPsbtHex: string}
       return typeof signedPsbt === 'string' ? signedPsbt : signedPsbt.signedPsbtHex;
     } catch (error) {
       console.error('❌ Failed to sign PSBT:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -163,7 +174,7 @@ export class PhantomProvider extends BaseWalletProvider {
       };
     } catch (error) {
       console.error('❌ Failed to get balance:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -172,10 +183,10 @@ export class PhantomProvider extends BaseWalletProvider {
     
     try {
       const network = await this.walletInstance.getNetwork();
-      return network;
+      return normalizers.network(network);
     } catch (error) {
       console.error('❌ Failed to get network:', error);
-      return 'mainnet';
+      return 'livenet';
     }
   }
 
@@ -185,6 +196,10 @@ export class PhantomProvider extends BaseWalletProvider {
 
   async sendBitcoin(recipientAddress, amount, options = {}) {
     this.requireConnected();
+    assertValidRecipient(recipientAddress, this.address);
+    if (typeof this.walletInstance.sendTransfer !== 'function') {
+      throw this.unsupported('sendBitcoin', 'Phantom has no Bitcoin send API - sign a PSBT instead');
+    }
     
     try {
       const response = await this.walletInstance.sendTransfer({
@@ -197,7 +212,7 @@ export class PhantomProvider extends BaseWalletProvider {
       return response;
     } catch (error) {
       console.error('❌ Failed to send Bitcoin:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -210,16 +225,13 @@ export class PhantomProvider extends BaseWalletProvider {
       return;
     }
 
-    // Listen for account changes
+    // Listen for account changes (empty list = wallet locked or access revoked)
     this.walletInstance.on('accountsChanged', (accounts) => {
       console.log('👤 Phantom accounts changed:', accounts);
       if (accounts && accounts.length > 0) {
-        this.address = accounts[0].address;
-        this.publicKey = accounts[0].publicKey;
+        this.handleAccountsChanged(accounts[0].address, { publicKey: accounts[0].publicKey, accounts });
       } else {
-        this.address = null;
-        this.publicKey = null;
-        this.isConnected = false;
+        this.handleAccountsChanged(null);
       }
     });
 
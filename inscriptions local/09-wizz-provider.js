@@ -3,7 +3,7 @@
  * Inscription Module #9 - Wizz Wallet
  * 
  * Purpose: Wizz wallet with multi-protocol support (BRC-20, ARC-20, Atomicals, Runes)
- * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers)
+ * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #13 (Address)
  * Exports: WizzProvider class
  * Size: ~600 lines, ~12KB brotli
  * 
@@ -13,8 +13,9 @@
  */
 
 // Import from ordinal inscriptions (update sat numbers after inscribing)
-import { BaseWalletProvider } from './01-base-provider.js';
+import { BaseWalletProvider, UserRejectedError, WalletInternalError } from './01-base-provider.js';
 import { normalizers } from './02-normalizers.js';
+import { assertValidRecipient } from './13-address.js';
 
 
 export class WizzProvider extends BaseWalletProvider {
@@ -41,14 +42,37 @@ export class WizzProvider extends BaseWalletProvider {
       getInscriptions: true,
       getAllInscriptions: true,
       inscribe: true,
-      brc20: { transfer: true, deploy: true, mint: true },
-      runes: { send: true, mint: false, etch: false },
+      brc20: { transfer: true, deploy: false, mint: false }, // transfer via inscribe() type 51
+      runes: { send: false, mint: false, etch: false },
       atomicals: { transfer: true, mint: true },
       arc20: { transfer: true },
       biHelix: true,            // BiHelix support (UNIQUE to Wizz)
       cpfp: true,               // CPFP support (requestCPFP)
       mempoolInjection: true,   // injectMempool() (UNIQUE to Wizz)
-      bip322: true              // BIP322 message verification
+      bip322: true,             // BIP322 message verification
+      eventListeners: true
+    };
+    
+    // window.wizz methods behind each feature (see probeApi)
+    this.nativeMethods = {
+      getBalance: 'getBalance',
+      getPublicKey: 'getPublicKey',
+      getNetwork: 'getNetwork',
+      switchNetwork: 'switchNetwork',
+      signMessage: 'signMessage',
+      signPsbt: 'signPsbt',
+      pushPsbt: 'pushPsbt',
+      sendBitcoin: 'sendBitcoin',
+      inscribe: 'inscribe',
+      'atomicals.transfer': 'sendAtomicals'
+    };
+    
+    // UniSat-style switchChain() names; the legacy switchNetwork() only knows livenet/testnet
+    this.networkNames = {
+      livenet: 'BITCOIN_MAINNET',
+      testnet: 'BITCOIN_TESTNET',
+      testnet4: 'BITCOIN_TESTNET4',
+      signet: 'BITCOIN_SIGNET'
     };
   }
 
@@ -70,15 +94,16 @@ export class WizzProvider extends BaseWalletProvider {
       // Wizz returns simple array of address strings OR object with address + publicKey
       let result = null;
       
-      if (typeof provider.connect === 'function') {
+      // Older Wizz builds have no connect(); the API probe says which entry point exists
+      if (this.hasNativeMethod('connect')) {
         console.log('🔍 Using connect() method...');
         result = await provider.connect();
       }
-      else if (typeof provider.requestAccounts === 'function') {
+      else if (this.hasNativeMethod('requestAccounts')) {
         console.log('🔍 Using requestAccounts() method...');
         result = await provider.requestAccounts();
       }
-      else if (typeof provider.getAccounts === 'function') {
+      else if (this.hasNativeMethod('getAccounts')) {
         console.log('🔍 Using getAccounts() method...');
         result = await provider.getAccounts();
       }
@@ -112,7 +137,7 @@ export class WizzProvider extends BaseWalletProvider {
       }
       
       // Try to get publicKey if not already set
-      if (!this.publicKey && typeof provider.getPublicKey === 'function') {
+      if (!this.publicKey && this.hasNativeMethod('getPublicKey')) {
         try {
           this.publicKey = await provider.getPublicKey();
           console.log('   📝 Retrieved Public Key:', this.publicKey);
@@ -135,14 +160,42 @@ export class WizzProvider extends BaseWalletProvider {
       
       // Provide helpful error messages
       if (error.code === -32603) {
-        throw new Error('Wizz wallet error: Please unlock your wallet and refresh the page');
+        throw new WalletInternalError('Wizz wallet error: Please unlock your wallet and refresh the page', { wallet: this.name, cause: error });
       }
       
       if (error.message?.includes('User rejected')) {
-        throw new Error('Connection request was rejected');
+        throw new UserRejectedError('Connection request was rejected', { wallet: this.name, cause: error });
       }
       
-      throw error;
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Silent reconnect via getAccounts() - never opens the Wizz popup
+   * @param {Object} session - Persisted session data
+   * @returns {Promise<boolean>} True if the same account is still authorized
+   */
+  async reconnect(session) {
+    if (!this.isInstalled() || typeof this.walletInstance.getAccounts !== 'function') {
+      return false;
+    }
+
+    try {
+      const accounts = await this.walletInstance.getAccounts();
+      const address = Array.isArray(accounts) ? accounts[0] : accounts?.address;
+      if (!address || address !== session.address) {
+        return false;
+      }
+
+      this.address = address;
+      this.publicKey = session.publicKey || null;
+      this.isConnected = true;
+      console.log('✅ Wizz session restored:', this.address);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Wizz silent reconnect failed:', error.message);
+      return false;
     }
   }
 
@@ -173,17 +226,30 @@ export class WizzProvider extends BaseWalletProvider {
     this.requireInstalled();
 
     try {
+      // getChain() tells testnet3 and testnet4 apart where the wallet has it
+      if (this.hasNativeMethod('getChain')) {
+        const chain = await this.walletInstance.getChain();
+        return normalizers.network(chain);
+      }
       const network = await this.walletInstance.getNetwork();
       return normalizers.network(network);
     } catch (error) {
       console.error('❌ Failed to get network:', error);
-      return 'livenet';
+      return null;
     }
   }
 
   async switchNetwork(network) {
     this.requireInstalled();
-    await this.walletInstance.switchNetwork(network);
+    const chain = this.toWalletNetwork(network);
+    
+    if (this.hasNativeMethod('switchChain')) {
+      await this.walletInstance.switchChain(chain);
+    } else if (network === 'livenet' || network === 'testnet') {
+      await this.walletInstance.switchNetwork(network);
+    } else {
+      throw this.unsupported('switchNetwork', `This Wizz version cannot switch to ${network}`);
+    }
     console.log(`✅ Switched to ${network}`);
   }
 
@@ -204,7 +270,11 @@ export class WizzProvider extends BaseWalletProvider {
 
   async signMessage(message, type = 'ecdsa') {
     this.requireConnected();
-    return await this.walletInstance.signMessage(message, type);
+    try {
+      return await this.walletInstance.signMessage(message, type);
+    } catch (error) {
+      throw this.normalizeError(error, 'Message signing failed');
+    }
   }
 
   async verifyMessage(message, signature, address) {
@@ -219,14 +289,22 @@ export class WizzProvider extends BaseWalletProvider {
 
   async signPsbt(psbtHex, options = {}) {
     this.requireConnected();
-    return await this.walletInstance.signPsbt(psbtHex, options);
+    try {
+      return await this.walletInstance.signPsbt(psbtHex, normalizers.psbtOptions(options, this.name, this.getSigningContext()));
+    } catch (error) {
+      throw this.normalizeError(error, 'PSBT signing failed');
+    }
   }
 
   async pushPsbt(psbtHex) {
     this.requireConnected();
-    const txid = await this.walletInstance.pushPsbt(psbtHex);
-    console.log('✅ PSBT broadcasted:', txid);
-    return txid;
+    try {
+      const txid = await this.walletInstance.pushPsbt(psbtHex);
+      console.log('✅ PSBT broadcasted:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Push PSBT failed');
+    }
   }
 
   // ========================================
@@ -235,9 +313,14 @@ export class WizzProvider extends BaseWalletProvider {
 
   async sendBitcoin(toAddress, amount, options = {}) {
     this.requireConnected();
-    const txid = await this.walletInstance.sendBitcoin(toAddress, amount, options);
-    console.log('✅ Transaction sent:', txid);
-    return txid;
+    assertValidRecipient(toAddress, this.address);
+    try {
+      const txid = await this.walletInstance.sendBitcoin(toAddress, amount, options);
+      console.log('✅ Transaction sent:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Send transaction failed');
+    }
   }
 
   async getBitcoinUtxos() {
@@ -269,7 +352,7 @@ export class WizzProvider extends BaseWalletProvider {
       let inscriptions = [];
       
       // Try different methods to get inscriptions
-      if (typeof provider.getInscriptions === 'function') {
+      if (this.hasNativeMethod('getInscriptions')) {
         console.log('📦 Using getInscriptions method...');
         const response = await provider.getInscriptions(offset, limit);
         
@@ -284,7 +367,7 @@ export class WizzProvider extends BaseWalletProvider {
           inscriptions = response.result.inscriptions || response.result.list || [];
         }
       }
-      else if (typeof provider.getOrdinals === 'function') {
+      else if (this.hasNativeMethod('getOrdinals')) {
         console.log('📦 Using getOrdinals method...');
         const response = await provider.getOrdinals(offset, limit);
         inscriptions = Array.isArray(response) ? response : (response.list || response.inscriptions || []);
@@ -367,10 +450,20 @@ export class WizzProvider extends BaseWalletProvider {
       };
     } catch (error) {
       console.error('❌ Wizz inscribe error:', error);
-      throw new Error(`Inscription failed: ${error.message}`);
+      throw this.normalizeError(error, 'Inscription failed');
     }
   }
 
+  /**
+   * BRC-20 transfer inscription (Wizz inscribe() type 51)
+   * @param {string} ticker - BRC-20 ticker
+   * @param {string|number} amount - Amount to make transferable
+   */
+  async inscribeTransfer(ticker, amount) {
+    const brc20 = { p: 'brc-20', op: 'transfer', tick: ticker, amt: String(amount) };
+    return await this.inscribe(JSON.stringify(brc20), { metadata: { brc20 } });
+  }
+
   async requestMint(mintData) {
     this.requireConnected();
     return await this.walletInstance.requestMint(mintData);
@@ -383,6 +476,7 @@ export class WizzProvider extends BaseWalletProvider {
   // ARC-20 Methods
   async sendARC20(toAddress, ticker, amount) {
     this.requireConnected();
+    assertValidRecipient(toAddress, this.address);
     const txid = await this.walletInstance.sendARC20(toAddress, ticker, amount);
     console.log('✅ ARC-20 sent:', txid);
     return txid;
@@ -437,22 +531,21 @@ export class WizzProvider extends BaseWalletProvider {
     const wallet = this.walletInstance;
     if (!wallet || !wallet.on) return;
     
-    // Account changes
+    // Account changes (empty list = wallet locked or access revoked)
     wallet.on('accountsChanged', (accounts) => {
       console.log(`👤 Wizz accounts changed:`, accounts);
-      
-      if (!accounts || accounts.length === 0) {
-        this.address = null;
-        this.publicKey = null;
-        this.isConnected = false;
-      } else {
-        this.address = accounts[0];
-      }
+      this.handleAccountsChanged(accounts && accounts.length > 0 ? accounts[0] : null);
     });
     
-    // Network changes
+    // Network changes - chainChanged is exact, networkChanged only matters on versions without chains
+    wallet.on('chainChanged', (chain) => {
+      console.log(`🌐 Wizz chain changed:`, chain);
+      this.handleNetworkChanged(normalizers.network(chain));
+    });
     wallet.on('networkChanged', (network) => {
+      if (this.hasNativeMethod('getChain')) return;
       console.log(`🌐 Wizz network changed:`, network);
+      this.handleNetworkChanged(normalizers.network(network));
     });
     
     console.log(`✅ Wizz event listeners set up`);
@@ -464,6 +557,7 @@ export class WizzProvider extends BaseWalletProvider {
     const wallet = this.walletInstance;
     if (wallet && wallet.removeAllListeners) {
       wallet.removeAllListeners('accountsChanged');
+      wallet.removeAllListeners('chainChanged');
       wallet.removeAllListeners('networkChanged');
     }
   }
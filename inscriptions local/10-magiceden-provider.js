@@ -3,7 +3,7 @@
  * Inscription Module #10 - Magic Eden Wallet
  * 
  * Purpose: Magic Eden wallet with JWT authentication
- * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #3 (WalletConnector)
+ * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #3 (WalletConnector), Module #13 (Address)
  * Exports: MagicEdenProvider class
  * Size: ~370 lines, ~8KB brotli
  * 
@@ -22,14 +22,17 @@
 
 // Import from ordinal inscriptions
 // Import from ordinal inscriptions (update sat numbers after inscribing)
-import { BaseWalletProvider } from './01-base-provider.js';
+import { BaseWalletProvider, InsufficientFundsError, NotInstalledError, UserRejectedError, WalletInternalError } from './01-base-provider.js';
+import { normalizers } from './02-normalizers.js';
 import { createUnsecuredToken } from './03-wallet-connector.js';
+import { assertValidRecipient } from './13-address.js';
 
 export class MagicEdenProvider extends BaseWalletProvider {
   constructor() {
     super('MagicEden');
     this.paymentAddress = null;
     this.ordinalsAddress = null;
+    this.psbtEncoding = 'base64'; // signTransaction payload carries psbtBase64
     
     this.walletInstance = this.getProvider();
     
@@ -57,8 +60,24 @@ export class MagicEdenProvider extends BaseWalletProvider {
       atomicals: { transfer: false, mint: false },
       arc20: { transfer: false },
       jwtAuth: true,            // Uses JWT token authentication (UNIQUE)
-      hardwareDetection: true   // Has isHardware() method
+      hardwareDetection: true,  // Has isHardware() method
+      eventListeners: true
     };
+    
+    // sats-connect network types accepted in the JWT payloads
+    this.networkNames = {
+      livenet: 'Mainnet',
+      testnet: 'Testnet',
+      signet: 'Signet'
+    };
+  }
+
+  /**
+   * Helper: JWT network field for the dApp's network (Magic Eden cannot be asked which one it is on)
+   * @returns {Object} { type: 'Mainnet' | 'Testnet' | 'Signet' }
+   */
+  jwtNetwork() {
+    return { type: this.toWalletNetwork(this.requestedNetwork || 'livenet') };
   }
 
   getProvider() {
@@ -95,7 +114,7 @@ export class MagicEdenProvider extends BaseWalletProvider {
     const hasLeather = typeof window.LeatherProvider !== 'undefined';
     
     if ((hasXverse || hasLeather) && !provider?.isMagicEden) {
-      throw new Error(
+      throw new NotInstalledError(
         '🚨 WALLET CONFLICT DETECTED\n\n' +
         'Magic Eden cannot coexist with other Bitcoin wallets.\n' +
         `Detected: ${hasXverse ? 'Xverse ' : ''}${hasLeather ? 'Leather' : ''}\n\n` +
@@ -103,19 +122,21 @@ export class MagicEdenProvider extends BaseWalletProvider {
         '1. Disable Xverse and Leather extensions\n' +
         '2. Refresh the page\n' +
         '3. Try again\n\n' +
-        'OR use Xverse wallet instead (recommended for multi-wallet support)'
+        'OR use Xverse wallet instead (recommended for multi-wallet support)',
+        { wallet: this.name }
       );
     }
 
     if (!provider || !provider.isMagicEden) {
-      throw new Error(
+      throw new NotInstalledError(
         '⚠️ Magic Eden wallet is installed but cannot be accessed.\n\n' +
         'This happens when multiple Bitcoin wallets are installed.\n\n' +
         'SOLUTION:\n' +
         '1. Disable Xverse and Leather extensions\n' +
         '2. Refresh the page\n' +
         '3. Try again\n\n' +
-        'OR use Xverse wallet instead (recommended)'
+        'OR use Xverse wallet instead (recommended)',
+        { wallet: this.name }
       );
     }
 
@@ -124,7 +145,7 @@ export class MagicEdenProvider extends BaseWalletProvider {
       const payload = {
         purposes: ['payment', 'ordinals'],
         message: 'Connect to view your Bitcoin addresses',
-        network: { type: 'Mainnet' }
+        network: this.jwtNetwork()
       };
       
       const request = createUnsecuredToken(payload);
@@ -149,6 +170,7 @@ export class MagicEdenProvider extends BaseWalletProvider {
       this.ordinalsAddress = ordinalsAddress?.address;
       this.address = ordinalsAddress?.address || paymentAddress?.address;
       this.publicKey = paymentAddress?.publicKey || ordinalsAddress?.publicKey;
+      this.nativeAccounts = response.addresses;
       this.isConnected = true;
 
       console.log('✅ Magic Eden connected:', {
@@ -164,7 +186,7 @@ export class MagicEdenProvider extends BaseWalletProvider {
       };
     } catch (error) {
       console.error('❌ Magic Eden connection failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -199,13 +221,32 @@ export class MagicEdenProvider extends BaseWalletProvider {
   }
 
   async getNetwork() {
-    return 'mainnet';
+    // No network API: the connect payload picked the network and the address prefix confirms it
+    const fromAddress = normalizers.addressNetwork(this.address);
+    if (fromAddress === 'testnet' && this.requestedNetwork === 'signet') {
+      return 'signet';
+    }
+    return fromAddress || this.requestedNetwork || 'livenet';
   }
 
   // ========================================
   // SIGNING METHODS
   // ========================================
 
+  /**
+   * inputsToSign for a JWT signing request, translated from canonical or native options
+   * Only when the caller names no inputs does it default to input 0 of the connected address
+   * @param {Object} options - PSBT signing options (see normalizers.psbtOptions)
+   * @returns {{ inputsToSign: Array<Object>, broadcast: boolean }}
+   */
+  toSigningRequest(options = {}) {
+    const { inputsToSign, broadcast } = normalizers.psbtOptions(options, this.name, this.getSigningContext());
+    return {
+      inputsToSign: inputsToSign || [{ address: this.address, signingIndexes: [0] }],
+      broadcast
+    };
+  }
+
   async signMessage(message) {
     this.requireConnected();
 
@@ -226,7 +267,7 @@ export class MagicEdenProvider extends BaseWalletProvider {
       return signature;
     } catch (error) {
       console.error('❌ Magic Eden sign message failed:', error);
-      throw new Error(`Message signing failed: ${error.message}`);
+      throw this.normalizeError(error, 'Message signing failed');
     }
   }
 
@@ -234,18 +275,12 @@ export class MagicEdenProvider extends BaseWalletProvider {
     this.requireConnected();
 
     try {
-      const signingIndexes = options.signingIndexes || [0];
-      
       // Create JWT token for sign transaction request
       const payload = {
-        network: { type: 'Mainnet' },
+        network: this.jwtNetwork(),
         message: 'Sign transaction',
         psbtBase64,
-        broadcast: false,
-        inputsToSign: [{
-          address: this.address,
-          signingIndexes
-        }]
+        ...this.toSigningRequest(options)
       };
       
       const request = createUnsecuredToken(payload);
@@ -263,24 +298,45 @@ export class MagicEdenProvider extends BaseWalletProvider {
       throw new Error('No signed PSBT returned');
     } catch (error) {
       console.error('❌ Magic Eden sign PSBT failed:', error);
-      throw new Error(`PSBT signing failed: ${error.message}`);
+      throw this.normalizeError(error, 'PSBT signing failed');
     }
   }
 
-  async signTransaction(psbtBase64) {
+  async signTransaction(psbtBase64, options = {}) {
     this.requireConnected();
 
-    const result = await this.walletInstance.signTransaction(psbtBase64);
-    console.log('✅ Transaction signed via Magic Eden');
-    return result;
+    try {
+      // signTransaction() takes a JWT request, the same one signPsbt() builds
+      return await this.signPsbt(psbtBase64, options);
+    } catch (error) {
+      throw this.normalizeError(error, 'Transaction signing failed');
+    }
   }
 
-  async signMultipleTransactions(psbtBase64s) {
+  async signMultipleTransactions(psbtBase64s, options = {}) {
     this.requireConnected();
 
-    const results = await this.walletInstance.signMultipleTransactions(psbtBase64s);
-    console.log(`✅ ${results.length} transactions signed via Magic Eden`);
-    return results;
+    try {
+      // One options object for every PSBT, or one per PSBT
+      const request = createUnsecuredToken({
+        network: this.jwtNetwork(),
+        message: 'Sign transactions',
+        psbts: psbtBase64s.map((psbtBase64, i) => ({
+          psbtBase64,
+          inputsToSign: this.toSigningRequest((Array.isArray(options) ? options[i] : options) || {}).inputsToSign
+        }))
+      });
+      const results = await this.walletInstance.signMultipleTransactions(request);
+      console.log(`✅ ${results.length} transactions signed via Magic Eden`);
+      return results.map(result => result?.psbtBase64 || result);
+    } catch (error) {
+      throw this.normalizeError(error, 'Transaction signing failed');
+    }
+  }
+
+  async signPsbts(psbtBase64s, options = []) {
+    // One signMultipleTransactions() popup instead of one per PSBT
+    return await this.signMultipleTransactions(psbtBase64s, options);
   }
 
   // ========================================
@@ -290,16 +346,8 @@ export class MagicEdenProvider extends BaseWalletProvider {
   async sendBitcoin(toAddress, amount) {
     this.requireConnected();
 
-    // Validate Bitcoin address format
-    if (!toAddress || typeof toAddress !== 'string') {
-      throw new Error('Invalid recipient address: must be a valid Bitcoin address string');
-    }
-
-    // Basic Bitcoin address validation
-    const addressRegex = /^(bc1|[13]|tb1)[a-zA-HJ-NP-Z0-9]{25,90}$/;
-    if (!addressRegex.test(toAddress)) {
-      throw new Error(`Invalid Bitcoin address format: ${toAddress}`);
-    }
+    // Checksum + network validation (base58check / bech32 / bech32m)
+    assertValidRecipient(toAddress, this.paymentAddress || this.address);
 
     try {
       // Convert BTC to satoshis if needed
@@ -335,17 +383,18 @@ export class MagicEdenProvider extends BaseWalletProvider {
       console.error('❌ Magic Eden send BTC failed:', error);
       
       // Improve error messages
-      let errorMessage = error.message || 'Unknown error';
+      const errorMessage = error.message || 'Unknown error';
+      const options = { wallet: this.name, cause: error };
       
       if (errorMessage.includes('validation')) {
-        errorMessage = 'Invalid address format. Please check the recipient address.';
+        throw new WalletInternalError('Send transaction failed: Invalid address format. Please check the recipient address.', options);
       } else if (errorMessage.includes('rejected')) {
-        errorMessage = 'Transaction was rejected by user';
+        throw new UserRejectedError('Send transaction failed: Transaction was rejected by user', options);
       } else if (errorMessage.includes('insufficient')) {
-        errorMessage = 'Insufficient balance to complete transaction';
+        throw new InsufficientFundsError('Send transaction failed: Insufficient balance to complete transaction', options);
       }
       
-      throw new Error(`Send transaction failed: ${errorMessage}`);
+      throw this.normalizeError(error, 'Send transaction failed');
     }
   }
 
@@ -379,7 +428,7 @@ export class MagicEdenProvider extends BaseWalletProvider {
 
   async call(method, params = {}) {
     if (!this.walletInstance || !this.walletInstance.call) {
-      throw new Error('Magic Eden RPC call method not available');
+      throw this.unsupported('call', 'Magic Eden RPC call method not available');
     }
 
     try {
@@ -389,7 +438,7 @@ export class MagicEdenProvider extends BaseWalletProvider {
       return result;
     } catch (error) {
       console.error(`❌ Magic Eden RPC call failed:`, error);
-      throw new Error(`RPC call failed: ${error.message}`);
+      throw this.normalizeError(error, 'RPC call failed');
     }
   }
 
@@ -410,11 +459,15 @@ export class MagicEdenProvider extends BaseWalletProvider {
       if (!accounts || accounts.length === 0) {
         this.paymentAddress = null;
         this.ordinalsAddress = null;
-        this.isConnected = false;
+        this.handleAccountsChanged(null);
       } else {
         // Magic Eden returns address strings
         this.paymentAddress = accounts[0];
         this.ordinalsAddress = accounts[0];
+        this.handleAccountsChanged(accounts[0], {
+          paymentAddress: this.paymentAddress,
+          ordinalsAddress: this.ordinalsAddress
+        });
       }
     });
     
@@ -3,7 +3,7 @@
  * Inscription Module #11 - Oyl Wallet
  * 
  * Purpose: Oyl wallet with taproot and native segwit support
- * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers)
+ * Dependencies: Module #1 (BaseWalletProvider), Module #2 (Normalizers), Module #13 (Address)
  * Exports: OylProvider class
  * Size: ~340 lines, ~7KB brotli
  * 
@@ -17,6 +17,7 @@
 // Import from ordinal inscriptions (update sat numbers after inscribing)
 import { BaseWalletProvider } from './01-base-provider.js';
 import { normalizers } from './02-normalizers.js';
+import { assertValidRecipient } from './13-address.js';
 
 
 export class OylProvider extends BaseWalletProvider {
@@ -49,7 +50,29 @@ export class OylProvider extends BaseWalletProvider {
       runes: { send: false, mint: false, etch: false },
       atomicals: { transfer: false, mint: false },
       arc20: { transfer: false },
-      relayProvider: true       // sendToRelayProvider() available
+      relayProvider: true,      // sendToRelayProvider() available
+      eventListeners: false     // window.oyl has no documented event API
+    };
+    
+    // window.oyl methods behind each feature (see probeApi)
+    this.nativeMethods = {
+      getBalance: 'getBalance',
+      getNetwork: 'getNetwork',
+      switchNetwork: 'switchNetwork',
+      signMessage: 'signMessage',
+      signPsbt: 'signPsbt',
+      signPsbts: 'signPsbts',
+      pushPsbt: 'pushPsbt',
+      sendBitcoin: 'sendBitcoin',
+      getInscriptions: 'getInscriptions'
+    };
+    
+    // Oyl network names (getNetwork() returns 'mainnet' on livenet)
+    this.networkNames = {
+      livenet: 'mainnet',
+      testnet: 'testnet',
+      signet: 'signet',
+      regtest: 'regtest'
     };
   }
 
@@ -94,6 +117,8 @@ export class OylProvider extends BaseWalletProvider {
         }
       }
       
+      this.nativeAccounts = accounts;
+
       if (!this.address) {
         throw new Error('No valid address returned from Oyl wallet');
       }
@@ -112,7 +137,7 @@ export class OylProvider extends BaseWalletProvider {
       };
     } catch (error) {
       console.error('❌ Oyl connection failed:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -127,6 +152,40 @@ export class OylProvider extends BaseWalletProvider {
     console.log('✅ Oyl disconnected');
   }
 
+  /**
+   * Silent reconnect via isConnected() + getAddresses() - never opens the Oyl popup
+   * @param {Object} session - Persisted session data
+   * @returns {Promise<boolean>} True if the same account is still authorized
+   */
+  async reconnect(session) {
+    if (!(await this.isConnectedCheck())) {
+      return false;
+    }
+
+    try {
+      const accounts = await this.walletInstance.getAddresses();
+      const taproot = accounts?.taproot?.address;
+      const nativeSegwit = accounts?.nativeSegwit?.address;
+      const primary = taproot || nativeSegwit;
+
+      if (!primary || primary !== session.address) {
+        return false;
+      }
+
+      this.address = primary;
+      this.ordinalsAddress = taproot;
+      this.paymentAddress = nativeSegwit;
+      this.publicKey = accounts.taproot?.publicKey || session.publicKey || null;
+      this.nativeAccounts = accounts;
+      this.isConnected = true;
+      console.log('✅ Oyl session restored:', this.address);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Oyl silent reconnect failed:', error.message);
+      return false;
+    }
+  }
+
   async isConnectedCheck() {
     if (!this.isInstalled()) {
       return false;
@@ -173,7 +232,7 @@ export class OylProvider extends BaseWalletProvider {
       return [];
     } catch (error) {
       console.error('❌ Failed to get accounts:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -187,9 +246,9 @@ export class OylProvider extends BaseWalletProvider {
         return normalizers.balance(balance, 'Oyl');
       }
       
-      throw new Error('Oyl wallet does not support balance fetching');
+      throw this.unsupported('getBalance', 'Oyl wallet does not support balance fetching');
     } catch (error) {
-      throw new Error(`Failed to get Oyl balance: ${error.message}`);
+      throw this.normalizeError(error, 'Failed to get Oyl balance');
     }
   }
 
@@ -201,16 +260,16 @@ export class OylProvider extends BaseWalletProvider {
         const network = await this.walletInstance.getNetwork();
         return normalizers.network(network);
       }
-      return 'livenet';
+      return null;
     } catch (error) {
       console.error('❌ Failed to get network:', error);
-      return 'livenet';
+      return null;
     }
   }
 
   async switchNetwork(network) {
     this.requireInstalled();
-    await this.walletInstance.switchNetwork(network);
+    await this.walletInstance.switchNetwork(this.toWalletNetwork(network));
     console.log(`✅ Switched to network: ${network}`);
   }
 
@@ -220,49 +279,84 @@ export class OylProvider extends BaseWalletProvider {
 
   async signMessage(message) {
     this.requireConnected();
-    return await this.walletInstance.signMessage(message);
+    try {
+      return await this.walletInstance.signMessage(message);
+    } catch (error) {
+      throw this.normalizeError(error, 'Message signing failed');
+    }
   }
 
-  async signPsbt(psbtHex) {
+  /**
+   * Oyl signing request: { psbt, finalize, broadcast } plus UniSat-style toSignInputs
+   * @param {string} psbtHex - PSBT to sign
+   * @param {Object} options - Canonical or wallet-native signing options
+   * @returns {Object} Request for signPsbt() / signPsbts()
+   */
+  toSignRequest(psbtHex, options = {}) {
+    const { toSignInputs, autoFinalized } = normalizers.psbtOptions(options, this.name, this.getSigningContext());
+    const { broadcast } = normalizers.signingOptions(options);
+    return { psbt: psbtHex, finalize: autoFinalized, broadcast, ...(toSignInputs && { toSignInputs }) };
+  }
+
+  async signPsbt(psbtHex, options = {}) {
     this.requireConnected();
-    return await this.walletInstance.signPsbt(psbtHex);
+    try {
+      const result = await this.walletInstance.signPsbt(this.toSignRequest(psbtHex, options));
+      // broadcast: true answers { psbt, txid }
+      return typeof result === 'object' && result?.psbt ? result.psbt : result;
+    } catch (error) {
+      throw this.normalizeError(error, 'PSBT signing failed');
+    }
   }
 
-  async signPsbts(psbtHexs) {
+  async signPsbts(psbtHexs, options = []) {
     this.requireConnected();
-    return await this.walletInstance.signPsbts(psbtHexs);
+    try {
+      // One options object for every PSBT, or one per PSBT
+      return await this.walletInstance.signPsbts(psbtHexs.map((psbtHex, i) =>
+        this.toSignRequest(psbtHex, (Array.isArray(options) ? options[i] : options) || {})
+      ));
+    } catch (error) {
+      throw this.normalizeError(error, 'PSBT signing failed');
+    }
   }
 
   async pushPsbt(psbtHex) {
     this.requireConnected();
-    const txid = await this.walletInstance.pushPsbt(psbtHex);
-    console.log('✅ PSBT pushed:', txid);
-    return txid;
+    try {
+      const txid = await this.walletInstance.pushPsbt(psbtHex);
+      console.log('✅ PSBT pushed:', txid);
+      return txid;
+    } catch (error) {
+      throw this.normalizeError(error, 'Push PSBT failed');
+    }
   }
 
   // ========================================
   // TRANSACTION METHODS
   // ========================================
 
-  async sendBitcoin(toAddress, amount) {
+  async sendBitcoin(toAddress, amount, options = {}) {
     this.requireConnected();
+    assertValidRecipient(toAddress, this.paymentAddress || this.address);
 
     // Check if Oyl actually supports this
     if (typeof this.walletInstance.sendBitcoin !== 'function') {
       console.warn('⚠️ Oyl wallet may not support sendBitcoin directly');
-      throw new Error(
+      throw this.unsupported(
+        'sendBitcoin',
         'Oyl wallet does not support sendBitcoin() method.\n' +
         'Use sendToRelayProvider() or external transaction building.'
       );
     }
     
     try {
-      const txid = await this.walletInstance.sendBitcoin(toAddress, amount);
+      const txid = await this.walletInstance.sendBitcoin(toAddress, amount, options);
       console.log('✅ Transaction sent:', txid);
       return txid;
     } catch (error) {
       console.error('❌ Failed to send Bitcoin:', error);
-      throw error;
+      throw this.normalizeError(error);
     }
   }
 
@@ -303,7 +397,7 @@ export class OylProvider extends BaseWalletProvider {
     this.requireInstalled();
     
     if (typeof this.walletInstance.sendToRelayProvider !== 'function') {
-      throw new Error('Oyl wallet does not support sendToRelayProvider()');
+      throw this.unsupported('sendToRelayProvider', 'Oyl wallet does not support sendToRelayProvider()');
     }
     
     return await this.walletInstance.sendToRelayProvider(data);
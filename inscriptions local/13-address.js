@@ -0,0 +1,635 @@
+/**
+ * Address Codec - Utility Module
+ * Inscription Module #13 - Utilities Layer
+ * 
+ * Purpose: Decode and validate Bitcoin addresses without external libraries
+ * Dependencies: Module #1 (WalletError classes for assertValidRecipient)
+ * Exports: decodeAddress(), validateAddress(), isValidAddress(), assertValidRecipient(),
+ *          decodeOutputScript(), addressToScript(), sha256(), hash160(), hex helpers
+ * Size: ~500 lines, ~5KB brotli
+ * 
+ * Supports:
+ * - Base58Check: P2PKH (1.../m.../n...) and P2SH (3.../2...)
+ * - Bech32 (BIP173): witness v0 P2WPKH / P2WSH
+ * - Bech32m (BIP350): witness v1+ (P2TR and future versions)
+ * - Networks: mainnet, testnet3, testnet4, signet, regtest
+ */
+
+import { NetworkMismatchError, WalletInternalError } from './01-base-provider.js';
+
+// ============= NETWORKS =============
+
+/**
+ * Address prefixes per network ('testnet' is testnet3)
+ * testnet, testnet4 and signet share every prefix; regtest shares base58 versions with them
+ */
+export const ADDRESS_NETWORKS = {
+  livenet: { bech32: 'bc', pubKeyHash: 0x00, scriptHash: 0x05 },
+  testnet: { bech32: 'tb', pubKeyHash: 0x6f, scriptHash: 0xc4 },
+  testnet4: { bech32: 'tb', pubKeyHash: 0x6f, scriptHash: 0xc4 },
+  signet: { bech32: 'tb', pubKeyHash: 0x6f, scriptHash: 0xc4 },
+  regtest: { bech32: 'bcrt', pubKeyHash: 0x6f, scriptHash: 0xc4 }
+};
+
+const NETWORK_ALIASES = {
+  mainnet: 'livenet',
+  livenet: 'livenet',
+  bitcoin: 'livenet',
+  testnet: 'testnet',
+  testnet3: 'testnet',
+  testnet4: 'testnet4',
+  signet: 'signet',
+  regtest: 'regtest'
+};
+
+/**
+ * Map wallet network names (Mainnet, testnet4, ...) to an ADDRESS_NETWORKS key
+ * @param {string} network - Network name from a wallet or the app
+ * @returns {string|null} 'livenet', 'testnet', 'testnet4', 'signet', 'regtest' or null
+ */
+export function resolveAddressNetwork(network) {
+  return NETWORK_ALIASES[(network || '').toLowerCase()] || null;
+}
+
+// ============= HASHING =============
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+// First 32 bits of the fractional parts of the square/cube roots of the first primes
+const PRIMES = [];
+for (let n = 2; PRIMES.length < 64; n++) {
+  if (PRIMES.every(p => n % p !== 0)) PRIMES.push(n);
+}
+const fraction = (x) => ((x - Math.floor(x)) * 0x100000000) >>> 0;
+const SHA256_INIT = PRIMES.slice(0, 8).map(p => fraction(Math.sqrt(p)));
+const SHA256_K = PRIMES.map(p => fraction(Math.cbrt(p)));
+
+/**
+ * Synchronous SHA-256 (FIPS 180-4)
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256(bytes) {
+  const hash = Uint32Array.from(SHA256_INIT);
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(padded.length - 4, (bytes.length << 3) >>> 0);
+  
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      h = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+    
+    hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+    hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+  }
+  
+  const digest = new Uint8Array(32);
+  const out = new DataView(digest.buffer);
+  hash.forEach((word, i) => out.setUint32(i * 4, word));
+  return digest;
+}
+
+/**
+ * Double SHA-256 (checksums, txids)
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256d(bytes) {
+  return sha256(sha256(bytes));
+}
+
+// RIPEMD-160 message word order, rotation amounts and constants (left and right lines)
+const RMD_R = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8,
+  3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12, 1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2,
+  4, 0, 5, 9, 7, 12, 2, 10, 14, 1, 3, 8, 11, 6, 15, 13
+];
+const RMD_RP = [
+  5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12, 6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2,
+  15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13, 8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14,
+  12, 15, 10, 4, 1, 5, 8, 7, 6, 2, 13, 14, 0, 3, 9, 11
+];
+const RMD_S = [
+  11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8, 7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12,
+  11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5, 11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12,
+  9, 15, 5, 11, 6, 8, 13, 12, 5, 12, 13, 14, 11, 8, 5, 6
+];
+const RMD_SP = [
+  8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6, 9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11,
+  9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5, 15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8,
+  8, 5, 12, 9, 12, 5, 14, 6, 8, 13, 6, 5, 15, 13, 11, 11
+];
+const RMD_K = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e];
+const RMD_KP = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000];
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+function ripemdF(round, x, y, z) {
+  switch (round) {
+    case 0: return x ^ y ^ z;
+    case 1: return (x & y) | (~x & z);
+    case 2: return (x | ~y) ^ z;
+    case 3: return (x & z) | (y & ~z);
+    default: return x ^ (y | ~z);
+  }
+}
+
+function ripemd160(bytes) {
+  const hash = Uint32Array.of(0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0);
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (bytes.length << 3) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(bytes.length / 0x20000000), true);
+  
+  const x = new Uint32Array(16);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      x[i] = view.getUint32(offset + i * 4, true);
+    }
+    
+    let [al, bl, cl, dl, el] = hash;
+    let [ar, br, cr, dr, er] = hash;
+    for (let j = 0; j < 80; j++) {
+      const round = j >> 4;
+      let t = (rotl((al + ripemdF(round, bl, cl, dl) + x[RMD_R[j]] + RMD_K[round]) | 0, RMD_S[j]) + el) | 0;
+      al = el; el = dl; dl = rotl(cl, 10); cl = bl; bl = t;
+      t = (rotl((ar + ripemdF(4 - round, br, cr, dr) + x[RMD_RP[j]] + RMD_KP[round]) | 0, RMD_SP[j]) + er) | 0;
+      ar = er; er = dr; dr = rotl(cr, 10); cr = br; br = t;
+    }
+    
+    const t = hash[1] + cl + dr;
+    hash[1] = hash[2] + dl + er;
+    hash[2] = hash[3] + el + ar;
+    hash[3] = hash[4] + al + br;
+    hash[4] = hash[0] + bl + cr;
+    hash[0] = t;
+  }
+  
+  const digest = new Uint8Array(20);
+  const out = new DataView(digest.buffer);
+  hash.forEach((word, i) => out.setUint32(i * 4, word, true));
+  return digest;
+}
+
+/**
+ * RIPEMD-160 of SHA-256 (public key and script hashes)
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 20-byte digest
+ */
+export function hash160(bytes) {
+  return ripemd160(sha256(bytes));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Lowercase hex
+ */
+export function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} hex - Hex string (even length)
+ * @returns {Uint8Array}
+ */
+export function hexToBytes(hex) {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+    throw new Error('Invalid hex string');
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// ============= BASE58CHECK =============
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function decodeBase58(str) {
+  const bytes = [];
+  
+  for (const char of str) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  
+  // Each leading '1' is a leading zero byte
+  for (const char of str) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+  
+  return Uint8Array.from(bytes.reverse());
+}
+
+function encodeBase58(bytes) {
+  const digits = [];
+  
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  
+  let prefix = '';
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    prefix += '1';
+  }
+  
+  return prefix + digits.reverse().map(digit => BASE58_ALPHABET[digit]).join('');
+}
+
+function encodeBase58Check(payload) {
+  const bytes = new Uint8Array(payload.length + 4);
+  bytes.set(payload);
+  bytes.set(sha256d(payload).slice(0, 4), payload.length);
+  return encodeBase58(bytes);
+}
+
+function decodeBase58Check(str) {
+  const bytes = decodeBase58(str);
+  if (bytes.length < 5) {
+    throw new Error('Base58 payload too short');
+  }
+  
+  const payload = bytes.slice(0, -4);
+  const checksum = sha256d(payload).slice(0, 4);
+  if (!checksum.every((byte, i) => byte === bytes[payload.length + i])) {
+    throw new Error('Invalid base58 checksum');
+  }
+  return payload;
+}
+
+// ============= BECH32 / BECH32M =============
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= BECH32_GENERATOR[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+function bech32HrpExpand(hrp) {
+  const chars = Array.from(hrp, char => char.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+function decodeBech32(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw new Error('Mixed-case bech32 string');
+  }
+  if (str.length > 90) {
+    throw new Error('Bech32 string too long');
+  }
+  
+  const value = str.toLowerCase();
+  const separator = value.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > value.length) {
+    throw new Error('Invalid bech32 separator position');
+  }
+  
+  const hrp = value.slice(0, separator);
+  const data = [];
+  for (const char of value.slice(separator + 1)) {
+    const index = BECH32_CHARSET.indexOf(char);
+    if (index < 0) {
+      throw new Error(`Invalid bech32 character "${char}"`);
+    }
+    data.push(index);
+  }
+  
+  const check = bech32Polymod([...bech32HrpExpand(hrp), ...data]);
+  const encoding = check === 1 ? 'bech32' : check === BECH32M_CONST ? 'bech32m' : null;
+  if (!encoding) {
+    throw new Error('Invalid bech32 checksum');
+  }
+  
+  return { hrp, encoding, words: data.slice(0, -6) };
+}
+
+function encodeBech32(hrp, words, encoding) {
+  const mod = bech32Polymod([...bech32HrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^
+    (encoding === 'bech32m' ? BECH32M_CONST : 1);
+  const checksum = Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+  
+  return `${hrp}1${[...words, ...checksum].map(word => BECH32_CHARSET[word]).join('')}`;
+}
+
+// Regroup bytes into 5-bit words, zero-padding the last word
+function bytesToWords(bytes) {
+  let acc = 0;
+  let bits = 0;
+  const words = [];
+  
+  for (const byte of bytes) {
+    acc = ((acc << 8) | byte) & 0x1fff;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >> bits) & 31);
+    }
+  }
+  
+  if (bits > 0) {
+    words.push((acc << (5 - bits)) & 31);
+  }
+  return words;
+}
+
+// Regroup 5-bit words into bytes without padding (BIP173 rules)
+function wordsToBytes(words) {
+  let acc = 0;
+  let bits = 0;
+  const bytes = [];
+  
+  for (const word of words) {
+    acc = (acc << 5) | word;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+  }
+  
+  if (bits >= 5 || ((acc << (8 - bits)) & 0xff)) {
+    throw new Error('Invalid witness program padding');
+  }
+  return Uint8Array.from(bytes);
+}
+
+// ============= DECODING =============
+
+function decodeSegwitAddress(address) {
+  const { hrp, encoding, words } = decodeBech32(address);
+  const networks = Object.keys(ADDRESS_NETWORKS).filter(name => ADDRESS_NETWORKS[name].bech32 === hrp);
+  if (!networks.length) {
+    throw new Error(`Unknown bech32 prefix "${hrp}"`);
+  }
+  if (!words.length) {
+    throw new Error('Missing witness version');
+  }
+  
+  const witnessVersion = words[0];
+  const program = wordsToBytes(words.slice(1));
+  
+  if (witnessVersion > 16) {
+    throw new Error(`Invalid witness version ${witnessVersion}`);
+  }
+  if (program.length < 2 || program.length > 40) {
+    throw new Error(`Invalid witness program length ${program.length}`);
+  }
+  if (witnessVersion === 0 && program.length !== 20 && program.length !== 32) {
+    throw new Error(`Invalid v0 witness program length ${program.length}`);
+  }
+  // BIP350: v0 must use bech32, v1+ must use bech32m
+  if ((witnessVersion === 0) !== (encoding === 'bech32')) {
+    throw new Error(`Witness v${witnessVersion} address must use ${witnessVersion === 0 ? 'bech32' : 'bech32m'}`);
+  }
+  
+  let type = 'witness-unknown';
+  if (witnessVersion === 0) {
+    type = program.length === 20 ? 'p2wpkh' : 'p2wsh';
+  } else if (witnessVersion === 1 && program.length === 32) {
+    type = 'p2tr';
+  }
+  
+  return { format: encoding, type, witnessVersion, program: bytesToHex(program), networks };
+}
+
+function decodeLegacyAddress(address) {
+  const payload = decodeBase58Check(address);
+  if (payload.length !== 21) {
+    throw new Error(`Invalid base58 payload length ${payload.length}`);
+  }
+  
+  const version = payload[0];
+  const networks = [];
+  let type = null;
+  
+  for (const [name, params] of Object.entries(ADDRESS_NETWORKS)) {
+    if (params.pubKeyHash === version) {
+      type = 'p2pkh';
+      networks.push(name);
+    } else if (params.scriptHash === version) {
+      type = 'p2sh';
+      networks.push(name);
+    }
+  }
+  if (!type) {
+    throw new Error(`Unknown address version byte 0x${version.toString(16).padStart(2, '0')}`);
+  }
+  
+  return { format: 'base58', type, witnessVersion: null, program: bytesToHex(payload.slice(1)), networks };
+}
+
+/**
+ * Decode a Bitcoin address
+ * @param {string} address - Address string
+ * @returns {Object} { address, format, type, witnessVersion, program, network, networks }
+ *   format: 'base58' | 'bech32' | 'bech32m'
+ *   type: 'p2pkh' | 'p2sh' | 'p2wpkh' | 'p2wsh' | 'p2tr' | 'witness-unknown'
+ *   network: first matching network; networks: every network the address is valid on
+ * @throws {Error} If the address is malformed or its checksum fails
+ */
+export function decodeAddress(address) {
+  if (!address || typeof address !== 'string') {
+    throw new Error('Address must be a non-empty string');
+  }
+  
+  const value = address.trim();
+  const decoded = /^(bc|tb|bcrt)1/i.test(value)
+    ? decodeSegwitAddress(value)
+    : decodeLegacyAddress(value);
+  
+  return { address: value, ...decoded, network: decoded.networks[0] };
+}
+
+/**
+ * Validate an address, optionally for a specific network
+ * @param {string} address - Address string
+ * @param {Object} options - { network } ('mainnet', 'testnet', 'testnet4', 'signet', 'regtest', ...)
+ * @returns {Object} { valid: true, ...decoded } or { valid: false, error }
+ */
+export function validateAddress(address, options = {}) {
+  try {
+    const decoded = decodeAddress(address);
+    const network = resolveAddressNetwork(options.network);
+    
+    if (options.network && !network) {
+      return { valid: false, error: `Unknown network "${options.network}"` };
+    }
+    if (network && !decoded.networks.includes(network)) {
+      return { valid: false, error: `Address is for ${decoded.network}, not ${network}` };
+    }
+    return { valid: true, ...decoded };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * @param {string} address - Address string
+ * @param {string} [network] - Required network
+ * @returns {boolean} True if the address decodes (on that network)
+ */
+export function isValidAddress(address, network) {
+  return validateAddress(address, { network }).valid;
+}
+
+/**
+ * Validate a send destination before handing it to a wallet
+ * The recipient must share a network with the sender's own address (when known)
+ * @param {string} recipient - Destination address
+ * @param {string} [fromAddress] - Connected wallet address
+ * @returns {Object} Decoded recipient
+ * @throws {WalletInternalError} If the recipient is invalid
+ * @throws {NetworkMismatchError} If the recipient is on another network
+ */
+export function assertValidRecipient(recipient, fromAddress) {
+  const result = validateAddress(recipient);
+  if (!result.valid) {
+    throw new WalletInternalError(`Invalid recipient address: ${result.error}`);
+  }
+  
+  const sender = fromAddress ? validateAddress(fromAddress) : null;
+  if (sender?.valid && !sender.networks.some(network => result.networks.includes(network))) {
+    throw new NetworkMismatchError(`Recipient address is for ${result.network} but the wallet is on ${sender.network}`);
+  }
+  
+  return result;
+}
+
+// ============= OUTPUT SCRIPTS =============
+
+/**
+ * Classify an output script (scriptPubKey) and derive its address
+ * @param {Uint8Array|string} script - Script bytes or hex
+ * @param {string} [network='livenet'] - Network used for the address prefix
+ * @returns {Object} { type, address, witnessVersion } - address is null for OP_RETURN and non-standard scripts
+ */
+export function decodeOutputScript(script, network = 'livenet') {
+  const bytes = typeof script === 'string' ? hexToBytes(script) : script;
+  const params = ADDRESS_NETWORKS[resolveAddressNetwork(network) || 'livenet'];
+  const length = bytes.length;
+  
+  // OP_DUP OP_HASH160 <20> OP_EQUALVERIFY OP_CHECKSIG
+  if (length === 25 && bytes[0] === 0x76 && bytes[1] === 0xa9 && bytes[2] === 0x14 && bytes[23] === 0x88 && bytes[24] === 0xac) {
+    const payload = Uint8Array.of(params.pubKeyHash, ...bytes.slice(3, 23));
+    return { type: 'p2pkh', address: encodeBase58Check(payload), witnessVersion: null };
+  }
+  
+  // OP_HASH160 <20> OP_EQUAL
+  if (length === 23 && bytes[0] === 0xa9 && bytes[1] === 0x14 && bytes[22] === 0x87) {
+    const payload = Uint8Array.of(params.scriptHash, ...bytes.slice(2, 22));
+    return { type: 'p2sh', address: encodeBase58Check(payload), witnessVersion: null };
+  }
+  
+  // OP_0..OP_16 <2-40 byte program>
+  const isWitnessOp = bytes[0] === 0x00 || (bytes[0] >= 0x51 && bytes[0] <= 0x60);
+  if (length >= 4 && length <= 42 && isWitnessOp && bytes[1] === length - 2) {
+    const witnessVersion = bytes[0] === 0x00 ? 0 : bytes[0] - 0x50;
+    const program = bytes.slice(2);
+    
+    if (witnessVersion !== 0 || program.length === 20 || program.length === 32) {
+      let type = 'witness-unknown';
+      if (witnessVersion === 0) {
+        type = program.length === 20 ? 'p2wpkh' : 'p2wsh';
+      } else if (witnessVersion === 1 && program.length === 32) {
+        type = 'p2tr';
+      }
+      
+      const address = encodeBech32(params.bech32, [witnessVersion, ...bytesToWords(program)],
+        witnessVersion === 0 ? 'bech32' : 'bech32m');
+      return { type, address, witnessVersion };
+    }
+  }
+  
+  if (bytes[0] === 0x6a) {
+    return { type: 'op_return', address: null, witnessVersion: null };
+  }
+  return { type: 'nonstandard', address: null, witnessVersion: null };
+}
+
+/**
+ * Build the output script (scriptPubKey) that pays an address
+ * @param {string} address - Address string
+ * @returns {Uint8Array} Script bytes
+ * @throws {Error} If the address is malformed
+ */
+export function addressToScript(address) {
+  const { type, witnessVersion, program } = decodeAddress(address);
+  const hash = hexToBytes(program);
+  
+  if (type === 'p2pkh') {
+    return Uint8Array.of(0x76, 0xa9, 0x14, ...hash, 0x88, 0xac);
+  }
+  if (type === 'p2sh') {
+    return Uint8Array.of(0xa9, 0x14, ...hash, 0x87);
+  }
+  return Uint8Array.of(witnessVersion === 0 ? 0x00 : 0x50 + witnessVersion, hash.length, ...hash);
+}
+
+export default {
+  decode: decodeAddress,
+  validate: validateAddress,
+  isValid: isValidAddress,
+  assertValidRecipient,
+  resolveNetwork: resolveAddressNetwork,
+  decodeOutputScript,
+  addressToScript,
+  sha256,
+  sha256d,
+  hash160
+};
@@ -0,0 +1,916 @@
+/**
+ * PSBT Decoder - Utility Module
+ * Inscription Module #14 - Utilities Layer
+ * 
+ * Purpose: Parse PSBTs (BIP174 v0, BIP370 v2) into a human-readable transaction preview
+ * Dependencies: Module #13 (Address)
+ * Exports: decodePsbt(), summarizePsbt(), SighashType, PsbtEncoding, detectPsbtEncoding(),
+ *          convertPsbt(), extractTransaction(), createPsbt(), serializeTransaction(), getTransactionId(),
+ *          encodeVarInt(), encodeUInt32(), encodeUInt64() (little-endian byte arrays)
+ * Size: ~900 lines, ~8KB brotli
+ * 
+ * Lets apps show users what they are about to sign before the wallet popup:
+ * inputs with values, outputs with addresses, fee, fee rate, sighash types and
+ * which inputs the connected wallet controls.
+ * 
+ * Also converts PSBTs between hex and base64 (wallets disagree on which one they
+ * accept), builds unsigned PSBTs for wallets to sign, and extracts the broadcastable
+ * transaction once every input is finalized (finalizing single-key inputs if asked).
+ */
+
+import { bytesToHex, hexToBytes, sha256d, decodeOutputScript, decodeAddress } from './13-address.js';
+
+// ============= CONSTANTS =============
+
+const PSBT_MAGIC = '70736274ff';
+const PSBT_MAGIC_BASE64 = 'cHNidP8';
+
+export const PsbtEncoding = {
+  HEX: 'hex',
+  BASE64: 'base64'
+};
+
+export const SighashType = {
+  DEFAULT: 0x00,
+  ALL: 0x01,
+  NONE: 0x02,
+  SINGLE: 0x03,
+  ANYONECANPAY: 0x80
+};
+
+// BIP174 / BIP370 / BIP371 key types
+const GLOBAL = {
+  UNSIGNED_TX: 0x00,
+  XPUB: 0x01,
+  TX_VERSION: 0x02,
+  FALLBACK_LOCKTIME: 0x03,
+  INPUT_COUNT: 0x04,
+  OUTPUT_COUNT: 0x05,
+  VERSION: 0xfb
+};
+
+const INPUT = {
+  NON_WITNESS_UTXO: 0x00,
+  WITNESS_UTXO: 0x01,
+  PARTIAL_SIG: 0x02,
+  SIGHASH_TYPE: 0x03,
+  REDEEM_SCRIPT: 0x04,
+  WITNESS_SCRIPT: 0x05,
+  BIP32_DERIVATION: 0x06,
+  FINAL_SCRIPTSIG: 0x07,
+  FINAL_SCRIPTWITNESS: 0x08,
+  PREVIOUS_TXID: 0x0e,
+  OUTPUT_INDEX: 0x0f,
+  SEQUENCE: 0x10,
+  TAP_KEY_SIG: 0x13,
+  TAP_SCRIPT_SIG: 0x14,
+  TAP_LEAF_SCRIPT: 0x15,
+  TAP_BIP32_DERIVATION: 0x16,
+  TAP_INTERNAL_KEY: 0x17,
+  TAP_MERKLE_ROOT: 0x18
+};
+
+const OUTPUT = {
+  REDEEM_SCRIPT: 0x00,
+  WITNESS_SCRIPT: 0x01,
+  BIP32_DERIVATION: 0x02,
+  AMOUNT: 0x03,
+  SCRIPT: 0x04,
+  TAP_INTERNAL_KEY: 0x05,
+  TAP_TREE: 0x06,
+  TAP_BIP32_DERIVATION: 0x07
+};
+
+// ============= BYTE READER / WRITER =============
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  get done() {
+    return this.offset >= this.bytes.length;
+  }
+
+  readBytes(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of PSBT data');
+    }
+    const bytes = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  readUInt8() {
+    return this.readBytes(1)[0];
+  }
+
+  readUInt32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.readBytes(4);
+    return value;
+  }
+
+  readUInt64() {
+    const low = this.view.getUint32(this.offset, true);
+    const high = this.view.getUint32(this.offset + 4, true);
+    this.readBytes(8);
+    return high * 0x100000000 + low;
+  }
+
+  readVarInt() {
+    const first = this.readUInt8();
+    if (first < 0xfd) return first;
+    if (first === 0xfd) {
+      const value = this.view.getUint16(this.offset, true);
+      this.readBytes(2);
+      return value;
+    }
+    if (first === 0xfe) return this.readUInt32();
+    return this.readUInt64();
+  }
+
+  readVarSlice() {
+    return this.readBytes(this.readVarInt());
+  }
+}
+
+function varIntSize(value) {
+  if (value < 0xfd) return 1;
+  if (value <= 0xffff) return 3;
+  if (value <= 0xffffffff) return 5;
+  return 9;
+}
+
+export function encodeVarInt(value) {
+  if (value < 0xfd) return [value];
+  if (value <= 0xffff) return [0xfd, value & 0xff, value >> 8];
+  return [0xfe, ...encodeUInt32(value)];
+}
+
+export function encodeUInt32(value) {
+  return [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff];
+}
+
+export function encodeUInt64(value) {
+  return [...encodeUInt32(value % 0x100000000), ...encodeUInt32(Math.floor(value / 0x100000000))];
+}
+
+const reverseHex = (bytes) => bytesToHex(Uint8Array.from(bytes).reverse());
+
+// ============= TRANSACTIONS =============
+
+function parseTransaction(bytes) {
+  const reader = new ByteReader(bytes);
+  const version = reader.readUInt32();
+  
+  let inputCount = reader.readVarInt();
+  let hasWitness = false;
+  if (inputCount === 0) {
+    // Segwit marker (0x00) + flag (0x01)
+    reader.readUInt8();
+    hasWitness = true;
+    inputCount = reader.readVarInt();
+  }
+  
+  const inputs = [];
+  for (let i = 0; i < inputCount; i++) {
+    inputs.push({
+      txid: reverseHex(reader.readBytes(32)),
+      vout: reader.readUInt32(),
+      scriptSig: bytesToHex(reader.readVarSlice()),
+      sequence: reader.readUInt32(),
+      witness: []
+    });
+  }
+  
+  const outputCount = reader.readVarInt();
+  const outputs = [];
+  for (let i = 0; i < outputCount; i++) {
+    outputs.push({
+      value: reader.readUInt64(),
+      script: bytesToHex(reader.readVarSlice())
+    });
+  }
+  
+  if (hasWitness) {
+    for (const input of inputs) {
+      const items = reader.readVarInt();
+      for (let i = 0; i < items; i++) {
+        input.witness.push(bytesToHex(reader.readVarSlice()));
+      }
+    }
+  }
+  
+  const locktime = reader.readUInt32();
+  return { version, inputs, outputs, locktime, hasWitness };
+}
+
+/**
+ * Serialize a transaction, without witness data (the txid preimage) unless asked for
+ * @param {Object} tx - { version, inputs: [{ txid, vout, scriptSig, sequence, witness }], outputs: [{ value, script }], locktime }
+ * @param {Object} options - { witness: include segwit marker, flag and witness stacks }
+ * @returns {Uint8Array}
+ */
+export function serializeTransaction(tx, { witness = false } = {}) {
+  const hasWitness = witness && tx.inputs.some(input => input.witness && input.witness.length > 0);
+  const bytes = [...encodeUInt32(tx.version)];
+  if (hasWitness) {
+    bytes.push(0x00, 0x01);
+  }
+  bytes.push(...encodeVarInt(tx.inputs.length));
+  
+  for (const input of tx.inputs) {
+    const scriptSig = hexToBytes(input.scriptSig || '');
+    bytes.push(...hexToBytes(input.txid).reverse(), ...encodeUInt32(input.vout));
+    bytes.push(...encodeVarInt(scriptSig.length), ...scriptSig, ...encodeUInt32(input.sequence));
+  }
+  
+  bytes.push(...encodeVarInt(tx.outputs.length));
+  for (const output of tx.outputs) {
+    const script = hexToBytes(output.script);
+    bytes.push(...encodeUInt64(output.value), ...encodeVarInt(script.length), ...script);
+  }
+  
+  if (hasWitness) {
+    for (const input of tx.inputs) {
+      const stack = input.witness || [];
+      bytes.push(...encodeVarInt(stack.length));
+      for (const item of stack) {
+        const data = hexToBytes(item);
+        bytes.push(...encodeVarInt(data.length), ...data);
+      }
+    }
+  }
+  
+  bytes.push(...encodeUInt32(tx.locktime));
+  return Uint8Array.from(bytes);
+}
+
+// ============= KEY-VALUE MAPS =============
+
+function readMap(reader) {
+  const entries = [];
+  
+  for (;;) {
+    const keyLength = reader.readVarInt();
+    if (keyLength === 0) {
+      return entries;
+    }
+    const key = reader.readBytes(keyLength);
+    entries.push({ type: key[0], keyData: key.subarray(1), value: reader.readVarSlice() });
+  }
+}
+
+function decodeDerivationPath(bytes) {
+  const reader = new ByteReader(bytes);
+  const fingerprint = bytesToHex(reader.readBytes(4));
+  const steps = ['m'];
+  
+  while (!reader.done) {
+    const index = reader.readUInt32();
+    steps.push(index >= 0x80000000 ? `${index - 0x80000000}'` : String(index));
+  }
+  return { fingerprint, path: steps.join('/') };
+}
+
+function decodeTapDerivation(keyData, value) {
+  const reader = new ByteReader(value);
+  const leafHashes = [];
+  const count = reader.readVarInt();
+  
+  for (let i = 0; i < count; i++) {
+    leafHashes.push(bytesToHex(reader.readBytes(32)));
+  }
+  return {
+    xOnlyPubkey: bytesToHex(keyData),
+    leafHashes,
+    ...decodeDerivationPath(value.subarray(reader.offset))
+  };
+}
+
+function decodeWitnessStack(bytes) {
+  const reader = new ByteReader(bytes);
+  const items = [];
+  const count = reader.readVarInt();
+  
+  for (let i = 0; i < count; i++) {
+    items.push(bytesToHex(reader.readVarSlice()));
+  }
+  return items;
+}
+
+function decodeWitnessUtxo(bytes) {
+  const reader = new ByteReader(bytes);
+  return {
+    value: reader.readUInt64(),
+    script: bytesToHex(reader.readVarSlice())
+  };
+}
+
+function decodeInputMap(entries) {
+  const input = {
+    partialSigs: [],
+    bip32Derivation: [],
+    tapScriptSigs: [],
+    tapLeafScripts: [],
+    tapBip32Derivation: [],
+    unknown: []
+  };
+  
+  for (const { type, keyData, value } of entries) {
+    switch (type) {
+      case INPUT.NON_WITNESS_UTXO:
+        input.nonWitnessUtxo = parseTransaction(value);
+        break;
+      case INPUT.WITNESS_UTXO:
+        input.witnessUtxo = decodeWitnessUtxo(value);
+        break;
+      case INPUT.PARTIAL_SIG:
+        input.partialSigs.push({ pubkey: bytesToHex(keyData), signature: bytesToHex(value) });
+        break;
+      case INPUT.SIGHASH_TYPE:
+        input.sighashType = new DataView(value.buffer, value.byteOffset, 4).getUint32(0, true);
+        break;
+      case INPUT.REDEEM_SCRIPT:
+        input.redeemScript = bytesToHex(value);
+        break;
+      case INPUT.WITNESS_SCRIPT:
+        input.witnessScript = bytesToHex(value);
+        break;
+      case INPUT.BIP32_DERIVATION:
+        input.bip32Derivation.push({ pubkey: bytesToHex(keyData), ...decodeDerivationPath(value) });
+        break;
+      case INPUT.FINAL_SCRIPTSIG:
+        input.finalScriptSig = bytesToHex(value);
+        break;
+      case INPUT.FINAL_SCRIPTWITNESS:
+        input.finalScriptWitness = decodeWitnessStack(value);
+        break;
+      case INPUT.PREVIOUS_TXID:
+        input.txid = reverseHex(value);
+        break;
+      case INPUT.OUTPUT_INDEX:
+        input.vout = new ByteReader(value).readUInt32();
+        break;
+      case INPUT.SEQUENCE:
+        input.sequence = new ByteReader(value).readUInt32();
+        break;
+      case INPUT.TAP_KEY_SIG:
+        input.tapKeySig = bytesToHex(value);
+        break;
+      case INPUT.TAP_SCRIPT_SIG:
+        input.tapScriptSigs.push({
+          xOnlyPubkey: bytesToHex(keyData.subarray(0, 32)),
+          leafHash: bytesToHex(keyData.subarray(32)),
+          signature: bytesToHex(value)
+        });
+        break;
+      case INPUT.TAP_LEAF_SCRIPT:
+        input.tapLeafScripts.push({
+          controlBlock: bytesToHex(keyData),
+          script: bytesToHex(value.subarray(0, -1)),
+          leafVersion: value[value.length - 1]
+        });
+        break;
+      case INPUT.TAP_BIP32_DERIVATION:
+        input.tapBip32Derivation.push(decodeTapDerivation(keyData, value));
+        break;
+      case INPUT.TAP_INTERNAL_KEY:
+        input.tapInternalKey = bytesToHex(value);
+        break;
+      case INPUT.TAP_MERKLE_ROOT:
+        input.tapMerkleRoot = bytesToHex(value);
+        break;
+      default:
+        input.unknown.push({ type, key: bytesToHex(keyData), value: bytesToHex(value) });
+    }
+  }
+  
+  return input;
+}
+
+function decodeOutputMap(entries) {
+  const output = { bip32Derivation: [], tapBip32Derivation: [], unknown: [] };
+  
+  for (const { type, keyData, value } of entries) {
+    switch (type) {
+      case OUTPUT.REDEEM_SCRIPT:
+        output.redeemScript = bytesToHex(value);
+        break;
+      case OUTPUT.WITNESS_SCRIPT:
+        output.witnessScript = bytesToHex(value);
+        break;
+      case OUTPUT.BIP32_DERIVATION:
+        output.bip32Derivation.push({ pubkey: bytesToHex(keyData), ...decodeDerivationPath(value) });
+        break;
+      case OUTPUT.AMOUNT:
+        output.value = new ByteReader(value).readUInt64();
+        break;
+      case OUTPUT.SCRIPT:
+        output.script = bytesToHex(value);
+        break;
+      case OUTPUT.TAP_INTERNAL_KEY:
+        output.tapInternalKey = bytesToHex(value);
+        break;
+      case OUTPUT.TAP_TREE:
+        output.tapTree = bytesToHex(value);
+        break;
+      case OUTPUT.TAP_BIP32_DERIVATION:
+        output.tapBip32Derivation.push(decodeTapDerivation(keyData, value));
+        break;
+      default:
+        output.unknown.push({ type, key: bytesToHex(keyData), value: bytesToHex(value) });
+    }
+  }
+  
+  return output;
+}
+
+// ============= DECODING =============
+
+function toPsbtBytes(psbt) {
+  if (psbt instanceof Uint8Array) {
+    return psbt;
+  }
+  if (typeof psbt !== 'string' || !psbt.trim()) {
+    throw new Error('PSBT must be a hex or base64 string');
+  }
+  
+  const value = psbt.trim();
+  if (/^[0-9a-f]+$/i.test(value)) {
+    return hexToBytes(value);
+  }
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Detect how a PSBT string is encoded
+ * @param {string} psbt - PSBT string
+ * @returns {string|null} PsbtEncoding.HEX, PsbtEncoding.BASE64, or null if it is neither
+ */
+export function detectPsbtEncoding(psbt) {
+  if (typeof psbt !== 'string') {
+    return null;
+  }
+  
+  const value = psbt.trim();
+  if (value.toLowerCase().startsWith(PSBT_MAGIC) && /^[0-9a-f]+$/i.test(value)) {
+    return PsbtEncoding.HEX;
+  }
+  if (value.startsWith(PSBT_MAGIC_BASE64) && /^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    return PsbtEncoding.BASE64;
+  }
+  return null;
+}
+
+/**
+ * Re-encode a PSBT as hex or base64
+ * @param {string|Uint8Array} psbt - PSBT as hex, base64 or raw bytes
+ * @param {string} encoding - Target PsbtEncoding
+ * @returns {string} PSBT in the requested encoding
+ */
+export function convertPsbt(psbt, encoding) {
+  const bytes = toPsbtBytes(psbt);
+  
+  if (encoding === PsbtEncoding.HEX) {
+    return bytesToHex(bytes);
+  }
+  if (encoding === PsbtEncoding.BASE64) {
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+  throw new Error(`Unknown PSBT encoding: ${encoding}`);
+}
+
+const isFinalized = (input) => input.finalScriptSig !== undefined || !!input.finalScriptWitness;
+
+// Single push of a short item (signatures, public keys, P2WPKH redeem scripts are all < 76 bytes)
+const pushHex = (hex) => (hex.length / 2).toString(16).padStart(2, '0') + hex;
+
+/**
+ * Finalize an input signed by a single key: P2TR key path, P2WPKH, P2SH-P2WPKH, P2PKH
+ * Anything else (multisig, script paths) is returned untouched
+ */
+function finalizeInput(input) {
+  if (isFinalized(input)) {
+    return input;
+  }
+  
+  const prevout = input.witnessUtxo || input.nonWitnessUtxo?.outputs[input.vout];
+  const type = prevout ? decodeOutputScript(prevout.script).type : null;
+  const [partial] = input.partialSigs;
+  
+  if (type === 'p2tr' && input.tapKeySig) {
+    return { ...input, finalScriptWitness: [input.tapKeySig] };
+  }
+  if (!partial) {
+    return input;
+  }
+  if (type === 'p2wpkh') {
+    return { ...input, finalScriptWitness: [partial.signature, partial.pubkey] };
+  }
+  if (type === 'p2sh' && /^0014[0-9a-f]{40}$/.test(input.redeemScript || '')) {
+    return { ...input, finalScriptSig: pushHex(input.redeemScript), finalScriptWitness: [partial.signature, partial.pubkey] };
+  }
+  if (type === 'p2pkh') {
+    return { ...input, finalScriptSig: pushHex(partial.signature) + pushHex(partial.pubkey) };
+  }
+  return input;
+}
+
+/**
+ * Decode a PSBT into its global, input and output maps
+ * @param {string|Uint8Array} psbt - PSBT as hex, base64 or raw bytes
+ * @returns {Object} { version, txVersion, locktime, txid, inputs, outputs, xpubs, unknown }
+ * @throws {Error} If the data is not a well-formed PSBT
+ */
+export function decodePsbt(psbt) {
+  const bytes = toPsbtBytes(psbt);
+  if (bytesToHex(bytes.subarray(0, 5)) !== PSBT_MAGIC) {
+    throw new Error('Not a PSBT (missing "psbt" magic bytes)');
+  }
+  
+  const reader = new ByteReader(bytes.subarray(5));
+  const global = { version: 0, xpubs: [], unknown: [] };
+  
+  for (const { type, keyData, value } of readMap(reader)) {
+    switch (type) {
+      case GLOBAL.UNSIGNED_TX:
+        global.unsignedTx = parseTransaction(value);
+        global.txid = reverseHex(sha256d(value));
+        break;
+      case GLOBAL.XPUB:
+        global.xpubs.push({ xpub: bytesToHex(keyData), ...decodeDerivationPath(value) });
+        break;
+      case GLOBAL.TX_VERSION:
+        global.txVersion = new ByteReader(value).readUInt32();
+        break;
+      case GLOBAL.FALLBACK_LOCKTIME:
+        global.locktime = new ByteReader(value).readUInt32();
+        break;
+      case GLOBAL.INPUT_COUNT:
+        global.inputCount = new ByteReader(value).readVarInt();
+        break;
+      case GLOBAL.OUTPUT_COUNT:
+        global.outputCount = new ByteReader(value).readVarInt();
+        break;
+      case GLOBAL.VERSION:
+        global.version = new ByteReader(value).readUInt32();
+        break;
+      default:
+        global.unknown.push({ type, key: bytesToHex(keyData), value: bytesToHex(value) });
+    }
+  }
+  
+  const tx = global.unsignedTx;
+  if (global.version === 0 && !tx) {
+    throw new Error('PSBT v0 is missing its unsigned transaction');
+  }
+  
+  const inputCount = tx ? tx.inputs.length : global.inputCount;
+  const outputCount = tx ? tx.outputs.length : global.outputCount;
+  
+  const inputs = [];
+  for (let i = 0; i < inputCount; i++) {
+    const input = decodeInputMap(readMap(reader));
+    inputs.push(tx ? { ...tx.inputs[i], ...input } : { sequence: 0xffffffff, ...input });
+  }
+  
+  const outputs = [];
+  for (let i = 0; i < outputCount; i++) {
+    const output = decodeOutputMap(readMap(reader));
+    outputs.push(tx ? { ...tx.outputs[i], ...output } : output);
+  }
+  
+  const decoded = {
+    version: global.version,
+    txVersion: tx ? tx.version : global.txVersion,
+    locktime: tx ? tx.locktime : (global.locktime || 0),
+    inputs,
+    outputs,
+    xpubs: global.xpubs,
+    unknown: global.unknown
+  };
+  decoded.txid = global.txid || reverseHex(sha256d(serializeTransaction({ ...decoded, version: decoded.txVersion })));
+  
+  return decoded;
+}
+
+/**
+ * Extract the network transaction from a finalized PSBT
+ * Wallets that sign without finalizing can be handled with { finalize: true }
+ * @param {string|Uint8Array} psbt - PSBT as hex, base64 or raw bytes
+ * @param {Object} [options] - { finalize: build final scripts for signed single-key inputs }
+ * @returns {string|null} Raw transaction hex ready to broadcast, or null while any input is unfinalized
+ */
+export function extractTransaction(psbt, { finalize = false } = {}) {
+  const decoded = decodePsbt(psbt);
+  const inputs = finalize ? decoded.inputs.map(finalizeInput) : decoded.inputs;
+  if (inputs.length === 0 || !inputs.every(isFinalized)) {
+    return null;
+  }
+  
+  const tx = {
+    version: decoded.txVersion,
+    locktime: decoded.locktime,
+    inputs: inputs.map(input => ({
+      ...input,
+      scriptSig: input.finalScriptSig || '',
+      witness: input.finalScriptWitness || []
+    })),
+    outputs: decoded.outputs
+  };
+  return bytesToHex(serializeTransaction(tx, { witness: true }));
+}
+
+/**
+ * txid of a raw transaction (hash of its non-witness serialization)
+ * @param {string|Uint8Array} rawTx - Transaction hex or bytes
+ * @returns {string} txid (display byte order)
+ */
+export function getTransactionId(rawTx) {
+  const tx = parseTransaction(typeof rawTx === 'string' ? hexToBytes(rawTx) : rawTx);
+  return reverseHex(sha256d(serializeTransaction(tx)));
+}
+
+// ============= CREATION =============
+
+function writeEntry(bytes, type, value, keyData = []) {
+  bytes.push(...encodeVarInt(1 + keyData.length), type, ...keyData);
+  bytes.push(...encodeVarInt(value.length), ...value);
+}
+
+/**
+ * Create an unsigned PSBT (BIP174 v0) for a wallet to sign
+ * Scripts, keys and raw transactions are hex strings, as decodePsbt() returns them
+ * @param {Object} tx - {
+ *   version (default 2), locktime (default 0),
+ *   inputs: [{ txid, vout, sequence, witnessUtxo: { value, script }, nonWitnessUtxo, redeemScript, tapInternalKey, sighashType }],
+ *   outputs: [{ value, script }]
+ * }
+ * @returns {string} PSBT hex
+ */
+export function createPsbt({ version = 2, locktime = 0, inputs = [], outputs = [] } = {}) {
+  const unsignedTx = serializeTransaction({
+    version,
+    locktime,
+    inputs: inputs.map(input => ({ txid: input.txid, vout: input.vout, scriptSig: '', sequence: input.sequence ?? 0xffffffff })),
+    outputs
+  });
+  
+  const bytes = [...hexToBytes(PSBT_MAGIC)];
+  writeEntry(bytes, GLOBAL.UNSIGNED_TX, unsignedTx);
+  bytes.push(0x00);
+  
+  for (const input of inputs) {
+    if (input.nonWitnessUtxo) {
+      writeEntry(bytes, INPUT.NON_WITNESS_UTXO, hexToBytes(input.nonWitnessUtxo));
+    }
+    if (input.witnessUtxo) {
+      const script = hexToBytes(input.witnessUtxo.script);
+      writeEntry(bytes, INPUT.WITNESS_UTXO, [...encodeUInt64(input.witnessUtxo.value), ...encodeVarInt(script.length), ...script]);
+    }
+    if (input.sighashType !== undefined) {
+      writeEntry(bytes, INPUT.SIGHASH_TYPE, encodeUInt32(input.sighashType));
+    }
+    if (input.redeemScript) {
+      writeEntry(bytes, INPUT.REDEEM_SCRIPT, hexToBytes(input.redeemScript));
+    }
+    if (input.tapInternalKey) {
+      writeEntry(bytes, INPUT.TAP_INTERNAL_KEY, hexToBytes(input.tapInternalKey));
+    }
+    bytes.push(0x00);
+  }
+  
+  for (let i = 0; i < outputs.length; i++) {
+    bytes.push(0x00);
+  }
+  
+  return bytesToHex(Uint8Array.from(bytes));
+}
+
+// ============= SUMMARY =============
+
+/**
+ * Human-readable sighash name
+ * @param {number} [sighashType] - Sighash flag (undefined = wallet default)
+ * @returns {string} e.g. 'ALL', 'NONE|ANYONECANPAY'
+ */
+export function sighashName(sighashType) {
+  if (sighashType === undefined || sighashType === null) return 'DEFAULT';
+  if (sighashType === SighashType.DEFAULT) return 'DEFAULT';
+  
+  const base = { 1: 'ALL', 2: 'NONE', 3: 'SINGLE' }[sighashType & 0x1f] || `0x${sighashType.toString(16)}`;
+  return sighashType & SighashType.ANYONECANPAY ? `${base}|ANYONECANPAY` : base;
+}
+
+function getPrevout(input) {
+  if (input.witnessUtxo) {
+    return input.witnessUtxo;
+  }
+  return input.nonWitnessUtxo?.outputs[input.vout] || null;
+}
+
+// Witness bytes for an unsigned input, by script type (signatures at maximum size)
+function estimateInputSize(input, scriptType) {
+  switch (scriptType) {
+    case 'p2tr': {
+      const leaf = input.tapLeafScripts[0];
+      if (!leaf) return { scriptSig: 0, witness: 1 + 1 + 65 };
+      const script = leaf.script.length / 2;
+      const control = leaf.controlBlock.length / 2;
+      return { scriptSig: 0, witness: 1 + 1 + 65 + varIntSize(script) + script + varIntSize(control) + control };
+    }
+    case 'p2sh-p2wpkh':
+      return { scriptSig: 23, witness: 1 + 1 + 72 + 1 + 33 };
+    case 'p2pkh':
+      return { scriptSig: 1 + 72 + 1 + 33, witness: 0 };
+    case 'p2wsh': {
+      const script = (input.witnessScript || '').length / 2;
+      return { scriptSig: 0, witness: 1 + 1 + 72 + varIntSize(script) + script };
+    }
+    default:
+      return { scriptSig: 0, witness: 1 + 1 + 72 + 1 + 33 };
+  }
+}
+
+function estimateVsize(decoded, inputTypes) {
+  let base = 4 + 4 + varIntSize(decoded.inputs.length) + varIntSize(decoded.outputs.length);
+  let witness = 0;
+  let estimated = false;
+  
+  decoded.inputs.forEach((input, index) => {
+    let size;
+    if (isFinalized(input)) {
+      const stack = input.finalScriptWitness || [];
+      size = {
+        scriptSig: (input.finalScriptSig || '').length / 2,
+        witness: stack.length ? varIntSize(stack.length) + stack.reduce((sum, item) => sum + varIntSize(item.length / 2) + item.length / 2, 0) : 0
+      };
+    } else {
+      size = estimateInputSize(input, inputTypes[index]);
+      estimated = true;
+    }
+    base += 32 + 4 + 4 + varIntSize(size.scriptSig) + size.scriptSig;
+    witness += size.witness || 1; // Non-witness inputs still carry an empty stack in segwit txs
+  });
+  
+  for (const output of decoded.outputs) {
+    const script = (output.script || '').length / 2;
+    base += 8 + varIntSize(script) + script;
+  }
+  
+  const hasWitness = decoded.inputs.some((_, i) => inputTypes[i] !== 'p2pkh');
+  const weight = base * 4 + (hasWitness ? 2 + witness : 0);
+  return { vsize: Math.ceil(weight / 4), estimated };
+}
+
+// Compare 33-byte compressed keys and 32-byte x-only keys
+function keyMatches(key, publicKeys) {
+  const xOnly = key.length === 66 ? key.slice(2) : key;
+  return publicKeys.some(publicKey => publicKey === key || publicKey.slice(-64) === xOnly);
+}
+
+/**
+ * Turn a PSBT into a structured transaction preview
+ * @param {string|Uint8Array} psbt - PSBT as hex, base64 or raw bytes
+ * @param {Object} options - Connected wallet context
+ * @param {Array<string>} options.addresses - Addresses the wallet controls
+ * @param {Array<string>} options.publicKeys - Public keys the wallet controls (hex, compressed or x-only)
+ * @param {string} [options.network] - Network for output addresses (defaults to the network of the first address)
+ * @returns {Object} { txid, inputs, outputs, totalInput, totalOutput, fee, vsize, feeRate, ownedInputs, warnings, ... }
+ */
+export function summarizePsbt(psbt, options = {}) {
+  const decoded = decodePsbt(psbt);
+  const addresses = (options.addresses || []).filter(Boolean);
+  const publicKeys = (options.publicKeys || []).filter(Boolean).map(key => key.toLowerCase());
+  
+  let network = options.network;
+  if (!network && addresses.length) {
+    try {
+      network = decodeAddress(addresses[0]).network;
+    } catch (error) {
+      network = 'livenet';
+    }
+  }
+  network = network || 'livenet';
+  
+  const warnings = [];
+  
+  const inputs = decoded.inputs.map((input, index) => {
+    const prevout = getPrevout(input);
+    const script = prevout ? decodeOutputScript(prevout.script, network) : { type: 'unknown', address: null };
+    const isNestedSegwit = script.type === 'p2sh' && /^0014[0-9a-f]{40}$/.test(input.redeemScript || '');
+    const scriptType = isNestedSegwit ? 'p2sh-p2wpkh' : script.type;
+    
+    const keys = [
+      ...input.partialSigs.map(sig => sig.pubkey),
+      ...input.bip32Derivation.map(derivation => derivation.pubkey),
+      ...input.tapBip32Derivation.map(derivation => derivation.xOnlyPubkey),
+      input.tapInternalKey
+    ].filter(Boolean);
+    
+    const isMine = (!!script.address && addresses.includes(script.address)) ||
+      keys.some(key => keyMatches(key, publicKeys));
+    
+    return {
+      index,
+      txid: input.txid,
+      vout: input.vout,
+      sequence: input.sequence,
+      value: prevout ? prevout.value : null,
+      address: script.address,
+      scriptType,
+      sighashType: input.sighashType ?? null,
+      sighash: sighashName(input.sighashType),
+      isMine,
+      isFinalized: isFinalized(input),
+      signatures: input.partialSigs.length + input.tapScriptSigs.length + (input.tapKeySig ? 1 : 0),
+      tapInternalKey: input.tapInternalKey || null,
+      tapKeyOrigins: input.tapBip32Derivation,
+      bip32Derivation: input.bip32Derivation
+    };
+  });
+  
+  const outputs = decoded.outputs.map((output, index) => {
+    const script = decodeOutputScript(output.script, network);
+    const keys = [
+      ...output.bip32Derivation.map(derivation => derivation.pubkey),
+      ...output.tapBip32Derivation.map(derivation => derivation.xOnlyPubkey),
+      output.tapInternalKey
+    ].filter(Boolean);
+    
+    return {
+      index,
+      value: output.value,
+      address: script.address,
+      scriptType: script.type,
+      script: output.script,
+      isMine: (!!script.address && addresses.includes(script.address)) ||
+        keys.some(key => keyMatches(key, publicKeys))
+    };
+  });
+  
+  const knownInputs = inputs.every(input => input.value !== null);
+  const totalInput = knownInputs ? inputs.reduce((sum, input) => sum + input.value, 0) : null;
+  const totalOutput = outputs.reduce((sum, output) => sum + output.value, 0);
+  const fee = knownInputs ? totalInput - totalOutput : null;
+  const { vsize, estimated } = estimateVsize(decoded, inputs.map(input => input.scriptType));
+  
+  inputs.forEach(input => {
+    if (input.value === null) {
+      warnings.push(`Input #${input.index} has no UTXO data - its value and the fee cannot be verified`);
+    }
+    const base = (input.sighashType || 0) & 0x1f;
+    if (input.isMine && (base === SighashType.NONE || base === SighashType.SINGLE)) {
+      warnings.push(`Input #${input.index} signs with SIGHASH_${input.sighash} - other outputs can change after signing`);
+    }
+    if (input.isMine && input.sighashType & SighashType.ANYONECANPAY) {
+      warnings.push(`Input #${input.index} signs with ANYONECANPAY - other inputs can be added after signing`);
+    }
+  });
+  if (fee !== null && fee < 0) {
+    warnings.push('Outputs exceed inputs - this transaction is invalid');
+  }
+  if (fee !== null && fee > 0 && fee / vsize > 1000) {
+    warnings.push(`Unusually high fee rate (${(fee / vsize).toFixed(1)} sat/vB)`);
+  }
+  
+  return {
+    version: decoded.version,
+    txid: decoded.txid,
+    network,
+    locktime: decoded.locktime,
+    inputs,
+    outputs,
+    totalInput,
+    totalOutput,
+    fee,
+    vsize,
+    vsizeEstimated: estimated,
+    feeRate: fee !== null ? Math.round((fee / vsize) * 10) / 10 : null,
+    ownedInputs: inputs.filter(input => input.isMine).map(input => input.index),
+    sentToOthers: outputs.filter(output => !output.isMine).reduce((sum, output) => sum + output.value, 0),
+    warnings
+  };
+}
+
+export default {
+  decode: decodePsbt,
+  summarize: summarizePsbt,
+  detectEncoding: detectPsbtEncoding,
+  convert: convertPsbt,
+  extractTransaction,
+  create: createPsbt,
+  serializeTransaction,
+  getTransactionId,
+  sighashName,
+  SighashType,
+  PsbtEncoding
+};
@@ -0,0 +1,250 @@
+/**
+ * Fee Estimation - Utility Module
+ * Inscription Module #15 - Utilities Layer
+ * 
+ * Purpose: Economy/normal/priority fee rates (sat/vB) from pluggable sources
+ * Dependencies: Module #13 (Address)
+ * Exports: FeeTier, createFeeEstimator(), createMempoolFeeSource(), createOrdFeeSource(),
+ *          createStaticFeeSource(), MEMPOOL_URLS, fetchWithTimeout()
+ * Size: ~230 lines, ~2KB brotli
+ * 
+ * A fee source is any object { name, getFeeRates({ network }) } resolving to
+ * { economy, normal, priority } in sat/vB. The estimator asks each source in
+ * order, caches the first answer and falls back to the next source on failure:
+ * - ord recursive endpoints (/r/blockheight + /r/blockinfo) - same-origin when inscribed
+ * - mempool.space-compatible REST (/api/v1/fees/recommended)
+ * - static rates (never fails, so it belongs last)
+ */
+
+import { resolveAddressNetwork } from './13-address.js';
+
+// ============= CONSTANTS =============
+
+export const FeeTier = {
+  ECONOMY: 'economy',
+  NORMAL: 'normal',
+  PRIORITY: 'priority'
+};
+
+// mempool.space per network (regtest has no public instance)
+export const MEMPOOL_URLS = {
+  livenet: 'https://mempool.space',
+  testnet: 'https://mempool.space/testnet',
+  testnet4: 'https://mempool.space/testnet4',
+  signet: 'https://mempool.space/signet'
+};
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_CACHE_MS = 60000;
+
+// ============= HELPERS =============
+
+/**
+ * Clean up rates from a source: at least 1 sat/vB, whole numbers,
+ * economy <= normal <= priority
+ */
+function normalizeFeeRates(rates) {
+  const clean = (value) => Math.max(1, Math.ceil(Number(value) || 0));
+  
+  const economy = clean(rates.economy);
+  const normal = Math.max(economy, clean(rates.normal));
+  const priority = Math.max(normal, clean(rates.priority));
+  return { economy, normal, priority };
+}
+
+/**
+ * fetch() with a timeout, returning JSON (init.json) or trimmed text
+ * Shared with module #17 for its chain requests
+ * @param {string} url - Request URL
+ * @param {Object} [init] - fetch() init plus { json }
+ * @param {Object} [options] - { fetch, timeout }
+ * @throws {Error} On network errors, timeouts and non-2xx responses
+ */
+export async function fetchWithTimeout(url, init = {}, { fetch = globalThis.fetch, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  if (typeof fetch !== 'function') {
+    throw new Error('fetch is not available');
+  }
+  
+  const { json = false, ...fetchInit } = init;
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+  
+  try {
+    const response = await fetch(url, controller ? { ...fetchInit, signal: controller.signal } : fetchInit);
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${url} returned HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return json ? await response.json() : (await response.text()).trim();
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+const fetchJson = (url, options) => fetchWithTimeout(url, { json: true }, options);
+
+// ============= SOURCES =============
+
+/**
+ * mempool.space-compatible REST client (mempool.space, self-hosted mempool, esplora forks)
+ * @param {Object} options - { baseUrl, urls: { livenet, testnet, testnet4, signet, regtest }, fetch, timeout }
+ * @returns {Object} Fee source
+ */
+export function createMempoolFeeSource(options = {}) {
+  const urls = { ...MEMPOOL_URLS, ...options.urls };
+  
+  return {
+    name: 'mempool',
+    async getFeeRates({ network } = {}) {
+      const baseUrl = options.baseUrl || urls[resolveAddressNetwork(network) || 'livenet'];
+      if (!baseUrl) {
+        throw new Error(`No mempool API configured for ${network}`);
+      }
+      
+      const fees = await fetchJson(`${baseUrl.replace(/\/$/, '')}/api/v1/fees/recommended`, options);
+      return {
+        economy: fees.economyFee ?? fees.hourFee,
+        normal: fees.halfHourFee,
+        priority: fees.fastestFee
+      };
+    }
+  };
+}
+
+/**
+ * ord recursive endpoints: fee rate percentiles of the latest block
+ * Works wherever an ord server answers /r/ requests (ordinals.com, or the
+ * inscription's own origin), without leaving the inscription sandbox
+ * @param {Object} options - { baseUrl (default same origin), network: chain the ord server indexes, fetch, timeout }
+ * @returns {Object} Fee source
+ */
+export function createOrdFeeSource(options = {}) {
+  const baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+  const serverNetwork = resolveAddressNetwork(options.network || 'livenet');
+  
+  return {
+    name: 'ord',
+    async getFeeRates({ network } = {}) {
+      if (network && resolveAddressNetwork(network) !== serverNetwork) {
+        throw new Error(`ord server indexes ${serverNetwork}, not ${network}`);
+      }
+      
+      const height = await fetchJson(`${baseUrl}/r/blockheight`, options);
+      const block = await fetchJson(`${baseUrl}/r/blockinfo/${height}`, options);
+      
+      // [p10, p25, p50, p75, p90]
+      const percentiles = block.feerate_percentiles;
+      if (!Array.isArray(percentiles) || percentiles.length < 5) {
+        throw new Error('ord blockinfo has no feerate_percentiles');
+      }
+      return {
+        economy: percentiles[0],
+        normal: percentiles[2],
+        priority: percentiles[4]
+      };
+    }
+  };
+}
+
+/**
+ * Fixed rates, used when nothing else answers
+ * @param {number|Object} rates - Normal rate (economy = half, priority = double) or { economy, normal, priority }
+ * @returns {Object} Fee source with setRates()
+ */
+export function createStaticFeeSource(rates = 10) {
+  let current;
+  
+  const source = {
+    name: 'static',
+    setRates(value) {
+      current = typeof value === 'object'
+        ? normalizeFeeRates(value)
+        : normalizeFeeRates({ economy: value / 2, normal: value, priority: value * 2 });
+    },
+    async getFeeRates() {
+      return { ...current };
+    }
+  };
+  
+  source.setRates(rates);
+  return source;
+}
+
+// ============= ESTIMATOR =============
+
+/**
+ * Create a fee estimator over an ordered list of sources
+ * @param {Object} options - { sources: Array, cacheMs }
+ * @returns {Object} { getFeeRates(), getFeeRate(), setSources(), getSources(), clearCache() }
+ */
+export function createFeeEstimator(options = {}) {
+  let sources = options.sources || [createMempoolFeeSource(), createStaticFeeSource()];
+  const cacheMs = options.cacheMs ?? DEFAULT_CACHE_MS;
+  const cache = new Map(); // network -> { rates, expires }
+  
+  /**
+   * Fee rates from the first source that answers
+   * @param {Object} options - { network, refresh: bypass the cache }
+   * @returns {Promise<Object>} { economy, normal, priority, source, network, timestamp }
+   * @throws {Error} If every source failed
+   */
+  async function getFeeRates({ network = 'livenet', refresh = false } = {}) {
+    const key = resolveAddressNetwork(network) || network;
+    const cached = cache.get(key);
+    if (!refresh && cached && cached.expires > Date.now()) {
+      return { ...cached.rates };
+    }
+    
+    const errors = [];
+    for (const source of sources) {
+      try {
+        const rates = {
+          ...normalizeFeeRates(await source.getFeeRates({ network: key })),
+          source: source.name,
+          network: key,
+          timestamp: Date.now()
+        };
+        cache.set(key, { rates, expires: Date.now() + cacheMs });
+        return { ...rates };
+      } catch (error) {
+        console.warn(`⚠️ Fee source ${source.name} failed:`, error.message);
+        errors.push(`${source.name}: ${error.message}`);
+      }
+    }
+    
+    throw new Error(`No fee source available (${errors.join('; ') || 'no sources configured'})`);
+  }
+  
+  /**
+   * Fee rate for one tier
+   * @param {string} tier - FeeTier value (default 'normal')
+   * @param {Object} options - Same as getFeeRates()
+   * @returns {Promise<number>} sat/vB
+   */
+  async function getFeeRate(tier = FeeTier.NORMAL, options = {}) {
+    const rates = await getFeeRates(options);
+    if (!Object.values(FeeTier).includes(tier)) {
+      throw new Error(`Unknown fee tier: ${tier}`);
+    }
+    return rates[tier];
+  }
+  
+  return {
+    getFeeRates,
+    getFeeRate,
+    setSources(nextSources) {
+      sources = [...nextSources];
+      cache.clear();
+    },
+    getSources: () => [...sources],
+    clearCache: () => cache.clear()
+  };
+}
+
+export default {
+  FeeTier,
+  createEstimator: createFeeEstimator,
+  mempoolSource: createMempoolFeeSource,
+  ordSource: createOrdFeeSource,
+  staticSource: createStaticFeeSource
+};
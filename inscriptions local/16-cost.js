@@ -0,0 +1,387 @@
+/**
+ * Inscription Cost - Utility Module
+ * Inscription Module #16 - Utilities Layer
+ * 
+ * Purpose: Exact commit/reveal vsize and sats breakdown for an ord inscription
+ * Dependencies: Module #13 (Address)
+ * Exports: estimateInscriptionCost(), buildInscriptionScript(), estimateRevealVsize(),
+ *          estimateCommitVsize(), encodeCbor(), encodeInscriptionId(), InscriptionTag, DEFAULT_POSTAGE
+ * Size: ~420 lines, ~4KB brotli
+ * 
+ * The reveal script is built exactly as ord does:
+ *   <x-only pubkey> OP_CHECKSIG OP_FALSE OP_IF "ord"
+ *     <tag> <value> ...          (content type, pointer, parent, metadata, metaprotocol, encoding, delegate)
+ *     OP_0 <520-byte body pushes>
+ *   OP_ENDIF
+ * so reveal vsize is exact; commit vsize is exact for the given input/output types.
+ */
+
+import { decodeAddress, hexToBytes } from './13-address.js';
+
+// ============= CONSTANTS =============
+
+// Dust-safe value for the inscribed output (ord's CLI defaults to 10,000)
+export const DEFAULT_POSTAGE = 546;
+
+const MAX_PUSH = 520;
+
+// ord envelope field tags
+export const InscriptionTag = {
+  BODY: 0,
+  CONTENT_TYPE: 1,
+  POINTER: 2,
+  PARENT: 3,
+  METADATA: 5,
+  METAPROTOCOL: 7,
+  CONTENT_ENCODING: 9,
+  DELEGATE: 11
+};
+
+const OP = {
+  FALSE: 0x00,
+  PUSHDATA1: 0x4c,
+  PUSHDATA2: 0x4d,
+  IF: 0x63,
+  ENDIF: 0x68,
+  CHECKSIG: 0xac
+};
+
+// Per-input size by spent script type: non-witness bytes and witness bytes
+const INPUT_SIZES = {
+  p2tr: { base: 41, witness: 1 + 1 + 64 },                    // key-path Schnorr signature
+  p2wpkh: { base: 41, witness: 1 + 1 + 72 + 1 + 33 },         // signature + compressed pubkey
+  'p2sh-p2wpkh': { base: 41 + 23, witness: 1 + 1 + 72 + 1 + 33 },
+  p2pkh: { base: 41 + 1 + 72 + 1 + 33, witness: 0 }
+};
+
+// Output scriptPubKey lengths
+const SCRIPT_SIZES = {
+  p2tr: 34,
+  p2wsh: 34,
+  p2wpkh: 22,
+  p2sh: 23,
+  'p2sh-p2wpkh': 23,
+  p2pkh: 25
+};
+
+const textEncoder = new TextEncoder();
+
+// ============= ENCODING =============
+
+const varIntSize = (n) => (n < 0xfd ? 1 : n <= 0xffff ? 3 : n <= 0xffffffff ? 5 : 9);
+
+function toBytes(value) {
+  if (value === undefined || value === null) return new Uint8Array(0);
+  if (value instanceof Uint8Array) return value;
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  return textEncoder.encode(String(value));
+}
+
+/**
+ * Minimal data push, as rust-bitcoin's push_slice encodes it
+ */
+function pushData(data) {
+  const length = data.length;
+  let prefix;
+  if (length < OP.PUSHDATA1) prefix = [length];
+  else if (length <= 0xff) prefix = [OP.PUSHDATA1, length];
+  else prefix = [OP.PUSHDATA2, length & 0xff, length >> 8];
+  return [...prefix, ...data];
+}
+
+/**
+ * Little-endian integer with trailing zero bytes dropped (ord's pointer encoding)
+ */
+function encodeTrimmedLE(value) {
+  const bytes = [];
+  let n = Number(value);
+  while (n > 0) {
+    bytes.push(n % 256);
+    n = Math.floor(n / 256);
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Encode an inscription ID (<txid>i<index>) as ord stores it in parent/delegate tags
+ * @param {string} inscriptionId - e.g. "abc...123i0"
+ * @returns {Uint8Array} Reversed txid followed by the trimmed little-endian index
+ */
+export function encodeInscriptionId(inscriptionId) {
+  const match = /^([0-9a-f]{64})i(\d+)$/i.exec(inscriptionId || '');
+  if (!match) {
+    throw new Error(`Invalid inscription ID: ${inscriptionId}`);
+  }
+  
+  const txid = hexToBytes(match[1]).reverse();
+  const index = encodeTrimmedLE(match[2]);
+  return Uint8Array.from([...txid, ...index]);
+}
+
+/**
+ * Encode a JSON-like value as CBOR (RFC 8949) for the metadata tag
+ * Supports objects, arrays, strings, integers, floats, booleans, null and Uint8Array
+ * @param {*} value - Metadata value
+ * @returns {Uint8Array} CBOR bytes
+ */
+export function encodeCbor(value) {
+  const out = [];
+  
+  const head = (major, length) => {
+    const type = major << 5;
+    if (length < 24) out.push(type | length);
+    else if (length <= 0xff) out.push(type | 24, length);
+    else if (length <= 0xffff) out.push(type | 25, length >> 8, length & 0xff);
+    else if (length <= 0xffffffff) out.push(type | 26, length >>> 24, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff);
+    else {
+      const high = Math.floor(length / 0x100000000);
+      const low = length >>> 0;
+      out.push(type | 27, high >>> 24, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff);
+      out.push(low >>> 24, (low >>> 16) & 0xff, (low >>> 8) & 0xff, low & 0xff);
+    }
+  };
+  
+  const write = (item) => {
+    if (item === null || item === undefined) {
+      out.push(0xf6);
+    } else if (item === false || item === true) {
+      out.push(item ? 0xf5 : 0xf4);
+    } else if (typeof item === 'number' && Number.isInteger(item)) {
+      if (item >= 0) head(0, item);
+      else head(1, -1 - item);
+    } else if (typeof item === 'number') {
+      const view = new DataView(new ArrayBuffer(8));
+      view.setFloat64(0, item);
+      out.push(0xfb, ...new Uint8Array(view.buffer));
+    } else if (typeof item === 'string') {
+      const bytes = textEncoder.encode(item);
+      head(3, bytes.length);
+      out.push(...bytes);
+    } else if (item instanceof Uint8Array) {
+      head(2, item.length);
+      out.push(...item);
+    } else if (Array.isArray(item)) {
+      head(4, item.length);
+      item.forEach(write);
+    } else if (typeof item === 'object') {
+      const entries = Object.entries(item);
+      head(5, entries.length);
+      for (const [key, entry] of entries) {
+        write(key);
+        write(entry);
+      }
+    } else {
+      throw new Error(`Cannot CBOR-encode ${typeof item}`);
+    }
+  };
+  
+  write(value);
+  return Uint8Array.from(out);
+}
+
+// ============= ENVELOPE =============
+
+/**
+ * Build the tapscript that reveals an inscription
+ * @param {Object} inscription - { content, contentType, metadata, parent, delegate, pointer, metaprotocol, contentEncoding }
+ *   content may be a string, Uint8Array or ArrayBuffer; metadata an object (CBOR-encoded) or Uint8Array;
+ *   parent may be a single inscription ID or an array
+ * @param {Uint8Array|string} [xOnlyPubkey] - 32-byte key that signs the reveal (placeholder when estimating)
+ * @returns {Uint8Array} Reveal script
+ */
+export function buildInscriptionScript(inscription = {}, xOnlyPubkey = new Uint8Array(32)) {
+  const pubkey = typeof xOnlyPubkey === 'string' ? hexToBytes(xOnlyPubkey) : xOnlyPubkey;
+  if (pubkey.length !== 32) {
+    throw new Error('Reveal key must be a 32-byte x-only public key');
+  }
+  
+  const script = [...pushData(pubkey), OP.CHECKSIG, OP.FALSE, OP.IF, ...pushData(textEncoder.encode('ord'))];
+  
+  // Tags go in ascending order; values over 520 bytes repeat the tag per chunk
+  const field = (tag, value) => {
+    let offset = 0;
+    do {
+      script.push(...pushData([tag]), ...pushData(value.subarray(offset, offset + MAX_PUSH)));
+      offset += MAX_PUSH;
+    } while (offset < value.length);
+  };
+  
+  if (inscription.contentType) {
+    field(InscriptionTag.CONTENT_TYPE, textEncoder.encode(inscription.contentType));
+  }
+  if (inscription.pointer !== undefined && inscription.pointer !== null) {
+    field(InscriptionTag.POINTER, encodeTrimmedLE(inscription.pointer));
+  }
+  for (const parent of [].concat(inscription.parent || [])) {
+    field(InscriptionTag.PARENT, encodeInscriptionId(parent));
+  }
+  if (inscription.metadata !== undefined && inscription.metadata !== null) {
+    const metadata = inscription.metadata instanceof Uint8Array ? inscription.metadata : encodeCbor(inscription.metadata);
+    field(InscriptionTag.METADATA, metadata);
+  }
+  if (inscription.metaprotocol) {
+    field(InscriptionTag.METAPROTOCOL, textEncoder.encode(inscription.metaprotocol));
+  }
+  if (inscription.contentEncoding) {
+    field(InscriptionTag.CONTENT_ENCODING, textEncoder.encode(inscription.contentEncoding));
+  }
+  if (inscription.delegate) {
+    field(InscriptionTag.DELEGATE, encodeInscriptionId(inscription.delegate));
+  }
+  
+  const body = toBytes(inscription.content);
+  if (body.length > 0) {
+    script.push(OP.FALSE);
+    for (let offset = 0; offset < body.length; offset += MAX_PUSH) {
+      script.push(...pushData(body.subarray(offset, offset + MAX_PUSH)));
+    }
+  }
+  
+  script.push(OP.ENDIF);
+  return Uint8Array.from(script);
+}
+
+// ============= VSIZE =============
+
+/**
+ * Script type of an address, treating P2SH as the usual P2SH-P2WPKH wrapper
+ * @param {string} address - Bitcoin address, or a type name passed through
+ * @returns {string} 'p2tr', 'p2wpkh', 'p2sh-p2wpkh', 'p2pkh' or 'p2wsh'
+ */
+function addressScriptType(address, fallback = 'p2tr') {
+  if (!address) return fallback;
+  if (SCRIPT_SIZES[address]) return address;
+  
+  const { type } = decodeAddress(address);
+  return type === 'p2sh' ? 'p2sh-p2wpkh' : type;
+}
+
+function outputSize(type) {
+  const script = SCRIPT_SIZES[type];
+  if (!script) {
+    throw new Error(`Unsupported output type: ${type}`);
+  }
+  return 8 + varIntSize(script) + script;
+}
+
+function transactionVsize(inputs, outputs) {
+  const hasWitness = inputs.some(input => input.witness > 0);
+  let base = 4 + 4 + varIntSize(inputs.length) + varIntSize(outputs.length);
+  let witness = hasWitness ? 2 : 0; // marker + flag
+  
+  for (const input of inputs) {
+    base += input.base;
+    // Non-witness inputs still need an empty stack count in a segwit tx
+    witness += hasWitness ? Math.max(input.witness, 1) : 0;
+  }
+  for (const output of outputs) {
+    base += output;
+  }
+  
+  return Math.ceil((base * 4 + witness) / 4);
+}
+
+/**
+ * vsize of the reveal transaction: one script-path input spending the commit output,
+ * one output carrying the inscription to the recipient
+ * @param {Object} inscription - See buildInscriptionScript()
+ * @param {Object} [options] - { recipientAddress | recipientType }
+ * @returns {Object} { vsize, scriptSize, witnessSize }
+ */
+export function estimateRevealVsize(inscription, options = {}) {
+  const scriptSize = buildInscriptionScript(inscription).length;
+  // stack: signature, script, control block (leaf version + internal key, single leaf)
+  const witnessSize = 1 + (1 + 64) + varIntSize(scriptSize) + scriptSize + (1 + 33);
+  const recipientType = addressScriptType(options.recipientAddress || options.recipientType);
+  
+  const vsize = transactionVsize([{ base: 41, witness: witnessSize }], [outputSize(recipientType)]);
+  return { vsize, scriptSize, witnessSize };
+}
+
+/**
+ * vsize of the commit transaction paid for by the wallet
+ * @param {Object} [options] - { payerAddress | payerType, inputCount, serviceFee, serviceAddress, change }
+ * @returns {number} vsize
+ */
+export function estimateCommitVsize(options = {}) {
+  const payerType = addressScriptType(options.payerAddress || options.payerType, 'p2wpkh');
+  const input = INPUT_SIZES[payerType];
+  if (!input) {
+    throw new Error(`Cannot spend ${payerType} inputs`);
+  }
+  
+  const inputs = Array.from({ length: options.inputCount || 1 }, () => input);
+  const outputs = [outputSize('p2tr')]; // commit output to the reveal script
+  if (options.serviceFee > 0) {
+    outputs.push(outputSize(addressScriptType(options.serviceAddress || options.serviceType)));
+  }
+  if (options.change !== false) {
+    outputs.push(outputSize(payerType));
+  }
+  
+  return transactionVsize(inputs, outputs);
+}
+
+// ============= COST =============
+
+/**
+ * Full cost of an inscription: commit + reveal network fees, postage and service fee
+ * @param {Object} inscription - See buildInscriptionScript(); { contentSize } may stand in for content
+ * @param {Object} options - {
+ *   feeRate (sat/vB, required), postage, serviceFee, serviceAddress,
+ *   payerAddress | payerType, recipientAddress | recipientType, inputCount
+ * }
+ * @returns {Object} { feeRate, contentSize, chunks, commit, reveal, postage, serviceFee, networkFee, total }
+ */
+export function estimateInscriptionCost(inscription = {}, options = {}) {
+  const feeRate = Number(options.feeRate);
+  if (!(feeRate > 0)) {
+    throw new Error('feeRate must be a positive number (sat/vB)');
+  }
+  
+  // Size-only estimates (e.g. before a file is read) use a zero-filled body
+  const content = inscription.content ?? (inscription.contentSize ? new Uint8Array(inscription.contentSize) : undefined);
+  const contentSize = toBytes(content).length;
+  
+  const reveal = estimateRevealVsize({ ...inscription, content }, options);
+  const revealFee = Math.ceil(reveal.vsize * feeRate);
+  
+  const postage = options.postage ?? DEFAULT_POSTAGE;
+  const serviceFee = options.serviceFee > 0 ? Math.ceil(options.serviceFee) : 0;
+  
+  const commitVsize = estimateCommitVsize({ ...options, serviceFee });
+  const commitFee = Math.ceil(commitVsize * feeRate);
+  
+  return {
+    feeRate,
+    contentSize,
+    chunks: Math.ceil(contentSize / MAX_PUSH),
+    commit: {
+      vsize: commitVsize,
+      fee: commitFee,
+      outputValue: postage + revealFee // funds the reveal
+    },
+    reveal: {
+      vsize: reveal.vsize,
+      fee: revealFee,
+      scriptSize: reveal.scriptSize,
+      witnessSize: reveal.witnessSize
+    },
+    postage,
+    serviceFee,
+    networkFee: commitFee + revealFee,
+    total: commitFee + revealFee + postage + serviceFee
+  };
+}
+
+export default {
+  estimate: estimateInscriptionCost,
+  buildScript: buildInscriptionScript,
+  revealVsize: estimateRevealVsize,
+  commitVsize: estimateCommitVsize,
+  encodeCbor,
+  encodeInscriptionId,
+  InscriptionTag,
+  DEFAULT_POSTAGE
+};
@@ -0,0 +1,551 @@
+/**
+ * Inscriber - Utility Module
+ * Inscription Module #17 - Utilities Layer
+ * 
+ * Purpose: Inscribe from any PSBT-signing wallet with a commit PSBT and an ephemeral-key reveal
+ * Dependencies: Module #1 (WalletError), Module #13 (Address), Module #14 (PSBT), Module #15 (Fees: chain requests),
+ *               Module #16 (Cost)
+ * Exports: inscribeWithPsbt(), createRevealCommitment(), buildCommitPsbt(),
+ *          createMempoolChainSource(), createOrdUtxoFilter()
+ * Size: ~580 lines, ~6KB brotli
+ * 
+ * Flow (the same two transactions ord builds):
+ *   1. A one-time key is generated in memory; the reveal script (module #16) signed by
+ *      that key becomes the single leaf of a taproot output - the commit address
+ *   2. The wallet signs a commit PSBT paying postage + reveal fee to that address
+ *   3. The reveal spends it through the script path, signed here (BIP340 Schnorr),
+ *      and sends the inscribed sat to the recipient
+ * The one-time key never leaves this module. It only controls the commit output for
+ * the moment between the two broadcasts, so the plain (not constant-time) secp256k1
+ * arithmetic below is acceptable for it - do not reuse it for long-lived keys.
+ */
+
+import { WalletInternalError } from './01-base-provider.js';
+import { sha256, hash160, bytesToHex, hexToBytes, decodeAddress, addressToScript, decodeOutputScript, resolveAddressNetwork } from './13-address.js';
+import { createPsbt, extractTransaction, serializeTransaction, getTransactionId, encodeVarInt, encodeUInt32, encodeUInt64 } from './14-psbt.js';
+import { MEMPOOL_URLS, fetchWithTimeout } from './15-fees.js';
+import { buildInscriptionScript, estimateRevealVsize, estimateCommitVsize, DEFAULT_POSTAGE } from './16-cost.js';
+
+// ============= CONSTANTS =============
+
+const TAPSCRIPT_LEAF_VERSION = 0xc0;
+const SIGHASH_DEFAULT = 0x00;
+const RBF_SEQUENCE = 0xfffffffd;
+
+// Change below this is left to the miner instead of creating a dust output
+const DUST_LIMIT = 546;
+
+// Without an ord server to ask, smaller UTXOs may be carrying inscriptions
+const SAFE_UTXO_VALUE = 10000;
+
+// Longer than module #15's default: broadcasts can be slow to answer
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const textEncoder = new TextEncoder();
+
+// ============= BYTES =============
+
+// Parts may be Uint8Arrays or the byte arrays module #14's encoders return
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+const withLength = (bytes) => concatBytes(encodeVarInt(bytes.length), bytes);
+
+function randomBytes(length) {
+  if (!globalThis.crypto?.getRandomValues) {
+    throw new Error('crypto.getRandomValues is not available');
+  }
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+function taggedHash(tag, ...parts) {
+  const tagHash = sha256(textEncoder.encode(tag));
+  return sha256(concatBytes(tagHash, tagHash, ...parts));
+}
+
+// ============= SECP256K1 =============
+
+// BigInt() calls instead of literals so the bundle still builds for es2015 targets
+const big = (value) => BigInt(value);
+const ZERO = big(0);
+const ONE = big(1);
+const TWO = big(2);
+const THREE = big(3);
+const FOUR = big(4);
+const SEVEN = big(7);
+
+const P = big('0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f');
+const N = big('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+const G = [
+  big('0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798'),
+  big('0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8')
+];
+
+function mod(a, m = P) {
+  const r = a % m;
+  return r >= ZERO ? r : r + m;
+}
+
+function invert(a, m = P) {
+  let [low, high] = [mod(a, m), m];
+  let [lm, hm] = [ONE, ZERO];
+  while (low > ONE) {
+    const q = high / low;
+    [lm, hm] = [hm - lm * q, lm];
+    [low, high] = [high - low * q, low];
+  }
+  return mod(lm, m);
+}
+
+function modPow(base, exponent, m = P) {
+  let result = ONE;
+  let b = mod(base, m);
+  for (let e = exponent; e > ZERO; e >>= ONE) {
+    if (e & ONE) result = mod(result * b, m);
+    b = mod(b * b, m);
+  }
+  return result;
+}
+
+// Affine points as [x, y]; null is the point at infinity
+function pointAdd(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  
+  const [x1, y1] = a;
+  const [x2, y2] = b;
+  let slope;
+  if (x1 === x2) {
+    if (mod(y1 + y2) === ZERO) return null;
+    slope = mod(THREE * x1 * x1 * invert(TWO * y1));
+  } else {
+    slope = mod((y2 - y1) * invert(x2 - x1));
+  }
+  
+  const x3 = mod(slope * slope - x1 - x2);
+  return [x3, mod(slope * (x1 - x3) - y1)];
+}
+
+function pointMultiply(point, scalar) {
+  let result = null;
+  let addend = point;
+  for (let k = scalar; k > ZERO; k >>= ONE) {
+    if (k & ONE) result = pointAdd(result, addend);
+    addend = pointAdd(addend, addend);
+  }
+  return result;
+}
+
+// BIP340 lift_x: the point with this x coordinate and an even y
+function liftX(x) {
+  const c = mod(x * x * x + SEVEN);
+  const y = modPow(c, (P + ONE) / FOUR);
+  if (mod(y * y) !== c) {
+    throw new Error('Not a valid x-only public key');
+  }
+  return [x, (y & ONE) === ZERO ? y : P - y];
+}
+
+const hasEvenY = (point) => (point[1] & ONE) === ZERO;
+const bytesToInt = (bytes) => big(`0x${bytesToHex(bytes) || '0'}`);
+const intToBytes = (value) => hexToBytes(value.toString(16).padStart(64, '0'));
+
+/**
+ * BIP340 Schnorr signature
+ * @param {Uint8Array} message - 32-byte message (sighash)
+ * @param {Uint8Array} privateKey - 32-byte secret key
+ * @param {Uint8Array} [auxRand] - 32 bytes of fresh randomness
+ * @returns {Uint8Array} 64-byte signature
+ */
+function signSchnorr(message, privateKey, auxRand = randomBytes(32)) {
+  const secret = bytesToInt(privateKey);
+  const publicPoint = pointMultiply(G, secret);
+  const d = hasEvenY(publicPoint) ? secret : N - secret;
+  const px = intToBytes(publicPoint[0]);
+  
+  const t = intToBytes(d ^ bytesToInt(taggedHash('BIP0340/aux', auxRand)));
+  const nonce = mod(bytesToInt(taggedHash('BIP0340/nonce', t, px, message)), N);
+  if (nonce === ZERO) {
+    throw new Error('Schnorr nonce is zero');
+  }
+  
+  const noncePoint = pointMultiply(G, nonce);
+  const k = hasEvenY(noncePoint) ? nonce : N - nonce;
+  const rx = intToBytes(noncePoint[0]);
+  const e = mod(bytesToInt(taggedHash('BIP0340/challenge', rx, px, message)), N);
+  
+  return concatBytes(rx, intToBytes(mod(k + e * d, N)));
+}
+
+function createRevealKey() {
+  for (;;) {
+    const privateKey = randomBytes(32);
+    const secret = bytesToInt(privateKey);
+    if (secret > ZERO && secret < N) {
+      return { privateKey, xOnlyPubkey: intToBytes(pointMultiply(G, secret)[0]) };
+    }
+  }
+}
+
+// ============= REVEAL =============
+
+/**
+ * BIP341 signature hash for a script-path spend with SIGHASH_DEFAULT
+ * @param {Object} tx - { version, locktime, inputs, outputs } with hex scripts
+ * @param {Array<Object>} prevouts - { value, script } spent by each input
+ * @param {Uint8Array} leafHash - TapLeaf hash of the script being executed
+ * @param {number} [inputIndex=0]
+ * @returns {Uint8Array} 32-byte sighash
+ */
+function taprootScriptSighash(tx, prevouts, leafHash, inputIndex = 0) {
+  const hashAll = (items) => sha256(concatBytes(...items));
+  
+  return taggedHash('TapSighash', concatBytes(
+    Uint8Array.of(0x00, SIGHASH_DEFAULT), // epoch, hash type
+    encodeUInt32(tx.version),
+    encodeUInt32(tx.locktime),
+    hashAll(tx.inputs.map(input => concatBytes(hexToBytes(input.txid).reverse(), encodeUInt32(input.vout)))),
+    hashAll(prevouts.map(prevout => encodeUInt64(prevout.value))),
+    hashAll(prevouts.map(prevout => withLength(hexToBytes(prevout.script)))),
+    hashAll(tx.inputs.map(input => encodeUInt32(input.sequence))),
+    hashAll(tx.outputs.map(output => concatBytes(encodeUInt64(output.value), withLength(hexToBytes(output.script))))),
+    Uint8Array.of(0x02), // spend type: script path, no annex
+    encodeUInt32(inputIndex),
+    leafHash,
+    Uint8Array.of(0x00), // key version
+    encodeUInt32(0xffffffff) // no OP_CODESEPARATOR executed
+  ));
+}
+
+/**
+ * Commit an inscription to a fresh taproot output
+ * The output's internal key and its single leaf's signing key are the same one-time key,
+ * held only in this object's closure
+ * @param {Object} inscription - See buildInscriptionScript() (module #16)
+ * @param {Object} [options] - { network } for the commit address
+ * @returns {Object} { address, outputScript, script, controlBlock, buildReveal({ txid, vout, value, recipientAddress, postage }) }
+ */
+export function createRevealCommitment(inscription, options = {}) {
+  const { privateKey, xOnlyPubkey } = createRevealKey();
+  const script = buildInscriptionScript(inscription, xOnlyPubkey);
+  
+  const leafHash = taggedHash('TapLeaf', Uint8Array.of(TAPSCRIPT_LEAF_VERSION), withLength(script));
+  const tweak = bytesToInt(taggedHash('TapTweak', xOnlyPubkey, leafHash));
+  if (tweak >= N) {
+    throw new Error('Taproot tweak out of range');
+  }
+  
+  const outputKey = pointAdd(liftX(bytesToInt(xOnlyPubkey)), pointMultiply(G, tweak));
+  const outputScript = bytesToHex(concatBytes(Uint8Array.of(0x51, 0x20), intToBytes(outputKey[0])));
+  const controlBlock = concatBytes(Uint8Array.of(TAPSCRIPT_LEAF_VERSION | (hasEvenY(outputKey) ? 0 : 1)), xOnlyPubkey);
+  
+  return {
+    address: decodeOutputScript(outputScript, options.network).address,
+    outputScript,
+    script: bytesToHex(script),
+    controlBlock: bytesToHex(controlBlock),
+    
+    /**
+     * Sign the reveal transaction spending the commit output
+     * @param {Object} commit - { txid, vout, value } of the commit output; { recipientAddress, postage }
+     * @returns {Object} { hex, txid }
+     */
+    buildReveal({ txid, vout = 0, value, recipientAddress, postage = DEFAULT_POSTAGE }) {
+      const tx = {
+        version: 2,
+        locktime: 0,
+        inputs: [{ txid, vout, scriptSig: '', sequence: RBF_SEQUENCE, witness: [] }],
+        outputs: [{ value: postage, script: bytesToHex(addressToScript(recipientAddress)) }]
+      };
+      
+      const sighash = taprootScriptSighash(tx, [{ value, script: outputScript }], leafHash);
+      tx.inputs[0].witness = [bytesToHex(signSchnorr(sighash, privateKey)), bytesToHex(script), bytesToHex(controlBlock)];
+      
+      const raw = serializeTransaction(tx, { witness: true });
+      return { hex: bytesToHex(raw), txid: getTransactionId(raw) };
+    }
+  };
+}
+
+// ============= COMMIT =============
+
+// UniSat/Wizz { satoshis }, mempool.space { value }, others { amount }
+function normalizeUtxo(utxo) {
+  return {
+    txid: utxo.txid || utxo.txId,
+    vout: Number(utxo.vout ?? utxo.outputIndex ?? utxo.index),
+    value: Number(utxo.value ?? utxo.satoshis ?? utxo.amount),
+    rawTx: utxo.rawTx
+  };
+}
+
+const xOnly = (publicKey) => (publicKey.length === 66 ? publicKey.slice(2) : publicKey);
+
+/**
+ * Build the commit PSBT: payer UTXOs -> commit output (+ service fee) (+ change)
+ * Coins are picked largest first; change under the dust limit goes to the miner
+ * @param {Object} options - {
+ *   utxos: [{ txid, vout, value, rawTx (legacy payers) }], payerAddress, payerPublicKey,
+ *   commitScript, commitValue, feeRate, serviceFee, serviceAddress, changeAddress
+ * }
+ * @returns {Object} { psbt (hex), inputs: signing inputs for signPsbt, fee, change }
+ * @throws {Error} If the UTXOs cannot cover the commit
+ */
+export function buildCommitPsbt(options) {
+  const { payerAddress, payerPublicKey, serviceAddress, feeRate } = options;
+  const payerType = decodeAddress(payerAddress).type;
+  const serviceFee = options.serviceFee > 0 ? Math.ceil(options.serviceFee) : 0;
+  const needed = options.commitValue + serviceFee;
+  
+  const selected = [];
+  let total = 0;
+  const feeFor = (change) => Math.ceil(estimateCommitVsize({
+    payerAddress,
+    inputCount: selected.length,
+    serviceFee,
+    serviceAddress,
+    change
+  }) * feeRate);
+  
+  for (const utxo of [...options.utxos].sort((a, b) => b.value - a.value)) {
+    selected.push(utxo);
+    total += utxo.value;
+    if (total >= needed + feeFor(false)) break;
+  }
+  if (selected.length === 0 || total < needed + feeFor(false)) {
+    throw new Error(`Insufficient funds: need ${needed + feeFor(false)} sats, ${total} available in spendable UTXOs`);
+  }
+  
+  let fee = feeFor(true);
+  let change = total - needed - fee;
+  if (change < DUST_LIMIT) {
+    fee = total - needed;
+    change = 0;
+  }
+  
+  let redeemScript;
+  if (payerType === 'p2sh') {
+    if (!payerPublicKey) {
+      throw new Error('P2SH payment addresses need the account public key');
+    }
+    redeemScript = `0014${bytesToHex(hash160(hexToBytes(payerPublicKey)))}`;
+    if (bytesToHex(addressToScript(payerAddress)) !== `a914${bytesToHex(hash160(hexToBytes(redeemScript)))}87`) {
+      throw new Error('Payment address is not P2SH-P2WPKH for its public key');
+    }
+  }
+  
+  const payerScript = bytesToHex(addressToScript(payerAddress));
+  const inputs = selected.map(utxo => {
+    const input = { txid: utxo.txid, vout: utxo.vout, sequence: RBF_SEQUENCE };
+    if (payerType === 'p2pkh') {
+      if (!utxo.rawTx) {
+        throw new Error(`Legacy input ${utxo.txid}:${utxo.vout} needs its previous transaction`);
+      }
+      input.nonWitnessUtxo = utxo.rawTx;
+    } else {
+      input.witnessUtxo = { value: utxo.value, script: payerScript };
+    }
+    if (redeemScript) {
+      input.redeemScript = redeemScript;
+    }
+    if (payerType === 'p2tr' && payerPublicKey) {
+      input.tapInternalKey = xOnly(payerPublicKey);
+    }
+    return input;
+  });
+  
+  const outputs = [{ value: options.commitValue, script: options.commitScript }];
+  if (serviceFee > 0) {
+    outputs.push({ value: serviceFee, script: bytesToHex(addressToScript(serviceAddress)) });
+  }
+  if (change > 0) {
+    outputs.push({ value: change, script: bytesToHex(addressToScript(options.changeAddress || payerAddress)) });
+  }
+  
+  return {
+    psbt: createPsbt({ inputs, outputs }),
+    inputs: selected.map((utxo, index) => ({ index, address: payerAddress, publicKey: payerPublicKey })),
+    fee,
+    change
+  };
+}
+
+// ============= CHAIN ACCESS =============
+
+// fetchWithTimeout() (module #15) with this module's default timeout
+const request = (url, init, { fetch, timeout = DEFAULT_TIMEOUT_MS } = {}) => fetchWithTimeout(url, init, { fetch, timeout });
+
+/**
+ * mempool.space-compatible REST client for UTXOs, previous transactions and broadcasting
+ * @param {Object} options - { baseUrl, urls: { livenet, testnet, testnet4, signet, regtest }, fetch, timeout }
+ * @returns {Object} { name, getUtxos(address), getTransactionHex(txid), broadcast(rawTx) }, each taking { network }
+ */
+export function createMempoolChainSource(options = {}) {
+  const urls = { ...MEMPOOL_URLS, ...options.urls };
+  const apiUrl = (network) => {
+    const baseUrl = options.baseUrl || urls[resolveAddressNetwork(network) || 'livenet'];
+    if (!baseUrl) {
+      throw new Error(`No mempool API configured for ${network}`);
+    }
+    return `${baseUrl.replace(/\/$/, '')}/api`;
+  };
+  
+  return {
+    name: 'mempool',
+    async getUtxos(address, { network } = {}) {
+      const utxos = await request(`${apiUrl(network)}/address/${address}/utxo`, { json: true }, options);
+      return utxos.map(utxo => ({ ...normalizeUtxo(utxo), confirmed: !!utxo.status?.confirmed }));
+    },
+    async getTransactionHex(txid, { network } = {}) {
+      return await request(`${apiUrl(network)}/tx/${txid}/hex`, {}, options);
+    },
+    async broadcast(rawTx, { network } = {}) {
+      return await request(`${apiUrl(network)}/tx`, { method: 'POST', body: rawTx }, options);
+    }
+  };
+}
+
+/**
+ * UTXO filter that keeps inscribed and rune-bearing outputs out of the commit
+ * Asks ord's /r/utxo/<outpoint> (same-origin when inscribed); when no ord server
+ * answers, only UTXOs above minValue are treated as plain sats
+ * @param {Object} options - { baseUrl (default same origin), minValue (default 10,000), fetch, timeout }
+ * @returns {Function} async (utxo) => boolean
+ */
+export function createOrdUtxoFilter(options = {}) {
+  const baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+  const minValue = options.minValue ?? SAFE_UTXO_VALUE;
+  
+  return async (utxo) => {
+    try {
+      const output = await request(`${baseUrl}/r/utxo/${utxo.txid}:${utxo.vout}`, { json: true }, options);
+      return !(output.inscriptions || []).length && Object.keys(output.runes || {}).length === 0;
+    } catch (error) {
+      return utxo.value > minValue;
+    }
+  };
+}
+
+// ============= INSCRIBE =============
+
+/**
+ * Inscribe through any wallet that can sign a PSBT
+ * @param {Object} inscription - { content, contentType, metadata, parent, delegate, pointer, metaprotocol, contentEncoding }
+ * @param {Object} options - {
+ *   feeRate (sat/vB, required), payerAddress (required), payerPublicKey, recipientAddress (default payer),
+ *   changeAddress, postage, serviceFee, serviceAddress, network,
+ *   signPsbt(psbtHex, signingOptions) => signed PSBT, broadcast(rawTx),
+ *   getUtxos(address) => [{ txid, vout, value }], getTransactionHex(txid) (legacy payers),
+ *   isSpendable(utxo) => boolean (default createOrdUtxoFilter()),
+ *   spendAllUtxos: true to skip the filter when getUtxos() only returns plain sats
+ * }
+ * @returns {Promise<Object>} { inscriptionId, commitTxId, revealTxId, commitAddress, revealTransaction, fees }
+ * @throws {WalletInternalError} If either broadcast fails once the commit is signed, the error carries
+ *   commitTxId, commitTransaction and revealTransaction (signed hex) so both can be rebroadcast
+ */
+export async function inscribeWithPsbt(inscription, options = {}) {
+  const { payerAddress, payerPublicKey, network, signPsbt, broadcast } = options;
+  const recipientAddress = options.recipientAddress || payerAddress;
+  const feeRate = Number(options.feeRate);
+  if (!(feeRate > 0)) {
+    throw new Error('feeRate must be a positive number (sat/vB)');
+  }
+  if (!payerAddress) {
+    throw new Error('payerAddress is required');
+  }
+  
+  const postage = options.postage ?? DEFAULT_POSTAGE;
+  const commitment = createRevealCommitment(inscription, { network });
+  const revealFee = Math.ceil(estimateRevealVsize(inscription, { recipientAddress }).vsize * feeRate);
+  const commitValue = postage + revealFee;
+  
+  // Inscribed and rune-bearing UTXOs would be burned as fees - only an explicit opt-out spends everything
+  const isSpendable = options.spendAllUtxos ? () => true : (options.isSpendable || createOrdUtxoFilter());
+  const utxos = [];
+  for (const utxo of (await options.getUtxos(payerAddress)).map(normalizeUtxo)) {
+    if (await isSpendable(utxo)) {
+      utxos.push(utxo);
+    }
+  }
+  if (decodeAddress(payerAddress).type === 'p2pkh') {
+    for (const utxo of utxos) {
+      utxo.rawTx = utxo.rawTx || await options.getTransactionHex(utxo.txid);
+    }
+  }
+  
+  const commit = buildCommitPsbt({
+    utxos,
+    payerAddress,
+    payerPublicKey,
+    commitScript: commitment.outputScript,
+    commitValue,
+    feeRate,
+    serviceFee: options.serviceFee,
+    serviceAddress: options.serviceAddress,
+    changeAddress: options.changeAddress
+  });
+  console.log(`🔍 Commit: ${commit.inputs.length} input(s), ${commitValue} sats to ${commitment.address}, fee ${commit.fee} sats`);
+  
+  const signed = await signPsbt(commit.psbt, { inputs: commit.inputs, autoFinalize: true, broadcast: false });
+  const commitTransaction = extractTransaction(signed, { finalize: true });
+  if (!commitTransaction) {
+    throw new Error('Wallet did not sign every commit input');
+  }
+  
+  const commitTxId = getTransactionId(commitTransaction);
+  const reveal = commitment.buildReveal({ txid: commitTxId, vout: 0, value: commitValue, recipientAddress, postage });
+  
+  // The reveal is already signed and the one-time key is gone after this call, so every
+  // broadcast failure carries both signed transactions for a retry
+  const broadcastFailure = (message, cause) => Object.assign(new WalletInternalError(message, { cause }), {
+    commitTxId,
+    commitTransaction,
+    revealTransaction: reveal.hex
+  });
+  
+  try {
+    await broadcast(commitTransaction);
+  } catch (error) {
+    // A timeout or proxy error does not mean the node rejected it
+    throw broadcastFailure(`Commit ${commitTxId} broadcast failed (${error.message}); it may still have reached the network - rebroadcast commitTransaction, then revealTransaction`, error);
+  }
+  console.log('✅ Commit broadcast:', commitTxId);
+  
+  try {
+    await broadcast(reveal.hex);
+  } catch (error) {
+    throw broadcastFailure(`Commit ${commitTxId} was broadcast but the reveal failed (${error.message}); rebroadcast revealTransaction to finish`, error);
+  }
+  console.log('✅ Reveal broadcast:', reveal.txid);
+  
+  const serviceFee = options.serviceFee > 0 ? Math.ceil(options.serviceFee) : 0;
+  return {
+    inscriptionId: `${reveal.txid}i0`,
+    commitTxId,
+    revealTxId: reveal.txid,
+    commitAddress: commitment.address,
+    revealTransaction: reveal.hex,
+    fees: {
+      commit: commit.fee,
+      reveal: revealFee,
+      postage,
+      serviceFee,
+      total: commit.fee + revealFee + postage + serviceFee
+    }
+  };
+}
+
+export default {
+  inscribe: inscribeWithPsbt,
+  createCommitment: createRevealCommitment,
+  buildCommitPsbt,
+  mempoolChainSource: createMempoolChainSource,
+  ordUtxoFilter: createOrdUtxoFilter
+};
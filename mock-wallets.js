@@ -0,0 +1,978 @@
+/**
+ * Mock Wallet Harness
+ *
+ * Installs fakes of every supported wallet extension on window (or any target
+ * object) so the providers in "inscriptions local/" and the loader can run
+ * headless in Node or jsdom, with no browser extension involved
+ *
+ * Installs:
+ *   UniSat      window.unisat
+ *   Xverse      window.XverseProviders.BitcoinProvider, window.BitcoinProvider, btc_providers entry
+ *   OKX         window.okxwallet.bitcoin
+ *   Leather     window.LeatherProvider, btc_providers entry
+ *   Phantom     window.phantom.bitcoin
+ *   Wizz        window.wizz
+ *   MagicEden   window.magicEden.bitcoin
+ *   Oyl         window.oyl
+ *
+ * Every fake:
+ *   - answers with the wallet's own response shapes (sats-connect envelopes,
+ *     Leather JSON-RPC, Magic Eden JWT requests, Oyl address objects, ...)
+ *   - uses deterministic keys: the same wallet/purpose always gives the same
+ *     key pair, and the addresses follow the mock's network
+ *   - signs PSBTs inputs it owns with placeholder signatures (right size and
+ *     PSBT field, not valid ECDSA/Schnorr) and finalizes them where the real
+ *     wallet does (UniSat, OKX and Wizz unless autoFinalized: false)
+ *   - records every call: mock.calls -> [{ method, args }]
+ *
+ * Scripting:
+ *   mock.respond('getBalance', { confirmed: 0, unconfirmed: 0, total: 0 });
+ *   mock.respond('signMessage', (message) => 'sig-' + message);
+ *   mock.reject('requestAccounts');            // next call is a user rejection
+ *   mock.reject('signPsbt', { times: Infinity, error: new Error('Ledger locked') });
+ *   mock.emit('accountsChanged', []);         // fire a wallet event
+ *   mock.setNetwork('testnet');               // re-derive addresses for another network
+ *   mock.sign(psbt, { finalize: true });      // signed fixture, not recorded as a call
+ *   mock.reset();                             // clear calls, overrides and rejections
+ *
+ * Usage (Node, no DOM):
+ *   import { installMockWallets } from './mock-wallets.js';
+ *   const mocks = installMockWallets({ wallets: ['UniSat', 'Xverse'] });
+ *   const NWC = await import('./frontend/components/dev-loader-simple.js');
+ *   await NWC.connect('UniSat');
+ *   mocks.UniSat.calls;     // [{ method: 'requestAccounts', args: [] }, ...]
+ *   mocks.uninstall();
+ *
+ * jsdom: installMockWallets({ target: dom.window })
+ */
+
+import crypto from 'crypto';
+import { decodeOutputScript, hash160, hexToBytes, bytesToHex } from './inscriptions local/13-address.js';
+import { decodePsbt, detectPsbtEncoding, convertPsbt, extractTransaction, getTransactionId, PsbtEncoding } from './inscriptions local/14-psbt.js';
+
+export const MOCK_WALLETS = ['UniSat', 'Xverse', 'OKX', 'Leather', 'Phantom', 'Wizz', 'MagicEden', 'Oyl'];
+
+const MOCK_SEED = 'nexus-mock-wallet';
+const DEFAULT_BALANCE = 100000;
+const REJECTION_MESSAGE = 'User rejected the request.';
+const MOCK_ICON = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciLz4=';
+
+// PSBT input key types written by the fake signer
+const PSBT_IN = {
+  PARTIAL_SIG: 0x02,
+  FINAL_SCRIPTSIG: 0x07,
+  FINAL_SCRIPTWITNESS: 0x08,
+  TAP_KEY_SIG: 0x13
+};
+
+// ============= DETERMINISTIC KEYS =============
+
+const sha256Hex = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Key pair for a wallet/purpose label; the private key is sha256(seed:label)
+ */
+function deriveKeyPair(label) {
+  const privateKey = crypto.createHash('sha256').update(`${MOCK_SEED}:${label}`).digest();
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.setPrivateKey(privateKey);
+  return {
+    privateKey: privateKey.toString('hex'),
+    publicKey: ecdh.getPublicKey('hex', 'compressed')
+  };
+}
+
+/**
+ * Account for one key: address type, output script and address on the given network
+ * Taproot outputs use the untweaked x-only key, which is enough for a fake
+ */
+function buildAccount({ label, purpose, type }, network) {
+  const { privateKey, publicKey } = deriveKeyPair(label);
+  const keyHash = bytesToHex(hash160(hexToBytes(publicKey)));
+  const xOnlyPublicKey = publicKey.slice(2);
+  let script;
+  let redeemScript = null;
+
+  if (type === 'p2tr') {
+    script = `5120${xOnlyPublicKey}`;
+  } else if (type === 'p2sh') {
+    redeemScript = `0014${keyHash}`;
+    script = `a914${bytesToHex(hash160(hexToBytes(redeemScript)))}87`;
+  } else if (type === 'p2pkh') {
+    script = `76a914${keyHash}88ac`;
+  } else {
+    script = `0014${keyHash}`;
+  }
+
+  return {
+    purpose,
+    type,
+    address: decodeOutputScript(script, network).address,
+    publicKey,
+    xOnlyPublicKey,
+    privateKey,
+    script,
+    redeemScript
+  };
+}
+
+// ============= FAKE PSBT SIGNING =============
+
+function toBytes(psbt) {
+  if (psbt instanceof Uint8Array) {
+    return psbt;
+  }
+  return hexToBytes(convertPsbt(psbt, PsbtEncoding.HEX));
+}
+
+// Answer in the encoding the caller used
+function fromBytes(bytes, like) {
+  if (like instanceof Uint8Array) {
+    return bytes;
+  }
+  const hex = bytesToHex(bytes);
+  return detectPsbtEncoding(like) === PsbtEncoding.BASE64 ? convertPsbt(hex, PsbtEncoding.BASE64) : hex;
+}
+
+function readVarInt(bytes, offset) {
+  const first = bytes[offset];
+  if (first < 0xfd) return [first, 1];
+  if (first === 0xfd) return [bytes[offset + 1] | (bytes[offset + 2] << 8), 3];
+  if (first === 0xfe) return [(bytes[offset + 1] | (bytes[offset + 2] << 8) | (bytes[offset + 3] << 16)) + bytes[offset + 4] * 0x1000000, 5];
+  throw new Error('PSBT field too large for the mock signer');
+}
+
+const varInt = (n) => (n < 0xfd ? [n] : [0xfd, n & 0xff, n >> 8]);
+
+function encodeEntry(type, value, keyData = []) {
+  return [...varInt(1 + keyData.length), type, ...keyData, ...varInt(value.length), ...value];
+}
+
+function encodeWitness(items) {
+  return items.reduce((bytes, item) => [...bytes, ...varInt(item.length), ...item], varInt(items.length));
+}
+
+/**
+ * Offsets of the 0x00 separator closing each PSBT map (global, inputs, outputs)
+ */
+function mapSeparators(bytes) {
+  const separators = [];
+  let offset = 5;
+  while (offset < bytes.length) {
+    const [keyLength, keySize] = readVarInt(bytes, offset);
+    offset += keySize;
+    if (keyLength === 0) {
+      separators.push(offset - 1);
+      continue;
+    }
+    offset += keyLength;
+    const [valueLength, valueSize] = readVarInt(bytes, offset);
+    offset += valueSize + valueLength;
+  }
+  return separators;
+}
+
+// Placeholder signatures: deterministic, correctly sized, never valid
+function placeholderSchnorr(account, txid, index) {
+  return hexToBytes(sha256Hex(`${account.privateKey}:${txid}:${index}:r`) + sha256Hex(`${account.privateKey}:${txid}:${index}:s`));
+}
+
+function placeholderEcdsa(account, txid, index, sighashType = 0x01) {
+  // DER-shaped: 0x30 len 0x02 32 r 0x02 32 s, with r/s kept positive and minimal
+  const part = (tag) => {
+    const bytes = hexToBytes(sha256Hex(`${account.privateKey}:${txid}:${index}:${tag}`));
+    bytes[0] = (bytes[0] & 0x7f) | 0x40;
+    return [...bytes];
+  };
+  return Uint8Array.from([0x30, 0x44, 0x02, 0x20, ...part('r'), 0x02, 0x20, ...part('s'), sighashType]);
+}
+
+// 65-byte base64 message signature (header byte + r + s), like BIP137 output
+function placeholderMessageSignature(account, message) {
+  return Buffer.from([0x1f, ...placeholderSchnorr(account, sha256Hex(String(message)), 0)]).toString('base64');
+}
+
+/**
+ * Sign the inputs a mock owns
+ * @param {Object} mock - Mock wallet
+ * @param {string|Uint8Array} psbt - PSBT hex, base64 or bytes
+ * @param {Object} [request] - { indexes: which inputs (default: every owned input), finalize, sighashTypes: { index: type } }
+ * @returns {string|Uint8Array} Signed PSBT, in the caller's encoding
+ */
+function signMockPsbt(mock, psbt, { indexes = null, finalize = false, sighashTypes = {} } = {}) {
+  const bytes = toBytes(psbt);
+  const decoded = decodePsbt(bytes);
+  const separators = mapSeparators(bytes);
+  const accounts = Object.values(mock.accounts);
+  const insertions = [];
+
+  decoded.inputs.forEach((input, index) => {
+    if (indexes && !indexes.includes(index)) {
+      return;
+    }
+    const prevout = input.witnessUtxo || input.nonWitnessUtxo?.outputs[input.vout];
+    const account = prevout && accounts.find(candidate => candidate.script === prevout.script);
+    if (!account) {
+      if (indexes) {
+        throw Object.assign(new Error(`Can not sign input #${index}: not owned by ${mock.name}`), { code: -32602 });
+      }
+      return;
+    }
+
+    const sighashType = sighashTypes[index];
+    const publicKey = [...hexToBytes(account.publicKey)];
+    let entries;
+    if (account.type === 'p2tr') {
+      const signature = [...placeholderSchnorr(account, decoded.txid, index), ...(sighashType ? [sighashType] : [])];
+      entries = finalize
+        ? encodeEntry(PSBT_IN.FINAL_SCRIPTWITNESS, encodeWitness([signature]))
+        : encodeEntry(PSBT_IN.TAP_KEY_SIG, signature);
+    } else {
+      const signature = [...placeholderEcdsa(account, decoded.txid, index, sighashType || 0x01)];
+      if (!finalize) {
+        entries = encodeEntry(PSBT_IN.PARTIAL_SIG, signature, publicKey);
+      } else if (account.type === 'p2pkh') {
+        entries = encodeEntry(PSBT_IN.FINAL_SCRIPTSIG, [signature.length, ...signature, publicKey.length, ...publicKey]);
+      } else {
+        entries = encodeEntry(PSBT_IN.FINAL_SCRIPTWITNESS, encodeWitness([signature, publicKey]));
+        if (account.type === 'p2sh') {
+          const redeemScript = [...hexToBytes(account.redeemScript)];
+          entries = [...encodeEntry(PSBT_IN.FINAL_SCRIPTSIG, [redeemScript.length, ...redeemScript]), ...entries];
+        }
+      }
+    }
+    insertions.push({ offset: separators[1 + index], entries });
+  });
+
+  if (!indexes && insertions.length === 0) {
+    throw new Error(`${mock.name}: no inputs to sign`);
+  }
+
+  const signed = [];
+  let cursor = 0;
+  for (const { offset, entries } of insertions) {
+    signed.push(...bytes.subarray(cursor, offset), ...entries);
+    cursor = offset;
+  }
+  signed.push(...bytes.subarray(cursor));
+  return fromBytes(Uint8Array.from(signed), psbt);
+}
+
+/**
+ * Input indexes from any wallet's signing options (toSignInputs, signInputs,
+ * inputsToSign, signAtIndex), or null to sign every owned input
+ */
+function requestedInputs(options = {}) {
+  const sighashTypes = {};
+  let indexes = null;
+  const add = (index, types) => {
+    (indexes ||= []).push(index);
+    if (types?.length) sighashTypes[index] = types[0];
+  };
+
+  (options.toSignInputs || []).forEach(input => add(input.index, input.sighashTypes));
+  Object.values(options.signInputs || {}).flat().forEach(index => add(index));
+  (options.inputsToSign || []).forEach(input => (input.signingIndexes || []).forEach(index => add(index, input.sigHash ? [input.sigHash] : null)));
+  [].concat(options.signAtIndex ?? []).forEach(index => add(index));
+
+  return { indexes, sighashTypes };
+}
+
+// ============= MOCK WALLET =============
+
+function mockInscriptions(mock) {
+  const txid = sha256Hex(`${MOCK_SEED}:${mock.name}:inscription`);
+  return [{
+    inscriptionId: `${txid}i0`,
+    inscriptionNumber: 1000 + MOCK_WALLETS.indexOf(mock.name),
+    address: mock.accounts.ordinals.address,
+    outputValue: 546,
+    postage: 546,
+    contentType: 'text/plain;charset=utf-8',
+    contentLength: 5,
+    timestamp: 1700000000,
+    genesisTransaction: txid,
+    location: `${txid}:0:0`,
+    output: `${txid}:0`,
+    offset: 0
+  }];
+}
+
+function mockUtxos(mock) {
+  const account = mock.accounts.payment;
+  return [{
+    txid: sha256Hex(`${MOCK_SEED}:${mock.name}:utxo`),
+    vout: 0,
+    satoshis: DEFAULT_BALANCE,
+    scriptPk: account.script,
+    pubkey: account.publicKey,
+    addressType: account.type,
+    inscriptions: [],
+    atomicals: [],
+    runes: []
+  }];
+}
+
+/**
+ * Txid for a broadcast; finalized PSBTs and raw transactions give their real txid
+ */
+function broadcast(mock, { psbt, rawTx } = {}) {
+  let txid;
+  try {
+    const raw = rawTx || (psbt && extractTransaction(typeof psbt === 'string' ? psbt : bytesToHex(psbt), { finalize: true }));
+    txid = raw ? getTransactionId(raw) : null;
+  } catch {
+    txid = null;
+  }
+  txid ||= sha256Hex(`${MOCK_SEED}:${mock.name}:broadcast:${mock.broadcasts.length}`);
+  mock.broadcasts.push({ txid, psbt: psbt || null, rawTx: rawTx || null });
+  return txid;
+}
+
+/**
+ * Create one mock wallet (not installed anywhere; see installMockWallets)
+ * @param {string} walletName - One of MOCK_WALLETS
+ * @param {Object} [options] - {
+ *   network: 'livenet' | 'testnet' | 'testnet4' | 'signet' | 'regtest' (default 'livenet'),
+ *   addressType: address type of single-address wallets (UniSat, OKX, Wizz),
+ *   responses: { method: value | (...args) => value } overrides
+ * }
+ * @returns {Object} Mock with provider, accounts, calls, broadcasts, respond(), reject(), emit(), setNetwork(), sign(), reset()
+ */
+export function createMockWallet(walletName, options = {}) {
+  const spec = WALLET_SPECS[walletName];
+  if (!spec) {
+    throw new Error(`Unknown mock wallet: ${walletName} (expected one of ${MOCK_WALLETS.join(', ')})`);
+  }
+
+  const overrides = new Map(Object.entries(options.responses || {}));
+  const rejections = new Map();
+  const listeners = new Map();
+  const keys = spec.accounts(walletName, options.addressType);
+
+  const mock = {
+    name: walletName,
+    network: options.network || 'livenet',
+    accounts: null,
+    connected: false,
+    calls: [],
+    broadcasts: [],
+
+    /** Override a method's answer (value or function of the call's arguments) */
+    respond(method, value) {
+      overrides.set(method, value);
+      return mock;
+    },
+
+    /** Make the next call(s) fail, by default with the wallet's own user-rejection shape */
+    reject(method, { times = 1, error } = {}) {
+      rejections.set(method, { times, error });
+      return mock;
+    },
+
+    /** Fire a wallet event to every listener registered through on()/addListener() */
+    emit(event, payload) {
+      for (const listener of [...(listeners.get(event) || [])]) {
+        listener(payload);
+      }
+    },
+
+    /** Re-derive the accounts on another network */
+    setNetwork(network) {
+      mock.network = network;
+      mock.accounts = {
+        payment: buildAccount(keys.payment, network),
+        ordinals: buildAccount(keys.ordinals, network)
+      };
+    },
+
+    callsTo(method) {
+      return mock.calls.filter(call => call.method === method);
+    },
+
+    /** Sign a PSBT the way this wallet would, without recording a call (for building fixtures) */
+    sign(psbt, signOptions = {}) {
+      return signMockPsbt(mock, psbt, signOptions);
+    },
+
+    /** Listeners registered by the page, for one event or all of them */
+    listenerCount(event) {
+      const sets = event ? [listeners.get(event)] : [...listeners.values()];
+      return sets.reduce((count, set) => count + (set ? set.size : 0), 0);
+    },
+
+    reset() {
+      mock.calls.length = 0;
+      mock.broadcasts.length = 0;
+      overrides.clear();
+      rejections.clear();
+      mock.connected = false;
+    }
+  };
+  mock.setNetwork(mock.network);
+
+  /**
+   * Run a wallet method: record it, apply scripted rejections and overrides,
+   * otherwise run the default handler
+   */
+  mock.invoke = async (method, args, handler) => {
+    mock.calls.push({ method, args });
+
+    const rejection = rejections.get(method);
+    if (rejection && rejection.times > 0) {
+      rejection.times -= 1;
+      if (rejection.error) {
+        throw rejection.error;
+      }
+      return spec.rejection(method);
+    }
+
+    if (overrides.has(method)) {
+      const value = overrides.get(method);
+      return typeof value === 'function' ? value(...args) : value;
+    }
+    return handler(...args);
+  };
+
+  mock.on = (event, listener) => {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(listener);
+  };
+  mock.off = (event, listener) => listeners.get(event)?.delete(listener);
+  mock.offAll = (event) => (event ? listeners.delete(event) : listeners.clear());
+
+  mock.provider = spec.build(mock);
+  return mock;
+}
+
+// ============= WALLET SHAPES =============
+
+// EIP-1193 style rejection (code 4001) thrown by UniSat, OKX, Wizz, Phantom, Magic Eden and Oyl
+function throwRejection() {
+  throw Object.assign(new Error(REJECTION_MESSAGE), { code: 4001 });
+}
+
+const singleAddress = (defaultType) => (walletName, addressType = defaultType) => {
+  const key = { label: `${walletName}:primary`, type: addressType };
+  return { payment: { ...key, purpose: 'payment' }, ordinals: { ...key, purpose: 'ordinals' } };
+};
+
+const paymentAndOrdinals = (paymentType) => (walletName) => ({
+  payment: { label: `${walletName}:payment`, purpose: 'payment', type: paymentType },
+  ordinals: { label: `${walletName}:ordinals`, purpose: 'ordinals', type: 'p2tr' }
+});
+
+/**
+ * Wrap handlers as provider methods that go through mock.invoke()
+ */
+function methods(mock, handlers) {
+  const provider = {};
+  for (const [method, handler] of Object.entries(handlers)) {
+    provider[method] = (...args) => mock.invoke(method, args, handler);
+  }
+  return provider;
+}
+
+// on / removeListener / removeAllListeners, as UniSat-derived wallets expose them
+function eventMethods(mock) {
+  return {
+    on: (event, listener) => mock.on(event, listener),
+    removeListener: (event, listener) => mock.off(event, listener),
+    removeAllListeners: (event) => mock.offAll(event)
+  };
+}
+
+function balance() {
+  return { confirmed: DEFAULT_BALANCE, unconfirmed: 0, total: DEFAULT_BALANCE };
+}
+
+function connectAccounts(mock) {
+  mock.connected = true;
+  return [mock.accounts.payment.address];
+}
+
+const txidFor = (mock, label) => sha256Hex(`${MOCK_SEED}:${mock.name}:${label}:${mock.calls.length}`);
+
+/**
+ * UniSat API, which OKX and Wizz largely copy
+ */
+function unisatMethods(mock) {
+  return {
+    requestAccounts: () => connectAccounts(mock),
+    getAccounts: () => (mock.connected ? [mock.accounts.payment.address] : []),
+    getPublicKey: () => mock.accounts.payment.publicKey,
+    getBalance: () => balance(),
+    getNetwork: () => mock.network,
+    switchNetwork: (network) => {
+      mock.setNetwork(network);
+      mock.emit('networkChanged', network);
+      return network;
+    },
+    signMessage: (message) => placeholderMessageSignature(mock.accounts.payment, message),
+    signPsbt: (psbt, options = {}) => signMockPsbt(mock, psbt, {
+      ...requestedInputs(options),
+      finalize: options.autoFinalized !== false
+    }),
+    signPsbts: (psbts, options = []) => psbts.map((psbt, i) => signMockPsbt(mock, psbt, {
+      ...requestedInputs(options[i]),
+      finalize: options[i]?.autoFinalized !== false
+    })),
+    pushPsbt: (psbt) => broadcast(mock, { psbt }),
+    pushTx: (options) => broadcast(mock, { rawTx: typeof options === 'string' ? options : options?.rawtx }),
+    sendBitcoin: () => broadcast(mock),
+    getInscriptions: (cursor = 0, size = 20) => {
+      const list = mockInscriptions(mock);
+      return { total: list.length, list: list.slice(cursor, cursor + size) };
+    },
+    getBitcoinUtxos: () => mockUtxos(mock),
+    getVersion: () => '1.0.0-mock'
+  };
+}
+
+// UniSat chain enums per mock network
+const UNISAT_CHAINS = {
+  livenet: 'BITCOIN_MAINNET',
+  testnet: 'BITCOIN_TESTNET',
+  testnet4: 'BITCOIN_TESTNET4',
+  signet: 'BITCOIN_SIGNET'
+};
+
+/**
+ * UniSat chain API (getChain / switchChain), also copied by Wizz
+ */
+function chainMethods(mock) {
+  return {
+    getChain: () => ({ enum: UNISAT_CHAINS[mock.network], network: mock.network }),
+    switchChain: (chain) => {
+      const network = Object.keys(UNISAT_CHAINS).find(name => UNISAT_CHAINS[name] === chain);
+      if (!network) {
+        throw new Error(`Unsupported chain: ${chain}`);
+      }
+      mock.setNetwork(network);
+      mock.emit('chainChanged', { enum: chain, network });
+      return { enum: chain, network };
+    }
+  };
+}
+
+const WALLET_SPECS = {
+  UniSat: {
+    accounts: singleAddress('p2tr'),
+    rejection: throwRejection,
+    build: (mock) => ({
+      ...methods(mock, {
+        ...unisatMethods(mock),
+        getBalanceV2: () => ({ available: DEFAULT_BALANCE, unavailable: 0, total: DEFAULT_BALANCE }),
+        ...chainMethods(mock),
+        multiSignMessage: (messages) => messages.map(({ text }) => placeholderMessageSignature(mock.accounts.payment, text)),
+        signData: (data) => bytesToHex(placeholderSchnorr(mock.accounts.payment, sha256Hex(data), 0)),
+        verifyMessageOfBIP322Simple: () => 1,
+        sendInscription: () => ({ txid: broadcast(mock) }),
+        sendRunes: () => ({ txid: broadcast(mock) }),
+        inscribeTransfer: (tick, amount) => ({ orderId: txidFor(mock, `${tick}:${amount}`) }),
+        getBRC20Summary: () => ({ total: 0, list: [] })
+      }),
+      ...eventMethods(mock)
+    })
+  },
+
+  OKX: {
+    accounts: singleAddress('p2wpkh'),
+    rejection: throwRejection,
+    build: (mock) => ({
+      ...methods(mock, {
+        ...unisatMethods(mock),
+        connect: () => {
+          mock.connected = true;
+          const { address, publicKey } = mock.accounts.payment;
+          return { address, publicKey, compressedPublicKey: publicKey };
+        },
+        sendInscription: () => broadcast(mock),
+        transferNft: () => ({ txhash: broadcast(mock) }),
+        splitUtxo: ({ amount = 1 } = {}) => ({ utxos: Array.from({ length: amount }, (_, vout) => ({ txId: txidFor(mock, 'split'), vout, amount: 546 })) }),
+        inscribe: () => txidFor(mock, 'inscribe'),
+        mint: () => ({ commitTx: txidFor(mock, 'commit'), revealTxs: [txidFor(mock, 'reveal')] }),
+        watchAsset: () => true
+      }),
+      ...eventMethods(mock)
+    })
+  },
+
+  Wizz: {
+    accounts: singleAddress('p2tr'),
+    rejection: throwRejection,
+    build: (mock) => ({
+      ...methods(mock, {
+        ...unisatMethods(mock),
+        ...chainMethods(mock),
+        verifyMessage: () => true,
+        verifyMessageOfBIP322Simple: () => 1,
+        injectMempool: () => true,
+        requestCPFP: () => txidFor(mock, 'cpfp'),
+        getInscriptionsByAddress: () => mockInscriptions(mock),
+        getAssets: () => ({ atomicals: [], inscriptions: mockInscriptions(mock), runes: [] }),
+        inscribe: () => ({ commitTx: txidFor(mock, 'commit'), revealTxs: [txidFor(mock, 'reveal')] }),
+        requestMint: () => ({ txid: broadcast(mock) }),
+        sendAtomicals: () => broadcast(mock),
+        sendARC20: () => broadcast(mock),
+        isAtomicalsEnabled: () => true,
+        isBiHelixAddress: () => false,
+        getBiHelixDescriptor: () => null
+      }),
+      ...eventMethods(mock)
+    })
+  },
+
+  Xverse: {
+    accounts: paymentAndOrdinals('p2sh'),
+    // sats-connect resolves (it does not reject) with an error envelope
+    rejection: () => ({ status: 'error', error: { code: -32000, message: REJECTION_MESSAGE } }),
+    build: (mock) => {
+      const success = (result) => ({ status: 'success', result });
+      const addresses = () => {
+        const { payment, ordinals } = mock.accounts;
+        return [
+          { address: ordinals.address, publicKey: ordinals.xOnlyPublicKey, purpose: 'ordinals', addressType: 'p2tr', walletType: 'software' },
+          { address: payment.address, publicKey: payment.publicKey, purpose: 'payment', addressType: 'p2sh', walletType: 'software' }
+        ];
+      };
+      const NETWORK_NAMES = { livenet: 'Mainnet', testnet: 'Testnet', testnet4: 'Testnet4', signet: 'Signet', regtest: 'Regtest' };
+      const networkName = () => NETWORK_NAMES[mock.network] || 'Mainnet';
+
+      const rpc = {
+        getInfo: () => success({ version: '1.0.0-mock', methods: Object.keys(rpc), supports: [] }),
+        wallet_connect: () => {
+          mock.connected = true;
+          return success({ addresses: addresses(), walletType: 'software', network: { bitcoin: { name: networkName() } } });
+        },
+        wallet_disconnect: () => {
+          mock.connected = false;
+          return success(null);
+        },
+        wallet_renouncePermissions: () => success(null),
+        wallet_getNetwork: () => success({ bitcoin: { name: networkName() } }),
+        wallet_changeNetwork: ({ name } = {}) => {
+          const network = Object.keys(NETWORK_NAMES).find(key => NETWORK_NAMES[key] === name);
+          if (!network) {
+            return { status: 'error', error: { code: -32602, message: `Unknown network: ${name}` } };
+          }
+          mock.setNetwork(network);
+          mock.emit('networkChange', { type: 'networkChange', bitcoin: { name } });
+          return success(null);
+        },
+        getAddresses: () => success({ addresses: addresses() }),
+        getBalance: () => success({ confirmed: String(DEFAULT_BALANCE), unconfirmed: '0', total: String(DEFAULT_BALANCE) }),
+        signMessage: ({ address, message } = {}) => success({
+          signature: placeholderMessageSignature(mock.accounts.ordinals, message),
+          messageHash: sha256Hex(String(message)),
+          address
+        }),
+        signPsbt: ({ psbt, signInputs, broadcast: shouldBroadcast } = {}) => {
+          const signed = signMockPsbt(mock, psbt, { ...requestedInputs({ signInputs }), finalize: !!shouldBroadcast });
+          return success(shouldBroadcast ? { psbt: signed, txid: broadcast(mock, { psbt: signed }) } : { psbt: signed });
+        },
+        sendTransfer: () => success({ txid: broadcast(mock) }),
+        ord_getInscriptions: ({ offset = 0, limit = 20 } = {}) => {
+          const inscriptions = mockInscriptions(mock);
+          return success({ total: inscriptions.length, offset, limit, inscriptions: inscriptions.slice(offset, offset + limit) });
+        },
+        ord_sendInscriptions: () => success({ txid: broadcast(mock) }),
+        runes_getBalance: () => success({ balances: [] }),
+        runes_transfer: () => success({ txid: broadcast(mock) }),
+        runes_mint: () => success({ orderId: txidFor(mock, 'runes_mint') }),
+        runes_etch: () => success({ orderId: txidFor(mock, 'runes_etch') }),
+        runes_getOrder: ({ orderId } = {}) => success({ id: orderId, status: 'pending' })
+      };
+
+      const methodNotFound = (method) => () => ({ status: 'error', error: { code: -32601, message: `Method not found: ${method}` } });
+
+      return {
+        // request(method, params) or request({ method, params })
+        request: (method, params) => {
+          const name = typeof method === 'object' ? method.method : method;
+          const args = typeof method === 'object' ? method.params : params;
+          return mock.invoke(name, [args], rpc[name] || methodNotFound(name));
+        },
+        ...methods(mock, {
+          signTransaction: (psbtBase64, params = {}) => ({ psbtBase64: signMockPsbt(mock, psbtBase64, requestedInputs(params)) }),
+          signMultipleTransactions: (psbts, params = []) => psbts.map((psbtBase64, i) => ({ psbtBase64: signMockPsbt(mock, psbtBase64, requestedInputs(params[i])) })),
+          createInscription: () => ({ txId: broadcast(mock) }),
+          createRepeatInscriptions: () => ({ txId: broadcast(mock), inscriptionIds: [] })
+        }),
+        // addListener returns its own unsubscribe function
+        addListener: (event, listener) => {
+          mock.on(event, listener);
+          return () => mock.off(event, listener);
+        }
+      };
+    }
+  },
+
+  Leather: {
+    accounts: paymentAndOrdinals('p2wpkh'),
+    // Leather rejects with the JSON-RPC error response
+    rejection: (method) => {
+      throw { jsonrpc: '2.0', id: method, error: { code: 4001, message: REJECTION_MESSAGE } };
+    },
+    build: (mock) => {
+      const rpcResult = (id, result) => ({ jsonrpc: '2.0', id, result });
+      const signPsbt = ({ hex, signAtIndex, broadcast: shouldBroadcast } = {}) => {
+        const signed = signMockPsbt(mock, hex, { ...requestedInputs({ signAtIndex }), finalize: !!shouldBroadcast });
+        return shouldBroadcast ? { hex: signed, txid: broadcast(mock, { psbt: signed }) } : { hex: signed };
+      };
+      const rpc = {
+        getInfo: () => ({ version: '1.0.0-mock', platform: 'extension', supportedMethods: Object.keys(rpc) }),
+        getAddresses: () => {
+          mock.connected = true;
+          const { payment, ordinals } = mock.accounts;
+          return {
+            addresses: [
+              { symbol: 'BTC', type: 'p2wpkh', address: payment.address, publicKey: payment.publicKey, derivationPath: "m/84'/0'/0'/0/0" },
+              { symbol: 'BTC', type: 'p2tr', address: ordinals.address, publicKey: ordinals.publicKey, tweakedPublicKey: ordinals.xOnlyPublicKey, derivationPath: "m/86'/0'/0'/0/0" },
+              { symbol: 'STX', address: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7' }
+            ]
+          };
+        },
+        signPsbt,
+        signMessage: ({ message, paymentType } = {}) => {
+          const account = paymentType === 'p2tr' ? mock.accounts.ordinals : mock.accounts.payment;
+          return { signature: placeholderMessageSignature(account, message), address: account.address, message };
+        },
+        sendTransfer: () => ({ txid: broadcast(mock) })
+      };
+
+      return {
+        request: (method, params) => mock.invoke(method, [params], async (args) => {
+          if (!rpc[method]) {
+            throw { jsonrpc: '2.0', id: method, error: { code: -32601, message: `Method not found: ${method}` } };
+          }
+          return rpcResult(method, await rpc[method](args));
+        }),
+        ...methods(mock, {
+          psbtRequest: (options) => signPsbt(options),
+          signatureRequest: ({ message } = {}) => ({
+            signature: bytesToHex(placeholderSchnorr(mock.accounts.payment, sha256Hex(String(message)), 0)),
+            publicKey: mock.accounts.payment.publicKey
+          }),
+          structuredDataSignatureRequest: () => ({ signature: txidFor(mock, 'structured'), publicKey: mock.accounts.payment.publicKey }),
+          authenticationRequest: () => `mock-auth-response-${txidFor(mock, 'auth')}`,
+          transactionRequest: () => ({ txId: broadcast(mock), txRaw: '' }),
+          profileUpdateRequest: (profile) => profile,
+          getProductInfo: () => ({ name: 'Leather', version: '1.0.0-mock' }),
+          getURL: () => 'https://leather.io'
+        })
+      };
+    }
+  },
+
+  Phantom: {
+    accounts: paymentAndOrdinals('p2wpkh'),
+    rejection: throwRejection,
+    build: (mock) => {
+      const accounts = () => {
+        const { payment, ordinals } = mock.accounts;
+        return [
+          { address: ordinals.address, publicKey: ordinals.xOnlyPublicKey, addressType: 'p2tr', purpose: 'ordinals' },
+          { address: payment.address, publicKey: payment.publicKey, addressType: 'p2wpkh', purpose: 'payment' }
+        ];
+      };
+      return {
+        isPhantom: true,
+        ...methods(mock, {
+          requestAccounts: () => {
+            mock.connected = true;
+            return accounts();
+          },
+          getAccounts: () => (mock.connected ? accounts() : []),
+          // signMessage(address, bytes) -> { signature: bytes }; the single-argument form is accepted too
+          signMessage: (address, message = address) => {
+            const text = typeof message === 'string' ? message : bytesToHex(message);
+            return { signature: placeholderSchnorr(mock.accounts.ordinals, sha256Hex(text), 0) };
+          },
+          signPSBT: (psbt, options = {}) => signMockPsbt(mock, psbt, requestedInputs(options))
+        }),
+        ...eventMethods(mock)
+      };
+    }
+  },
+
+  MagicEden: {
+    accounts: paymentAndOrdinals('p2wpkh'),
+    rejection: throwRejection,
+    build: (mock) => {
+      // Requests are unsecured JWTs: base64url(header).base64url(payload).
+      const payloadOf = (token) => {
+        try {
+          return JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+        } catch {
+          return typeof token === 'object' && token ? token : {};
+        }
+      };
+      const signTransaction = (token) => {
+        const { psbtBase64, inputsToSign, broadcast: shouldBroadcast } = payloadOf(token);
+        const signed = signMockPsbt(mock, psbtBase64, { ...requestedInputs({ inputsToSign }), finalize: !!shouldBroadcast });
+        return shouldBroadcast ? { psbtBase64: signed, txId: broadcast(mock, { psbt: signed }) } : { psbtBase64: signed };
+      };
+      const handlers = {
+        connect: () => {
+          mock.connected = true;
+          const { payment, ordinals } = mock.accounts;
+          return {
+            addresses: [
+              { address: payment.address, publicKey: payment.publicKey, purpose: 'payment', addressType: 'p2wpkh' },
+              { address: ordinals.address, publicKey: ordinals.xOnlyPublicKey, purpose: 'ordinals', addressType: 'p2tr' }
+            ]
+          };
+        },
+        signMessage: (token) => {
+          const { message } = payloadOf(token);
+          return placeholderMessageSignature(mock.accounts.ordinals, message);
+        },
+        signTransaction,
+        signMultipleTransactions: (token) => (payloadOf(token).psbts || []).map(request => signTransaction(request)),
+        sendBtcTransaction: () => broadcast(mock),
+        isHardware: () => false
+      };
+      return {
+        isMagicEden: true,
+        ...methods(mock, handlers),
+        call: (method, params) => mock.invoke(method, [params], handlers[method] || (() => {
+          throw Object.assign(new Error(`Method not found: ${method}`), { code: -32601 });
+        })),
+        ...eventMethods(mock)
+      };
+    }
+  },
+
+  Oyl: {
+    accounts: paymentAndOrdinals('p2wpkh'),
+    rejection: throwRejection,
+    build: (mock) => ({
+      ...methods(mock, {
+        getAddresses: () => {
+          mock.connected = true;
+          const { payment, ordinals } = mock.accounts;
+          return {
+            taproot: { address: ordinals.address, publicKey: ordinals.publicKey },
+            nativeSegwit: { address: payment.address, publicKey: payment.publicKey }
+          };
+        },
+        isConnected: () => mock.connected,
+        disconnect: () => {
+          mock.connected = false;
+        },
+        getBalance: () => balance(),
+        getNetwork: () => (mock.network === 'livenet' ? 'mainnet' : mock.network),
+        switchNetwork: (network) => {
+          mock.setNetwork(network === 'mainnet' ? 'livenet' : network);
+          return network;
+        },
+        signMessage: (request) => {
+          const message = typeof request === 'object' ? request.message : request;
+          return placeholderMessageSignature(mock.accounts.ordinals, message);
+        },
+        // signPsbt(hex) or signPsbt({ psbt, finalize, broadcast, toSignInputs })
+        signPsbt: (request) => {
+          const options = typeof request === 'object' && !(request instanceof Uint8Array) ? request : { psbt: request };
+          const { psbt, finalize = false, broadcast: shouldBroadcast = false } = options;
+          const signed = signMockPsbt(mock, psbt, { ...requestedInputs(options), finalize: finalize || shouldBroadcast });
+          return shouldBroadcast ? { psbt: signed, txid: broadcast(mock, { psbt: signed }) } : signed;
+        },
+        signPsbts: (psbts) => psbts.map(request => (typeof request === 'object'
+          ? signMockPsbt(mock, request.psbt, { ...requestedInputs(request), finalize: !!request.finalize })
+          : signMockPsbt(mock, request))),
+        pushPsbt: (psbt) => broadcast(mock, { psbt }),
+        sendBitcoin: () => broadcast(mock),
+        getInscriptions: (offset = 0, limit = 20) => {
+          const list = mockInscriptions(mock);
+          return { total: list.length, list: list.slice(offset, offset + limit) };
+        },
+        sendToRelayProvider: () => ({ txid: broadcast(mock) })
+      }),
+      ...eventMethods(mock)
+    })
+  }
+};
+
+// ============= INSTALLATION =============
+
+// Where each wallet injects itself: [path on window, value builder]
+const INJECTIONS = {
+  UniSat: (mock) => ({ unisat: mock.provider }),
+  OKX: (mock) => ({ okxwallet: { bitcoin: mock.provider } }),
+  Wizz: (mock) => ({ wizz: mock.provider }),
+  Phantom: (mock) => ({ phantom: { bitcoin: mock.provider } }),
+  MagicEden: (mock) => ({ magicEden: { bitcoin: mock.provider } }),
+  Oyl: (mock) => ({ oyl: mock.provider }),
+  Xverse: (mock) => ({ XverseProviders: { BitcoinProvider: mock.provider }, BitcoinProvider: mock.provider }),
+  Leather: (mock) => ({ LeatherProvider: mock.provider })
+};
+
+// WBIP004 btc_providers descriptors
+const DESCRIPTORS = {
+  Xverse: { id: 'XverseProviders.BitcoinProvider', name: 'Xverse Wallet', webUrl: 'https://www.xverse.app' },
+  Leather: { id: 'LeatherProvider', name: 'Leather', webUrl: 'https://leather.io' }
+};
+
+/**
+ * Install mock wallets on a window
+ * Previous values of every global touched are restored by uninstall()
+ * @param {Object} [options] - {
+ *   target: window to install on (default globalThis.window, or globalThis aliased as window),
+ *   wallets: names to install (default MOCK_WALLETS),
+ *   network, addressType: passed to every mock,
+ *   responses: { [walletName]: { method: value | fn } }
+ * }
+ * @returns {Object} { [walletName]: mock, uninstall() }
+ */
+export function installMockWallets(options = {}) {
+  const { wallets = MOCK_WALLETS, network, addressType, responses = {} } = options;
+  const aliasWindow = !options.target && typeof globalThis.window === 'undefined';
+  const target = options.target || globalThis.window || globalThis;
+  if (aliasWindow) {
+    globalThis.window = globalThis;
+  }
+
+  const mocks = {};
+  const globals = {};
+  for (const walletName of wallets) {
+    const mock = createMockWallet(walletName, { network, addressType, responses: responses[walletName] });
+    mocks[walletName] = mock;
+    Object.assign(globals, INJECTIONS[walletName](mock));
+  }
+
+  const descriptors = wallets.filter(walletName => DESCRIPTORS[walletName]).map(walletName => ({
+    ...DESCRIPTORS[walletName],
+    icon: MOCK_ICON,
+    methods: ['getAddresses', 'signPsbt', 'signMessage', 'sendTransfer']
+  }));
+  if (descriptors.length) {
+    globals.btc_providers = [...(target.btc_providers || []), ...descriptors];
+  }
+
+  const previous = {};
+  for (const [key, value] of Object.entries(globals)) {
+    previous[key] = Object.getOwnPropertyDescriptor(target, key);
+    target[key] = value;
+  }
+
+  console.log(`🔌 Mock wallets installed: ${wallets.join(', ')}`);
+
+  return {
+    ...mocks,
+    uninstall() {
+      for (const [key, descriptor] of Object.entries(previous)) {
+        if (descriptor) {
+          Object.defineProperty(target, key, descriptor);
+        } else {
+          delete target[key];
+        }
+      }
+      if (aliasWindow) {
+        delete globalThis.window;
+      }
+    }
+  };
+}
+
+export default { MOCK_WALLETS, createMockWallet, installMockWallets };
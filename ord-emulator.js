@@ -0,0 +1,394 @@
+/**
+ * Ord Recursive Endpoint Emulator
+ *
+ * Serves the ord recursive endpoints used by the inscribed build from a local
+ * registry built from ready-to-inscribe/ and its MANIFEST.json, so the
+ * inscribed modules (and dist-production) resolve offline exactly as on-chain
+ *
+ * Serves:
+ *   GET /r/sat/<sat>                      { ids, more, page }
+ *   GET /r/sat/<sat>/at/<index>           { id }
+ *   GET /r/sat/<sat>/at/<index>/content   inscription content
+ *   GET /content/<id>                     inscription content
+ *   GET /r/metadata/<id>                  hex CBOR metadata (404 when none)
+ *   GET /r/children/<id>                  { ids, more, page }
+ *   GET /r/blockheight                    block height
+ *
+ * Modules whose SAT is still a TODO placeholder are registered under that
+ * placeholder (e.g. TODO-Add-SAT-05), which is what the generated imports use.
+ * TODO-LOADER-SAT (vite.prod.config.js) resolves to the loader.
+ *
+ * Third-party inscriptions (React, styles, icons) can be saved locally and
+ * listed in ord-vendor.json, paths relative to that file:
+ *   { "inscriptions": [{ "id": "<txid>i0", "sat": "650232570299189",
+ *       "file": "vendor/styles.css", "contentType": "text/css" }] }
+ *
+ * Usage:
+ *   node ord-emulator.js --port 3200 --dir ready-to-inscribe --root dist-production
+ *   node ord-emulator.js --vendor ord-vendor.json --blockheight 850000
+ *
+ * Vite (dev server and preview):
+ *   import { ordEmulator } from './ord-emulator.js';
+ *   plugins: [ordEmulator({ dir: 'ready-to-inscribe' })]
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const INSCRIPTION_ID_PATTERN = /^[0-9a-f]{64}i\d+$/;
+const CONTENT_SECURITY_POLICY = "default-src 'self' 'unsafe-eval' 'unsafe-inline' data: blob:";
+const LOADER_ALIASES = ['TODO-LOADER-SAT'];
+const DEFAULT_BLOCK_HEIGHT = 840000;
+
+const STATIC_TYPES = {
+  '.html': 'text/html;charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon'
+};
+const INDEX_FILES = ['index.html', 'index.prod.html'];
+
+// ============= REGISTRY =============
+
+/**
+ * Stable fake inscription ID for a generated file (same file → same ID across rebuilds)
+ */
+function localInscriptionId(filename) {
+  return crypto.createHash('sha256').update(`nexus-ocw:${filename}`).digest('hex') + 'i0';
+}
+
+/**
+ * Add an inscription to the registry and append it to its sat
+ */
+function registerInscription(registry, inscription) {
+  registry.inscriptions.set(inscription.id, inscription);
+  if (inscription.sat) {
+    const ids = registry.sats.get(String(inscription.sat)) || [];
+    registry.sats.set(String(inscription.sat), [...ids, inscription.id]);
+  }
+  return inscription;
+}
+
+/**
+ * Register one generated file, preferring the brotli version ord would store
+ */
+function addInscription(registry, dir, { filename, sat, contentType, brotliPath, plainPath }) {
+  const brotliFile = path.join(dir, brotliPath);
+  const plainFile = path.join(dir, plainPath);
+  const hasBrotli = fs.existsSync(brotliFile);
+  if (!hasBrotli && !fs.existsSync(plainFile)) return null;
+
+  const id = INSCRIPTION_ID_PATTERN.test(String(sat)) ? sat : localInscriptionId(filename);
+  return registerInscription(registry, {
+    id,
+    filename,
+    sat: INSCRIPTION_ID_PATTERN.test(String(sat)) ? null : sat,
+    contentType,
+    contentEncoding: hasBrotli ? 'br' : null,
+    file: hasBrotli ? brotliFile : plainFile,
+    metadata: null,
+    children: []
+  });
+}
+
+/**
+ * Register the locally saved third-party inscriptions listed in a vendor file
+ */
+function addVendorInscriptions(registry, vendorPath) {
+  const vendor = JSON.parse(fs.readFileSync(vendorPath, 'utf8'));
+  const baseDir = path.dirname(vendorPath);
+
+  for (const entry of vendor.inscriptions || []) {
+    if (!INSCRIPTION_ID_PATTERN.test(entry.id || '')) {
+      throw new Error(`Invalid inscription ID in ${vendorPath}: "${entry.id}"`);
+    }
+    registerInscription(registry, {
+      id: entry.id,
+      filename: entry.file,
+      sat: entry.sat ? String(entry.sat) : null,
+      contentType: entry.contentType || STATIC_TYPES[path.extname(entry.file)] || 'application/octet-stream',
+      contentEncoding: entry.contentEncoding || null,
+      file: path.resolve(baseDir, entry.file),
+      metadata: entry.metadata || null,
+      children: entry.children || []
+    });
+  }
+}
+
+/**
+ * Create a registry of the generated inscriptions in `dir`
+ * Reloads automatically when MANIFEST.json changes
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir='ready-to-inscribe'] - prepare-inscriptions.js output
+ * @param {string} [options.vendor] - ord-vendor.json with locally saved third-party inscriptions
+ * @param {number} [options.blockHeight=840000] - Answer for /r/blockheight
+ * @returns {{ dir, blockHeight, inscriptions: Map, sats: Map, refresh: Function }}
+ */
+export function createOrdRegistry({ dir = 'ready-to-inscribe', vendor, blockHeight = DEFAULT_BLOCK_HEIGHT } = {}) {
+  const manifestPath = path.join(dir, 'MANIFEST.json');
+  let loadedAt = null;
+
+  const registry = {
+    dir,
+    blockHeight,
+    inscriptions: new Map(),
+    sats: new Map(),
+    refresh
+  };
+
+  function refresh() {
+    const modifiedAt = fs.existsSync(manifestPath) ? fs.statSync(manifestPath).mtimeMs : null;
+    if (modifiedAt === loadedAt) return registry;
+
+    loadedAt = modifiedAt;
+    registry.inscriptions.clear();
+    registry.sats.clear();
+    if (vendor && fs.existsSync(vendor)) {
+      addVendorInscriptions(registry, vendor);
+    }
+    if (modifiedAt === null) {
+      console.log(`⚠️  No ${manifestPath} - run npm run prepare-inscriptions first`);
+      return registry;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    for (const module of manifest.modules || []) {
+      const inscription = addInscription(registry, dir, {
+        filename: module.filename,
+        sat: module.sat,
+        contentType: 'text/javascript',
+        brotliPath: path.join('compressed', `${module.filename}.br`),
+        plainPath: module.filename
+      });
+
+      if (inscription && module.filename === '12-loader.js') {
+        LOADER_ALIASES.forEach(alias => registry.sats.set(alias, [inscription.id]));
+      }
+    }
+
+    // The frontend bundle has no SAT until it is inscribed, so it is only reachable by ID
+    addInscription(registry, dir, {
+      filename: 'frontend-bundle/index.html',
+      sat: null,
+      contentType: 'text/html;charset=utf-8',
+      brotliPath: path.join('frontend-bundle', 'index.html.br'),
+      plainPath: path.join('frontend-bundle', 'index.html')
+    });
+
+    console.log(`✅ Ord emulator registry: ${registry.inscriptions.size} inscriptions on ${registry.sats.size} sats from ${dir}/`);
+    return registry;
+  }
+
+  return refresh();
+}
+
+// ============= ROUTES =============
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendNotFound(res, message) {
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end(message);
+}
+
+function sendBadRequest(res, message) {
+  res.writeHead(400, { 'Content-Type': 'text/plain' });
+  res.end(message);
+}
+
+/**
+ * Serve inscription content the way ord does: stored bytes with their
+ * Content-Encoding when the client accepts it, decompressed otherwise
+ */
+function sendContent(req, res, inscription, cacheControl) {
+  let body = fs.readFileSync(inscription.file);
+  const headers = {
+    'Content-Type': inscription.contentType,
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'Cache-Control': cacheControl
+  };
+
+  if (inscription.contentEncoding === 'br') {
+    if (/\bbr\b/.test(req.headers['accept-encoding'] || '')) {
+      headers['Content-Encoding'] = 'br';
+    } else {
+      body = zlib.brotliDecompressSync(body);
+    }
+  }
+
+  res.writeHead(200, headers);
+  res.end(body);
+}
+
+/**
+ * Resolve /r/sat/<sat>/at/<index> (negative index counts back from the latest)
+ */
+function inscriptionAt(registry, sat, index) {
+  const ids = registry.sats.get(sat) || [];
+  const position = index < 0 ? ids.length + index : index;
+  return ids[position] ? registry.inscriptions.get(ids[position]) : null;
+}
+
+/**
+ * Handle an ord recursive request
+ * @returns {boolean} false when the URL is not an ord route or not in the registry
+ */
+export function handleOrdRequest(registry, req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+  let url;
+  try {
+    url = decodeURIComponent(req.url.split('?')[0]);
+  } catch (error) {
+    // Malformed percent-encoding (e.g. /content/%E0) - answered here so it never reaches serveStatic()
+    sendBadRequest(res, `Malformed URL: ${error.message}`);
+    return true;
+  }
+  registry.refresh();
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (url === '/r/blockheight') {
+    sendJson(res, 200, registry.blockHeight);
+    return true;
+  }
+
+  let match = url.match(/^\/r\/sat\/([^/]+)\/at\/(-?\d+)(\/content)?$/);
+  if (match) {
+    const inscription = inscriptionAt(registry, match[1], Number(match[2]));
+    if (!inscription) return false;
+    if (match[3]) {
+      sendContent(req, res, inscription, 'no-store'); // at/-1 moves when the sat is reinscribed
+    } else {
+      sendJson(res, 200, { id: inscription.id });
+    }
+    return true;
+  }
+
+  match = url.match(/^\/r\/sat\/([^/]+)$/);
+  if (match) {
+    if (!registry.sats.has(match[1])) return false;
+    sendJson(res, 200, { ids: registry.sats.get(match[1]), more: false, page: 0 });
+    return true;
+  }
+
+  match = url.match(/^\/(content|r\/metadata|r\/children)\/([0-9a-f]{64}i\d+)$/);
+  if (match) {
+    const inscription = registry.inscriptions.get(match[2]);
+    if (!inscription) return false;
+
+    if (match[1] === 'content') {
+      sendContent(req, res, inscription, 'public, max-age=1209600, immutable');
+    } else if (match[1] === 'r/children') {
+      sendJson(res, 200, { ids: inscription.children, more: false, page: 0 });
+    } else if (inscription.metadata) {
+      sendJson(res, 200, inscription.metadata);
+    } else {
+      sendNotFound(res, `inscription ${inscription.id} has no metadata`);
+    }
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Connect-style middleware; anything the registry can't answer goes to next()
+ * (so Vite's ordinals.com /content proxy still handles real inscriptions)
+ */
+export function createOrdMiddleware(options = {}) {
+  const registry = options.registry || createOrdRegistry(options);
+  return (req, res, next) => {
+    if (!handleOrdRequest(registry, req, res)) next();
+  };
+}
+
+/**
+ * Vite plugin: serves the ord routes from the dev server and `vite preview`
+ */
+export function ordEmulator(options = {}) {
+  let middleware = null;
+  const getMiddleware = () => middleware || (middleware = createOrdMiddleware(options));
+
+  return {
+    name: 'nexus-ord-emulator',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => getMiddleware()(req, res, next));
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use((req, res, next) => getMiddleware()(req, res, next));
+    }
+  };
+}
+
+// ============= STANDALONE SERVER =============
+
+/**
+ * Serve a file from the static root (index.html or index.prod.html for directories)
+ */
+function serveStatic(root, req, res) {
+  const url = decodeURIComponent(req.url.split('?')[0]);
+  const rootPath = path.resolve(root);
+  let filePath = path.resolve(rootPath, '.' + url);
+
+  if (!filePath.startsWith(rootPath)) return false;
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    const index = INDEX_FILES.find(name => fs.existsSync(path.join(filePath, name)));
+    if (!index) return false;
+    filePath = path.join(filePath, index);
+  }
+  if (!fs.existsSync(filePath)) return false;
+
+  res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  res.end(fs.readFileSync(filePath));
+  return true;
+}
+
+function startServer() {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const options = { port: '3200', dir: 'ready-to-inscribe', root: 'dist-production', vendor: 'ord-vendor.json', blockheight: String(DEFAULT_BLOCK_HEIGHT) };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace('--', '');
+    const value = args[i + 1];
+    if (value) {
+      options[key] = value;
+    }
+  }
+
+  const registry = createOrdRegistry({ dir: options.dir, vendor: options.vendor, blockHeight: Number(options.blockheight) });
+
+  const server = http.createServer((req, res) => {
+    try {
+      if (!handleOrdRequest(registry, req, res) && !serveStatic(options.root, req, res)) {
+        sendNotFound(res, 'Not found');
+      }
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(error.message);
+    }
+
+    console.log(`${res.statusCode === 200 ? '✅' : '❌'} ${req.method} ${req.url} ${res.statusCode}`);
+  });
+
+  server.listen(Number(options.port), () => {
+    console.log(`🧪 Ord emulator on http://localhost:${options.port}`);
+    console.log(`   Registry: ${options.dir}/   Static root: ${options.root}/`);
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startServer();
+}
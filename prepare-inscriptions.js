@@ -9,9 +9,13 @@
  * 1. Develop in "inscriptions local/" with relative imports
  * 2. Run this script when ready to inscribe
  * 3. Script creates "ready-to-inscribe/" folder
- * 4. Prompts for known SAT numbers or uses TODO placeholders
- * 5. Converts relative imports to /r/sat/{NUMBER} references
+ * 4. Reads SAT numbers from nexus.inscriptions.json, prompts for them, or uses TODO placeholders
+ * 5. Converts relative imports to /r/sat/{NUMBER} (or /content/{ID}) references
  * 6. Creates bundled frontend pointing to inscribed loader
+ * 7. Plans a dependency-ordered batch (inscription-plan.json + ord batch YAML)
+ *
+ * Usage: node prepare-inscriptions.js [--config <file>] [--only 05,12] [--out <dir>] [--dry-run] [--json] [--allow-todo]
+ * Exits with code 2 when generated files still contain TODO SAT placeholders (unless --allow-todo)
  */
 
 import fs from 'fs';
@@ -20,56 +24,277 @@ import { fileURLToPath } from 'url';
 import readline from 'readline';
 import { minify } from 'terser';
 import zlib from 'zlib';
-import { promisify } from 'util';
+import { promisify, parseArgs } from 'util';
+import crypto from 'crypto';
+import { estimateInscriptionCost, DEFAULT_POSTAGE } from './inscriptions local/16-cost.js';
 
 const brotliCompress = promisify(zlib.brotliCompress);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const USAGE = `Usage: node prepare-inscriptions.js [options]
+
+Options:
+  -c, --config <file>  SAT numbers / inscription IDs per module (default: nexus.inscriptions.json if present)
+      --only <list>    Only prepare these modules, e.g. 05,12 or 05-xverse-provider.js
+  -o, --out <dir>      Output directory (default: ready-to-inscribe)
+      --dry-run        Build everything in memory, write nothing
+      --json           Print a JSON summary to stdout (logs go to stderr)
+      --allow-todo     Exit 0 even when TODO SAT placeholders remain
+  -h, --help           Show this help
+
+Exit codes: 0 ok, 1 error, 2 TODO SAT placeholders remain`;
+
+// Command line options
+const cli = parseCliArgs(process.argv.slice(2));
+
 // Configuration
 const SOURCE_DIR = 'inscriptions local';
-const OUTPUT_DIR = 'ready-to-inscribe';
+const OUTPUT_DIR = cli.out || 'ready-to-inscribe';
+const CONFIG_FILE = 'nexus.inscriptions.json';
+const INSCRIPTION_ID_PATTERN = /^[0-9a-f]{64}i\d+$/;
+const SAT_PATTERN = /^\d+$/;
+const PACKAGE_VERSION = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version;
+const MODULE_HEADER_COMMENT = /^! nexus-module /; // Kept by terser so the loader can read module versions
 const LOADER_SOURCE = 'frontend/components/dev-loader-simple.js';
+const COST_FEE_RATE = 10; // sat/vB used for the inscription cost report
 
-// Module mapping for SAT references
+// Module mapping for SAT references (key = SAT_NUMBERS entry in the generated loader)
 const MODULE_MAP = {
-  '01-base-provider.js': { name: 'BaseWalletProvider', sat: 'TODO-Add-SAT-01' },
-  '02-normalizers.js': { name: 'Normalizers', sat: 'TODO-Add-SAT-02' },
-  '03-wallet-connector.js': { name: 'WalletConnector', sat: 'TODO-Add-SAT-03' },
-  '04-unisat-provider.js': { name: 'UniSat', sat: 'TODO-Add-SAT-04' },
-  '05-xverse-provider.js': { name: 'Xverse', sat: 'TODO-Add-SAT-05' },
-  '06-okx-provider.js': { name: 'OKX', sat: 'TODO-Add-SAT-06' },
-  '07-leather-provider.js': { name: 'Leather', sat: 'TODO-Add-SAT-07' },
-  '08-phantom-provider.js': { name: 'Phantom', sat: 'TODO-Add-SAT-08' },
-  '09-wizz-provider.js': { name: 'Wizz', sat: 'TODO-Add-SAT-09' },
-  '10-magiceden-provider.js': { name: 'MagicEden', sat: 'TODO-Add-SAT-10' },
-  '11-oyl-provider.js': { name: 'Oyl', sat: 'TODO-Add-SAT-11' },
-  '12-loader.js': { name: 'Loader', sat: 'TODO-Add-SAT-12' }
+  '01-base-provider.js': { name: 'BaseWalletProvider', key: 'BASE_PROVIDER', sat: 'TODO-Add-SAT-01' },
+  '02-normalizers.js': { name: 'Normalizers', key: 'NORMALIZERS', sat: 'TODO-Add-SAT-02' },
+  '03-wallet-connector.js': { name: 'WalletConnector', key: 'WALLET_CONNECTOR', sat: 'TODO-Add-SAT-03' },
+  '04-unisat-provider.js': { name: 'UniSat', key: 'UNISAT', sat: 'TODO-Add-SAT-04' },
+  '05-xverse-provider.js': { name: 'Xverse', key: 'XVERSE', sat: 'TODO-Add-SAT-05' },
+  '06-okx-provider.js': { name: 'OKX', key: 'OKX', sat: 'TODO-Add-SAT-06' },
+  '07-leather-provider.js': { name: 'Leather', key: 'LEATHER', sat: 'TODO-Add-SAT-07' },
+  '08-phantom-provider.js': { name: 'Phantom', key: 'PHANTOM', sat: 'TODO-Add-SAT-08' },
+  '09-wizz-provider.js': { name: 'Wizz', key: 'WIZZ', sat: 'TODO-Add-SAT-09' },
+  '10-magiceden-provider.js': { name: 'MagicEden', key: 'MAGICEDEN', sat: 'TODO-Add-SAT-10' },
+  '11-oyl-provider.js': { name: 'Oyl', key: 'OYL', sat: 'TODO-Add-SAT-11' },
+  '12-loader.js': { name: 'Loader', key: 'LOADER', sat: 'TODO-Add-SAT-12' },
+  '13-address.js': { name: 'Address', key: 'ADDRESS', sat: 'TODO-Add-SAT-13' },
+  '14-psbt.js': { name: 'Psbt', key: 'PSBT', sat: 'TODO-Add-SAT-14' },
+  '15-fees.js': { name: 'Fees', key: 'FEES', sat: 'TODO-Add-SAT-15' },
+  '16-cost.js': { name: 'Cost', key: 'COST', sat: 'TODO-Add-SAT-16' },
+  '17-inscriber.js': { name: 'Inscriber', key: 'INSCRIBER', sat: 'TODO-Add-SAT-17' }
 };
 
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Estimated inscription cost per output file, filled in as files are compressed
+const inscriptionCosts = {};
+
+// Pinned index / version range per module from nexus.inscriptions.json
+const moduleResolution = {};
+
+// SHA-256 (hex) of each minified module, filled in as files are minified
+const moduleDigests = {};
+
+// Readline interface for user input (only created for interactive runs)
+let rl = null;
 
 // Promisify question
-const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+const question = (query) => {
+  if (!rl) rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => rl.question(query, resolve));
+};
+
+/**
+ * Parse command line flags (exits on --help or unknown flags)
+ */
+function parseCliArgs(args) {
+  try {
+    const { values } = parseArgs({
+      args,
+      options: {
+        config: { type: 'string', short: 'c' },
+        only: { type: 'string' },
+        out: { type: 'string', short: 'o' },
+        'dry-run': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        'allow-todo': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+
+    if (values.help) {
+      console.log(USAGE);
+      process.exit(0);
+    }
+
+    return {
+      config: values.config,
+      only: values.only,
+      out: values.out,
+      dryRun: values['dry-run'],
+      json: values.json,
+      allowTodo: values['allow-todo']
+    };
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve a module key ('05', '5' or '05-xverse-provider.js') to its MODULE_MAP filename
+ */
+function resolveModuleFilename(key) {
+  const trimmed = String(key).trim();
+  if (MODULE_MAP[trimmed]) return trimmed;
+
+  const prefix = /^\d{1,2}$/.test(trimmed) ? `${trimmed.padStart(2, '0')}-` : null;
+  const filename = prefix && Object.keys(MODULE_MAP).find(name => name.startsWith(prefix));
+  if (!filename) {
+    throw new Error(`Unknown module "${trimmed}" (expected one of ${Object.keys(MODULE_MAP).join(', ')})`);
+  }
+  return filename;
+}
+
+/**
+ * Load nexus.inscriptions.json
+ *
+ * {
+ *   "modules": {
+ *     "01-base-provider.js": "1234567890",
+ *     "02": { "sat": "1234567891" },
+ *     "03-wallet-connector.js": { "inscriptionId": "<txid>i0" },
+ *     "05": { "sat": "1234567893", "index": 2 },
+ *     "06": { "sat": "1234567894", "version": "^1.0.0" }
+ *   },
+ *   "defaultVersion": "^1.0.0"
+ * }
+ *
+ * index pins /r/sat/{sat}/at/{index}/content (in the loader and every module that imports it)
+ * version / defaultVersion make the loader pick the newest inscription whose header satisfies the range
+ */
+function loadInscriptionConfig(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${configPath}: ${error.message}`);
+  }
+
+  const references = {};
+  const resolution = {};
+  for (const [key, entry] of Object.entries(config.modules || {})) {
+    const filename = resolveModuleFilename(key);
+    const rule = typeof entry === 'object' && entry !== null ? entry : {};
+    const value = String(typeof entry === 'object' && entry !== null ? (entry.sat ?? entry.inscriptionId ?? '') : entry).trim();
+
+    if (rule.index !== undefined && !Number.isInteger(rule.index)) {
+      throw new Error(`Invalid index for ${filename} in ${configPath}: "${rule.index}"`);
+    }
+    if (rule.index !== undefined || rule.version) {
+      resolution[filename] = rule.index !== undefined ? { index: rule.index } : { version: String(rule.version) };
+    }
+
+    if (!value) continue;
+    if (!SAT_PATTERN.test(value) && !INSCRIPTION_ID_PATTERN.test(value)) {
+      throw new Error(`Invalid SAT number or inscription ID for ${filename} in ${configPath}: "${value}"`);
+    }
+    references[filename] = value;
+  }
+
+  if (config.defaultVersion) {
+    for (const filename of Object.keys(MODULE_MAP)) {
+      if (!resolution[filename]) resolution[filename] = { version: String(config.defaultVersion) };
+    }
+  }
+  return { references, resolution };
+}
+
+/**
+ * True once a module has a real SAT number or inscription ID (not a TODO placeholder)
+ */
+function isResolvedReference(value) {
+  return Boolean(value) && !String(value).includes('TODO');
+}
+
+/**
+ * Import path for a module: sat endpoint (latest or pinned index), or /content/ for inscription IDs
+ */
+function moduleReference(value, index = -1) {
+  return INSCRIPTION_ID_PATTERN.test(String(value))
+    ? `/content/${value}`
+    : `/r/sat/${value}/at/${index}/content`;
+}
+
+/**
+ * SHA-256 (hex) of module text, as the loader computes it with crypto.subtle
+ */
+function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Version header read by the loader's "latest compatible" resolution (see MODULE RESOLUTION)
+ */
+function moduleVersionHeader(filename) {
+  return `/*! nexus-module ${filename} ${PACKAGE_VERSION} */\n`;
+}
+
+/**
+ * Write a generated file (skipped on --dry-run)
+ */
+function writeOutput(filePath, data, encoding) {
+  if (cli.dryRun) return;
+  fs.writeFileSync(filePath, data, encoding);
+}
+
+/**
+ * Create an output directory (skipped on --dry-run)
+ */
+function makeOutputDir(dirPath) {
+  if (cli.dryRun) return;
+  fs.mkdirSync(dirPath, { recursive: true });
+}
+
+/**
+ * Estimate the cost of inscribing a compressed file (served with Content-Encoding: br)
+ * Exact commit + reveal vsize at COST_FEE_RATE, paid from one native segwit input
+ */
+function recordInscriptionCost(filename, compressed, contentType) {
+  const cost = estimateInscriptionCost(
+    { content: compressed, contentType, contentEncoding: 'br' },
+    { feeRate: COST_FEE_RATE }
+  );
+  inscriptionCosts[filename] = cost;
+  return `💰 ~${cost.total.toLocaleString()} sats @ ${COST_FEE_RATE} sat/vB (commit ${cost.commit.vsize} vB + reveal ${cost.reveal.vsize} vB + ${cost.postage} postage)`;
+}
 
 /**
  * Main execution
  */
 async function main() {
+  // Keep stdout clean for the JSON summary
+  if (cli.json) console.log = (...args) => console.error(...args);
+
   console.log('🚀 NexusWalletConnect Inscription Preparation\n');
   console.log('This script will prepare your files for Bitcoin inscription.');
   console.log('You can provide known SAT numbers or leave them as TODO placeholders.\n');
 
-  // Ask if user wants to provide SAT numbers
-  const provideSats = await question('Do you have SAT numbers to provide? (y/n): ');
+  const only = cli.only ? cli.only.split(',').filter(Boolean).map(resolveModuleFilename) : null;
+  const configPath = cli.config || (fs.existsSync(CONFIG_FILE) ? CONFIG_FILE : null);
+  const interactive = !configPath && !cli.json && process.stdin.isTTY;
   const satNumbers = {};
 
-  if (provideSats.toLowerCase() === 'y') {
+  if (cli.dryRun) {
+    console.log('🔍 Dry run - nothing will be written\n');
+  }
+
+  // Ask if user wants to provide SAT numbers
+  const provideSats = interactive ? await question('Do you have SAT numbers to provide? (y/n): ') : 'n';
+
+  if (configPath) {
+    const { references, resolution } = loadInscriptionConfig(configPath);
+    for (const [filename, info] of Object.entries(MODULE_MAP)) {
+      satNumbers[filename] = references[filename] || info.sat;
+    }
+    Object.assign(moduleResolution, resolution);
+    console.log(`✅ Loaded ${Object.keys(references).length} SAT numbers from ${configPath}`);
+  } else if (provideSats.toLowerCase() === 'y') {
     console.log('\nEnter SAT numbers for each module (press Enter to use TODO):');
     
     for (const [filename, info] of Object.entries(MODULE_MAP)) {
@@ -82,6 +307,7 @@ async function main() {
     }
   } else {
     // Use all TODOs
+    if (!interactive) console.log(`⚠️  No ${CONFIG_FILE} found - using TODO placeholders`);
     for (const [filename, info] of Object.entries(MODULE_MAP)) {
       satNumbers[filename] = info.sat;
     }
@@ -89,69 +315,100 @@ async function main() {
 
   console.log('\n📦 Creating inscription package...\n');
 
-  // Create output directories
-  if (fs.existsSync(OUTPUT_DIR)) {
+  // Create output directories (--only keeps the other generated files)
+  if (fs.existsSync(OUTPUT_DIR) && !only && !cli.dryRun) {
     console.log(`⚠️  Removing existing ${OUTPUT_DIR}/ directory...`);
     fs.rmSync(OUTPUT_DIR, { recursive: true });
   }
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-  fs.mkdirSync(path.join(OUTPUT_DIR, 'minified'), { recursive: true });
-  fs.mkdirSync(path.join(OUTPUT_DIR, 'compressed'), { recursive: true });
+  makeOutputDir(OUTPUT_DIR);
+  makeOutputDir(path.join(OUTPUT_DIR, 'minified'));
+  makeOutputDir(path.join(OUTPUT_DIR, 'compressed'));
 
-  // Process modules 01-11 from "inscriptions local/"
+  // Process every module from "inscriptions local/" (all except the loader)
   console.log('Converting local development files to inscription format...');
-  for (let i = 1; i <= 11; i++) {
-    const filename = `${i.toString().padStart(2, '0')}-${getModuleFilename(i)}`;
+  for (const filename of Object.keys(MODULE_MAP)) {
+    if (filename === '12-loader.js') continue;
+    if (only && !only.includes(filename)) continue;
     await processInscriptionFile(filename, satNumbers);
   }
 
   // Process loader (12-loader.js) from inscriptions/
-  console.log('Processing loader with SAT references...');
-  await processLoader(satNumbers);
+  if (!only || only.includes('12-loader.js')) {
+    // Modules skipped by --only keep the digests of their existing minified files
+    for (const filename of Object.keys(MODULE_MAP)) {
+      const minifiedPath = path.join(OUTPUT_DIR, 'minified', filename);
+      if (!moduleDigests[filename] && fs.existsSync(minifiedPath)) {
+        moduleDigests[filename] = sha256Hex(fs.readFileSync(minifiedPath, 'utf8'));
+      }
+    }
+
+    console.log('Processing loader with SAT references...');
+    await processLoader(satNumbers);
+  }
 
-  // Create bundled frontend
-  console.log('Creating bundled frontend...');
-  await createFrontendBundle(satNumbers['12-loader.js']);
+  // The bundle, manifest, plan and guide describe the whole package
+  if (!only) {
+    // Create bundled frontend
+    console.log('Creating bundled frontend...');
+    await createFrontendBundle(satNumbers['12-loader.js']);
+
+    // Create inscription manifest
+    await createManifest(satNumbers);
+
+    // Create dependency-ordered batch inscription plan
+    await createInscriptionPlan(satNumbers);
+
+    // Create inscription guide
+    await createInscriptionGuide(satNumbers);
+  }
+
+  // Every prepared file whose imports still point at a TODO placeholder
+  const todos = Object.keys(inscriptionCosts)
+    .map(filename => ({
+      filename,
+      missing: (filename === 'frontend-bundle/index.html' ? ['12-loader.js'] : readModuleDependencies(filename))
+        .filter(dep => !isResolvedReference(satNumbers[dep]))
+    }))
+    .filter(todo => todo.missing.length > 0);
+
+  if (cli.json) {
+    const summary = {
+      outputDir: OUTPUT_DIR,
+      dryRun: cli.dryRun,
+      files: Object.entries(inscriptionCosts).map(([filename, cost]) => ({
+        filename,
+        reference: MODULE_MAP[filename] ? satNumbers[filename] : null,
+        size: cost.contentSize,
+        cost: { feeRate: cost.feeRate, commitVsize: cost.commit.vsize, revealVsize: cost.reveal.vsize, total: cost.total }
+      })),
+      todos,
+      totalSats: Object.values(inscriptionCosts).reduce((sum, cost) => sum + cost.total, 0)
+    };
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+  }
 
-  // Create inscription manifest
-  await createManifest(satNumbers);
+  if (rl) rl.close();
 
-  // Create inscription guide
-  await createInscriptionGuide(satNumbers);
+  if (todos.length > 0) {
+    console.log(`\n⚠️  ${todos.length} file(s) still import TODO SAT placeholders:`);
+    todos.forEach(todo => console.log(`   ${todo.filename} → ${todo.missing.join(', ')}`));
+    if (!cli.allowTodo) {
+      process.exitCode = 2;
+      return;
+    }
+  }
 
-  console.log('\n✅ Inscription package created successfully!\n');
-  console.log('📁 Output directory: ready-to-inscribe/');
+  console.log(`\n✅ Inscription package ${cli.dryRun ? 'checked (dry run)' : 'created successfully'}!\n`);
+  console.log(`📁 Output directory: ${OUTPUT_DIR}/`);
   console.log('📋 Next steps:');
   console.log('   1. Review files in ready-to-inscribe/');
-  console.log('   2. Follow INSCRIPTION_GUIDE.md for inscription process');
+  console.log('   2. Follow INSCRIPTION_GUIDE.md (or inscription-plan.json for batch mode)');
   console.log('   3. Update SAT numbers as you inscribe each module');
   console.log('   4. Test the bundled frontend after inscription\n');
-
-  rl.close();
-}
-
-/**
- * Get module filename from number
- */
-function getModuleFilename(num) {
-  const map = {
-    1: 'base-provider.js',
-    2: 'normalizers.js',
-    3: 'wallet-connector.js',
-    4: 'unisat-provider.js',
-    5: 'xverse-provider.js',
-    6: 'okx-provider.js',
-    7: 'leather-provider.js',
-    8: 'phantom-provider.js',
-    9: 'wizz-provider.js',
-    10: 'magiceden-provider.js',
-    11: 'oyl-provider.js'
-  };
-  return map[num];
 }
 
 /**
- * Process an inscription file (01-11)
+ * Process an inscription file (01-11, 13+)
  */
 async function processInscriptionFile(filename, satNumbers) {
   const sourcePath = path.join(SOURCE_DIR, filename);
@@ -171,8 +428,11 @@ async function processInscriptionFile(filename, satNumbers) {
   // Convert relative imports to SAT references
   content = convertImportsToSatReferences(content, satNumbers);
 
+  // Version header for the loader's "latest compatible" resolution
+  content = moduleVersionHeader(filename) + content;
+
   // Create regular version
-  fs.writeFileSync(targetPath, content, 'utf8');
+  writeOutput(targetPath, content, 'utf8');
   console.log(`    ✓ Created ${filename}`);
 
   // Create minified version
@@ -189,12 +449,13 @@ async function processInscriptionFile(filename, satNumbers) {
       },
       mangle: false, // Keep names readable for debugging
       format: {
-        comments: false
+        comments: MODULE_HEADER_COMMENT
       }
     });
 
     if (minified.code) {
-      fs.writeFileSync(targetMinPath, minified.code, 'utf8');
+      writeOutput(targetMinPath, minified.code, 'utf8');
+      moduleDigests[filename] = sha256Hex(minified.code);
       
       const originalSize = content.length;
       const minifiedSize = minified.code.length;
@@ -209,10 +470,11 @@ async function processInscriptionFile(filename, satNumbers) {
         }
       });
 
-      fs.writeFileSync(targetBrotliPath, compressed);
+      writeOutput(targetBrotliPath, compressed);
       const compressedSize = compressed.length;
       const compressionRatio = ((1 - compressedSize / originalSize) * 100).toFixed(1);
       console.log(`    ✓ Compressed ${filename}.br (${compressionRatio}% smaller than original)`);
+      console.log(`    ${recordInscriptionCost(filename, compressed, 'text/javascript')}`);
     }
   } catch (error) {
     console.log(`    ⚠️  Minification failed: ${error.message}`);
@@ -227,8 +489,8 @@ async function processInscriptionFile(filename, satNumbers) {
  * 
  * Transformation steps:
  * 1. Read dev-loader-simple.js (with relative imports)
- * 2. Convert relative imports to SAT references
- * 3. Add SAT_NUMBERS configuration object
+ * 2. Add SAT_NUMBERS configuration object and module resolver
+ * 3. Convert relative imports to resolveModule() calls (pinning, version policy, fallback)
  * 4. Remove dev-only comments
  * 5. Create minified and compressed versions
  */
@@ -245,17 +507,18 @@ async function processLoader(satNumbers) {
 
   let content = fs.readFileSync(sourcePath, 'utf8');
 
-  // STEP 1: Convert relative imports from "inscriptions local/" to SAT references
-  content = convertLoaderImportsToSatReferences(content, satNumbers);
-
-  // STEP 2: Add SAT_NUMBERS configuration object at the top
+  // STEP 1: Add SAT_NUMBERS configuration object and module resolver at the top
   content = addSatNumbersConfiguration(content, satNumbers);
 
+  // STEP 2: Convert relative imports from "inscriptions local/" to resolveModule() calls
+  content = convertLoaderImportsToModuleResolution(content);
+  content = convertLoaderDynamicImportsToModuleResolution(content);
+
   // STEP 3: Update header comment for inscription version
-  content = updateLoaderHeader(content);
+  content = moduleVersionHeader('12-loader.js') + updateLoaderHeader(content);
 
   // Create regular version
-  fs.writeFileSync(targetPath, content, 'utf8');
+  writeOutput(targetPath, content, 'utf8');
   console.log('  ✓ Created 12-loader.js from dev-loader-simple.js');
 
   // Create minified version
@@ -272,12 +535,13 @@ async function processLoader(satNumbers) {
       },
       mangle: false,
       format: {
-        comments: false
+        comments: MODULE_HEADER_COMMENT
       }
     });
 
     if (minified.code) {
-      fs.writeFileSync(targetMinPath, minified.code, 'utf8');
+      writeOutput(targetMinPath, minified.code, 'utf8');
+      moduleDigests['12-loader.js'] = sha256Hex(minified.code);
 
       const originalSize = content.length;
       const minifiedSize = minified.code.length;
@@ -292,10 +556,11 @@ async function processLoader(satNumbers) {
         }
       });
 
-      fs.writeFileSync(targetBrotliPath, compressed);
+      writeOutput(targetBrotliPath, compressed);
       const compressedSize = compressed.length;
       const compressionRatio = ((1 - compressedSize / originalSize) * 100).toFixed(1);
       console.log(`  ✓ Compressed 12-loader.js.br (${compressionRatio}% smaller than original)`);
+      console.log(`  ${recordInscriptionCost('12-loader.js', compressed, 'text/javascript')}`);
     }
   } catch (error) {
     console.log(`  ⚠️  Minification failed: ${error.message}`);
@@ -303,34 +568,245 @@ async function processLoader(satNumbers) {
 }
 
 /**
- * Convert dev-loader-simple.js imports to SAT references
- * Transforms: from '../../inscriptions local/01-base-provider.js'
- * To: from '/r/sat/XXXXX/at/-1/content'
+ * Convert dev-loader-simple.js imports to module resolution
+ * Transforms: import { A, B as C } from '../../inscriptions local/01-base-provider.js';
+ * To: const { A, B: C } = await resolveModule('BASE_PROVIDER');
+ * Static imports can't fall back or pick a version, so the loader uses top-level await
  */
-function convertLoaderImportsToSatReferences(content, satNumbers) {
-  const lines = content.split('\n');
-  
-  const updatedLines = lines.map(line => {
-    // Match: from '../../inscriptions local/XX-filename.js'
-    const localImportMatch = line.match(/from\s+['"]\.\.\/\.\.\/inscriptions local\/(\d{2}-.+?\.js)['"]/);
-    
-    if (localImportMatch) {
-      const importedFile = localImportMatch[1];
-      const satNumber = satNumbers[importedFile] || 'TODO-Add-SAT';
-      
-      // Replace with SAT reference (NO ordinals.com domain)
-      return line.replace(
-        /from\s+['"]\.\.\/\.\.\/inscriptions local\/\d{2}-.+?\.js['"]/,
-        `from '/r/sat/${satNumber}/at/-1/content'`
-      );
-    }
-    
-    return line;
+function convertLoaderImportsToModuleResolution(content) {
+  const importPattern = /^import\s+([\s\S]*?)\s+from\s+['"]\.\.\/\.\.\/inscriptions local\/(\d{2}-.+?\.js)['"];?/gm;
+  const keys = [];
+
+  const converted = content.replace(importPattern, (statement, clause, importedFile) => {
+    const key = MODULE_MAP[importedFile] ? MODULE_MAP[importedFile].key : null;
+    if (!key) throw new Error(`Loader imports unknown module ${importedFile}`);
+    if (!keys.includes(key)) keys.push(key);
+
+    const namespace = clause.match(/^\*\s+as\s+(\w+)$/);
+    if (namespace) return `const ${namespace[1]} = await resolveModule('${key}');`;
+
+    const [, defaultName, named] = clause.match(/^(?:(\w+)\s*,?\s*)?(?:\{([\s\S]*)\})?$/) || [];
+    const bindings = (named || '').split(',').map(binding => binding.trim()).filter(Boolean)
+      .map(binding => binding.replace(/\s+as\s+/, ': '));
+    if (defaultName) bindings.unshift(`default: ${defaultName}`);
+    return `const { ${bindings.join(', ')} } = await resolveModule('${key}');`;
   });
-  
-  return updatedLines.join('\n');
+
+  // Start every download at once, like static imports would
+  const firstImport = converted.search(/^const .* = await resolveModule\(/m);
+  const preload = `// Start every module download at once (static imports load in parallel too)\n` +
+    `${JSON.stringify(keys).replace(/"/g, "'")}.forEach(key => resolveModule(key).catch(() => {}));\n\n`;
+  return firstImport === -1 ? converted : converted.slice(0, firstImport) + preload + converted.slice(firstImport);
 }
 
+/**
+ * Convert the loader's lazy provider importers to module resolution
+ * Transforms: import('../../inscriptions local/04-unisat-provider.js')
+ * To: resolveModule('UNISAT')
+ * These stay out of the preload list, so only connected wallets are downloaded
+ */
+function convertLoaderDynamicImportsToModuleResolution(content) {
+  const dynamicImportPattern = /\bimport\(\s*['"]\.\.\/\.\.\/inscriptions local\/(\d{2}-.+?\.js)['"]\s*\)/g;
+
+  return content.replace(dynamicImportPattern, (statement, importedFile) => {
+    const key = MODULE_MAP[importedFile] ? MODULE_MAP[importedFile].key : null;
+    if (!key) throw new Error(`Loader imports unknown module ${importedFile}`);
+    return `resolveModule('${key}')`;
+  });
+}
+
+/**
+ * Module resolver emitted into 12-loader.js after SAT_NUMBERS / MODULE_RESOLUTION
+ */
+const MODULE_RESOLVER_RUNTIME = String.raw`// ============================================
+// MODULE RESOLUTION
+// ============================================
+// Every module is loaded through resolveModule(KEY):
+//   no rule                          latest inscription on the sat; if it fails to import,
+//                                    the previous ones (up to MAX_FALLBACK_DEPTH)
+//   { index: 2 }                     always /r/sat/<sat>/at/2/content
+//   { inscriptionId: '<txid>i0' }    always /content/<id>
+//   { version: '^1.2.0' }            newest inscription whose nexus-module header satisfies the range
+// Apps can override rules before importing this loader:
+//   globalThis.NexusModuleResolution = { XVERSE: { index: 0 } };
+//
+// Modules listed in MODULE_DIGESTS are fetched as text, checked against their SHA-256 and
+// imported from a Blob URL (their own inscription imports are re-linked to verified Blob URLs).
+// A mismatching latest inscription falls back to an earlier one that matches; if none does the
+// module is refused. Version ranges still apply: only inscriptions in range are checked.
+// Set globalThis.NexusModuleIntegrity = false to import directly (development).
+
+const MAX_FALLBACK_DEPTH = 5;
+const MODULE_HEADER_PATTERN = /^\/\*! nexus-module (\S+) (\S+) \*\//;
+const INSCRIPTION_IMPORT_PATTERN = /(\bfrom\s*|\bimport\s*\(?\s*)(["'])(\/(?:r\/sat|content)\/[^"']+)\2/g;
+const resolvedModules = {};
+const verifiedModuleUrls = {};
+
+function parseModuleVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+  return match ? match.slice(1).map(Number) : null;
+}
+
+// Exact, ^, ~, >= and * ranges
+function satisfiesVersion(version, range) {
+  const actual = parseModuleVersion(version);
+  if (!actual) return false;
+  if (!range || range === '*') return true;
+
+  const wanted = parseModuleVersion(range.replace(/^(\^|~|>=)/, ''));
+  if (!wanted) return false;
+  const order = actual[0] - wanted[0] || actual[1] - wanted[1] || actual[2] - wanted[2];
+
+  if (range.startsWith('>=')) return order >= 0;
+  if (range[0] === '^') return actual[0] === wanted[0] && order >= 0;
+  if (range[0] === '~') return actual[0] === wanted[0] && actual[1] === wanted[1] && order >= 0;
+  return order === 0;
+}
+
+async function readModuleVersion(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error('HTTP ' + response.status + ' for ' + url);
+  const match = MODULE_HEADER_PATTERN.exec(await response.text());
+  return match ? match[2] : null;
+}
+
+// Inscriptions on a sat (first page of /r/sat/<sat>)
+async function countSatInscriptions(sat) {
+  try {
+    const response = await fetch('/r/sat/' + sat);
+    const page = await response.json();
+    return page.ids.length;
+  } catch (error) {
+    return MAX_FALLBACK_DEPTH;
+  }
+}
+
+function moduleRule(key) {
+  const overrides = globalThis.NexusModuleResolution || {};
+  return Object.assign({}, MODULE_RESOLUTION[key], overrides[key]);
+}
+
+// The one URL a pinned module may load from (null when the sat is walked back from the latest)
+function pinnedModuleUrl(key, rule) {
+  const sat = SAT_NUMBERS[key];
+  if (rule.inscriptionId) return '/content/' + rule.inscriptionId;
+  if (/^[0-9a-f]{64}i\d+$/.test(sat)) return '/content/' + sat;
+  if (rule.index !== undefined) return '/r/sat/' + sat + '/at/' + rule.index + '/content';
+  return null;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Module key for an inscription import found inside module text
+function moduleKeyForSpecifier(specifier) {
+  const match = /^\/r\/sat\/([^/]+)\/at\/-?\d+\/content$/.exec(specifier) || /^\/content\/([^/]+)$/.exec(specifier);
+  return match ? Object.keys(SAT_NUMBERS).find(key => SAT_NUMBERS[key] === match[1]) : undefined;
+}
+
+// Blob URL for verified module text, with its inscription imports pointing at verified Blob URLs
+async function linkVerifiedModule(key, text) {
+  const urls = {};
+  for (const match of text.matchAll(INSCRIPTION_IMPORT_PATTERN)) {
+    const dependency = moduleKeyForSpecifier(match[3]);
+    if (!dependency || !MODULE_DIGESTS[dependency]) {
+      throw new Error(key + ' imports ' + match[3] + ', which has no known SHA-256');
+    }
+    urls[match[3]] = await resolveVerifiedModuleUrl(dependency);
+  }
+  const linked = text.replace(INSCRIPTION_IMPORT_PATTERN, (statement, prefix, quote, specifier) => prefix + quote + urls[specifier] + quote);
+  return URL.createObjectURL(new Blob([linked], { type: 'text/javascript' }));
+}
+
+async function loadVerifiedModuleUrl(key) {
+  const sat = SAT_NUMBERS[key];
+  const rule = moduleRule(key);
+  const pinned = pinnedModuleUrl(key, rule);
+  const range = pinned ? null : rule.version;
+  let depth = pinned ? 1 : range ? await countSatInscriptions(sat) : MAX_FALLBACK_DEPTH;
+  let mismatched = false;
+
+  for (let index = -1; index >= -Math.min(depth, MAX_FALLBACK_DEPTH); index--) {
+    const url = pinned || '/r/sat/' + sat + '/at/' + index + '/content';
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      const text = await response.text();
+      if (range) {
+        const header = MODULE_HEADER_PATTERN.exec(text);
+        const version = header ? header[2] : null;
+        if (!satisfiesVersion(version, range)) {
+          console.warn('⚠️ ' + key + ': skipping ' + url + ' (version ' + version + ' does not satisfy ' + range + ')');
+          continue;
+        }
+      }
+      if (await sha256Hex(text) === MODULE_DIGESTS[key]) {
+        if (mismatched) console.warn('⚠️ ' + key + ': newer inscription failed its SHA-256 check, using ' + url);
+        return linkVerifiedModule(key, text);
+      }
+      console.warn('⚠️ ' + key + ': SHA-256 mismatch for ' + url);
+      mismatched = true;
+    } catch (error) {
+      console.warn('⚠️ ' + key + ': could not fetch ' + url + ' - ' + error.message);
+    }
+    if (index === -1 && !pinned && !range) depth = await countSatInscriptions(sat);
+  }
+
+  const error = new Error('Refusing to load ' + key + ': no inscription on sat ' + sat +
+    (range ? ' in version range ' + range : '') + ' matches SHA-256 ' + MODULE_DIGESTS[key]);
+  error.code = 'MODULE_INTEGRITY';
+  throw error;
+}
+
+// Memoized so every module that imports a dependency links to the same Blob URL (one instance)
+function resolveVerifiedModuleUrl(key) {
+  return verifiedModuleUrls[key] || (verifiedModuleUrls[key] = loadVerifiedModuleUrl(key));
+}
+
+async function loadModule(key) {
+  const sat = SAT_NUMBERS[key];
+  const rule = moduleRule(key);
+
+  if (MODULE_DIGESTS[key] && globalThis.NexusModuleIntegrity !== false) {
+    return import(await resolveVerifiedModuleUrl(key));
+  }
+
+  const pinned = pinnedModuleUrl(key, rule);
+  if (pinned) return import(pinned);
+
+  let depth = rule.version ? await countSatInscriptions(sat) : MAX_FALLBACK_DEPTH;
+  let lastError = null;
+  for (let index = -1; index >= -Math.min(depth, MAX_FALLBACK_DEPTH); index--) {
+    const url = '/r/sat/' + sat + '/at/' + index + '/content';
+    try {
+      if (rule.version) {
+        const version = await readModuleVersion(url);
+        if (!satisfiesVersion(version, rule.version)) {
+          console.warn('⚠️ ' + key + ': skipping ' + url + ' (version ' + version + ' does not satisfy ' + rule.version + ')');
+          continue;
+        }
+      }
+      const module = await import(url);
+      if (index !== -1) console.warn('⚠️ ' + key + ': latest inscription unusable, loaded ' + url);
+      return module;
+    } catch (error) {
+      lastError = error;
+      console.warn('⚠️ ' + key + ': could not import ' + url + ' - ' + error.message);
+      if (index === -1 && !rule.version) depth = await countSatInscriptions(sat);
+    }
+  }
+  throw lastError || new Error('No inscription on sat ' + sat + ' satisfies ' + key + ' ' + rule.version);
+}
+
+// Memoized so every import of a module shares one instance
+function resolveModule(key) {
+  return resolvedModules[key] || (resolvedModules[key] = loadModule(key));
+}
+
+`;
+
 /**
  * Add SAT_NUMBERS configuration object at the beginning of the file
  */
@@ -346,6 +822,11 @@ const SAT_NUMBERS = {
   BASE_PROVIDER: '${satNumbers['01-base-provider.js']}',
   NORMALIZERS: '${satNumbers['02-normalizers.js']}',
   WALLET_CONNECTOR: '${satNumbers['03-wallet-connector.js']}',
+  ADDRESS: '${satNumbers['13-address.js']}',
+  PSBT: '${satNumbers['14-psbt.js']}',
+  FEES: '${satNumbers['15-fees.js']}',
+  COST: '${satNumbers['16-cost.js']}',
+  INSCRIBER: '${satNumbers['17-inscriber.js']}',
   
   // Phase 2: Wallet providers (inscribe after Phase 1)
   UNISAT: '${satNumbers['04-unisat-provider.js']}',
@@ -358,6 +839,21 @@ const SAT_NUMBERS = {
   OYL: '${satNumbers['11-oyl-provider.js']}'
 };
 
+// SHA-256 of each minified module as generated (checked before import, see MODULE RESOLUTION)
+const MODULE_DIGESTS = {${Object.entries(moduleDigests)
+  .filter(([filename]) => filename !== '12-loader.js')
+  .map(([filename, digest]) => `\n  ${MODULE_MAP[filename].key}: '${digest}'`)
+  .join(',')}
+};
+
+// Pinned index / inscription ID or required version range per module (from nexus.inscriptions.json)
+const MODULE_RESOLUTION = {${Object.entries(moduleResolution)
+  .filter(([filename]) => filename !== '12-loader.js')
+  .map(([filename, rule]) => `\n  ${MODULE_MAP[filename].key}: ${JSON.stringify(rule).replace(/"(\w+)":/g, '$1: ').replace(/"/g, "'")}`)
+  .join(',')}
+};
+
+${MODULE_RESOLVER_RUNTIME}
 // ============================================
 // INSCRIPTION-READY LOADER
 // ============================================
@@ -365,7 +861,7 @@ const SAT_NUMBERS = {
 `;
   
   // Find where to insert (after initial comments, before first import)
-  const firstImportIndex = content.indexOf('import ');
+  const firstImportIndex = content.search(/^import\s/m);
   if (firstImportIndex === -1) return satConfig + content;
   
   // Find the comment block before first import
@@ -387,12 +883,14 @@ function updateLoaderHeader(content) {
  * DO NOT EDIT THIS FILE MANUALLY - Use prepare-inscriptions.js
  * 
  * Purpose: Dynamic wallet provider loader for Bitcoin ordinals
- * Dependencies: Modules #1-11 (must be inscribed first)
+ * Dependencies: Modules #1-11 and #13+ (must be inscribed first)
+ *   Provider modules #4-11 are only downloaded when their wallet connects
  * Exports: connect(), detectWallets(), loadNormalizers(), loadWalletConnector()
  * 
  * INSCRIBE THIS MODULE LAST
- * 1. Inscribe modules 01-11 first
+ * 1. Inscribe modules 01-11 and 13+ first
  * 2. Update SAT_NUMBERS below with actual inscription SATs
+ *    (MODULE_RESOLUTION pins indexes / version ranges, see MODULE RESOLUTION)
  * 3. Re-run prepare-inscriptions.js to regenerate this file
  * 4. Inscribe this loader.js as module #12
  * 
@@ -421,7 +919,7 @@ function updateLoaderHeader(content) {
  */
 
 /**
- * Convert relative imports to SAT references (for provider files 01-11)
+ * Convert relative imports to SAT references (for module files 01-11, 13+)
  * Transforms: from './01-base-provider.js'
  * To: from '/r/sat/XXXXX/at/-1/content'
  */
@@ -435,11 +933,12 @@ function convertImportsToSatReferences(content, satNumbers) {
     if (relativeImportMatch) {
       const importedFile = relativeImportMatch[1];
       const satNumber = satNumbers[importedFile] || 'TODO-Add-SAT';
+      const pin = moduleResolution[importedFile] || {};
 
-      // Replace with SAT reference (NO ordinals.com domain)
+      // Replace with SAT reference (NO ordinals.com domain), at the pinned index if any
       return line.replace(
         /from\s+['"]\.\/\d{2}-.+?\.js['"]/,
-        `from '/r/sat/${satNumber}/at/-1/content'`
+        `from '${moduleReference(satNumber, pin.index !== undefined ? pin.index : -1)}'`
       );
     }
 
@@ -450,7 +949,7 @@ function convertImportsToSatReferences(content, satNumbers) {
 }
 async function createFrontendBundle(loaderSat) {
   const bundleDir = path.join(OUTPUT_DIR, 'frontend-bundle');
-  fs.mkdirSync(bundleDir, { recursive: true });
+  makeOutputDir(bundleDir);
 
   console.log('  Building frontend with Vite...');
   
@@ -544,7 +1043,7 @@ async function createFrontendBundle(loaderSat) {
   // Update the import to use the inscribed loader
   htmlContent = htmlContent.replace(
     /import\s+.*?from\s+['"].*?(?:dev-loader-simple|12-loader).*?['"]/g,
-    `import NexusWalletConnect from '/r/sat/${loaderSat}/at/-1/content'`
+    `import NexusWalletConnect from '${moduleReference(loaderSat)}'`
   );
 
   // Add inscription info
@@ -557,7 +1056,7 @@ async function createFrontendBundle(loaderSat) {
 </body>`
   );
 
-  fs.writeFileSync(path.join(bundleDir, 'index.html'), htmlContent, 'utf8');
+  writeOutput(path.join(bundleDir, 'index.html'), htmlContent, 'utf8');
   console.log('  ✓ Created frontend-bundle/index.html (fully inlined)');
 
   // Create compressed version
@@ -568,11 +1067,12 @@ async function createFrontendBundle(loaderSat) {
     }
   });
   
-  fs.writeFileSync(path.join(bundleDir, 'index.html.br'), compressed);
+  writeOutput(path.join(bundleDir, 'index.html.br'), compressed);
   const originalSize = Buffer.byteLength(htmlContent, 'utf8');
   const compressedSize = compressed.length;
   const ratio = ((1 - compressedSize / originalSize) * 100).toFixed(1);
   console.log(`  ✓ Compressed index.html.br (${ratio}% smaller)`);
+  console.log(`  ${recordInscriptionCost('frontend-bundle/index.html', compressed, 'text/html;charset=utf-8')}`);
   
   await createFrontendBundleReadme(loaderSat, bundleDir, originalSize, compressedSize);
 }
@@ -708,7 +1208,7 @@ async function createSimpleFrontendBundle(loaderSat, bundleDir) {
 
   <script type="module">
     // Load NexusWalletConnect from inscription
-    import NexusWalletConnect from '/r/sat/${loaderSat}/at/-1/content';
+    import NexusWalletConnect from '${moduleReference(loaderSat)}';
 
     const statusEl = document.getElementById('status');
     const walletsEl = document.getElementById('wallets');
@@ -786,7 +1286,7 @@ async function createSimpleFrontendBundle(loaderSat, bundleDir) {
 </body>
 </html>`;
 
-  fs.writeFileSync(path.join(bundleDir, 'index.html'), htmlContent, 'utf8');
+  writeOutput(path.join(bundleDir, 'index.html'), htmlContent, 'utf8');
   console.log('  ✓ Created frontend-bundle/index.html (simple demo)');
 
   const compressed = await brotliCompress(Buffer.from(htmlContent, 'utf8'), {
@@ -796,11 +1296,12 @@ async function createSimpleFrontendBundle(loaderSat, bundleDir) {
     }
   });
   
-  fs.writeFileSync(path.join(bundleDir, 'index.html.br'), compressed);
+  writeOutput(path.join(bundleDir, 'index.html.br'), compressed);
   const originalSize = Buffer.byteLength(htmlContent, 'utf8');
   const compressedSize = compressed.length;
   const ratio = ((1 - compressedSize / originalSize) * 100).toFixed(1);
   console.log(`  ✓ Compressed index.html.br (${ratio}% smaller)`);
+  console.log(`  ${recordInscriptionCost('frontend-bundle/index.html', compressed, 'text/html;charset=utf-8')}`);
 
   await createFrontendBundleReadme(loaderSat, bundleDir, originalSize, compressedSize);
 }
@@ -869,7 +1370,7 @@ The HTML is self-contained. To customize:
 
 `;
 
-  fs.writeFileSync(path.join(bundleDir, 'README.md'), readmeContent, 'utf8');
+  writeOutput(path.join(bundleDir, 'README.md'), readmeContent, 'utf8');
   console.log('  ✓ Created frontend-bundle/README.md');
 }
 
@@ -888,17 +1389,20 @@ async function createManifest(satNumbers) {
   for (const [filename, info] of Object.entries(MODULE_MAP)) {
     const filePath = path.join(OUTPUT_DIR, filename);
     const stats = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+    const cost = inscriptionCosts[filename];
     
     manifest.modules.push({
       filename,
       name: info.name,
       sat: satNumbers[filename],
       size: stats ? stats.size : 0,
-      ready: satNumbers[filename] !== info.sat // true if SAT number provided
+      ready: satNumbers[filename] !== info.sat, // true if SAT number provided
+      sha256: moduleDigests[filename] || null, // of minified/{filename}, verified by the loader before import
+      cost: cost ? { feeRate: cost.feeRate, commitVsize: cost.commit.vsize, revealVsize: cost.reveal.vsize, total: cost.total } : null
     });
   }
 
-  fs.writeFileSync(
+  writeOutput(
     path.join(OUTPUT_DIR, 'MANIFEST.json'),
     JSON.stringify(manifest, null, 2),
     'utf8'
@@ -908,61 +1412,220 @@ async function createManifest(satNumbers) {
 }
 
 /**
- * Create inscription guide
+ * Read the module dependencies of a file from its local imports
+ * Matches './NN-x.js' (modules) and '../../inscriptions local/NN-x.js' (loader),
+ * static or lazy import('...'): a lazily loaded module must still be inscribed first
  */
-async function createInscriptionGuide(satNumbers) {
-  const hasAllSats = Object.values(satNumbers).every(sat => !sat.includes('TODO'));
+function readModuleDependencies(filename) {
+  const sourcePath = filename === '12-loader.js' ? LOADER_SOURCE : path.join(SOURCE_DIR, filename);
+  if (!fs.existsSync(sourcePath)) return [];
 
-  const guide = `# Inscription Guide
+  const content = fs.readFileSync(sourcePath, 'utf8');
+  const pattern = /(?:from\s+|\bimport\(\s*)['"](?:\.\/|\.\.\/\.\.\/inscriptions local\/)(\d{2}-.+?\.js)['"]/g;
+  const dependencies = new Set();
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    if (MODULE_MAP[match[1]] && match[1] !== filename) dependencies.add(match[1]);
+  }
+  return [...dependencies];
+}
 
-## Overview
+/**
+ * Group every module into waves: a module's wave is one past its deepest dependency,
+ * so each wave only references SATs inscribed in earlier waves
+ * (base → normalizers → connector → providers → loader)
+ */
+function planInscriptionWaves() {
+  const dependencies = {};
+  for (const filename of Object.keys(MODULE_MAP)) {
+    dependencies[filename] = readModuleDependencies(filename);
+  }
 
-This directory contains files ready for Bitcoin inscription using ordinals.com or similar tools.
+  const waves = {};
+  const resolveWave = (filename, visiting = []) => {
+    if (waves[filename]) return waves[filename];
+    if (visiting.includes(filename)) {
+      throw new Error(`Circular module dependency: ${[...visiting, filename].join(' → ')}`);
+    }
+    const depth = dependencies[filename].map(dep => resolveWave(dep, [...visiting, filename]));
+    waves[filename] = depth.length ? Math.max(...depth) + 1 : 1;
+    return waves[filename];
+  };
 
-**Status**: ${hasAllSats ? '✅ All SAT numbers provided - Ready to inscribe!' : '⚠️ Some SAT numbers are TODO - Inscribe in phases'}
+  return Object.keys(MODULE_MAP)
+    .map(filename => ({ filename, wave: resolveWave(filename), dependsOn: dependencies[filename] }))
+    .sort((a, b) => a.wave - b.wave);
+}
 
-## Inscription Process
+/**
+ * Create a machine-readable batch inscription plan
+ * inscription-plan.json can be fed to 17-inscriber.js (content, contentType, contentEncoding)
+ * ord-batch-wave-N.yaml can be fed to `ord wallet batch` for every wave that is ready
+ */
+async function createInscriptionPlan(satNumbers) {
+  const entries = planInscriptionWaves();
+
+  // The frontend bundle imports the loader, so it always goes last
+  if (inscriptionCosts['frontend-bundle/index.html']) {
+    const loaderWave = entries.find(entry => entry.filename === '12-loader.js').wave;
+    entries.push({ filename: 'frontend-bundle/index.html', wave: loaderWave + 1, dependsOn: ['12-loader.js'] });
+  }
+
+  const inscriptions = entries.map((entry, index) => {
+    const isBundle = entry.filename === 'frontend-bundle/index.html';
+    const sat = isBundle ? null : satNumbers[entry.filename];
+    const blockedBy = entry.dependsOn.filter(dep => !isResolvedReference(satNumbers[dep]));
+    const cost = inscriptionCosts[entry.filename];
+
+    return {
+      order: index + 1,
+      wave: entry.wave,
+      filename: entry.filename,
+      name: isBundle ? 'FrontendBundle' : MODULE_MAP[entry.filename].name,
+      contentFile: isBundle ? 'frontend-bundle/index.html.br' : `compressed/${entry.filename}.br`,
+      sourceFile: isBundle ? 'frontend-bundle/index.html' : `minified/${entry.filename}`,
+      contentType: isBundle ? 'text/html;charset=utf-8' : 'text/javascript',
+      contentEncoding: 'br',
+      sat: SAT_PATTERN.test(sat) ? sat : null, // Reinscribe on this sat so /r/sat/{sat}/at/-1/content serves the new version
+      action: SAT_PATTERN.test(sat) ? 'reinscribe' : 'inscribe',
+      dependsOn: entry.dependsOn,
+      ready: blockedBy.length === 0,
+      blockedBy,
+      size: cost ? cost.contentSize : 0,
+      sha256: isBundle ? null : moduleDigests[entry.filename] || null,
+      cost: cost ? { feeRate: cost.feeRate, commitVsize: cost.commit.vsize, revealVsize: cost.reveal.vsize, total: cost.total } : null
+    };
+  });
+
+  // One ord batch file per ready wave; reinscriptions target a specific sat so they get a command instead
+  const waveNumbers = [...new Set(inscriptions.map(item => item.wave))];
+  const waves = waveNumbers.map(wave => {
+    const items = inscriptions.filter(item => item.wave === wave);
+    const batchItems = items.filter(item => item.ready && item.action === 'inscribe');
+    const batchFile = batchItems.length ? `ord-batch-wave-${wave}.yaml` : null;
+
+    if (batchFile) {
+      const yaml = [
+        `# NexusWalletConnect - inscription wave ${wave} of ${waveNumbers.length}`,
+        `# Run from ${OUTPUT_DIR}/: ord wallet batch --fee-rate <fee> --compress --batch ${batchFile}`,
+        '# --compress stores the files brotli-compressed (Content-Encoding: br)',
+        'mode: separate-outputs',
+        `postage: ${DEFAULT_POSTAGE}`,
+        'inscriptions:',
+        ...batchItems.map(item => `  - file: ${item.sourceFile}`),
+        ''
+      ].join('\n');
+      writeOutput(path.join(OUTPUT_DIR, batchFile), yaml, 'utf8');
+    }
+
+    for (const item of items.filter(item => item.ready && item.action === 'reinscribe')) {
+      item.command = `ord wallet inscribe --fee-rate <fee> --compress --reinscribe --sat ${item.sat} --file ${item.sourceFile}`;
+    }
+
+    return {
+      wave,
+      files: items.map(item => item.filename),
+      ready: items.every(item => item.ready),
+      batchFile
+    };
+  });
 
-### Phase 1: Core Dependencies (Inscribe First)
+  const plan = {
+    name: 'NexusWalletConnect',
+    version: '1.0.0',
+    created: new Date().toISOString(),
+    feeRate: COST_FEE_RATE,
+    postage: DEFAULT_POSTAGE,
+    totals: {
+      inscriptions: inscriptions.length,
+      contentBytes: inscriptions.reduce((sum, item) => sum + item.size, 0),
+      sats: inscriptions.reduce((sum, item) => sum + (item.cost ? item.cost.total : 0), 0)
+    },
+    waves,
+    inscriptions
+  };
 
-These modules have no dependencies and must be inscribed first:
+  writeOutput(
+    path.join(OUTPUT_DIR, 'inscription-plan.json'),
+    JSON.stringify(plan, null, 2),
+    'utf8'
+  );
 
-1. **01-base-provider.js** - BaseWalletProvider class
-   - SAT: \`${satNumbers['01-base-provider.js']}\`
-   - No dependencies
-   
-2. **02-normalizers.js** - Address normalization utilities
-   - SAT: \`${satNumbers['02-normalizers.js']}\`
-   - No dependencies
-   
-3. **03-wallet-connector.js** - Wallet connector utilities
-   - SAT: \`${satNumbers['03-wallet-connector.js']}\`
-   - No dependencies
+  const batchFiles = waves.filter(wave => wave.batchFile).map(wave => wave.batchFile);
+  console.log(`  ✓ Created inscription-plan.json (${waves.length} waves, ${plan.totals.contentBytes.toLocaleString()} B, ~${plan.totals.sats.toLocaleString()} sats @ ${COST_FEE_RATE} sat/vB)`);
+  if (batchFiles.length) {
+    console.log(`  ✓ Created ${batchFiles.join(', ')}`);
+  }
+}
 
-**After Phase 1**: Record the SAT numbers and re-run \`npm run prepare-inscriptions\` to update Phase 2 files.
+// What each module is, for the inscription guide
+const MODULE_DESCRIPTIONS = {
+  '01-base-provider.js': 'BaseWalletProvider class and typed wallet errors',
+  '02-normalizers.js': 'Normalizes wallet API response formats',
+  '03-wallet-connector.js': 'Generic Bitcoin wallet detection and connection',
+  '04-unisat-provider.js': 'UniSat provider',
+  '05-xverse-provider.js': 'Xverse provider',
+  '06-okx-provider.js': 'OKX provider',
+  '07-leather-provider.js': 'Leather provider',
+  '08-phantom-provider.js': 'Phantom provider',
+  '09-wizz-provider.js': 'Wizz provider',
+  '10-magiceden-provider.js': 'Magic Eden provider',
+  '11-oyl-provider.js': 'Oyl provider',
+  '12-loader.js': 'Main NexusWalletConnect loader',
+  '13-address.js': 'Address decoding and validation',
+  '14-psbt.js': 'PSBT decoder and transaction preview',
+  '15-fees.js': 'Fee rate estimation (ord /r/, mempool.space, static fallback)',
+  '16-cost.js': 'Inscription envelope, vsize and cost calculator',
+  '17-inscriber.js': 'Commit/reveal PSBT inscriber (ephemeral reveal key)'
+};
 
-### Phase 2: Wallet Providers
+/**
+ * "Inscription Process" phases of the guide, one per inscription wave
+ * Only the first wave has no dependencies; every later entry lists what it depends on
+ */
+function describeInscriptionWaves(satNumbers) {
+  const entries = planInscriptionWaves();
+  const waveNumbers = [...new Set(entries.map(entry => entry.wave))];
+
+  return waveNumbers.map((wave, index) => {
+    const phase = index + 1;
+    const items = entries.filter(entry => entry.wave === wave).map(entry => [
+      `- **${entry.filename}** - ${MODULE_DESCRIPTIONS[entry.filename]}`,
+      `  - SAT: \`${satNumbers[entry.filename]}\``,
+      ...(entry.dependsOn.length ? [`  - Depends on ${entry.dependsOn.join(', ')}`] : [])
+    ].join('\n'));
+
+    const intro = index === 0
+      ? 'These modules have no dependencies and must be inscribed first:'
+      : `These modules reference SATs from earlier phases. Inscribe them after Phase ${index}:`;
+    const next = phase < waveNumbers.length
+      ? `\n\n**After Phase ${phase}**: Record the SAT numbers and re-run \`npm run prepare-inscriptions\` to update Phase ${phase + 1} files.`
+      : '';
+    return `### Phase ${phase}${index === 0 ? ': Inscribe First' : ''}\n\n${intro}\n\n${items.join('\n')}${next}`;
+  }).join('\n\n');
+}
+
+/**
+ * Create inscription guide
+ */
+async function createInscriptionGuide(satNumbers) {
+  const hasAllSats = Object.values(satNumbers).every(sat => !sat.includes('TODO'));
+  const costRows = Object.entries(inscriptionCosts)
+    .map(([filename, cost]) => `| ${filename} | ${cost.contentSize.toLocaleString()} B | ${cost.commit.vsize} vB | ${cost.reveal.vsize} vB | ${cost.total.toLocaleString()} sats |`)
+    .join('\n');
+  const costTotal = Object.values(inscriptionCosts).reduce((sum, cost) => sum + cost.total, 0);
 
-These modules depend on Phase 1 SATs. Update their imports before inscribing:
+  const guide = `# Inscription Guide
 
-4. **04-unisat-provider.js** - SAT: \`${satNumbers['04-unisat-provider.js']}\`
-5. **05-xverse-provider.js** - SAT: \`${satNumbers['05-xverse-provider.js']}\`
-6. **06-okx-provider.js** - SAT: \`${satNumbers['06-okx-provider.js']}\`
-7. **07-leather-provider.js** - SAT: \`${satNumbers['07-leather-provider.js']}\`
-8. **08-phantom-provider.js** - SAT: \`${satNumbers['08-phantom-provider.js']}\`
-9. **09-wizz-provider.js** - SAT: \`${satNumbers['09-wizz-provider.js']}\`
-10. **10-magiceden-provider.js** - SAT: \`${satNumbers['10-magiceden-provider.js']}\`
-11. **11-oyl-provider.js** - SAT: \`${satNumbers['11-oyl-provider.js']}\`
+## Overview
 
-**After Phase 2**: Record all SAT numbers and re-run script to update the loader.
+This directory contains files ready for Bitcoin inscription using ordinals.com or similar tools.
 
-### Phase 3: Loader
+**Status**: ${hasAllSats ? '✅ All SAT numbers provided - Ready to inscribe!' : '⚠️ Some SAT numbers are TODO - Inscribe in phases'}
 
-The main entry point that loads all other modules:
+## Inscription Process
 
-12. **12-loader.js** - Main NexusWalletConnect loader
-    - SAT: \`${satNumbers['12-loader.js']}\`
-    - Update SAT_NUMBERS object with all Phase 1 & 2 SATs before inscribing
+${describeInscriptionWaves(satNumbers)}
 
 ## Inscription Commands
 
@@ -975,6 +1638,23 @@ ord wallet inscribe --file ready-to-inscribe/02-normalizers.js --fee-rate <fee>
 # ... continue for all files
 \`\`\`
 
+### Batch Mode
+
+\`inscription-plan.json\` lists every file in dependency order, grouped into waves.
+Each wave only references SATs from earlier waves. Every entry has its content file,
+content type, \`br\` content encoding, target SAT, size and estimated cost.
+
+\`\`\`bash
+# Inscribe every module of a ready wave in one batch
+cd ready-to-inscribe
+ord wallet batch --fee-rate <fee> --compress --batch ord-batch-wave-1.yaml
+\`\`\`
+
+A batch file is written for each wave whose dependencies all have SAT numbers.
+Record the new SATs and re-run \`npm run prepare-inscriptions\` to unlock the next wave.
+Entries that already have a SAT are listed with a \`--reinscribe --sat\` command instead,
+so \`/r/sat/{SAT}/at/-1/content\` serves the new version.
+
 ### Using Gamma or other tools
 
 Follow their specific inscription process. Make sure to inscribe in the order specified above.
@@ -984,7 +1664,7 @@ Follow their specific inscription process. Make sure to inscribe in the order sp
 1. **Test the inscribed loader**:
    \`\`\`html
    <script type="module">
-     import NexusWalletConnect from '/r/sat/${satNumbers['12-loader.js']}/at/-1/content';
+     import NexusWalletConnect from '${moduleReference(satNumbers['12-loader.js'])}';
      // Test API
    </script>
    \`\`\`
@@ -995,15 +1675,20 @@ Follow their specific inscription process. Make sure to inscribe in the order sp
 
 3. **Update documentation** with final SAT numbers
 
-## File Sizes
+## Estimated Inscription Costs
+
+Compressed (.br) files at ${COST_FEE_RATE} sat/vB, one native segwit funding input, ${DEFAULT_POSTAGE} sat postage:
+
+| File | Compressed | Commit | Reveal | Total |
+|------|-----------|--------|--------|-------|
+${costRows}
 
-Run \`npm run inscription-report\` to see file sizes and compression stats.
+**Total**: ~${costTotal.toLocaleString()} sats
 
 ## Verification Checklist
 
-- [ ] Phase 1 files inscribed and SAT numbers recorded
-- [ ] Phase 2 files updated with Phase 1 SATs
-- [ ] Phase 2 files inscribed and SAT numbers recorded
+- [ ] Each phase inscribed in order and its SAT numbers recorded
+- [ ] \`npm run prepare-inscriptions\` re-run after each phase
 - [ ] Loader updated with all SAT numbers
 - [ ] Loader inscribed and SAT number recorded
 - [ ] Tested loader from inscription URL
@@ -1016,7 +1701,7 @@ Run \`npm run inscription-report\` to see file sizes and compression stats.
 For issues or questions, refer to the main project documentation.
 `;
 
-  fs.writeFileSync(path.join(OUTPUT_DIR, 'INSCRIPTION_GUIDE.md'), guide, 'utf8');
+  writeOutput(path.join(OUTPUT_DIR, 'INSCRIPTION_GUIDE.md'), guide, 'utf8');
   console.log('  ✓ Created INSCRIPTION_GUIDE.md');
 }
 
@@ -1024,6 +1709,6 @@ For issues or questions, refer to the main project documentation.
 main().catch(error => {
   console.error('\n❌ Error:', error.message);
   console.error(error.stack);
-  rl.close();
+  if (rl) rl.close();
   process.exit(1);
 });
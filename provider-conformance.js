@@ -0,0 +1,761 @@
+/**
+ * Provider Conformance Suite
+ *
+ * Runs every provider class in "inscriptions local/" against its mock wallet
+ * (mock-wallets.js) and checks it against the BaseWalletProvider contract:
+ *   - every feature flag set to true has a method that works, reaches the
+ *     wallet where it should, and returns the normalized shape (balance
+ *     object, { list, total } inscriptions, txid string, signed PSBT, ...)
+ *   - every flag set to false really is unsupported: the method is missing,
+ *     throws UNSUPPORTED_METHOD or returns a placeholder without asking the
+ *     wallet. A false flag over a working method lies too
+ *   - methods that need a connection throw NOT_CONNECTED before connect(),
+ *     without prompting the wallet
+ *   - sign methods translate canonical { inputs: [{ index, address, sighashTypes }] }
+ *     options (SIGNING_OPTION_CHECKS) into the wallet's own fields, per PSBT for batches
+ *   - loader checks (LOADER_CHECKS) run the dev loader itself against a mock,
+ *     e.g. the network guard refusing a broadcast from a wallet on another network
+ *   - fee checks (FEE_CHECKS) run the fee estimator against fee-stub-server.js:
+ *     ord first, then mempool.space, then the static rate, and tier selection
+ *
+ * Flags without a check are reported as unchecked. Add them to FEATURE_CHECKS
+ * when a provider grows a new feature.
+ *
+ * Usage:
+ *   npm run conformance
+ *   node provider-conformance.js --wallet UniSat --wallet OKX
+ *   node provider-conformance.js --json      # machine-readable results
+ *   node provider-conformance.js --verbose   # keep the providers' own logging
+ *
+ * Exits with code 1 when any check fails.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { installMockWallets, MOCK_WALLETS } from './mock-wallets.js';
+import { createFeeStubServer } from './fee-stub-server.js';
+import { BaseWalletProvider, WalletErrorCode } from './inscriptions local/01-base-provider.js';
+import { isValidAddress } from './inscriptions local/13-address.js';
+import { createPsbt, decodePsbt, detectPsbtEncoding, convertPsbt, extractTransaction, SighashType } from './inscriptions local/14-psbt.js';
+import { createFeeEstimator, createMempoolFeeSource, createOrdFeeSource, createStaticFeeSource } from './inscriptions local/15-fees.js';
+
+const CHECK_TIMEOUT = 5000;
+
+const PROVIDER_MODULES = {
+  UniSat: ['04-unisat-provider.js', 'UniSatProvider'],
+  Xverse: ['05-xverse-provider.js', 'XverseProvider'],
+  OKX: ['06-okx-provider.js', 'OKXProvider'],
+  Leather: ['07-leather-provider.js', 'LeatherProvider'],
+  Phantom: ['08-phantom-provider.js', 'PhantomProvider'],
+  Wizz: ['09-wizz-provider.js', 'WizzProvider'],
+  MagicEden: ['10-magiceden-provider.js', 'MagicEdenProvider'],
+  Oyl: ['11-oyl-provider.js', 'OylProvider']
+};
+
+// ============= SHAPES =============
+
+const isSignedInput = (input) => !!(input.tapKeySig || input.partialSigs.length || input.finalScriptWitness || input.finalScriptSig !== undefined);
+
+/**
+ * Normalized return shapes; each returns an error message or null
+ */
+const SHAPES = {
+  address: (value) => (isValidAddress(value) ? null : 'expected a valid address string'),
+  publicKey: (value) => (/^(02|03)?[0-9a-f]{64}$/i.test(value || '') ? null : 'expected a hex public key'),
+  network: (value) => (['livenet', 'testnet', 'testnet4', 'signet', 'regtest'].includes(value) ? null : "expected 'livenet', 'testnet', 'testnet4', 'signet' or 'regtest'"),
+  balance: (value) => (value && ['confirmed', 'unconfirmed', 'total'].every(key => Number.isFinite(value[key]))
+    ? null
+    : 'expected { confirmed, unconfirmed, total } in satoshis'),
+  inscriptions: (value) => (value && Array.isArray(value.list) && Number.isFinite(value.total) && value.list.every(item => item.inscriptionId)
+    ? null
+    : 'expected { list: [{ inscriptionId, ... }], total }'),
+  txid: (value) => (/^[0-9a-f]{64}$/i.test(typeof value === 'string' ? value : '') ? null : 'expected a txid string'),
+  signature: (value) => (typeof value === 'string' && value.length > 0 ? null : 'expected a signature string'),
+  psbt: (value) => {
+    if (!detectPsbtEncoding(value)) {
+      return 'expected a PSBT string';
+    }
+    return decodePsbt(value).inputs.some(isSignedInput) ? null : 'PSBT came back unsigned';
+  },
+  psbts: (value) => (Array.isArray(value) && value.length > 0 ? value.map(SHAPES.psbt).find(Boolean) || null : 'expected an array of PSBTs'),
+  array: (value) => (Array.isArray(value) ? null : 'expected an array'),
+  object: (value) => (value && typeof value === 'object' ? null : 'expected an object'),
+  string: (value) => (typeof value === 'string' && value.length > 0 ? null : 'expected a string'),
+  boolean: (value) => (typeof value === 'boolean' ? null : 'expected a boolean'),
+  defined: (value) => (value !== undefined && value !== null ? null : 'returned nothing'),
+  any: () => null
+};
+
+// ============= FEATURE CHECKS =============
+
+/**
+ * Feature flag path -> how to exercise it
+ *   method: provider method, args: (ctx) => arguments, shape: key of SHAPES
+ *   connected: must throw NOT_CONNECTED before connect() (default true)
+ *   reachesWallet: must call the wallet, so a hard-coded answer is caught (default true)
+ *   run: custom check (ctx) => error message or null
+ */
+const FEATURE_CHECKS = {
+  getAddress: { method: 'getAddress', shape: 'address', reachesWallet: false },
+  getPublicKey: { method: 'getPublicKey', shape: 'publicKey', reachesWallet: false },
+  getBalance: { method: 'getBalance', shape: 'balance' },
+  // Single-network wallets may answer getNetwork() without asking
+  getNetwork: { method: 'getNetwork', shape: 'network', connected: false, reachesWallet: false },
+  switchNetwork: { method: 'switchNetwork', args: () => ['livenet'], shape: 'any', connected: false },
+  networkSwitch: { method: 'switchNetwork', args: () => ['livenet'], shape: 'any', connected: false },
+  signMessage: { method: 'signMessage', args: () => ['Nexus conformance'], shape: 'signature' },
+  signPsbt: { method: 'signPsbt', args: (ctx) => [ctx.psbt], shape: 'psbt' },
+  signPsbts: { method: 'signPsbts', args: (ctx) => [[ctx.psbt, ctx.psbt]], shape: 'psbts' },
+  signTransaction: { method: 'signTransaction', args: (ctx) => [ctx.psbt], shape: 'psbt' },
+  signMultipleTransactions: { method: 'signMultipleTransactions', args: (ctx) => [[ctx.psbt, ctx.psbt]], shape: 'psbts' },
+  pushPsbt: { method: 'pushPsbt', args: (ctx) => [ctx.finalizedPsbt], shape: 'txid' },
+  pushTx: { method: 'pushTx', args: (ctx) => [ctx.rawTx], shape: 'txid' },
+  sendBitcoin: { method: 'sendBitcoin', args: (ctx) => [ctx.recipient, 1000], shape: 'txid' },
+  sendBtcTransaction: { method: 'sendBitcoin', args: (ctx) => [ctx.recipient, 1000], shape: 'txid' },
+  sendInscription: { method: 'sendInscription', args: (ctx) => [ctx.recipient, ctx.inscriptionId], shape: 'txid' },
+  getInscriptions: { method: 'getInscriptions', args: () => [0, 20], shape: 'inscriptions' },
+  getAllInscriptions: { method: 'getAllInscriptions', shape: 'array' },
+  // A BRC-20 transfer, the one payload every native inscribe API takes (UniSat takes nothing else)
+  inscribe: {
+    method: 'inscribe',
+    args: () => ['{"p":"brc-20","op":"transfer","tick":"ordi","amt":"1"}', { contentType: 'text/plain;charset=utf-8', metadata: { brc20: { tick: 'ordi', amt: '1' } } }],
+    shape: 'defined'
+  },
+  createInscription: {
+    method: 'createInscription',
+    args: () => [{ content: 'Nexus conformance', contentType: 'text/plain;charset=utf-8', payloadType: 'PLAIN_TEXT' }],
+    shape: 'defined'
+  },
+  createRepeatInscriptions: {
+    method: 'createRepeatInscriptions',
+    args: () => [{ content: 'Nexus conformance', contentType: 'text/plain;charset=utf-8', payloadType: 'PLAIN_TEXT', repeat: 2 }],
+    shape: 'defined'
+  },
+  getUtxos: { method: 'getBitcoinUtxos', shape: 'array' },
+  getBitcoinUtxos: { method: 'getBitcoinUtxos', shape: 'array' },
+  getCapabilities: { method: 'getCapabilities', shape: 'object', reachesWallet: false },
+  'brc20.transfer': { method: 'inscribeTransfer', args: () => ['ordi', '1'], shape: 'defined' },
+  'brc20.deploy': {
+    method: 'mint',
+    args: () => [{ type: 60, inscriptions: [{ contentType: 'text/plain;charset=utf-8', body: '{"p":"brc-20","op":"deploy","tick":"nxus","max":"21000000","lim":"1000"}' }] }],
+    shape: 'defined'
+  },
+  'brc20.mint': {
+    method: 'mint',
+    args: () => [{ type: 50, inscriptions: [{ contentType: 'text/plain;charset=utf-8', body: '{"p":"brc-20","op":"mint","tick":"nxus","amt":"1000"}' }] }],
+    shape: 'defined'
+  },
+  'brc20.list': { method: 'getBRC20List', shape: 'defined' },
+  brc20: { method: 'inscribeTransfer', args: () => ['ordi', '1'], shape: 'defined' },
+  runes: { method: 'getRunesBalance', shape: 'defined' },
+  'runes.send': { method: 'sendRunes', args: (ctx) => [ctx.recipient, 'UNCOMMON•GOODS', '1'], shape: 'defined' },
+  'runes.mint': { method: 'mintRunes', args: () => [{ runeName: 'UNCOMMON•GOODS', repeats: 1 }], shape: 'defined' },
+  'runes.etch': { method: 'etchRunes', args: () => [{ runeName: 'NEXUS•CONFORMANCE', divisibility: 0, symbol: 'N' }], shape: 'defined' },
+  'atomicals.transfer': { method: 'sendAtomicals', args: (ctx) => [{ to: ctx.recipient, atomicalIds: [] }], shape: 'defined' },
+  'atomicals.mint': { method: 'requestMint', args: () => [{ type: 'nft' }], shape: 'defined' },
+  'arc20.transfer': { method: 'sendARC20', args: (ctx) => [ctx.recipient, 'atom', 1], shape: 'defined' },
+  atomicals: { method: 'sendAtomicals', args: (ctx) => [{ to: ctx.recipient, atomicalIds: [] }], shape: 'defined' },
+  arc20: { method: 'sendARC20', args: (ctx) => [ctx.recipient, 'atom', 1], shape: 'defined' },
+  structuredData: { method: 'signStructuredData', args: () => [{ message: 'Nexus conformance', domain: 'nexus' }], shape: 'defined' },
+  authentication: { method: 'authenticate', shape: 'defined', connected: false },
+  stacksTransaction: { method: 'sendStacksTransaction', args: () => [{ recipient: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7', amount: '1' }], shape: 'defined' },
+  profileUpdate: { method: 'updateProfile', args: () => [{ name: 'Nexus' }], shape: 'defined' },
+  getProductInfo: { method: 'getProductInfo', shape: 'object', connected: false },
+  getURL: { method: 'getURL', shape: 'string', connected: false },
+  biHelix: { method: 'isBiHelixAddress', args: (ctx) => [ctx.recipient], shape: 'boolean', connected: false },
+  cpfp: { method: 'requestCPFP', args: () => ['ab'.repeat(32)], shape: 'defined' },
+  mempoolInjection: { method: 'injectMempool', args: (ctx) => [ctx.rawTx], shape: 'defined' },
+  bip322: { method: 'verifyMessageOfBIP322Simple', args: (ctx) => [ctx.recipient, 'Nexus conformance', 'sig'], shape: 'defined', connected: false },
+  hardwareDetection: { method: 'isHardware', shape: 'boolean', connected: false },
+  relayProvider: { method: 'sendToRelayProvider', args: () => [{ psbt: null }], shape: 'defined', connected: false },
+  stacksSupport: {
+    method: 'getAccounts',
+    run: async ({ provider }) => ((await provider.getAccounts()).some(account => account.symbol === 'STX') ? null : 'getAccounts() has no STX account')
+  },
+  eventListeners: {
+    method: 'setupEventListeners',
+    connected: false,
+    run: ({ provider, mock }) => {
+      provider.removeEventListeners?.();
+      provider.setupEventListeners();
+      if (mock.listenerCount() === 0) {
+        return 'setupEventListeners() registered no wallet listeners';
+      }
+      provider.removeEventListeners?.();
+      return mock.listenerCount() === 0 ? null : 'removeEventListeners() left wallet listeners behind';
+    }
+  },
+  jwtAuth: {
+    method: 'connect',
+    connected: false,
+    run: ({ mock }) => {
+      const [request] = mock.callsTo('connect').at(-1)?.args || [];
+      return /^[\w-]+\.[\w-]+\.[\w-]*$/.test(request || '') ? null : 'connect() did not send a JWT request';
+    }
+  }
+};
+
+// ============= SIGNING OPTION CHECKS =============
+
+// Where wallets read the inputs to sign: toSignInputs (UniSat, OKX, Wizz, Oyl), signInputs (Xverse),
+// inputsToSign (Magic Eden, Phantom), signAtIndex (Leather)
+const NATIVE_SIGNING_FIELDS = ['toSignInputs', 'signInputs', 'inputsToSign', 'signAtIndex'];
+
+/**
+ * Sign flag -> method and the one input each PSBT asks for (two-input PSBTs, so a
+ * wallet that never got the options signs both). Batches pass one options object per PSBT
+ */
+const SIGNING_OPTION_CHECKS = {
+  signPsbt: { method: 'signPsbt', indexes: [1] },
+  signTransaction: { method: 'signTransaction', indexes: [1] },
+  signPsbts: { method: 'signPsbts', indexes: [1, 0] },
+  signMultipleTransactions: { method: 'signMultipleTransactions', indexes: [1, 0] }
+};
+
+/**
+ * Wallet-native signing fields anywhere in wallet call arguments (JWT requests are decoded)
+ */
+function findSigningFields(value, found = []) {
+  if (typeof value === 'string' && /^[\w-]+\.[\w-]+\.[\w-]*$/.test(value)) {
+    try {
+      findSigningFields(JSON.parse(Buffer.from(value.split('.')[1], 'base64url').toString('utf8')), found);
+    } catch (error) {
+      // Not a JWT
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => findSigningFields(item, found));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (NATIVE_SIGNING_FIELDS.includes(key)) found.push(key);
+      else findSigningFields(item, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Sign with canonical options; the wallet must get its own fields and sign only the asked inputs
+ */
+async function checkSigningOptions(ctx, flag) {
+  const { method, indexes } = SIGNING_OPTION_CHECKS[flag];
+  const { provider, mock, twoInputPsbt } = ctx;
+  const address = mock.accounts.payment.address;
+  const options = indexes.map(index => ({ inputs: [{ index, address, sighashTypes: [SighashType.ALL] }] }));
+  const batch = indexes.length > 1;
+
+  const callsBefore = mock.calls.length;
+  const result = await withTimeout(Promise.resolve(batch
+    ? provider[method](indexes.map(() => twoInputPsbt), options)
+    : provider[method](twoInputPsbt, options[0])), method);
+
+  const fields = findSigningFields(mock.calls.slice(callsBefore).map(call => call.args));
+  if (fields.length === 0) {
+    return `${method}() passed none of ${NATIVE_SIGNING_FIELDS.join(', ')} to the wallet`;
+  }
+
+  const signed = batch ? result : [result];
+  for (const [i, index] of indexes.entries()) {
+    const signedIndexes = decodePsbt(signed[i]).inputs.flatMap((input, n) => (isSignedInput(input) ? [n] : []));
+    if (signedIndexes.join() !== String(index)) {
+      return `${method}() PSBT #${i} asked for input ${index} (via ${fields.join(', ')}) but the wallet signed [${signedIndexes.join(', ')}]`;
+    }
+  }
+  return null;
+}
+
+// ============= RUNNER =============
+
+function flattenFeatures(features, prefix = '') {
+  return Object.entries(features).flatMap(([key, value]) => (
+    value && typeof value === 'object'
+      ? flattenFeatures(value, `${prefix}${key}.`)
+      : [[`${prefix}${key}`, value === true]]
+  ));
+}
+
+function withTimeout(promise, method) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${method}() did not settle within ${CHECK_TIMEOUT}ms`)), CHECK_TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const describeError = (error) => (error?.code ? `${error.code}: ${error.message}` : String(error?.message || error));
+
+/**
+ * Fixtures shared by the checks: a PSBT spending the wallet's payment output,
+ * the same PSBT finalized, a PSBT spending two payment outputs, its raw transaction,
+ * a recipient and an inscription
+ */
+function buildContext(provider, mock) {
+  const account = mock.accounts.payment;
+  const paymentInput = (vout) => ({
+    txid: 'ab'.repeat(32),
+    vout,
+    witnessUtxo: { value: 10000, script: account.script },
+    ...(account.redeemScript ? { redeemScript: account.redeemScript } : {})
+  });
+  const inWalletEncoding = (psbtHex) => (provider.psbtEncoding === 'base64' ? convertPsbt(psbtHex, 'base64') : psbtHex);
+  const psbt = inWalletEncoding(createPsbt({ inputs: [paymentInput(0)], outputs: [{ value: 9000, script: account.script }] }));
+  const finalizedPsbt = mock.sign(psbt, { finalize: true });
+
+  return {
+    provider,
+    mock,
+    psbt,
+    twoInputPsbt: inWalletEncoding(createPsbt({ inputs: [paymentInput(0), paymentInput(1)], outputs: [{ value: 19000, script: account.script }] })),
+    finalizedPsbt,
+    rawTx: extractTransaction(finalizedPsbt),
+    recipient: mock.accounts.ordinals.address,
+    inscriptionId: `${'cd'.repeat(32)}i0`
+  };
+}
+
+/**
+ * Exercise one flag; returns null when it holds, otherwise what is wrong
+ */
+async function checkFlag(ctx, flag, enabled) {
+  const check = FEATURE_CHECKS[flag];
+  const { provider, mock } = ctx;
+  const implemented = typeof provider[check.method] === 'function';
+
+  if (check.run) {
+    if (!enabled) {
+      return null;
+    }
+    return implemented ? check.run(ctx) : `${check.method}() is missing`;
+  }
+
+  if (!implemented) {
+    return enabled ? `${check.method}() is missing` : null;
+  }
+
+  const callsBefore = mock.calls.length;
+  let result;
+  try {
+    result = await withTimeout(Promise.resolve(provider[check.method](...(check.args ? check.args(ctx) : []))), check.method);
+  } catch (error) {
+    if (!enabled) {
+      return error?.code === WalletErrorCode.UNSUPPORTED_METHOD
+        ? null
+        : `flag is false, so ${check.method}() should throw ${WalletErrorCode.UNSUPPORTED_METHOD} (threw ${describeError(error)})`;
+    }
+    return `${check.method}() threw ${describeError(error)}`;
+  }
+
+  const shapeError = SHAPES[check.shape](result);
+  const reachedWallet = mock.calls.length > callsBefore;
+  if (!enabled) {
+    // A placeholder answer (never asks the wallet) is fine; a real one means the flag undersells the provider
+    const works = !shapeError && (reachedWallet || check.reachesWallet === false);
+    return works ? `flag is false but ${check.method}() works` : null;
+  }
+  if (shapeError) {
+    return `${check.method}() ${shapeError}, got ${JSON.stringify(result)?.slice(0, 80)}`;
+  }
+  if (check.reachesWallet !== false && !reachedWallet) {
+    return `${check.method}() never called the wallet (hard-coded answer)`;
+  }
+  return null;
+}
+
+/**
+ * Methods that need a connection must refuse before connect(), without touching the wallet
+ */
+async function checkRequiresConnection(ctx, flag) {
+  const check = FEATURE_CHECKS[flag];
+  const { provider, mock } = ctx;
+  if (check.run || check.connected === false || typeof provider[check.method] !== 'function') {
+    return null;
+  }
+
+  const callsBefore = mock.calls.length;
+  try {
+    await withTimeout(Promise.resolve(provider[check.method](...(check.args ? check.args(ctx) : []))), check.method);
+    return `${check.method}() succeeded before connect()`;
+  } catch (error) {
+    if (error?.code !== WalletErrorCode.NOT_CONNECTED) {
+      return `${check.method}() before connect() should throw ${WalletErrorCode.NOT_CONNECTED} (threw ${describeError(error)})`;
+    }
+    return mock.calls.length > callsBefore ? `${check.method}() reached the wallet before throwing ${WalletErrorCode.NOT_CONNECTED}` : null;
+  }
+}
+
+/**
+ * Run the suite for one wallet
+ * @param {string} walletName - One of MOCK_WALLETS
+ * @returns {Promise<Array<Object>>} [{ wallet, check, flag, enabled, status: 'pass' | 'fail' | 'unchecked', message }]
+ */
+export async function runWalletConformance(walletName) {
+  const [file, exportName] = PROVIDER_MODULES[walletName];
+  const module = await import(`./inscriptions local/${file}`);
+  const mocks = installMockWallets({ wallets: [walletName] });
+  const mock = mocks[walletName];
+  const results = [];
+  const record = (check, flag, enabled, message, status = message ? 'fail' : 'pass') => {
+    results.push({ wallet: walletName, check, flag, enabled, status, message: message || null });
+  };
+
+  try {
+    const provider = new module[exportName]();
+    const ctx = buildContext(provider, mock);
+    const flags = flattenFeatures(provider.features).filter(([flag]) => flag !== 'connect');
+
+    for (const [flag] of flags) {
+      if (FEATURE_CHECKS[flag]) {
+        const message = await checkRequiresConnection(ctx, flag);
+        if (FEATURE_CHECKS[flag].connected !== false && typeof provider[FEATURE_CHECKS[flag].method] === 'function') {
+          record('requires-connection', flag, null, message);
+        }
+      }
+    }
+    mock.calls.length = 0;
+
+    try {
+      await withTimeout(provider.connect(), 'connect');
+      record('feature', 'connect', true, SHAPES.address(provider.address) && `connect() left no valid address (${provider.address})`);
+    } catch (error) {
+      record('feature', 'connect', true, `connect() threw ${describeError(error)}`);
+      return results;
+    }
+
+    for (const [flag, enabled] of flags) {
+      if (!FEATURE_CHECKS[flag]) {
+        record('feature', flag, enabled, null, 'unchecked');
+        continue;
+      }
+      if (!provider.isConnected) {
+        await provider.connect();
+      }
+      let message;
+      try {
+        message = await checkFlag(ctx, flag, enabled);
+      } catch (error) {
+        message = `check crashed: ${describeError(error)}`;
+      }
+      record('feature', flag, enabled, message);
+    }
+
+    for (const [flag, enabled] of flags) {
+      if (!enabled || !SIGNING_OPTION_CHECKS[flag] || typeof provider[SIGNING_OPTION_CHECKS[flag].method] !== 'function') {
+        continue;
+      }
+      let message;
+      try {
+        message = await checkSigningOptions(ctx, flag);
+      } catch (error) {
+        message = `${SIGNING_OPTION_CHECKS[flag].method}() with signing options threw ${describeError(error)}`;
+      }
+      record('signing-options', flag, enabled, message);
+    }
+  } finally {
+    mocks.uninstall();
+  }
+  return results;
+}
+
+// ============= LOADER CHECKS =============
+
+/**
+ * Check name -> (loader, mock) => error message or null
+ * The mock is a UniSat wallet on testnet; every check leaves the loader disconnected
+ * with no app network set
+ */
+const LOADER_CHECKS = {
+  // Broadcasts go through the network guard like signing does
+  'networkGuard.pushPsbt': async (loader, mock) => {
+    await loader.connect('UniSat');
+    const { finalizedPsbt } = buildContext(loader.getCurrentProvider(), mock);
+
+    loader.setAppNetwork('livenet');
+    const callsBefore = mock.calls.length;
+    try {
+      await withTimeout(loader.pushPsbt(finalizedPsbt), 'pushPsbt');
+      return 'pushPsbt() broadcast from a testnet wallet while the app is on livenet';
+    } catch (error) {
+      if (error?.code !== WalletErrorCode.NETWORK_MISMATCH) {
+        return `pushPsbt() should throw ${WalletErrorCode.NETWORK_MISMATCH} (threw ${describeError(error)})`;
+      }
+      if (mock.calls.length > callsBefore) {
+        return `pushPsbt() reached the wallet before throwing ${WalletErrorCode.NETWORK_MISMATCH}`;
+      }
+    }
+
+    loader.setAppNetwork('testnet');
+    return SHAPES.txid(await withTimeout(loader.pushPsbt(finalizedPsbt), 'pushPsbt'));
+  },
+
+  // Plugins are validated at registration; inheriting BaseWalletProvider's generic methods is not enough
+  'registerProvider.validation': async (loader) => {
+    class IncompleteProvider extends BaseWalletProvider {
+      isInstalled() { return true; }
+    }
+    const plugin = { name: 'ConformanceIncomplete', detection: () => true, load: async () => IncompleteProvider };
+    try {
+      await loader.registerProvider(plugin);
+      return 'registerProvider() accepted a class that only implements isInstalled()';
+    } catch (error) {
+      if (!(error instanceof TypeError) || !/missing required methods: connect/.test(error.message)) {
+        return `registerProvider() should reject with a TypeError listing the missing methods (threw ${describeError(error)})`;
+      }
+    }
+    return loader.getAllWalletInfo()[plugin.name] ? 'registerProvider() added the wallet despite the failed check' : null;
+  },
+
+  // Before connect() the matrix only inspects the injected object (no provider, no probe);
+  // connect() probes once and reloading the matrix reuses that probe
+  'capabilityMatrix.probeOnce': async (loader, mock) => {
+    mock.reset();
+    await loader.disconnectAll();
+    await loader.getCapabilityMatrix();
+    const before = (await loader.getCapabilityMatrix()).UniSat;
+    if (!before.installed || before.capabilities !== null || !before.methods?.includes('signPsbt')) {
+      return 'getCapabilityMatrix() should list the UniSat mock\'s methods and no capabilities before connect()';
+    }
+    if (mock.calls.length > 0) {
+      return `getCapabilityMatrix() called the wallet before connect(): ${mock.calls.map(call => call.method).join(', ')}`;
+    }
+    await loader.connect('UniSat');
+    const after = (await loader.getCapabilityMatrix()).UniSat;
+    if (!after.capabilities?.signPsbt) {
+      return 'getCapabilityMatrix() did not describe the connected UniSat mock';
+    }
+    const probes = mock.callsTo('getVersion').length;
+    return probes === 1 ? null : `expected 1 API probe for connect() and a matrix reload, saw ${probes}`;
+  }
+};
+
+/**
+ * Run the loader checks
+ * @returns {Promise<Array<Object>>} Results with wallet 'Loader', see runWalletConformance()
+ */
+export async function runLoaderConformance() {
+  const mocks = installMockWallets({ wallets: ['UniSat'], network: 'testnet' });
+  const results = [];
+
+  try {
+    const loader = await import('./frontend/components/dev-loader-simple.js');
+    for (const [check, run] of Object.entries(LOADER_CHECKS)) {
+      let message;
+      try {
+        message = await run(loader, mocks.UniSat);
+      } catch (error) {
+        message = `check crashed: ${describeError(error)}`;
+      } finally {
+        loader.setAppNetwork(null);
+        await loader.disconnectAll();
+      }
+      results.push({ wallet: 'Loader', check: 'loader', flag: check, enabled: true, status: message ? 'fail' : 'pass', message: message || null });
+    }
+  } finally {
+    mocks.uninstall();
+  }
+  return results;
+}
+
+// ============= FEE CHECKS =============
+
+// Rates the stub serves; ord percentiles and mempool.space fields both map back to these
+const STUB_RATES = { economy: 3, normal: 8, priority: 20 };
+const STATIC_RATE = 50;
+
+/**
+ * Start fee-stub-server.js on a free local port
+ * @param {Array<string>} fail - Stub endpoints answering HTTP 500 ('ord', 'mempool')
+ * @returns {Promise<Object>} { baseUrl, close() }
+ */
+async function startFeeStub(fail) {
+  const server = createFeeStubServer({ rates: STUB_RATES, fail });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const expectRates = (rates, source, expected) => {
+  if (rates.source !== source) {
+    return `expected rates from ${source}, got them from ${rates.source}`;
+  }
+  const wrong = Object.keys(expected).filter(tier => rates[tier] !== expected[tier]);
+  return wrong.length ? `${source} rates ${JSON.stringify(rates)} do not match ${JSON.stringify(expected)}` : null;
+};
+
+/**
+ * Each check gets an estimator over the stub with the loader's chain (ord -> mempool.space -> static)
+ * fail lists the stub endpoints that answer HTTP 500 for that check
+ */
+const FEE_CHECKS = {
+  'order.ord': {
+    fail: [],
+    run: async (estimator) => expectRates(await estimator.getFeeRates(), 'ord', STUB_RATES)
+  },
+  'order.mempoolFallback': {
+    fail: ['ord'],
+    run: async (estimator) => expectRates(await estimator.getFeeRates(), 'mempool', STUB_RATES)
+  },
+  'order.staticFallback': {
+    fail: ['ord', 'mempool'],
+    run: async (estimator) => expectRates(await estimator.getFeeRates(), 'static', { economy: STATIC_RATE / 2, normal: STATIC_RATE, priority: STATIC_RATE * 2 })
+  },
+  'tiers': {
+    fail: [],
+    run: async (estimator) => {
+      for (const [tier, expected] of Object.entries(STUB_RATES)) {
+        const rate = await estimator.getFeeRate(tier);
+        if (rate !== expected) {
+          return `getFeeRate('${tier}') returned ${rate}, expected ${expected}`;
+        }
+      }
+      if (await estimator.getFeeRate() !== STUB_RATES.normal) {
+        return "getFeeRate() should default to the 'normal' tier";
+      }
+      try {
+        await estimator.getFeeRate('fastest');
+        return "getFeeRate('fastest') should throw for an unknown tier";
+      } catch (error) {
+        return /Unknown fee tier/.test(error.message) ? null : `unexpected error for an unknown tier: ${describeError(error)}`;
+      }
+    }
+  }
+};
+
+/**
+ * Run the fee checks, each against its own stub server
+ * @returns {Promise<Array<Object>>} Results with wallet 'Fees', see runWalletConformance()
+ */
+export async function runFeeConformance() {
+  const results = [];
+
+  for (const [check, { fail, run }] of Object.entries(FEE_CHECKS)) {
+    const stub = await startFeeStub(fail);
+    const estimator = createFeeEstimator({
+      sources: [
+        createOrdFeeSource({ baseUrl: stub.baseUrl, timeout: CHECK_TIMEOUT }),
+        createMempoolFeeSource({ baseUrl: stub.baseUrl, timeout: CHECK_TIMEOUT }),
+        createStaticFeeSource(STATIC_RATE)
+      ]
+    });
+    let message;
+    try {
+      message = await run(estimator);
+    } catch (error) {
+      message = `check crashed: ${describeError(error)}`;
+    } finally {
+      await stub.close();
+    }
+    results.push({ wallet: 'Fees', check: 'fees', flag: check, enabled: true, status: message ? 'fail' : 'pass', message: message || null });
+  }
+  return results;
+}
+
+/**
+ * Run the suite for several wallets
+ * @param {Object} [options] - { wallets: names (default every mock wallet), loader: also run LOADER_CHECKS (default true),
+ *   fees: also run FEE_CHECKS (default true) }
+ * @returns {Promise<Array<Object>>} Results of every wallet, see runWalletConformance()
+ */
+export async function runConformance({ wallets = MOCK_WALLETS, loader = true, fees = true } = {}) {
+  const results = [];
+  for (const walletName of wallets) {
+    results.push(...await runWalletConformance(walletName));
+  }
+  if (loader) {
+    results.push(...await runLoaderConformance());
+  }
+  if (fees) {
+    results.push(...await runFeeConformance());
+  }
+  return results;
+}
+
+// ============= CLI =============
+
+function parseArgs(argv) {
+  const options = { wallets: [], json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--wallet' || arg === '-w') {
+      options.wallets.push(argv[++i]);
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function printReport(results, log) {
+  for (const walletName of [...new Set(results.map(result => result.wallet))]) {
+    const own = results.filter(result => result.wallet === walletName);
+    const failed = own.filter(result => result.status === 'fail');
+    const passed = own.filter(result => result.status === 'pass').length;
+    log(`\n${failed.length ? '❌' : '✅'} ${walletName}: ${passed} passed, ${failed.length} failed`);
+
+    for (const result of failed) {
+      const label = result.check === 'requires-connection' ? `${result.flag} (before connect)`
+        : result.check === 'signing-options' ? `${result.flag} (signing options)`
+        : `${result.flag}: ${result.enabled}`;
+      log(`   ❌ ${label} - ${result.message}`);
+    }
+    const unchecked = own.filter(result => result.status === 'unchecked').map(result => result.flag);
+    if (unchecked.length) {
+      log(`   ⚠️ No check for: ${unchecked.join(', ')}`);
+    }
+  }
+
+  const failures = results.filter(result => result.status === 'fail').length;
+  log(`\n${failures ? '❌' : '✅'} ${results.length - failures} of ${results.length} checks passed`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log('Usage: node provider-conformance.js [--wallet <name>]... [--json] [--verbose]');
+    console.log(`Wallets: ${MOCK_WALLETS.join(', ')}`);
+    return;
+  }
+  const unknown = options.wallets.filter(walletName => !PROVIDER_MODULES[walletName]);
+  if (unknown.length) {
+    throw new Error(`Unknown wallet: ${unknown.join(', ')} (expected one of ${MOCK_WALLETS.join(', ')})`);
+  }
+
+  // Providers log every call; keep the report readable unless asked not to
+  const log = console.log.bind(console);
+  const { log: consoleLog, info, warn, error } = console;
+  if (!options.verbose) {
+    console.log = console.info = console.warn = console.error = () => {};
+  }
+
+  // --wallet narrows the run to provider checks
+  let results;
+  try {
+    results = await runConformance({
+      wallets: options.wallets.length ? options.wallets : MOCK_WALLETS,
+      loader: !options.wallets.length,
+      fees: !options.wallets.length
+    });
+  } finally {
+    // main()'s catch handler reports a crash through console.error
+    Object.assign(console, { log: consoleLog, info, warn, error });
+  }
+  if (options.json) {
+    log(JSON.stringify(results, null, 2));
+  } else {
+    printReport(results, log);
+  }
+  process.exitCode = results.some(result => result.status === 'fail') ? 1 : 0;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
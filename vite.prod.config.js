@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite'
 import path from 'path'
+import { ordEmulator } from './ord-emulator.js'
 
 /**
  * Custom plugin to preserve inscription loader scripts in HTML
@@ -46,7 +47,14 @@ function preserveInscriptionScripts() {
 export default defineConfig({
   root: path.resolve(__dirname, 'frontend'),
   
-  plugins: [preserveInscriptionScripts()],
+  plugins: [
+    preserveInscriptionScripts(),
+    // `npm run preview:prod` resolves inscription imports from ready-to-inscribe/ offline
+    ordEmulator({
+      dir: path.resolve(__dirname, 'ready-to-inscribe'),
+      vendor: path.resolve(__dirname, 'ord-vendor.json')
+    })
+  ],
   
   build: {
     outDir: path.resolve(__dirname, 'dist-production'),